@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+// 基准测试：nmft-bench --config <file.json|file.yaml> [--network <name>] [--contract <address>] [--deploy] [--out <dir>]
+// hardhat 网络每次运行都会部署新合约；其他网络默认使用 deployments/<network>.json 中的当前部署
+const { parseArgs } = require('util');
+const { resolveContractAddress } = require('../lib/cli');
+const { projectionMatrixParameters } = require('../lib/lsh');
+const { loadBenchmarkConfig, BenchmarkRunner } = require('../lib/benchmark');
+const { LoadRunner } = require('../lib/load');
+
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      config: { type: 'string' },
+      network: { type: 'string', default: 'localhost' },
+      contract: { type: 'string' },
+      deploy: { type: 'boolean', default: false },
+      out: { type: 'string', default: 'results' }
+    }
+  });
+  if (!options.config) {
+    throw new Error('Usage: nmft-bench --config <file> [--network <name>] [--contract <address>] [--deploy] [--out <dir>]');
+  }
+  // 在部署或发送任何交易之前按网络校验步骤
+  const config = loadBenchmarkConfig(options.config, { network: options.network });
+  // 必须在加载 hardhat 之前选择网络
+  process.env.HARDHAT_NETWORK = options.network;
+  const hre = require('hardhat');
+
+  const signers = await hre.ethers.getSigners();
+  let nmft;
+  if (options.deploy || options.network === 'hardhat') {
+    const NMFT = await hre.ethers.getContractFactory('NMFT');
+    nmft = await NMFT.deploy(signers[0].address, projectionMatrixParameters(process.env.PROJECTION_MATRIX_HASH).hash);
+    await nmft.waitForDeployment();
+    console.log(`NMFT deployed to ${await nmft.getAddress()}`);
+  } else {
+    nmft = await hre.ethers.getContractAt('NMFT', resolveContractAddress(options.network, options));
+  }
+
+  // 配置了 load 时并发执行交易
+  const Runner = config.load ? LoadRunner : BenchmarkRunner;
+  const runner = new Runner({
+    nmft,
+    signers,
+    provider: hre.ethers.provider,
+    network: options.network,
+    config,
+    outDir: options.out,
+    confirmations: hre.network.config.confirmations,
+    mnemonic: process.env.BENCH_MNEMONIC
+  });
+  if (config.load) {
+    console.log(`Running load ${config.name}: ${config.load.trades} trades, up to ${config.load.concurrency} at once`);
+  } else {
+    console.log(`Running benchmark ${config.name}: ${config.points.length} parameter sets x ${config.repetitions} repetitions`);
+  }
+  const { rows, path, summary, summaryPath } = await runner.run();
+  console.log(`Wrote ${rows.length} measurements to ${path}`);
+  if (summary) {
+    console.log(`${summary.completed}/${summary.trades} trades completed (${summary.reverted} reverted, ${summary.failed} failed) in ${summary.durationMs} ms: ` +
+      `${summary.throughput.tradesPerSecond.toFixed(2)} trades/s, ${summary.throughput.transactionsPerSecond.toFixed(2)} tx/s`);
+    if (summary.confirmationLatency) {
+      console.log(`Confirmation latency p50 ${summary.confirmationLatency.p50.toFixed(0)} ms, p95 ${summary.confirmationLatency.p95.toFixed(0)} ms, p99 ${summary.confirmationLatency.p99.toFixed(0)} ms`);
+    }
+    console.log(`Wrote summary to ${summaryPath}`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
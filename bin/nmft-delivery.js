@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+// 批次交付：
+//   nmft-delivery serve --dataset <tokenId>=<file> [--account <i>] [--network <name>] [--contract <address>] [--host <host>] [--port <port>] [--state <file>]
+//   nmft-delivery download --token <id> --hashchain <file> --out <file> [--url <url>] [--account <i>] [--limit <n>] [--manifest-root <hash>]
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { resolveContractAddress } = require('../lib/cli');
+const { NmftClient } = require('../lib/client');
+const { BuyerHashchain } = require('../lib/hashchain');
+const { DeliveryServer, DeliveryClient } = require('../lib/delivery');
+
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      network: { type: 'string', default: 'localhost' },
+      contract: { type: 'string' },
+      account: { type: 'string', default: '0' },
+      dataset: { type: 'string', multiple: true, default: [] },
+      host: { type: 'string', default: '127.0.0.1' },
+      port: { type: 'string', default: '8646' },
+      state: { type: 'string' },
+      interval: { type: 'string', default: '60000' },
+      url: { type: 'string', default: 'http://127.0.0.1:8646' },
+      token: { type: 'string' },
+      hashchain: { type: 'string' },
+      out: { type: 'string' },
+      limit: { type: 'string' },
+      'manifest-root': { type: 'string' }
+    }
+  });
+  const [command] = positionals;
+  if (command !== 'serve' && command !== 'download') {
+    throw new Error('Usage: nmft-delivery serve|download [options]');
+  }
+  // 必须在加载 hardhat 之前选择网络
+  process.env.HARDHAT_NETWORK = options.network;
+  const hre = require('hardhat');
+
+  const signer = (await hre.ethers.getSigners())[Number(options.account)];
+  if (!signer) {
+    throw new Error(`Unknown account ${options.account}`);
+  }
+  const client = NmftClient.at(resolveContractAddress(options.network, options), hre.ethers.provider);
+
+  if (command === 'download') {
+    if (!options.token || !options.hashchain || !options.out) {
+      throw new Error('download requires --token, --hashchain and --out');
+    }
+    const downloader = new DeliveryClient({ url: options.url, client, signer, hashchain: BuyerHashchain.load(options.hashchain) });
+    const result = await downloader.download(options.token, {
+      outputPath: options.out,
+      limit: options.limit === undefined ? Infinity : Number(options.limit),
+      manifestRoot: options['manifest-root']
+    });
+    console.log(`Received batches ${result.delivered.join(', ') || '(none)'}; ${result.released}/${result.manifest.batchNumber} released`);
+    return;
+  }
+
+  const datasets = options.dataset.map(entry => {
+    const [tokenId, file] = entry.split('=');
+    if (!tokenId || !file) {
+      throw new Error(`Invalid --dataset ${entry}, expected <tokenId>=<file>`);
+    }
+    return { tokenId, data: fs.readFileSync(file) };
+  });
+  if (datasets.length === 0) {
+    throw new Error('serve requires at least one --dataset <tokenId>=<file>');
+  }
+  const statePath = options.state || path.join('data', `delivery-${options.network}.json`);
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  const server = new DeliveryServer({
+    client,
+    signer,
+    datasets,
+    host: options.host,
+    port: Number(options.port),
+    statePath,
+    confirmInterval: Number(options.interval)
+  });
+  console.log(`Batch delivery for ${signer.address} listening on ${await server.listen()}, progress in ${statePath}`);
+  process.on('SIGINT', async () => {
+    await server.close();
+    process.exit(0);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
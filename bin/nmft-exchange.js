@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+// 挑战索引交换服务：nmft-exchange [--network <name>] [--contract <address>] [--host <host>] [--port <port>] [--store <file>]
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { resolveContractAddress } = require('../lib/cli');
+const { NmftClient } = require('../lib/client');
+const { ExchangeServer } = require('../lib/exchange');
+
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      network: { type: 'string', default: 'localhost' },
+      contract: { type: 'string' },
+      host: { type: 'string', default: '127.0.0.1' },
+      port: { type: 'string', default: '8645' },
+      store: { type: 'string' }
+    }
+  });
+  // 必须在加载 hardhat 之前选择网络
+  process.env.HARDHAT_NETWORK = options.network;
+  const hre = require('hardhat');
+
+  const storePath = options.store || path.join('data', `exchange-${options.network}.jsonl`);
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+  const server = new ExchangeServer({
+    client: NmftClient.at(resolveContractAddress(options.network, options), hre.ethers.provider),
+    host: options.host,
+    port: Number(options.port),
+    storePath
+  });
+  console.log(`Challenge exchange listening on ${await server.listen()} (WebSocket at /ws), storing messages in ${storePath}`);
+  process.on('SIGINT', async () => {
+    await server.close();
+    process.exit(0);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
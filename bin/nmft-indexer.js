@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// NMFT 事件索引器：nmft-indexer [--network <name>] [--contract <address>] [--db <file>] [--from-block <n>] [--confirmations <n>] [--once]
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { resolveContractAddress } = require('../lib/cli');
+const { NmftIndexer } = require('../lib/indexer');
+const { NmftClient } = require('../lib/client');
+
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      network: { type: 'string', default: 'localhost' },
+      contract: { type: 'string' },
+      db: { type: 'string' },
+      'from-block': { type: 'string', default: '0' },
+      confirmations: { type: 'string', default: '0' },
+      interval: { type: 'string', default: '4000' },
+      once: { type: 'boolean', default: false }
+    }
+  });
+  // 必须在加载 hardhat 之前选择网络
+  process.env.HARDHAT_NETWORK = options.network;
+  const hre = require('hardhat');
+
+  const dbPath = options.db || path.join('data', `indexer-${options.network}.db`);
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+  const client = NmftClient.at(resolveContractAddress(options.network, options), hre.ethers.provider);
+  const indexer = new NmftIndexer({
+    nmft: client.nmft,
+    dbPath,
+    startBlock: Number(options['from-block']),
+    confirmations: Number(options.confirmations),
+    pollInterval: Number(options.interval)
+  });
+
+  if (options.once) {
+    const processed = await indexer.sync();
+    console.log(`Indexed ${processed} blocks up to ${indexer.cursor} into ${dbPath}`);
+    indexer.close();
+    return;
+  }
+
+  console.log(`Indexing ${options.network} into ${dbPath}, press Ctrl+C to stop`);
+  indexer.start();
+  process.on('SIGINT', () => {
+    indexer.close();
+    process.exit(0);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// 超时 keeper：nmft-keeper --accounts 0,1 [--network <name>] [--contract <address>] [--state <file>] [--from-block <n>] [--once]
+const path = require('path');
+const { parseArgs } = require('util');
+const { resolveContractAddress } = require('../lib/cli');
+const { NmftClient, TRANSACTION_TIMEOUT } = require('../lib/client');
+const { TimeoutKeeper } = require('../lib/keeper');
+
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      network: { type: 'string', default: 'localhost' },
+      contract: { type: 'string' },
+      accounts: { type: 'string', default: '0' },
+      state: { type: 'string' },
+      'from-block': { type: 'string', default: '0' },
+      'cleanup-grace': { type: 'string', default: String(TRANSACTION_TIMEOUT) },
+      interval: { type: 'string', default: '15000' },
+      once: { type: 'boolean', default: false }
+    }
+  });
+  // 必须在加载 hardhat 之前选择网络
+  process.env.HARDHAT_NETWORK = options.network;
+  const hre = require('hardhat');
+
+  const allSigners = await hre.ethers.getSigners();
+  const signers = options.accounts.split(',').map(index => allSigners[Number(index)]);
+  if (signers.some(signer => !signer)) {
+    throw new Error(`Unknown account in --accounts ${options.accounts}`);
+  }
+  const statePath = options.state || path.join('data', `keeper-${options.network}.json`);
+  const reporter = {
+    info: message => console.log(`[${new Date().toISOString()}] ${message}`),
+    warn: message => console.warn(`[${new Date().toISOString()}] ${message}`),
+    error: (message, error) => console.error(`[${new Date().toISOString()}] ${message}`, error)
+  };
+  const keeper = new TimeoutKeeper({
+    client: NmftClient.at(resolveContractAddress(options.network, options), hre.ethers.provider),
+    signers,
+    statePath,
+    fromBlock: Number(options['from-block']),
+    cleanupGrace: Number(options['cleanup-grace']),
+    pollInterval: Number(options.interval),
+    logger: reporter
+  });
+
+  if (options.once) {
+    await keeper.tick();
+    console.log(JSON.stringify(keeper.report(), null, 2));
+    return;
+  }
+  console.log(`Keeper running for ${signers.map(signer => signer.address).join(', ')}, schedule in ${statePath}`);
+  keeper.start();
+  process.on('SIGINT', () => {
+    keeper.stop();
+    process.exit(0);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
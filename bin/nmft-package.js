@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+// 数据集打包：nmft-package --dataset <dir|file> --batch-number <n> --out <dir> [--token <id>]
+// 输出 batch-<k>.bin 和 manifest.json，清单根用于 mintDataNFT / updateDataInfo 的 batchManifestRoot
+const { parseArgs } = require('util');
+const { packageDataset } = require('../lib/batches');
+
+function main() {
+  const { values: options } = parseArgs({
+    options: {
+      dataset: { type: 'string' },
+      'batch-number': { type: 'string' },
+      out: { type: 'string' },
+      token: { type: 'string' }
+    }
+  });
+  if (!options.dataset || !options['batch-number'] || !options.out) {
+    throw new Error('Usage: nmft-package --dataset <dir|file> --batch-number <n> --out <dir> [--token <id>]');
+  }
+  const { manifest } = packageDataset(options.dataset, Number(options['batch-number']), { outDir: options.out, tokenId: options.token });
+  console.log(`Packaged ${manifest.files.length} files (${manifest.totalSize} bytes) into ${manifest.batchNumber} batches in ${options.out}`);
+  console.log(`Batch manifest root: ${manifest.root}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
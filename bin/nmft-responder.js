@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+// 所有者自动响应：nmft-responder --exchange <url> --trees <dir> [--network <name>] [--contract <address>] [--account <index>]
+const { parseArgs } = require('util');
+const { resolveContractAddress } = require('../lib/cli');
+const { NmftClient } = require('../lib/client');
+const { ExchangeClient } = require('../lib/exchange');
+const { ChallengeResponder } = require('../lib/responder');
+const { loadWatchlist } = require('../lib/watchdog');
+
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      network: { type: 'string', default: 'localhost' },
+      contract: { type: 'string' },
+      account: { type: 'string', default: '0' },
+      exchange: { type: 'string', default: 'http://127.0.0.1:8645' },
+      trees: { type: 'string' },
+      interval: { type: 'string', default: '10000' }
+    }
+  });
+  if (!options.trees) {
+    throw new Error('Missing required option --trees');
+  }
+  // 必须在加载 hardhat 之前选择网络
+  process.env.HARDHAT_NETWORK = options.network;
+  const hre = require('hardhat');
+
+  const signer = (await hre.ethers.getSigners())[Number(options.account)];
+  const watchlist = loadWatchlist(options.trees);
+  const responder = new ChallengeResponder({
+    client: NmftClient.at(resolveContractAddress(options.network, options), signer),
+    signer,
+    exchange: new ExchangeClient(options.exchange),
+    watchlist,
+    pollInterval: Number(options.interval)
+  });
+  await responder.start();
+  console.log(`Answering challenges from ${options.exchange} for ${watchlist.length} feature trees as ${signer.address}`);
+  process.on('SIGINT', () => {
+    responder.stop();
+    process.exit(0);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
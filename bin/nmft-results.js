@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// 基准测试结果：
+//   nmft-results migrate [--dir <dir>] [--keep]
+//   nmft-results report <file|dir>... [--run <id>] [--label <name>] [--compare <file|dir>]... [--compare-run <id>] [--compare-label <name>] [--out <dir>] [--title <text>]
+// migrate 把旧格式的 <network>_<benchmark>.csv 转为 JSON Lines，默认转换后删除原文件
+// report 统计各方法的延迟和 gas、拟合 gas 与扫描参数的关系，写出 report.html 和 report.md；--compare 给出对比的基准结果
+const { parseArgs } = require('util');
+const { migrateLegacyResults } = require('../lib/results');
+const { loadRecords, buildReport, writeReport } = require('../lib/report');
+
+const USAGE = 'Usage: nmft-results migrate [--dir <dir>] [--keep] | nmft-results report <file|dir>... [--compare <file|dir>]... [--out <dir>]';
+
+function main() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      dir: { type: 'string', default: 'results' },
+      keep: { type: 'boolean', default: false },
+      run: { type: 'string' },
+      label: { type: 'string' },
+      compare: { type: 'string', multiple: true, default: [] },
+      'compare-run': { type: 'string' },
+      'compare-label': { type: 'string' },
+      out: { type: 'string', default: 'reports' },
+      title: { type: 'string' }
+    }
+  });
+  const [command, ...inputs] = positionals;
+
+  if (command === 'migrate') {
+    const migrated = migrateLegacyResults(options.dir, { remove: !options.keep });
+    for (const { source, target, records } of migrated) {
+      console.log(`${source} -> ${target} (${records} records)`);
+    }
+    if (migrated.length === 0) {
+      console.log(`No legacy CSV results in ${options.dir}`);
+    }
+    return;
+  }
+
+  if (command === 'report') {
+    if (inputs.length === 0) {
+      throw new Error('report requires at least one results file or directory');
+    }
+    const report = buildReport({
+      title: options.title,
+      current: { label: options.label, records: loadRecords(inputs, { run: options.run }) },
+      baseline: options.compare.length === 0
+        ? undefined
+        : { label: options['compare-label'], records: loadRecords(options.compare, { run: options['compare-run'] }) }
+    });
+    const { html, markdown } = writeReport(report, options.out);
+    console.log(`Wrote ${html} and ${markdown}`);
+    return;
+  }
+
+  throw new Error(USAGE);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+// 挑战监视器：nmft-watchdog --trees <dir> [--network <name>] [--contract <address>] [--account <index>] [--from-block <n>] [--max-gas <n>]
+const { parseArgs } = require('util');
+const { resolveContractAddress } = require('../lib/cli');
+const { ChallengeWatchdog, loadWatchlist } = require('../lib/watchdog');
+
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      network: { type: 'string', default: 'localhost' },
+      contract: { type: 'string' },
+      account: { type: 'string', default: '0' },
+      trees: { type: 'string' },
+      'from-block': { type: 'string' },
+      'max-gas': { type: 'string' },
+      'near-miss-margin': { type: 'string', default: '5' },
+      interval: { type: 'string', default: '4000' }
+    }
+  });
+  if (!options.trees) {
+    throw new Error('Missing required option --trees');
+  }
+  // 必须在加载 hardhat 之前选择网络
+  process.env.HARDHAT_NETWORK = options.network;
+  const hre = require('hardhat');
+
+  const signer = (await hre.ethers.getSigners())[Number(options.account)];
+  const watchlist = loadWatchlist(options.trees);
+  const fromBlock = options['from-block'] === undefined
+    ? await hre.ethers.provider.getBlockNumber()
+    : Number(options['from-block']);
+  const watchdog = ChallengeWatchdog.at(resolveContractAddress(options.network, options), signer, {
+    watchlist,
+    fromBlock,
+    maxGas: options['max-gas'],
+    nearMissMargin: Number(options['near-miss-margin']),
+    pollInterval: Number(options.interval)
+  });
+
+  console.log(`Watching challenges on ${options.network} from block ${fromBlock} with ${watchlist.length} feature trees as ${signer.address}`);
+  watchdog.start();
+  process.on('SIGINT', () => {
+    watchdog.stop();
+    process.exit(0);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
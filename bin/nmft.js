@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+// NMFT 命令行工具：nmft <command> [options]，详见 nmft --help
+const { parseCommandLine, run, UsageError, USAGE } = require('../lib/cli');
+const { NmftError } = require('../lib/errors');
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const { options } = parseCommandLine(argv);
+  // 必须在加载 hardhat 之前选择网络
+  process.env.HARDHAT_NETWORK = options.network;
+  const hre = require('hardhat');
+  await run(argv, { hre });
+}
+
+main().catch((error) => {
+  if (error instanceof UsageError || (error && error.code && error.code.startsWith('ERR_PARSE_ARGS'))) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+    return;
+  }
+  console.error(error instanceof NmftError ? `${error.name}: ${error.message}` : error);
+  process.exitCode = 1;
+});
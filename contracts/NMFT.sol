@@ -23,19 +23,28 @@ import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/Counters.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 
 contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
     using Counters for Counters.Counter;
+    using SafeERC20 for IERC20;
     
     Counters.Counter private _tokenIds;
     address public admin;
     uint256 public similarityThreshold = 95;
     uint256 public constant CHALLENGE_RESPONSE_WINDOW = 24 hours;
     uint256 public constant TRANSACTION_TIMEOUT = 24 hours;
+    // 发起挑战后所有者必须在此期限内 ownerResToChallenge，需短于 TRANSACTION_TIMEOUT
+    uint256 public constant OWNER_RESPONSE_WINDOW = 12 hours;
+    // 所有者证明向量后买家 buyerVerifyChallenge、挑战结算后买家 setHashchainTip 的期限，同样需短于 TRANSACTION_TIMEOUT
+    uint256 public constant BUYER_RESPONSE_WINDOW = 12 hours;
     uint256 public constant COMPRESSED_VECTOR_LENGTH = 256;
     uint256 public constant VECTOR_LENGTH = 10;
     uint256 public constant PROJECTION_MATRIX_SEED = 1234567890;
     bytes32 public immutable PROJECTION_MATRIX_HASH;
+    // updateDataInfo 中表示改回以 ETH 结算（address(0) 表示不修改）
+    address public constant NATIVE_CURRENCY = 0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE;
 
     // 数据信息结构体
     struct DataInfo {
@@ -44,6 +53,10 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
         uint256 nftTransferFee;  // NFT转移费用
         bytes32 latestMerkleRoot;    // 最新的Merkle树根
         mapping(bytes32 => uint256) merkleRootTimestamps; // Merkle树根的时间戳
+        bytes32 batchManifestRoot;   // 最新的批次清单根（各批次内容摘要的Merkle树根）
+        uint256 revision;            // 数据信息版本，铸造时为0，每次updateDataInfo加1
+        mapping(uint256 => bytes32) batchManifestRoots; // 各版本的批次清单根
+        address paymentToken;        // 结算使用的ERC-20代币，address(0)表示ETH
     }
 
     // 定义数据交易类型枚举
@@ -65,6 +78,8 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
         bool vectorsVerified;    // 向量是否已验证通过
         bool dataValidated;      // 买家验证状态
         uint256 lastActivityTimestamp; // 最后活动时间戳
+        bytes32 batchManifestRoot; // 请求时的批次清单根
+        address paymentToken;      // 请求时的结算代币，押金和付款均使用该代币
     }
 
     struct Challenge {
@@ -94,6 +109,8 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
     mapping(uint256 => mapping(address => HashchainInfo)) private _hashchainInfo;
     // 存储投影矩阵
     mapping(uint256 => mapping(uint256 => int256)) private projectionMatrix;
+    // 各地址按结算代币（address(0)为ETH）待提取的金额：结算时只记账，由收款方调用 withdraw()/withdrawToken() 提取
+    mapping(address => mapping(address => uint256)) private _withdrawable;
 
 
     // 事件：铸造NFT
@@ -116,7 +133,7 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
     // 事件：购买者质押完成
     event BuyerDepositMade(uint256 indexed tokenId, address indexed buyer, uint256 amount);
     // 事件：拥有者质押完成
-    event OwnerDepositMade(uint256 indexed tokenId, address indexed owner, uint256 amount);
+    event OwnerDepositMade(uint256 indexed tokenId, address indexed buyer, address indexed owner, uint256 amount);
     // 事件：挑战开始
     event ChallengeInitiated(uint256 indexed tokenId, address indexed challenger, address indexed originalOwner);
     // 事件：向量已验证
@@ -125,12 +142,15 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
     event MerkleRootUpdated(uint256 indexed tokenId, bytes32 newMerkleRoot);
     // 事件：更新数据信息
     event DataInfoUpdated(uint256 indexed tokenId, uint256 newBatchPrice, uint256 newBatchNumber, uint256 newNftTransferFee, bytes32 indexed newMerkleRoot);
+
+    // 事件：提交批次清单
+    event BatchManifestCommitted(uint256 indexed tokenId, uint256 indexed revision, bytes32 batchManifestRoot);
     // 事件：买家验证通过
     event DataValidated(uint256 indexed tokenId, address indexed buyer);
     // 事件：挑战结束
     event ChallengeResolved(uint256 indexed tokenId, address buyer, address indexed winner, uint256 indexed winnerTokenId);
     // 事件：响应挑战
-    event ChallengeResponseReceived(uint256 indexed tokenId, address indexed challenger, uint256 challengerTokenId, address indexed currentWinner);
+    event ChallengeResponseReceived(uint256 indexed tokenId, address buyer, address indexed challenger, uint256 challengerTokenId, address indexed currentWinner);
     // 事件：设置Hashchain tip
     event HashchainTipSet(uint256 indexed tokenId, address indexed buyer, address indexed winner, bytes32 tip, uint256 totalBatches);
     // 事件：确认最终支付
@@ -140,7 +160,17 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
     // 事件：记录完整的向量和 Merkle 根
     event ChallengeVectorsRecorded(uint256 indexed tokenId, address indexed buyer, uint256[] vectors, bytes32[] merkleRoots);
     // 事件：提取押金
-    event DepositsWithdrawn(uint256 indexed tokenId, address indexed withdrawer, uint256 amount);
+    event DepositsWithdrawn(uint256 indexed tokenId, address indexed buyer, address indexed withdrawer, uint256 amount);
+    // 事件：结算金额记入收款方余额
+    event PaymentCredited(address indexed payee, address indexed asset, uint256 amount);
+    // 事件：收款方提取余额
+    event Withdrawn(address indexed payee, address indexed asset, uint256 amount);
+    // 事件：设置结算代币
+    event PaymentTokenUpdated(uint256 indexed tokenId, address paymentToken);
+    // 事件：所有者未响应挑战
+    event OwnerDefaulted(uint256 indexed tokenId, address indexed buyer, address indexed owner, uint256 refund, uint256 slashedDeposit);
+    // 事件：买家逾期未响应
+    event BuyerDefaulted(uint256 indexed tokenId, address indexed buyer, address indexed owner, uint256 compensation, uint256 refund);
 
     // 构造函数
     constructor(
@@ -163,7 +193,8 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
         for (uint256 i = 0; i < COMPRESSED_VECTOR_LENGTH; i++) {
             for (uint256 j = 0; j < VECTOR_LENGTH; j++) {
                 int256 value = calculateProjectionValue(i, j);
-                assembly {
+                // 只写入 matrixData 已分配的范围
+                assembly ("memory-safe") {
                     mstore8(add(add(matrixData, 32), index), value)
                 }
                 index++;
@@ -209,6 +240,8 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
         uint256 batchNumber, 
         uint256 nftTransferFee,
         bytes32 merkleRoot, 
+        bytes32 batchManifestRoot,
+        address paymentToken,
         string memory description
     ) external {
         _tokenIds.increment();
@@ -222,7 +255,15 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
         newDataInfo.nftTransferFee = nftTransferFee;
         newDataInfo.latestMerkleRoot = merkleRoot;
         newDataInfo.merkleRootTimestamps[merkleRoot] = block.timestamp;
+        newDataInfo.batchManifestRoot = batchManifestRoot;
+        newDataInfo.batchManifestRoots[0] = batchManifestRoot;
         emit DataNFTMinted(tokenId, description, batchPrice, batchNumber, nftTransferFee);
+        if (batchManifestRoot != bytes32(0)) {
+            emit BatchManifestCommitted(tokenId, 0, batchManifestRoot);
+        }
+        if (paymentToken != address(0)) {
+            _setPaymentToken(tokenId, paymentToken);
+        }
     }
 
     // 获取数据信息
@@ -235,6 +276,22 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
         DataInfo storage info = _dataInfo[tokenId];
         return (info.batchPrice, info.batchNumber, info.nftTransferFee, info.latestMerkleRoot);
     }
+
+    // 获取结算代币，address(0)表示ETH
+    function getPaymentToken(uint256 tokenId) public view returns (address) {
+        return _dataInfo[tokenId].paymentToken;
+    }
+
+    // 获取最新的批次清单根及数据信息版本
+    function getBatchManifest(uint256 tokenId) public view returns (bytes32 batchManifestRoot, uint256 revision) {
+        DataInfo storage info = _dataInfo[tokenId];
+        return (info.batchManifestRoot, info.revision);
+    }
+
+    // 获取指定版本的批次清单根
+    function getBatchManifestAt(uint256 tokenId, uint256 revision) public view returns (bytes32) {
+        return _dataInfo[tokenId].batchManifestRoots[revision];
+    }
     
     // 转移NFT
     function transferNFT(address from, address to, uint256 tokenId) external {
@@ -262,9 +319,16 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
         uint256 newBatchPrice,
         uint256 newBatchNumber,
         uint256 newNftTransferFee,
-        bytes32 newMerkleRoot
+        bytes32 newMerkleRoot,
+        bytes32 newBatchManifestRoot,
+        address newPaymentToken
     ) external onlyTokenOwner(tokenId) {
         DataInfo storage dataInfo = _dataInfo[tokenId];
+        // 批次数变化后原清单不再对应实际批次，必须同时提交新清单
+        require(
+            newBatchNumber == 0 || dataInfo.batchManifestRoot == bytes32(0) || newBatchManifestRoot != bytes32(0),
+            "Batch manifest required for new batch number"
+        );
 
         if (newBatchPrice > 0) {
             dataInfo.batchPrice = newBatchPrice;
@@ -284,6 +348,20 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
             dataInfo.latestMerkleRoot = newMerkleRoot;
         }
 
+        if (newBatchManifestRoot != bytes32(0)) {
+            dataInfo.batchManifestRoot = newBatchManifestRoot;
+        }
+
+        // 只影响之后的请求，已有请求仍按请求时记录的代币结算
+        if (newPaymentToken != address(0)) {
+            _setPaymentToken(tokenId, newPaymentToken);
+        }
+        uint256 revision = ++dataInfo.revision;
+        dataInfo.batchManifestRoots[revision] = dataInfo.batchManifestRoot;
+        if (newBatchManifestRoot != bytes32(0)) {
+            emit BatchManifestCommitted(tokenId, revision, newBatchManifestRoot);
+        }
+
         emit DataInfoUpdated(
             tokenId,
             newBatchPrice,
@@ -293,6 +371,17 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
         );
     }
 
+    // 内部函数：设置结算代币，NATIVE_CURRENCY 表示ETH
+    function _setPaymentToken(uint256 tokenId, address paymentToken) internal {
+        if (paymentToken == NATIVE_CURRENCY) {
+            paymentToken = address(0);
+        } else {
+            require(paymentToken.code.length > 0, "Payment token is not a contract");
+        }
+        _dataInfo[tokenId].paymentToken = paymentToken;
+        emit PaymentTokenUpdated(tokenId, paymentToken);
+    }
+
     // 获取Merkle根的时间戳
     function getMerkleRootTimestamp(uint256 tokenId, bytes32 merkleRoot) public view returns (uint256) {
         return _dataInfo[tokenId].merkleRootTimestamps[merkleRoot];
@@ -335,6 +424,8 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
         newRequest.ownerDepositAmount = ownerDepositAmount;
         newRequest.buyerDepositAmount = buyerDepositAmount;
         newRequest.lastActivityTimestamp = block.timestamp;
+        newRequest.batchManifestRoot = dataInfo.batchManifestRoot;
+        newRequest.paymentToken = dataInfo.paymentToken;
 
         // 创建一个可读的字符串表示
         string memory tradeTypeStr = tradeType == TradeType.DataOnly ? "DataOnly" : "DataAndNFT";
@@ -369,37 +460,75 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
         emit RequestConfirmed(tokenId, buyer, msg.sender);
     }
 
-    // 买家质押
-    function buyerDeposit(uint256 tokenId) 
-        external 
-        payable 
-        nonReentrant 
+    // 买家质押：ETH结算时随交易发送，ERC-20结算时需事先approve
+    function buyerDeposit(uint256 tokenId) external payable nonReentrant {
+        _buyerDeposit(tokenId);
+    }
+
+    // 买家使用EIP-2612 permit授权并质押
+    function buyerDepositWithPermit(uint256 tokenId, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external nonReentrant {
+        Request storage request = _requests[tokenId][msg.sender];
+        _permit(request.paymentToken, request.buyerDepositAmount, deadline, v, r, s);
+        _buyerDeposit(tokenId);
+    }
+
+    function _buyerDeposit(uint256 tokenId) 
+        internal 
         requestConfirmed(tokenId, msg.sender) 
         buyerNotDeposited(tokenId, msg.sender)
     {
         Request storage request = _requests[tokenId][msg.sender];
-        require(msg.value == request.buyerDepositAmount, "Incorrect buyer deposit amount");
+        if (request.paymentToken == address(0)) {
+            require(msg.value == request.buyerDepositAmount, "Incorrect buyer deposit amount");
+        } else {
+            _collect(request.paymentToken, request.buyerDepositAmount);
+        }
 
         request.buyerDeposited = true;
         request.lastActivityTimestamp = block.timestamp;
-        emit BuyerDepositMade(tokenId, msg.sender, msg.value);
+        emit BuyerDepositMade(tokenId, msg.sender, request.buyerDepositAmount);
     }
 
-    // 所有者质押
-    function ownerDeposit(uint256 tokenId, address buyer) 
-        external 
-        payable 
-        nonReentrant 
+    // 所有者质押：ETH结算时随交易发送，ERC-20结算时需事先approve
+    function ownerDeposit(uint256 tokenId, address buyer) external payable nonReentrant {
+        _ownerDeposit(tokenId, buyer);
+    }
+
+    // 所有者使用EIP-2612 permit授权并质押
+    function ownerDepositWithPermit(uint256 tokenId, address buyer, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external nonReentrant {
+        Request storage request = _requests[tokenId][buyer];
+        _permit(request.paymentToken, request.ownerDepositAmount, deadline, v, r, s);
+        _ownerDeposit(tokenId, buyer);
+    }
+
+    function _ownerDeposit(uint256 tokenId, address buyer) 
+        internal 
         onlyTokenOwner(tokenId) 
         buyerDeposited(tokenId, buyer) 
         ownerNotDeposited(tokenId, buyer) 
     {
         Request storage request = _requests[tokenId][buyer];
-        require(msg.value == request.ownerDepositAmount, "Incorrect owner deposit amount");
+        if (request.paymentToken == address(0)) {
+            require(msg.value == request.ownerDepositAmount, "Incorrect owner deposit amount");
+        } else {
+            _collect(request.paymentToken, request.ownerDepositAmount);
+        }
 
         request.ownerDeposited = true;
         request.lastActivityTimestamp = block.timestamp;
-        emit OwnerDepositMade(tokenId, msg.sender, msg.value);
+        emit OwnerDepositMade(tokenId, buyer, msg.sender, request.ownerDepositAmount);
+    }
+
+    // 内部函数：从调用者收取ERC-20押金
+    function _collect(address token, uint256 amount) internal {
+        require(msg.value == 0, "ETH not accepted for token payments");
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+    }
+
+    // 内部函数：执行permit；permit交易可能被抢先提交，失败时只要授权额度已足够即可继续
+    function _permit(address token, uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s) internal {
+        require(token != address(0), "Permit requires an ERC-20 payment token");
+        try IERC20Permit(token).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
     }
 
     // 买家发起挑战，线下发送挑战索引列表L_c给所有者
@@ -413,15 +542,11 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
         // 防止买家对获胜的其他所有者重复发起挑战
         require(!challenge.resolved, "Challenge already resolved");
 
+        // 清理交易时挑战记录已删除，其余字段均为零值
         address originalOwner = ownerOf(tokenId);
-        Challenge storage newChallenge = _challenges[tokenId][msg.sender];
-        newChallenge.initiatedTimestamp = uint64(block.timestamp);
-        newChallenge.resolved = false;
-        newChallenge.currentWinner = originalOwner;
-        newChallenge.winnerTokenId = tokenId;
-        newChallenge.totalTimestampDifference = 0;
-        newChallenge.combinedHash = bytes32(0);
-        newChallenge.vectorCount = 0;
+        challenge.initiatedTimestamp = uint64(block.timestamp);
+        challenge.currentWinner = originalOwner;
+        challenge.winnerTokenId = tokenId;
         
         request.challengeInitiated = true;
         request.lastActivityTimestamp = block.timestamp;
@@ -437,6 +562,49 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
         return _challenges[tokenId][buyer];
     }
 
+    // 所有者未在 OWNER_RESPONSE_WINDOW 内响应挑战时，买家取回质押并获得全部所有者押金，交易随之清理
+    function claimOwnerDefault(uint256 tokenId)
+        external
+        challengeInitiated(tokenId, msg.sender)
+        vectorsNotVerified(tokenId, msg.sender)
+        nonReentrant
+    {
+        Request storage request = _requests[tokenId][msg.sender];
+        require(block.timestamp >= _challenges[tokenId][msg.sender].initiatedTimestamp + OWNER_RESPONSE_WINDOW, "Owner response deadline not passed yet");
+        uint256 refund = request.buyerDepositAmount;
+        uint256 slashedDeposit = request.ownerDepositAmount;
+        _credit(msg.sender, request.paymentToken, refund + slashedDeposit);
+        emit OwnerDefaulted(tokenId, msg.sender, ownerOf(tokenId), refund, slashedDeposit);
+        _cleanupTransaction(tokenId, msg.sender);
+    }
+
+    // 买家逾期未验证挑战或未设置tip时，所有者取回押金，并从买家质押中得到与所有者押金等额的补偿，其余退还买家，交易随之清理；
+    // 任何人都可以调用，所有者不申领时买家也能取回剩余质押
+    function claimBuyerDefault(uint256 tokenId, address buyer)
+        external
+        vectorsVerified(tokenId, buyer)
+        nonReentrant
+    {
+        Request storage request = _requests[tokenId][buyer];
+        require(_buyerStalled(tokenId, buyer), "Buyer not in default");
+        require(block.timestamp >= request.lastActivityTimestamp + BUYER_RESPONSE_WINDOW, "Buyer response deadline not passed yet");
+        address tokenOwner = ownerOf(tokenId);
+        uint256 buyerDepositAmount = request.buyerDepositAmount;
+        uint256 compensation = request.ownerDepositAmount < buyerDepositAmount ? request.ownerDepositAmount : buyerDepositAmount;
+        _credit(tokenOwner, request.paymentToken, request.ownerDepositAmount + compensation);
+        _credit(buyer, request.paymentToken, buyerDepositAmount - compensation);
+        emit BuyerDefaulted(tokenId, buyer, tokenOwner, compensation, buyerDepositAmount - compensation);
+        _cleanupTransaction(tokenId, buyer);
+    }
+
+    // 所有者已证明向量，买家却未验证，或挑战以所有者获胜结算后未设置tip
+    function _buyerStalled(uint256 tokenId, address buyer) private view returns (bool) {
+        Request storage request = _requests[tokenId][buyer];
+        Challenge storage challenge = _challenges[tokenId][buyer];
+        return request.vectorsVerified && challenge.winnerTokenId == tokenId &&
+            _hashchainInfo[tokenId][buyer].tip == bytes32(0) && (!request.dataValidated || challenge.resolved);
+    }
+
     // 原始所有者响应挑战
     function ownerResToChallenge(
         uint256 tokenId,
@@ -452,6 +620,7 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
     {
         Request storage request = _requests[tokenId][buyer];
         uint256 challengeSize = request.challengeSize;
+        require(block.timestamp < _challenges[tokenId][buyer].initiatedTimestamp + OWNER_RESPONSE_WINDOW, "Owner response deadline passed");
         
         require(
             vectors.length == challengeSize && 
@@ -502,29 +671,33 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
         dataNotValidated(tokenId, msg.sender)
     {
         Request storage request = _requests[tokenId][msg.sender];
+        // 所有者已证明向量时，买家须在期限内验证
+        if (request.vectorsVerified) {
+            _checkBuyerDeadline(request);
+        }
         request.dataValidated = true;
         request.lastActivityTimestamp = block.timestamp;
         emit DataValidated(tokenId, msg.sender);
     }
     
-    // 其他数据所有者响应挑战
+    // 其他数据所有者响应挑战：窗口内可以多次响应，只有更早登记数据（时间差更大）的响应才会取代当前领先者，
+    // 窗口结束后由 buyerConfirmChallengeEnd 或 finalizeChallenge 结算
     function otherOwnersResToChallenge(
         uint256 tokenId,
         address buyer,
         uint256 challengerTokenId,
-        uint256[] memory originalVectors,
-        bytes32[] memory originalMerkleRoots,
-        uint256[] memory challengerVectors,
-        bytes32[][] memory challengerMerkleProofs,
-        bytes32[] memory challengerMerkleRoots
+        uint256[] calldata originalVectors,
+        bytes32[] calldata originalMerkleRoots,
+        uint256[] calldata challengerVectors,
+        bytes32[][] calldata challengerMerkleProofs,
+        bytes32[] calldata challengerMerkleRoots
     ) 
         external 
         vectorsVerified(tokenId, buyer)
         dataValidated(tokenId, buyer)
     {
         Challenge storage challenge = _challenges[tokenId][buyer];
-        require(challenge.initiatedTimestamp != 0, "Challenge does not exist");
-        require(!challenge.resolved, "Challenge already resolved");
+        _checkChallengeOpen(challenge);
 
         // 验证提供的原始向量和 Merkle 根
         bytes32 providedCombinedHash = keccak256(abi.encodePacked(
@@ -563,19 +736,18 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
         }
 
         _requests[tokenId][buyer].lastActivityTimestamp = block.timestamp;
-        _resolveChallenge(tokenId, buyer);
-        emit ChallengeResponseReceived(tokenId, msg.sender, challengerTokenId, challenge.currentWinner);
+        emit ChallengeResponseReceived(tokenId, buyer, msg.sender, challengerTokenId, challenge.currentWinner);
     }
 
     // 处理挑战者向量
     function _processChallengerVectors(
         uint256 tokenId,
         uint256 challengerTokenId,
-        uint256[] memory originalVectors,
-        bytes32[] memory originalMerkleRoots,
-        uint256[] memory challengerVectors,
-        bytes32[][] memory challengerMerkleProofs,
-        bytes32[] memory challengerMerkleRoots
+        uint256[] calldata originalVectors,
+        bytes32[] calldata originalMerkleRoots,
+        uint256[] calldata challengerVectors,
+        bytes32[][] calldata challengerMerkleProofs,
+        bytes32[] calldata challengerMerkleRoots
     ) private view returns (uint256) {
         uint256 totalTimestampDifference = 0;
 
@@ -604,13 +776,13 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
     function _validateMerkleProof(
         uint256 tokenId,
         uint256 vector,
-        bytes32[] memory merkleProof,
+        bytes32[] calldata merkleProof,
         bytes32 merkleRoot
     ) private view {
         require(_dataInfo[tokenId].merkleRootTimestamps[merkleRoot] != 0, "Invalid Merkle root");
         bytes32 vectorHash = keccak256(abi.encodePacked(vector));
         require(
-            MerkleProof.verify(merkleProof, merkleRoot, vectorHash),
+            MerkleProof.verifyCalldata(merkleProof, merkleRoot, vectorHash),
             "Invalid Merkle proof"
         );
     }
@@ -620,11 +792,26 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
         external 
         challengeInitiated(tokenId, msg.sender)
     {
-        Challenge storage challenge = _challenges[tokenId][msg.sender];
-        require(challenge.initiatedTimestamp != 0, "Challenge does not exist");
-        require(!challenge.resolved, "Challenge already resolved");
+        // 所有者已证明向量而买家未验证时买家已违约，不能通过结束挑战跳过验证
+        Request storage request = _requests[tokenId][msg.sender];
+        require(!request.vectorsVerified || request.dataValidated, "Buyer has not verified yet");
+        _finalizeChallenge(tokenId, msg.sender);
+    }
+
+    // 挑战窗口结束后任何人都可以结束挑战，按窗口内领先的响应结算；所有者未响应时只能由买家 claimOwnerDefault
+    function finalizeChallenge(uint256 tokenId, address buyer) 
+        external 
+        challengeInitiated(tokenId, buyer)
+        vectorsVerified(tokenId, buyer)
+    {
+        _finalizeChallenge(tokenId, buyer);
+    }
+
+    function _finalizeChallenge(uint256 tokenId, address buyer) internal {
+        Challenge storage challenge = _challenges[tokenId][buyer];
+        _checkChallengeOpen(challenge);
         require(block.timestamp >= challenge.initiatedTimestamp + CHALLENGE_RESPONSE_WINDOW, "Challenge response window not closed yet");
-        _resolveChallenge(tokenId, msg.sender);
+        _resolveChallenge(tokenId, buyer);
     }
 
     // 内部函数：解决挑战
@@ -633,20 +820,15 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
         Request storage request = _requests[tokenId][buyer];
         
         if (challenge.winnerTokenId != tokenId) {
-            // 原始所有者被证明是数据盗用者
-            uint256 ownerDepositAmount = request.ownerDepositAmount;
-            uint256 buyerDepositAmount = request.reqBatchPrice * request.reqBatchNumber;
-            if (request.tradeType == TradeType.DataAndNFT) {
-                buyerDepositAmount += request.nftTransferFee;
-            }
-
-            uint256 halfOwnerDepositAmount = ownerDepositAmount / 2;
+            // 原始所有者被证明是数据盗用者；挑战在付款之前结算，买家质押仍是请求时的全额
+            uint256 halfOwnerDepositAmount = request.ownerDepositAmount / 2;
             // 买家得到全额退款加上一半的所有者押金
-            payable(buyer).transfer(buyerDepositAmount + halfOwnerDepositAmount);
+            _credit(buyer, request.paymentToken, request.buyerDepositAmount + halfOwnerDepositAmount);
             // 挑战成功的所有者得到另一半的所有者押金
-            payable(challenge.currentWinner).transfer(halfOwnerDepositAmount);
-            // 将所有者押金清零
+            _credit(challenge.currentWinner, request.paymentToken, halfOwnerDepositAmount);
+            // 将双方押金清零，超时后不能再通过 withdrawDeposits 重复提取
             request.ownerDepositAmount = 0;
+            request.buyerDepositAmount = 0;
             // 对获胜者新建一个challenge，且已经resolved，保证获胜者不会被重复挑战
             Challenge storage newChallenge = _challenges[challenge.winnerTokenId][buyer];
             newChallenge.resolved = true;
@@ -655,7 +837,10 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
         }
 
         challenge.resolved = true;
-        request.lastActivityTimestamp = block.timestamp;
+        // 未验证的买家在窗口结束时已超过验证期限，不重新计时，违约仍可立即申领
+        if (!request.vectorsVerified || request.dataValidated) {
+            request.lastActivityTimestamp = block.timestamp;
+        }
 
         emit ChallengeResolved(tokenId, buyer, challenge.currentWinner, challenge.winnerTokenId);
     }
@@ -674,6 +859,7 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
         require(request.reqBatchNumber > 0, "Invalid batch number");
         // 防止挑战获胜的是其他所有者，他们自动跳过了挑战相关步骤，只通过挑战已经resolved不能保证买家已经质押了，所以显示要求买家必须先质押
         require(request.buyerDeposited, "Buyer has not deposited yet");
+        _checkBuyerDeadline(request);
 
         _hashchainInfo[tokenId][msg.sender] = HashchainInfo({
             tip: tip,
@@ -685,6 +871,11 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
         emit HashchainTipSet(tokenId, msg.sender, challenge.currentWinner, tip, request.reqBatchNumber);
     }
 
+    // 获取Hashchain信息
+    function getHashchainInfo(uint256 tokenId, address buyer) public view returns (HashchainInfo memory) {
+        return _hashchainInfo[tokenId][buyer];
+    }
+
     // 所有者确认最终支付
     function confirmFinalPayment(uint256 tokenId, address buyer, bytes32 finalHash, uint256 newCompletedBatches) 
         external 
@@ -719,35 +910,33 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
 
         // 检查是否完成所有批次
         if (totalCompletedBatches == request.reqBatchNumber) {
-            hashchainInfo.isCompleted = true;
             if (totalCompletedBatches == dataInfo.batchNumber) {
                 if (request.tradeType == TradeType.DataAndNFT) {
                     paymentAmount += request.nftTransferFee;
                     _transfer(msg.sender, buyer, tokenId);
                 }
             }
+            // 交易结束：记入付款，退还所有者押金和买家未花费的质押（如未转移NFT时的转移费用），随后清理交易
+            _credit(msg.sender, request.paymentToken, paymentAmount);
+            _credit(msg.sender, request.paymentToken, request.ownerDepositAmount);
+            _credit(buyer, request.paymentToken, request.buyerDepositAmount - paymentAmount);
             _cleanupTransaction(tokenId, buyer);
-        }
-
-        // 将资金转移给挑战胜利者
-        payable(msg.sender).transfer(paymentAmount);
-        // 买家剩余的质押金额
-        unchecked {
+        } else {
+            // 将资金记入挑战胜利者的余额，并扣减买家剩余的质押金额
+            _credit(msg.sender, request.paymentToken, paymentAmount);
             request.buyerDepositAmount -= paymentAmount;
+            request.lastActivityTimestamp = block.timestamp;
         }
 
-        request.lastActivityTimestamp = block.timestamp;
         emit FinalPaymentConfirmed(tokenId, buyer, msg.sender, totalCompletedBatches);
     }
 
     // 所有者清理函数
     function ownerCleanupTransaction(uint256 tokenId, address buyer) external onlyTokenOwner(tokenId) nonReentrant {
         Request storage request = _requests[tokenId][buyer];
-        require(request.reqBatchPrice > 0, "No valid request found");
-        require(
-            block.timestamp > request.lastActivityTimestamp + TRANSACTION_TIMEOUT,
-            "Transaction has not timed out yet"
-        );
+        _checkTimedOut(request);
+        // 所有者未响应挑战时押金归买家，不能通过清理放弃
+        _checkOwnerNotDefaulted(request);
         _cleanupTransaction(tokenId, buyer);
     }
 
@@ -765,36 +954,81 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
         // 获取请求
         Request storage request = _requests[tokenId][buyer];
 
-        // 检查请求是否存在
-        require(request.reqBatchPrice > 0, "No valid request found");
+        // 检查请求是否存在且已超过交易超时时间
+        _checkTimedOut(request);
 
-        // 检查是否超过交易超时时间
-        require(request.lastActivityTimestamp + TRANSACTION_TIMEOUT < block.timestamp, "Transaction has not timed out yet");
+        // 买家违约时双方押金只能通过 claimBuyerDefault 结算，所有者先取回押金会使补偿归零
+        require(!_buyerStalled(tokenId, buyer), "Buyer defaulted on challenge");
 
         uint256 amountToWithdraw = 0;
 
         // 检查msg.sender是否为买家
         if (msg.sender == buyer) {
+            // 只有实际质押过的一方才能取回押金，否则未质押的请求会把他人的质押记入自己的余额
+            require(request.buyerDeposited, "Buyer has not deposited yet");
             require(request.buyerDepositAmount > 0, "Insufficient buyer deposit");
             // 计算买家可退还的金额
             amountToWithdraw += request.buyerDepositAmount; // 退还买家的实际质押金额
+            request.buyerDepositAmount = 0;
         } 
         // 检查msg.sender是否为所有者
         else if (msg.sender == ownerOf(tokenId)) {
+            require(request.ownerDeposited, "Owner has not deposited yet");
             require(request.ownerDepositAmount > 0, "Insufficient owner deposit");
+            _checkOwnerNotDefaulted(request);
             // 计算所有者可退还的金额
             amountToWithdraw += request.ownerDepositAmount; // 退还所有者的质押金额
+            request.ownerDepositAmount = 0;
         } else {
             revert("Caller is neither buyer nor owner");
         }
 
-        // 确保合约中有足够的资金来进行转账
-        require(address(this).balance >= amountToWithdraw, "Insufficient contract balance for withdrawal");
-
-        // 转账给用户
-        payable(msg.sender).transfer(amountToWithdraw);
+        // 押金记入调用者的余额，清零后不能重复提取
+        _credit(msg.sender, request.paymentToken, amountToWithdraw);
         
-        emit DepositsWithdrawn(tokenId, msg.sender, amountToWithdraw);
+        emit DepositsWithdrawn(tokenId, buyer, msg.sender, amountToWithdraw);
+    }
+
+    // 查询地址待提取的ETH余额
+    function withdrawable(address payee) external view returns (uint256) {
+        return _withdrawable[payee][address(0)];
+    }
+
+    // 查询地址待提取的ERC-20余额
+    function withdrawableToken(address payee, address token) external view returns (uint256) {
+        return _withdrawable[payee][token];
+    }
+
+    // 提取调用者的全部ETH余额；使用 call 转账，合约钱包和多签的 receive 不受 2300 gas 限制
+    function withdraw() external nonReentrant {
+        _withdraw(address(0));
+    }
+
+    // 提取调用者的全部ERC-20余额
+    function withdrawToken(address token) external nonReentrant {
+        _withdraw(token);
+    }
+
+    function _withdraw(address asset) internal {
+        uint256 amount = _withdrawable[msg.sender][asset];
+        require(amount > 0, "Nothing to withdraw");
+        _withdrawable[msg.sender][asset] = 0;
+        if (asset == address(0)) {
+            (bool success, ) = payable(msg.sender).call{value: amount}("");
+            require(success, "Withdrawal failed");
+        } else {
+            IERC20(asset).safeTransfer(msg.sender, amount);
+        }
+        emit Withdrawn(msg.sender, asset, amount);
+    }
+
+    // 内部函数：按结算代币记入收款方余额
+    function _credit(address payee, address asset, uint256 amount) internal {
+        if (amount == 0) {
+            return;
+        }
+        _withdrawable[payee][asset] += amount;
+        emit PaymentCredited(payee, asset, amount);
     }
 
     // 检查token是否存在
@@ -812,7 +1046,7 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
 
     // 检查是否为token所有者
     modifier onlyTokenOwner(uint256 tokenId) {
-        require(ownerOf(tokenId) == msg.sender, "Only the token owner can perform this action");
+        _checkTokenOwner(tokenId);
         _;
     }
 
@@ -854,7 +1088,7 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
 
     // 检查挑战是否已发起
     modifier challengeInitiated(uint256 tokenId, address buyer) {
-        require(_requests[tokenId][buyer].challengeInitiated, "Challenge not initiated yet");
+        _checkChallengeInitiated(tokenId, buyer);
         _;
     }
 
@@ -866,13 +1100,13 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
 
     // 检查向量是否已验证
     modifier vectorsVerified(uint256 tokenId, address buyer) {
-        require(_requests[tokenId][buyer].vectorsVerified, "Vectors not verified yet");
+        _checkVectorsVerified(tokenId, buyer, true);
         _;
     }
 
     // 检查向量是否未验证
     modifier vectorsNotVerified(uint256 tokenId, address buyer) {
-        require(!_requests[tokenId][buyer].vectorsVerified, "Vectors already verified");
+        _checkVectorsVerified(tokenId, buyer, false);
         _;
     }
 
@@ -887,4 +1121,39 @@ contract NMFT is ERC721URIStorage, Ownable, ReentrancyGuard {
         require(!_requests[tokenId][buyer].dataValidated, "Buyer already verified");
         _;
     }
+
+    // 修饰器和多个函数共用的检查函数：检查只编译一次，减小字节码
+    function _checkTokenOwner(uint256 tokenId) private view {
+        require(ownerOf(tokenId) == msg.sender, "Only the token owner can perform this action");
+    }
+
+    function _checkChallengeInitiated(uint256 tokenId, address buyer) private view {
+        require(_requests[tokenId][buyer].challengeInitiated, "Challenge not initiated yet");
+    }
+
+    function _checkVectorsVerified(uint256 tokenId, address buyer, bool verified) private view {
+        if (verified) {
+            require(_requests[tokenId][buyer].vectorsVerified, "Vectors not verified yet");
+        } else {
+            require(!_requests[tokenId][buyer].vectorsVerified, "Vectors already verified");
+        }
+    }
+
+    function _checkChallengeOpen(Challenge storage challenge) private view {
+        require(challenge.initiatedTimestamp != 0, "Challenge does not exist");
+        require(!challenge.resolved, "Challenge already resolved");
+    }
+
+    function _checkBuyerDeadline(Request storage request) private view {
+        require(block.timestamp < request.lastActivityTimestamp + BUYER_RESPONSE_WINDOW, "Buyer response deadline passed");
+    }
+
+    function _checkTimedOut(Request storage request) private view {
+        require(request.reqBatchPrice > 0, "No valid request found");
+        require(block.timestamp > request.lastActivityTimestamp + TRANSACTION_TIMEOUT, "Transaction has not timed out yet");
+    }
+
+    function _checkOwnerNotDefaulted(Request storage request) private view {
+        require(!request.challengeInitiated || request.vectorsVerified, "Owner defaulted on challenge");
+    }
 }
\ No newline at end of file
@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// 仅用于测试的合约钱包：代为调用 NMFT，收款时可以 revert 或消耗大量 gas，
+// 模拟需要超过 2300 gas 才能收款的多签和智能合约钱包
+contract PaymentReceiver {
+    enum Mode { Accept, Revert, BurnGas }
+
+    Mode public mode;
+    // receive 中写入的存储，用于消耗 gas
+    mapping(uint256 => uint256) private _scratch;
+    uint256 private _received;
+
+    function setMode(Mode newMode) external {
+        mode = newMode;
+    }
+
+    // 以本合约的身份调用目标合约，转发 revert 原因
+    function execute(address target, bytes calldata data) external payable returns (bytes memory) {
+        (bool success, bytes memory result) = target.call{value: msg.value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    // 作为 NFT 接收方时供 _safeMint 检查
+    function onERC721Received(address, address, uint256, bytes calldata) external pure returns (bytes4) {
+        return this.onERC721Received.selector;
+    }
+
+    receive() external payable {
+        if (mode == Mode.Revert) {
+            revert("Payments rejected");
+        }
+        if (mode == Mode.BurnGas) {
+            _received++;
+            for (uint256 i = 0; i < 5; i++) {
+                _scratch[_received * 5 + i] = msg.value;
+            }
+        }
+    }
+}
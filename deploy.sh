@@ -12,7 +12,7 @@ show_usage() {
 select_network() {
     if [ -z "$1" ]; then
         echo "Select the network to deploy to (or enter 'q' to quit):"
-        options=("localhost" "sepolia")
+        options=("localhost" "sepolia" "shardora" "shardoraLocal")
         select network in "${options[@]}"; do
             if [[ "$REPLY" == "q" ]]; then
                 echo "Exiting..."
@@ -28,9 +28,9 @@ select_network() {
     fi
 
     case $network in
-        localhost|sepolia ) ;;
+        localhost|sepolia|shardora|shardoraLocal ) ;;
         q ) echo "Exiting..."; exit 0;;
-        * ) echo "Invalid network. Use 'localhost' or 'sepolia'."; exit 1;;
+        * ) echo "Invalid network. Use 'localhost', 'sepolia', 'shardora' or 'shardoraLocal'."; exit 1;;
     esac
 
     echo "Deploying to $network"
@@ -3,6 +3,14 @@ require("hardhat-gas-reporter");
 require("solidity-coverage");
 require("dotenv").config();
 
+// 交易等待的确认数，默认 1，可用 <NETWORK>_CONFIRMATIONS 覆盖（如 SEPOLIA_CONFIRMATIONS=2）
+function confirmations(network) {
+  return Number(process.env[`${network.toUpperCase()}_CONFIRMATIONS`] || 1);
+}
+
+// Shardora 的 gas 价格（wei）；设置后以固定价格发送 legacy 交易，未设置时按节点报价
+const shardoraGasPrice = process.env.SHARDORA_GAS_PRICE ? Number(process.env.SHARDORA_GAS_PRICE) : "auto";
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
@@ -32,21 +40,34 @@ module.exports = {
       // gasLimit: 100000000,  // 增加到 100 million
       gasPrice: "auto",
       // blockGasLimit: 100000000,  // 增加到 100 million
+      // 设置 HARDHAT_BLOCK_TIME（毫秒）后按固定间隔出块，并发负载测试时多笔交易进入同一区块
+      mining: process.env.HARDHAT_BLOCK_TIME ? { auto: false, interval: Number(process.env.HARDHAT_BLOCK_TIME) } : undefined,
     },
     localhost: {
       url: "http://localhost:8545",
       gas: "auto",
       gasPrice: "auto",
+      confirmations: confirmations("localhost"),
     },
     sepolia: {
       url: `https://sepolia.infura.io/v3/${process.env.INFURA_PROJECT_ID}`,
-      accounts: [process.env.PRIVATE_KEY]
+      accounts: [process.env.PRIVATE_KEY],
+      confirmations: confirmations("sepolia"),
       // url: "https://ethereum-sepolia-rpc.publicnode.com",
       // chainId: 11155111
     },
     shardora: {
-      url: "http://localhost:8545", // 需要修改成 Shardora 节点
-      accounts: [process.env.PRIVATE_KEY] // 使用本地 Shardora 账户
+      url: process.env.SHARDORA_RPC_URL || "http://localhost:8545", // Shardora 节点
+      accounts: [process.env.PRIVATE_KEY], // 使用本地 Shardora 账户
+      gasPrice: shardoraGasPrice,
+      confirmations: confirmations("shardora"),
+    },
+    // 代替 Shardora 的本地 Hardhat 节点（npx hardhat node），使用节点的解锁账户，离线走通部署、基准测试和结果记录
+    shardoraLocal: {
+      url: "http://localhost:8545",
+      accounts: "remote",
+      gasPrice: shardoraGasPrice,
+      confirmations: confirmations("shardoraLocal"),
     }
   },
   plugins: ["solidity-coverage"],
@@ -0,0 +1,17 @@
+// 使用 Hardhat Ignition 部署 NMFT：
+//   npx hardhat ignition deploy ignition/modules/NMFT.js --network <name> --parameters ignition/parameters/<name>.json --deployment-id nmft-<name>
+// 部署记录保存在 ignition/deployments/<deployment-id>，中途失败后重新执行同一命令会从已完成的步骤继续
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { calculateProjectionMatrixHash } = require("../../lib/lsh");
+
+module.exports = buildModule("NMFTModule", (m) => {
+  // 未指定时由部署账户担任管理员
+  const initialOwner = m.getParameter("initialOwner", m.getAccount(0));
+  // 默认值由 PROJECTION_MATRIX_SEED 推导，与合约 calculateProjectionMatrixHash() 一致
+  const projectionMatrixHash = m.getParameter("projectionMatrixHash", calculateProjectionMatrixHash());
+
+  const nmft = m.contract("NMFT", [initialOwner, projectionMatrixHash]);
+
+  return { nmft };
+});
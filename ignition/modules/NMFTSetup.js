@@ -0,0 +1,19 @@
+// 部署 NMFT 并执行部署后的设置：
+//   npx hardhat ignition deploy ignition/modules/NMFTSetup.js --network <name> --parameters ignition/parameters/<name>.json --deployment-id nmft-<name>
+// 对已用 NMFT.js 部署过的 deployment-id 执行本模块时，只会补上设置步骤
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const NMFTModule = require("./NMFT");
+
+// 合约中 similarityThreshold 的初始值
+const DEFAULT_SIMILARITY_THRESHOLD = 95;
+
+module.exports = buildModule("NMFTSetupModule", (m) => {
+  const { nmft } = m.useModule(NMFTModule);
+
+  // updateSimilarityThreshold 受 onlyOwner 限制，合约所有者是部署账户而不是 initialOwner
+  const similarityThreshold = m.getParameter("similarityThreshold", DEFAULT_SIMILARITY_THRESHOLD);
+  m.call(nmft, "updateSimilarityThreshold", [similarityThreshold], { from: m.getAccount(0) });
+
+  return { nmft };
+});
@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { MerkleTree } = require('merkletreejs');
+const keccak256 = require('keccak256');
+
+// 批次清单格式版本
+const BATCH_MANIFEST_VERSION = 1;
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+// 批次摘要：keccak256(批次内容)
+function chunkDigest(chunk) {
+  return ethers.keccak256(chunk);
+}
+
+// 清单叶子：keccak256(keccak256(abi.encode(index, digest)))，index 从 1 开始
+// 两次哈希使叶子与 64 字节的内部节点无法混淆，与 OpenZeppelin MerkleProof.verify 兼容
+function batchLeaf(index, digest) {
+  return ethers.keccak256(ethers.keccak256(abiCoder.encode(['uint256', 'bytes32'], [index, digest])));
+}
+
+// 本地验证第 index 个批次的摘要与证明（有序拼接，与合约 MerkleProof.verify 一致）
+function verifyBatchProof(index, digest, proof, root) {
+  let computed = batchLeaf(index, digest);
+  for (const sibling of proof) {
+    computed = computed.toLowerCase() < sibling.toLowerCase()
+      ? ethers.keccak256(ethers.concat([computed, sibling]))
+      : ethers.keccak256(ethers.concat([sibling, computed]));
+  }
+  return computed.toLowerCase() === root.toLowerCase();
+}
+
+// 递归列出目录中的文件，按相对路径排序，保证不同机器上拼接顺序一致
+function listFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...listFiles(dir, relative));
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
+  }
+  return files.sort();
+}
+
+// 读取数据集：Buffer、单个文件或目录；目录中的文件按相对路径顺序拼接，files 记录每个文件的位置
+function readDataset(source) {
+  if (Buffer.isBuffer(source)) {
+    return { data: source, files: [] };
+  }
+  if (!fs.statSync(source).isDirectory()) {
+    const data = fs.readFileSync(source);
+    return { data, files: [{ path: path.basename(source), offset: 0, size: data.length }] };
+  }
+  const files = [];
+  const buffers = [];
+  let offset = 0;
+  for (const relative of listFiles(source)) {
+    const content = fs.readFileSync(path.join(source, relative));
+    files.push({ path: relative, offset, size: content.length });
+    buffers.push(content);
+    offset += content.length;
+  }
+  return { data: Buffer.concat(buffers), files };
+}
+
+// 将数据集按字节均分为 batchNumber 个批次，前 size % batchNumber 个批次多一个字节
+function splitDataset(source, batchNumber) {
+  const { data } = readDataset(source);
+  const count = Number(batchNumber);
+  if (!Number.isInteger(count) || count <= 0) {
+    throw new Error('Batch number must be a positive integer');
+  }
+  if (data.length < count) {
+    throw new Error(`Dataset of ${data.length} bytes cannot be split into ${count} batches`);
+  }
+  const base = Math.floor(data.length / count);
+  const extra = data.length % count;
+  const chunks = [];
+  let offset = 0;
+  for (let i = 0; i < count; i++) {
+    const size = base + (i < extra ? 1 : 0);
+    chunks.push(data.subarray(offset, offset + size));
+    offset += size;
+  }
+  return chunks;
+}
+
+// 批次清单：各批次内容摘要的 Merkle 树，树根在铸造或 updateDataInfo 时提交到链上
+class BatchManifest {
+  constructor(batches, { tokenId, files = [] } = {}) {
+    if (!Array.isArray(batches) || batches.length === 0) {
+      throw new Error('Batch manifest requires at least one batch');
+    }
+    this.batches = batches.map(({ size, digest }, i) => {
+      if (!ethers.isHexString(digest, 32)) {
+        throw new Error(`Invalid digest for batch ${i + 1}`);
+      }
+      return { index: i + 1, size, digest };
+    });
+    this.tokenId = tokenId === undefined ? undefined : String(tokenId);
+    this.files = files;
+    this.leaves = this.batches.map(batch => batchLeaf(batch.index, batch.digest));
+    this._tree = new MerkleTree(this.leaves, keccak256, { sort: true });
+    this.root = this._tree.getHexRoot();
+  }
+
+  // 由批次内容生成清单
+  static fromChunks(chunks, options = {}) {
+    return new BatchManifest(chunks.map(chunk => ({ size: chunk.length, digest: chunkDigest(chunk) })), options);
+  }
+
+  get batchNumber() {
+    return this.batches.length;
+  }
+
+  get totalSize() {
+    return this.batches.reduce((sum, batch) => sum + batch.size, 0);
+  }
+
+  // 第 index 个批次（从 1 开始）在数据集中的起始位置
+  offsetOf(index) {
+    return this.batches.slice(0, index - 1).reduce((sum, batch) => sum + batch.size, 0);
+  }
+
+  _batch(index) {
+    const batch = this.batches[index - 1];
+    if (!Number.isInteger(index) || !batch) {
+      throw new Error(`Batch ${index} is not in the manifest`);
+    }
+    return batch;
+  }
+
+  getProof(index) {
+    this._batch(index);
+    return this._tree.getHexProof(this.leaves[index - 1]);
+  }
+
+  // 校验第 index 个批次的内容
+  verifyBatch(index, chunk) {
+    const batch = this._batch(index);
+    const digest = chunkDigest(chunk);
+    if (chunk.length !== batch.size || digest !== batch.digest) {
+      throw new Error(`Batch ${index} digest mismatch: expected ${batch.digest}, got ${digest}`);
+    }
+    return true;
+  }
+
+  toJSON() {
+    return {
+      version: BATCH_MANIFEST_VERSION,
+      tokenId: this.tokenId,
+      root: this.root,
+      batchNumber: this.batchNumber,
+      totalSize: this.totalSize,
+      files: this.files,
+      batches: this.batches.map(batch => ({ ...batch, proof: this.getProof(batch.index) }))
+    };
+  }
+
+  // 由 JSON 对象恢复清单并检查树根；expectedRoot 不为空时还必须与之相同（通常为链上的清单根）
+  static fromJSON(data, expectedRoot) {
+    if (!data || data.version !== BATCH_MANIFEST_VERSION || !Array.isArray(data.batches)) {
+      throw new Error(`Unsupported batch manifest version: ${data && data.version}`);
+    }
+    const manifest = new BatchManifest(data.batches, { tokenId: data.tokenId, files: data.files });
+    if (manifest.root.toLowerCase() !== String(data.root).toLowerCase()) {
+      throw new Error(`Batch manifest root mismatch: expected ${data.root}, got ${manifest.root}`);
+    }
+    if (expectedRoot && manifest.root.toLowerCase() !== expectedRoot.toLowerCase()) {
+      throw new Error(`Batch manifest root ${manifest.root} does not match the committed root ${expectedRoot}`);
+    }
+    return manifest;
+  }
+
+  save(filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(this.toJSON(), null, 2));
+  }
+
+  static load(filePath, expectedRoot) {
+    return BatchManifest.fromJSON(JSON.parse(fs.readFileSync(filePath, 'utf8')), expectedRoot);
+  }
+}
+
+// 打包数据集：切分为 batchNumber 个批次并生成清单；给出 outDir 时写入 batch-<k>.bin 和 manifest.json
+function packageDataset(source, batchNumber, { outDir, tokenId } = {}) {
+  const { data, files } = readDataset(source);
+  const chunks = splitDataset(data, batchNumber);
+  const manifest = BatchManifest.fromChunks(chunks, { tokenId, files });
+  if (outDir) {
+    fs.mkdirSync(outDir, { recursive: true });
+    const width = String(chunks.length).length;
+    chunks.forEach((chunk, i) => {
+      fs.writeFileSync(path.join(outDir, `batch-${String(i + 1).padStart(width, '0')}.bin`), chunk);
+    });
+    manifest.save(path.join(outDir, 'manifest.json'));
+  }
+  return { manifest, chunks };
+}
+
+// 链上提交的清单根：买家请求时记录的清单根优先，否则为 token 当前的清单根
+async function committedManifestRoot(nmft, tokenId, buyer) {
+  if (buyer) {
+    const request = await nmft.getRequest(tokenId, buyer);
+    if (request.reqBatchNumber !== 0n && request.batchManifestRoot !== ethers.ZeroHash) {
+      return request.batchManifestRoot;
+    }
+  }
+  const { batchManifestRoot } = await nmft.getBatchManifest(tokenId);
+  return batchManifestRoot === ethers.ZeroHash ? null : batchManifestRoot;
+}
+
+// 买家用链上承诺校验收到的第 index 个批次，proof 为清单中该批次的证明
+async function verifyDeliveredBatch(nmft, { tokenId, buyer, index, chunk, proof }) {
+  const root = await committedManifestRoot(nmft, tokenId, buyer);
+  if (!root) {
+    throw new Error(`Token ${tokenId} has no batch manifest on-chain`);
+  }
+  return verifyBatchProof(index, chunkDigest(chunk), proof, root);
+}
+
+module.exports = {
+  BATCH_MANIFEST_VERSION,
+  BatchManifest,
+  chunkDigest,
+  batchLeaf,
+  verifyBatchProof,
+  readDataset,
+  splitDataset,
+  packageDataset,
+  committedManifestRoot,
+  verifyDeliveredBatch
+};
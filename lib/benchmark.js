@@ -0,0 +1,620 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { mintedTokenId } = require('./client');
+const { FeatureTree } = require('./featureTree');
+const { runId, receiptMetrics, ResultsWriter } = require('./results');
+
+// 协议步骤，默认按此顺序执行完整的一笔交易（挑战由其他所有者回应，窗口结束后结算）
+const DEFAULT_STEPS = [
+  'mintDataNFT',
+  'requestDataPurchase',
+  'confirmRequest',
+  'buyerDeposit',
+  'ownerDeposit',
+  'initiateChallenge',
+  'ownerResToChallenge',
+  'buyerVerifyChallenge',
+  'otherOwnersResToChallenge',
+  'finalizeChallenge',
+  'setHashchainTip',
+  'confirmFinalPayment'
+];
+
+// 结算挑战前要推进时间越过回应窗口的步骤
+const TIME_STEPS = ['buyerConfirmChallengeEnd', 'finalizeChallenge'];
+
+// 负载测试和非开发网络的默认步骤：推进时间会提前关闭其他并发交易的回应窗口，其他网络上也无法推进时间，因此停在挑战回应之后
+const LOAD_STEPS = DEFAULT_STEPS.slice(0, DEFAULT_STEPS.indexOf('finalizeChallenge'));
+
+// 交易参数默认值，与原来的性能测试脚本一致；金额以 ETH 为单位
+const DEFAULT_PARAMETERS = {
+  trades: 1,
+  batchNumber: 1000,
+  batchPrice: '0.1',
+  reqBatchPrice: '0.1',
+  reqBatchNumber: 10,
+  newCompletedBatches: 10,
+  challengeSize: 10,
+  tradeType: 1,
+  nftTransferFee: '1',
+  ownerDepositAmount: '1',
+  challengers: 1,
+  // true 时第一个挑战者先提交原始特征，所有者随后提交略加改动的副本，挑战者应当获胜
+  plagiarism: false
+};
+
+const PARAMETER_NAMES = Object.keys(DEFAULT_PARAMETERS);
+const ETHER_PARAMETERS = ['batchPrice', 'reqBatchPrice', 'nftTransferFee', 'ownerDepositAmount'];
+
+// 抄袭副本相对原始特征向量翻转的位数，相似度仍高于合约默认阈值 95%
+const PLAGIARISM_FLIPPED_BITS = 4;
+
+// 可以用 evm_increaseTime / hardhat_setBalance 的开发网络，shardoraLocal 是代替 Shardora 的本地 Hardhat 节点
+const DEV_NETWORKS = ['hardhat', 'localhost', 'shardoraLocal'];
+
+// 非开发网络上无法推进时间，在发送任何交易之前拒绝结算挑战的步骤
+function checkNetworkSteps(steps, network) {
+  if (network === undefined || DEV_NETWORKS.includes(network)) {
+    return;
+  }
+  const timeSteps = steps.filter(step => TIME_STEPS.includes(step));
+  if (timeSteps.length > 0) {
+    throw new Error(`Benchmark steps ${timeSteps.join(', ')} advance time and only run on ${DEV_NETWORKS.join(', ')}, not ${network}`);
+  }
+}
+
+function positiveInteger(value, name) {
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error(`Benchmark ${name} must be a positive integer, got ${value}`);
+  }
+  return value;
+}
+
+// 校验并补全一组参数
+function normalizeParameters(values, source) {
+  const unknown = Object.keys(values).filter(name => !PARAMETER_NAMES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown benchmark parameter ${unknown.join(', ')} in ${source}`);
+  }
+  const params = { ...DEFAULT_PARAMETERS, ...values };
+  for (const name of PARAMETER_NAMES) {
+    if (ETHER_PARAMETERS.includes(name)) {
+      ethers.parseEther(String(params[name]));
+      params[name] = String(params[name]);
+    } else if (name === 'plagiarism') {
+      if (typeof params.plagiarism !== 'boolean') {
+        throw new Error(`Benchmark plagiarism must be true or false, got ${params.plagiarism}`);
+      }
+    } else if (name === 'tradeType') {
+      if (params.tradeType !== 0 && params.tradeType !== 1) {
+        throw new Error(`Benchmark tradeType must be 0 (DataOnly) or 1 (DataAndNFT), got ${params.tradeType}`);
+      }
+    } else {
+      positiveInteger(params[name], name);
+    }
+  }
+  if (params.reqBatchNumber > params.batchNumber) {
+    throw new Error(`Benchmark reqBatchNumber ${params.reqBatchNumber} exceeds batchNumber ${params.batchNumber}`);
+  }
+  if (params.newCompletedBatches > params.reqBatchNumber) {
+    throw new Error(`Benchmark newCompletedBatches ${params.newCompletedBatches} exceeds reqBatchNumber ${params.reqBatchNumber}`);
+  }
+  return params;
+}
+
+// 参数网格的笛卡尔积，按 grid 中键的顺序展开，最后一个键变化最快
+function expandGrid(grid = {}) {
+  return Object.entries(grid).reduce((points, [name, values]) => {
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new Error(`Benchmark grid ${name} must be a non-empty array`);
+    }
+    return points.flatMap(point => values.map(value => ({ ...point, [name]: value })));
+  }, [{}]);
+}
+
+const LOAD_FIELDS = ['trades', 'concurrency', 'arrivalRate', 'owners', 'buyers'];
+
+// 并发负载：共 trades 笔交易，最多 concurrency 笔同时进行；arrivalRate 为每秒新开的交易数，省略时有空位就开始；
+// 交易轮流分配给 owners 个所有者和 buyers 个买家
+function normalizeLoad(load, raw, steps) {
+  if (!load || typeof load !== 'object') {
+    throw new Error('Benchmark load must be an object');
+  }
+  const unknown = Object.keys(load).filter(name => !LOAD_FIELDS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown benchmark load setting ${unknown.join(', ')}`);
+  }
+  if (raw.grid !== undefined || raw.repetitions !== undefined || (raw.parameters && raw.parameters.trades !== undefined)) {
+    throw new Error('Benchmark load takes fixed parameters; use load.trades instead of grid, repetitions or trades');
+  }
+  if (raw.wallets === undefined) {
+    throw new Error('Benchmark load requires wallets for its owner and buyer accounts');
+  }
+  const timeSteps = steps.filter(step => TIME_STEPS.includes(step));
+  if (timeSteps.length > 0) {
+    throw new Error(`Benchmark load cannot run ${timeSteps.join(', ')}, which advances time for every open trade`);
+  }
+  if (load.arrivalRate !== undefined && !(typeof load.arrivalRate === 'number' && load.arrivalRate > 0)) {
+    throw new Error(`Benchmark load.arrivalRate must be a positive number of trades per second, got ${load.arrivalRate}`);
+  }
+  return {
+    trades: positiveInteger(load.trades, 'load.trades'),
+    concurrency: positiveInteger(load.concurrency, 'load.concurrency'),
+    arrivalRate: load.arrivalRate,
+    owners: positiveInteger(load.owners === undefined ? 1 : load.owners, 'load.owners'),
+    buyers: positiveInteger(load.buyers === undefined ? 1 : load.buyers, 'load.buyers')
+  };
+}
+
+// 校验扫描配置：name、steps、parameters（固定参数）、grid（扫描参数）、repetitions、accounts、fundAccounts、wallets、load；
+// 给出 network 时按该网络选择默认步骤并检查能否推进时间
+function normalizeBenchmarkConfig(raw, { network } = {}) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Benchmark config must be an object');
+  }
+  if (typeof raw.name !== 'string' || !/^[\w-]+$/.test(raw.name)) {
+    throw new Error('Benchmark config requires a name made of letters, digits, "_" or "-"');
+  }
+  const live = network !== undefined && !DEV_NETWORKS.includes(network);
+  const steps = raw.steps || (raw.load === undefined && !live ? DEFAULT_STEPS : LOAD_STEPS);
+  if (!Array.isArray(steps) || steps[0] !== 'mintDataNFT') {
+    throw new Error('Benchmark steps must be an array starting with mintDataNFT');
+  }
+  const unknown = steps.filter(step => !Object.prototype.hasOwnProperty.call(STEPS, step));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown benchmark step ${unknown.join(', ')}`);
+  }
+  checkNetworkSteps(steps, network);
+  const base = raw.parameters || {};
+  const points = expandGrid(raw.grid).map(point => {
+    const overlap = Object.keys(point).filter(name => name in base);
+    if (overlap.length > 0) {
+      throw new Error(`Benchmark parameter ${overlap.join(', ')} is set in both parameters and grid`);
+    }
+    return normalizeParameters({ ...base, ...point }, 'grid');
+  });
+  if (points.some(point => point.plagiarism) &&
+    !(steps.includes('ownerResToChallenge') && steps.includes('otherOwnersResToChallenge') && steps.some(step => TIME_STEPS.includes(step)))) {
+    throw new Error('Benchmark plagiarism requires the ownerResToChallenge and otherOwnersResToChallenge steps and a step that settles the challenge' +
+      (live ? `, which only runs on ${DEV_NETWORKS.join(', ')}` : ''));
+  }
+  // wallets：各角色使用由助记词派生并注资的独立账户，代替 accounts 中的签名者下标
+  let wallets;
+  if (raw.wallets !== undefined) {
+    if (raw.accounts !== undefined || raw.fundAccounts !== undefined) {
+      throw new Error('Benchmark wallets cannot be combined with accounts or fundAccounts; use wallets.fund');
+    }
+    if (!raw.wallets || raw.wallets.fund === undefined) {
+      throw new Error('Benchmark wallets require a fund amount in ETH');
+    }
+    ethers.parseEther(String(raw.wallets.fund));
+    wallets = { fund: String(raw.wallets.fund) };
+  }
+  const accounts = { owner: 0, buyer: 0, challenger: 0, ...raw.accounts };
+  for (const [role, index] of Object.entries(accounts)) {
+    if (!Number.isInteger(index) || index < 0) {
+      throw new Error(`Benchmark account ${role} must be a signer index`);
+    }
+  }
+  if (raw.fundAccounts !== undefined) {
+    ethers.parseEther(String(raw.fundAccounts));
+  }
+  return {
+    name: raw.name,
+    description: raw.description || '',
+    steps,
+    points,
+    repetitions: positiveInteger(raw.repetitions === undefined ? 1 : raw.repetitions, 'repetitions'),
+    accounts,
+    fundAccounts: raw.fundAccounts === undefined ? undefined : String(raw.fundAccounts),
+    wallets,
+    load: raw.load === undefined ? undefined : normalizeLoad(raw.load, raw, steps)
+  };
+}
+
+// 读取 JSON 或 YAML 扫描配置
+function loadBenchmarkConfig(filePath, options) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const raw = /\.ya?ml$/i.test(filePath) ? require('js-yaml').load(text) : JSON.parse(text);
+  return normalizeBenchmarkConfig(raw, options);
+}
+
+// 各协议步骤：发送交易并返回回执，view 步骤返回 null；trade 保存同一笔交易的参与账户和各步骤之间的状态
+const STEPS = {
+  async mintDataNFT(runner, trade) {
+    const { owner } = trade.accounts;
+    const { params } = trade;
+    const label = `${runner.runId}-${trade.number}`;
+    const tx = await runner.nmft.connect(owner).mintDataNFT(
+      owner.address,
+      `https://example.com/token/${label}`,
+      ethers.parseEther(params.batchPrice),
+      params.batchNumber,
+      ethers.parseEther(params.nftTransferFee),
+      ethers.keccak256(ethers.toUtf8Bytes(`test merkle root ${label}`)),
+      ethers.ZeroHash,
+      ethers.ZeroAddress,
+      `Test Data NFT ${label}`
+    );
+    const receipt = await runner.wait(tx);
+    trade.tokenId = runner.mintedTokenId(receipt);
+    return receipt;
+  },
+
+  async getDataInfo(runner, trade) {
+    await runner.nmft.getDataInfo(trade.tokenId);
+    return null;
+  },
+
+  async requestDataPurchase(runner, trade) {
+    const { params } = trade;
+    const tx = await runner.nmft.connect(trade.accounts.buyer).requestDataPurchase(
+      trade.tokenId,
+      ethers.parseEther(params.reqBatchPrice),
+      params.reqBatchNumber,
+      params.tradeType,
+      params.challengeSize,
+      ethers.parseEther(params.nftTransferFee),
+      ethers.parseEther(params.ownerDepositAmount)
+    );
+    return runner.wait(tx);
+  },
+
+  async confirmRequest(runner, trade) {
+    const tx = await runner.nmft.connect(trade.accounts.owner).confirmRequest(trade.tokenId, trade.accounts.buyer.address);
+    return runner.wait(tx);
+  },
+
+  async buyerDeposit(runner, trade) {
+    const { params } = trade;
+    let value = ethers.parseEther(params.reqBatchPrice) * BigInt(params.reqBatchNumber);
+    if (params.tradeType === 1) {
+      value += ethers.parseEther(params.nftTransferFee);
+    }
+    const tx = await runner.nmft.connect(trade.accounts.buyer).buyerDeposit(trade.tokenId, { value });
+    return runner.wait(tx);
+  },
+
+  async ownerDeposit(runner, trade) {
+    const tx = await runner.nmft.connect(trade.accounts.owner).ownerDeposit(trade.tokenId, trade.accounts.buyer.address, {
+      value: ethers.parseEther(trade.params.ownerDepositAmount)
+    });
+    return runner.wait(tx);
+  },
+
+  async initiateChallenge(runner, trade) {
+    const tx = await runner.nmft.connect(trade.accounts.buyer).initiateChallenge(trade.tokenId);
+    return runner.wait(tx);
+  },
+
+  // 所有者用随机特征向量（抄袭时为原始特征的副本）回应挑战，先更新链上 Merkle 根（不计入结果）
+  async ownerResToChallenge(runner, trade) {
+    const { owner, buyer } = trade.accounts;
+    const vectors = trade.original ? trade.original.vectors.map(plagiarize) : randomVectors(trade.params.challengeSize);
+    const tree = FeatureTree.fromVectors(vectors);
+    const { merkleProofs, merkleRoots } = tree.getChallengeResponse();
+    await runner.wait(await runner.nmft.connect(owner).updateMerkleRoot(trade.tokenId, tree.root));
+    trade.vectors = vectors;
+    trade.merkleRoots = merkleRoots;
+    const tx = await runner.nmft.connect(owner).ownerResToChallenge(trade.tokenId, buyer.address, vectors, merkleProofs, merkleRoots);
+    return runner.wait(tx);
+  },
+
+  async buyerVerifyChallenge(runner, trade) {
+    const tx = await runner.nmft.connect(trade.accounts.buyer).buyerVerifyChallenge(trade.tokenId);
+    return runner.wait(tx);
+  },
+
+  // 依次由 challengers 个挑战者 token 在窗口内回应，每个回应记录一行；抄袭时第一个挑战者用先前提交的原始特征回应
+  async otherOwnersResToChallenge(runner, trade) {
+    const { buyer } = trade.accounts;
+    const receipts = [];
+    for (let i = 0; i < trade.params.challengers; i++) {
+      const challenger = runner.challengerAccount(i);
+      const challengerTokenId = await runner.challengerToken(i, trade.params);
+      let tree;
+      if (i === 0 && trade.original) {
+        tree = trade.original.tree;
+      } else {
+        tree = FeatureTree.fromVectors(randomVectors(trade.params.challengeSize));
+        await runner.wait(await runner.nmft.connect(challenger).updateMerkleRoot(challengerTokenId, tree.root));
+      }
+      const { vectors, merkleProofs, merkleRoots } = tree.getChallengeResponse();
+      const tx = await runner.nmft.connect(challenger).otherOwnersResToChallenge(
+        trade.tokenId,
+        buyer.address,
+        challengerTokenId,
+        trade.vectors,
+        trade.merkleRoots,
+        vectors,
+        merkleProofs,
+        merkleRoots
+      );
+      receipts.push({ challenger: i + 1, receipt: await runner.wait(tx) });
+    }
+    return receipts;
+  },
+
+  // 由买家结束挑战，需要在开发网络上推进时间越过回应窗口
+  async buyerConfirmChallengeEnd(runner, trade) {
+    const window = await runner.nmft.CHALLENGE_RESPONSE_WINDOW();
+    await runner.increaseTime(Number(window) + 1);
+    const tx = await runner.nmft.connect(trade.accounts.buyer).buyerConfirmChallengeEnd(trade.tokenId);
+    const receipt = await runner.wait(tx);
+    runner.checkChallengeOutcome(trade, receipt);
+    return receipt;
+  },
+
+  // 窗口结束后由所有者按领先的回应结算挑战（任何账户都可以调用），同样需要推进时间
+  async finalizeChallenge(runner, trade) {
+    const window = await runner.nmft.CHALLENGE_RESPONSE_WINDOW();
+    await runner.increaseTime(Number(window) + 1);
+    const tx = await runner.nmft.connect(trade.accounts.owner).finalizeChallenge(trade.tokenId, trade.accounts.buyer.address);
+    const receipt = await runner.wait(tx);
+    runner.checkChallengeOutcome(trade, receipt);
+    return receipt;
+  },
+
+  async setHashchainTip(runner, trade) {
+    trade.finalHash = ethers.keccak256(ethers.toUtf8Bytes(`finalHash${runner.runId}-${trade.tokenId}`));
+    let tip = trade.finalHash;
+    for (let i = 0; i < trade.params.newCompletedBatches; i++) {
+      tip = ethers.keccak256(tip);
+    }
+    const tx = await runner.nmft.connect(trade.accounts.buyer).setHashchainTip(trade.tokenId, tip);
+    return runner.wait(tx);
+  },
+
+  async confirmFinalPayment(runner, trade) {
+    const tx = await runner.nmft.connect(trade.accounts.owner).confirmFinalPayment(
+      trade.tokenId,
+      trade.accounts.buyer.address,
+      trade.finalHash,
+      trade.params.newCompletedBatches
+    );
+    return runner.wait(tx);
+  }
+};
+
+function randomVectors(count) {
+  return Array.from({ length: count }, () => ethers.toBigInt(ethers.randomBytes(32)));
+}
+
+// 抄袭者的副本：随机翻转原始向量的若干位
+function plagiarize(vector) {
+  let copy = vector;
+  const bits = new Set();
+  while (bits.size < PLAGIARISM_FLIPPED_BITS) {
+    bits.add(ethers.randomBytes(1)[0]);
+  }
+  for (const bit of bits) {
+    copy ^= 1n << BigInt(bit);
+  }
+  return copy;
+}
+
+// 按扫描配置执行交易并把每个步骤的测量写入一个 JSON Lines 结果文件
+class BenchmarkRunner {
+  constructor({ nmft, signers, provider, network, config, outDir = 'results', confirmations = 1, mnemonic, logger = console }) {
+    checkNetworkSteps(config.steps, network);
+    this.nmft = nmft;
+    this.provider = provider;
+    this.network = network;
+    this.confirmations = confirmations;
+    this.config = config;
+    this.outDir = outDir;
+    this.logger = logger;
+    this.runId = runId();
+    this.accounts = {};
+    this.challengers = [];
+    if (config.wallets) {
+      this._deriveWallets(signers[0], mnemonic);
+    } else {
+      for (const [role, index] of Object.entries(config.accounts)) {
+        if (!signers[index]) {
+          throw new Error(`Benchmark account ${role} uses signer ${index}, but only ${signers.length} are available`);
+        }
+        this.accounts[role] = signers[index];
+      }
+    }
+    this.writer = new ResultsWriter(path.join(outDir, `${network}_${config.name}_${this.runId}.jsonl`));
+    this._challengerTokens = [];
+  }
+
+  get isDevNetwork() {
+    return DEV_NETWORKS.includes(this.network);
+  }
+
+  // 执行全部重复次数和参数组合，返回结果文件路径和记录
+  async run() {
+    this.contractAddress = await this.nmft.getAddress();
+    await this._fundAccounts();
+
+    const rows = [];
+    let number = 0;
+    for (let repetition = 1; repetition <= this.config.repetitions; repetition++) {
+      for (const params of this.config.points) {
+        for (let i = 0; i < params.trades; i++) {
+          number++;
+          const trade = { number, params, accounts: this.accounts };
+          await this._prepareTrade(trade);
+          for (const step of this.config.steps) {
+            rows.push(...await this._measure(step, trade, repetition));
+            if (trade.ownerCaught) {
+              // 原所有者被证明抄袭，买家已退款，后续付款步骤不再适用
+              this.logger.info(`Benchmark ${this.config.name} trade ${number}: challenger won, skipping steps after ${step}`);
+              break;
+            }
+          }
+          this.logger.info(`Benchmark ${this.config.name} trade ${number} on token ${trade.tokenId} done (repetition ${repetition})`);
+        }
+      }
+    }
+    return { runId: this.runId, path: this.writer.path, rows };
+  }
+
+  async _measure(step, trade, repetition) {
+    const startTime = Date.now();
+    let result;
+    try {
+      result = await STEPS[step](this, trade);
+    } catch (error) {
+      throw new Error(`Benchmark step ${step} failed on token ${trade.tokenId}: ${error.shortMessage || error.message}`, { cause: error });
+    }
+    const latency = Date.now() - startTime;
+    const measured = Array.isArray(result) ? result : [{ receipt: result }];
+    return measured.map(({ challenger, receipt }) => this.writer.append({
+      run: this.runId,
+      network: this.network,
+      benchmark: this.config.name,
+      contract: this.contractAddress,
+      method: step,
+      params: trade.params,
+      repetition,
+      trade: trade.number,
+      tokenId: trade.tokenId,
+      challenger,
+      ...receiptMetrics(receipt),
+      // 多个挑战者时延迟按回应次数平均
+      latency: Math.round(latency / measured.length),
+      time: new Date().toISOString()
+    }));
+  }
+
+  // 从铸造回执的 DataNFTMinted 事件中取得新 tokenId
+  mintedTokenId(receipt) {
+    const tokenId = mintedTokenId(this.nmft, receipt);
+    if (tokenId === undefined) {
+      throw new Error(`No DataNFTMinted event in ${receipt.hash}`);
+    }
+    return tokenId;
+  }
+
+  // 第 index 个挑战者使用的账户；使用签名者下标时所有挑战者共用 accounts.challenger
+  challengerAccount(index) {
+    return this.challengers[index] || this.accounts.challenger;
+  }
+
+  // 第 index 个挑战者 token，不存在时由挑战者账户铸造（不计入结果）
+  async challengerToken(index, params) {
+    while (this._challengerTokens.length <= index) {
+      const challenger = this.challengerAccount(this._challengerTokens.length);
+      const label = `${this.runId}-challenger-${this._challengerTokens.length + 1}`;
+      const tx = await this.nmft.connect(challenger).mintDataNFT(
+        challenger.address,
+        `https://example.com/token/${label}`,
+        ethers.parseEther(params.batchPrice),
+        params.batchNumber,
+        ethers.parseEther(params.nftTransferFee),
+        ethers.keccak256(ethers.toUtf8Bytes(`test merkle root ${label}`)),
+        ethers.ZeroHash,
+        ethers.ZeroAddress,
+        `Challenger Data NFT ${label}`
+      );
+      this._challengerTokens.push(this.mintedTokenId(await this.wait(tx)));
+    }
+    return this._challengerTokens[index];
+  }
+
+  // 核对挑战结果：ChallengeResolved 的 winnerTokenId 不是原 token 时原所有者被证明抄袭，必须与 plagiarism 参数一致
+  checkChallengeOutcome(trade, receipt) {
+    const resolved = receipt.logs
+      .map(log => this.nmft.interface.parseLog(log))
+      .find(parsed => parsed && parsed.name === 'ChallengeResolved');
+    if (!resolved) {
+      throw new Error(`No ChallengeResolved event in ${receipt.hash}`);
+    }
+    trade.ownerCaught = resolved.args.winnerTokenId !== trade.tokenId;
+    if (trade.ownerCaught !== trade.params.plagiarism) {
+      throw new Error(trade.params.plagiarism
+        ? `Challenger did not win the plagiarism challenge on token ${trade.tokenId}`
+        : `Challenger token ${resolved.args.winnerTokenId} unexpectedly won the challenge on token ${trade.tokenId}`);
+    }
+  }
+
+  // 抄袭的交易：第一个挑战者在所有者之前提交原始特征向量（不计入结果）
+  async _prepareTrade(trade) {
+    if (!trade.params.plagiarism) {
+      return;
+    }
+    const tree = FeatureTree.fromVectors(randomVectors(trade.params.challengeSize));
+    const challengerTokenId = await this.challengerToken(0, trade.params);
+    await this.wait(await this.nmft.connect(this.challengerAccount(0)).updateMerkleRoot(challengerTokenId, tree.root));
+    trade.original = { vectors: tree.vectors, tree };
+  }
+
+  // 由助记词派生所有者、买家和各挑战者的账户：m/44'/60'/0'/0/0 为所有者，/1 为买家，/2 起为挑战者；
+  // 开发网络上未提供助记词时随机生成
+  _deriveWallets(funder, mnemonic) {
+    if (!mnemonic) {
+      if (!this.isDevNetwork) {
+        throw new Error(`Benchmark wallets on ${this.network} require a mnemonic (BENCH_MNEMONIC) so the funds can be recovered`);
+      }
+      mnemonic = ethers.Wallet.createRandom().mnemonic.phrase;
+    }
+    const wallet = (index) => ethers.HDNodeWallet.fromPhrase(mnemonic, undefined, `m/44'/60'/0'/0/${index}`).connect(this.provider);
+    const challengers = Math.max(...this.config.points.map(point => point.challengers));
+    this.funder = funder;
+    this.accounts = { owner: wallet(0), buyer: wallet(1) };
+    this.challengers = Array.from({ length: challengers }, (_, i) => wallet(2 + i));
+    this.accounts.challenger = this.challengers[0];
+  }
+
+  // 等待交易达到网络配置的确认数，延迟测量包含等待确认的时间
+  wait(tx) {
+    return tx.wait(this.confirmations);
+  }
+
+  async increaseTime(seconds) {
+    if (!this.isDevNetwork) {
+      throw new Error(`Cannot advance time on ${this.network}; run ${TIME_STEPS.join(' and ')} on ${DEV_NETWORKS.join(' or ')}`);
+    }
+    await this.provider.send('evm_increaseTime', [seconds]);
+    await this.provider.send('evm_mine', []);
+  }
+
+  // 参与交易的全部账户
+  parties() {
+    return [...Object.values(this.accounts), ...this.challengers];
+  }
+
+  // 开发网络上为参与账户设置余额，大规模扫描时押金总额可能超过默认余额；
+  // 派生账户在其他网络上由第一个签名者转账补足到 wallets.fund
+  async _fundAccounts() {
+    const fund = this.config.wallets ? this.config.wallets.fund : this.config.fundAccounts;
+    if (fund === undefined) {
+      return;
+    }
+    const amount = ethers.parseEther(fund);
+    const addresses = new Set(this.parties().map(signer => signer.address));
+    if (this.isDevNetwork) {
+      for (const address of addresses) {
+        await this.provider.send('hardhat_setBalance', [address, ethers.toQuantity(amount)]);
+      }
+      return;
+    }
+    if (!this.config.wallets) {
+      this.logger.warn(`Skipping fundAccounts on ${this.network}`);
+      return;
+    }
+    for (const address of addresses) {
+      const balance = await this.provider.getBalance(address);
+      if (balance < amount) {
+        await this.wait(await this.funder.sendTransaction({ to: address, value: amount - balance }));
+        this.logger.info(`Funded benchmark wallet ${address} with ${ethers.formatEther(amount - balance)} ETH`);
+      }
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_STEPS,
+  LOAD_STEPS,
+  DEFAULT_PARAMETERS,
+  STEPS,
+  expandGrid,
+  normalizeBenchmarkConfig,
+  loadBenchmarkConfig,
+  BenchmarkRunner
+};
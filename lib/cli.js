@@ -0,0 +1,406 @@
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { ethers } = require('ethers');
+const { NmftClient, TradeType, mintedTokenId } = require('./client');
+const { FeatureTree } = require('./featureTree');
+const { BuyerHashchain, HashchainVerifier } = require('./hashchain');
+const { BatchManifest, chunkDigest, committedManifestRoot, verifyBatchProof } = require('./batches');
+const { ExchangeClient, createChallengeIndices, acknowledgeResponse } = require('./exchange');
+const { deployedAddress, deploymentPath } = require('./deployments');
+const { deploy } = require('../scripts/deploy');
+
+const USAGE = `Usage: nmft <command> [options]
+
+Commands:
+  deploy     (deploy a new contract from --account and record it in deployments/<network>.json)
+  mint       --uri <uri> --batch-price <amount> --batch-number <n> --nft-fee <amount> (--root <hex> | --tree <file>) [--manifest <file>] [--payment-token <address>] [--description <text>] [--to <address>]
+  request    --token <id> --batch-price <amount> --batch-number <n> --challenge-size <n> --owner-deposit <amount> [--trade-type DataOnly|DataAndNFT] [--nft-fee <amount>]
+  confirm    --token <id> --buyer <address>
+  deposit    --token <id> [--buyer <address>] [--permit]   (buyer deposit, or owner deposit when --buyer is given)
+  challenge  [init|verify|end|default] --token <id>     (buyer: initiate, verify, confirm challenge end, or claim an owner default)
+  challenge  send --token <id> --indices 0,1,2 --exchange <url>   (buyer: post signed challenge indices)
+  challenge  ack --exchange <url> --digest <hex>        (buyer: sign a receipt for the owner's response)
+  challenge  finalize --token <id> --buyer <address>    (anyone: settle with the leading response after the window)
+  respond    --token <id> --buyer <address> --tree <file> [--indices 0,1,2]
+  tip        --token <id> (--tip <hex> | --hashchain <file>)
+  pay        --token <id> --buyer <address> --preimage <hex> [--batches <n>]
+  withdraw   --token <id> [--buyer <address>] [--cleanup | --default]   (credit deposits after the timeout, clean up, or settle a buyer default)
+  withdraw   [--payment-token <address>]                (without --token: pull the credited balance)
+  status     --token <id> --buyer <address>
+  verify-batch --token <id> --manifest <file> --index <k> --file <path>   (buyer: check a delivered batch against the on-chain manifest)
+
+Options:
+  --network <name>     Hardhat network from hardhat.config.js (default: localhost)
+  --contract <address> NMFT contract address (default: current deployment in deployments/<network>.json)
+  --account <index>    Signer index from the network accounts (default: 0)
+  --json               Print machine-readable JSON
+  --dry-run            Check preconditions and estimate gas without sending
+  -h, --help           Show this help
+
+Amounts are in the dataset's payment token (ETH unless minted with --payment-token), in whole units.
+ERC-20 deposits approve the contract first, or sign an EIP-2612 permit with --permit.
+`;
+
+const OPTIONS = {
+  network: { type: 'string', default: 'localhost' },
+  contract: { type: 'string' },
+  account: { type: 'string', default: '0' },
+  json: { type: 'boolean', default: false },
+  'dry-run': { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+
+  token: { type: 'string' },
+  buyer: { type: 'string' },
+  to: { type: 'string' },
+  uri: { type: 'string' },
+  description: { type: 'string', default: '' },
+  'batch-price': { type: 'string' },
+  'batch-number': { type: 'string' },
+  'nft-fee': { type: 'string', default: '0' },
+  'trade-type': { type: 'string', default: 'DataOnly' },
+  'challenge-size': { type: 'string' },
+  'owner-deposit': { type: 'string' },
+  root: { type: 'string' },
+  tree: { type: 'string' },
+  indices: { type: 'string' },
+  tip: { type: 'string' },
+  hashchain: { type: 'string' },
+  preimage: { type: 'string' },
+  batches: { type: 'string' },
+  cleanup: { type: 'boolean', default: false },
+  default: { type: 'boolean', default: false },
+  exchange: { type: 'string' },
+  digest: { type: 'string' },
+  manifest: { type: 'string' },
+  index: { type: 'string' },
+  file: { type: 'string' },
+  'payment-token': { type: 'string' },
+  permit: { type: 'boolean', default: false }
+};
+
+class UsageError extends Error {}
+
+// 解析命令行参数
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  const [command, ...rest] = positionals;
+  return { command, subcommand: rest[0], options: values };
+}
+
+function required(options, name) {
+  if (options[name] === undefined || options[name] === '') {
+    throw new UsageError(`Missing required option --${name}`);
+  }
+  return options[name];
+}
+
+function integer(options, name) {
+  const value = required(options, name);
+  if (!/^\d+$/.test(value)) {
+    throw new UsageError(`Option --${name} must be a non-negative integer`);
+  }
+  return BigInt(value);
+}
+
+function address(options, name) {
+  const value = required(options, name);
+  if (!ethers.isAddress(value)) {
+    throw new UsageError(`Option --${name} must be an address`);
+  }
+  return ethers.getAddress(value);
+}
+
+function indexList(value) {
+  const indices = value.split(',').map(index => index.trim());
+  if (!indices.every(index => /^\d+$/.test(index))) {
+    throw new UsageError('Option --indices must be a comma-separated list of non-negative integers');
+  }
+  return indices.map(Number);
+}
+
+// 按结算代币的小数位解析金额，ETH 为 18 位
+async function amountParser(client, paymentToken) {
+  const decimals = paymentToken === ethers.ZeroAddress ? 18 : await client.token(paymentToken).decimals();
+  return value => ethers.parseUnits(value, decimals);
+}
+
+// 合约地址依次取 --contract、deployments/<network>.json 中的当前部署、
+// 以及旧版部署脚本写入 .env 的 <NETWORK>_NMFT_CONTRACT_ADDRESS
+function resolveContractAddress(network, options, registryOptions = {}) {
+  const contractAddress = options.contract
+    || deployedAddress(network, registryOptions)
+    || process.env[`${network.toUpperCase()}_NMFT_CONTRACT_ADDRESS`];
+  if (!contractAddress) {
+    throw new UsageError(`No contract address: pass --contract or deploy to ${network} (${deploymentPath(network, registryOptions.dir)})`);
+  }
+  return contractAddress;
+}
+
+// 把 bigint 等值转为可以 JSON 序列化的形式
+function serialize(value) {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(serialize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, serialize(item)]));
+  }
+  return value;
+}
+
+// 汇总交易回执，dry-run 结果原样保留
+function summarize(command, result, extra = {}) {
+  if (result.dryRun) {
+    return { command, ...result, ...extra };
+  }
+  return {
+    command,
+    txHash: result.hash,
+    blockNumber: result.blockNumber,
+    gasUsed: result.gasUsed,
+    status: result.status,
+    ...extra
+  };
+}
+
+function print(output, result, json) {
+  const data = serialize(result);
+  if (json) {
+    output.write(`${JSON.stringify(data, null, 2)}\n`);
+    return;
+  }
+  const lines = [];
+  (function walk(value, prefix) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      for (const [key, item] of Object.entries(value)) {
+        walk(item, prefix ? `${prefix}.${key}` : key);
+      }
+    } else {
+      lines.push(`${prefix}: ${Array.isArray(value) ? value.join(', ') : value}`);
+    }
+  })(data, '');
+  output.write(`${lines.join('\n')}\n`);
+}
+
+const COMMANDS = {
+  // 与 hardhat run scripts/deploy.js 相同：导出投影矩阵、部署并核对链上哈希后写入注册表
+  async deploy({ options, signer, hre }) {
+    if (options['dry-run']) {
+      throw new UsageError('deploy does not support --dry-run');
+    }
+    const result = await deploy(hre, { deployer: signer, logger: { log: () => {} } });
+    return summarize('deploy', result.receipt, {
+      address: result.address,
+      deployer: result.deployer,
+      projectionMatrixHash: result.projectionMatrixHash,
+      matrixFile: result.matrixFile,
+      registry: result.registryPath
+    });
+  },
+
+  async mint({ options, owner, client }) {
+    let merkleRoot = options.root;
+    if (options.tree) {
+      merkleRoot = FeatureTree.load(options.tree).root;
+    }
+    if (!merkleRoot) {
+      throw new UsageError('Missing required option --root or --tree');
+    }
+    const paymentToken = options['payment-token'] ? address(options, 'payment-token') : ethers.ZeroAddress;
+    const amount = await amountParser(client, paymentToken);
+    const result = await owner.mint({
+      to: options.to,
+      tokenURI: required(options, 'uri'),
+      batchPrice: amount(required(options, 'batch-price')),
+      batchNumber: integer(options, 'batch-number'),
+      nftTransferFee: amount(options['nft-fee']),
+      merkleRoot,
+      batchManifestRoot: options.manifest ? BatchManifest.load(options.manifest).root : undefined,
+      paymentToken,
+      description: options.description
+    });
+    return summarize('mint', result, result.dryRun ? {} : { tokenId: mintedTokenId(owner.nmft, result) });
+  },
+
+  async request({ options, buyer, client }) {
+    const tradeType = TradeType[options['trade-type']];
+    if (tradeType === undefined) {
+      throw new UsageError(`Unknown trade type: ${options['trade-type']}`);
+    }
+    const tokenId = integer(options, 'token');
+    const amount = await amountParser(client, await client.paymentToken(tokenId));
+    const result = await buyer.request(tokenId, {
+      reqBatchPrice: amount(required(options, 'batch-price')),
+      reqBatchNumber: integer(options, 'batch-number'),
+      tradeType,
+      challengeSize: integer(options, 'challenge-size'),
+      nftTransferFee: amount(options['nft-fee']),
+      ownerDepositAmount: amount(required(options, 'owner-deposit'))
+    });
+    return summarize('request', result);
+  },
+
+  async confirm({ options, owner }) {
+    return summarize('confirm', await owner.confirmRequest(integer(options, 'token'), address(options, 'buyer')));
+  },
+
+  async deposit({ options, buyer, owner }) {
+    const tokenId = integer(options, 'token');
+    const depositOptions = { permit: options.permit };
+    const result = options.buyer
+      ? await owner.deposit(tokenId, address(options, 'buyer'), depositOptions)
+      : await buyer.deposit(tokenId, depositOptions);
+    return summarize('deposit', result);
+  },
+
+  async challenge({ options, subcommand = 'init', buyer, client, signer }) {
+    if (subcommand === 'send') {
+      const exchange = new ExchangeClient(required(options, 'exchange'));
+      const envelope = await createChallengeIndices(client, signer, integer(options, 'token'), indexList(required(options, 'indices')));
+      const { digest } = await exchange.postChallenge(envelope);
+      return { command: 'challenge send', digest, indices: envelope.message.indices, signature: envelope.signature };
+    }
+    if (subcommand === 'ack') {
+      const exchange = new ExchangeClient(required(options, 'exchange'));
+      const receipt = await acknowledgeResponse(exchange, signer, required(options, 'digest'));
+      return { command: 'challenge ack', digest: options.digest, response: receipt.message.subject, signature: receipt.signature };
+    }
+    const tokenId = integer(options, 'token');
+    const actions = {
+      init: () => buyer.initiateChallenge(tokenId),
+      verify: () => buyer.verifyChallenge(tokenId),
+      end: () => buyer.confirmChallengeEnd(tokenId),
+      default: () => buyer.claimOwnerDefault(tokenId),
+      finalize: () => buyer.finalizeChallenge(tokenId, address(options, 'buyer'))
+    };
+    if (!actions[subcommand]) {
+      throw new UsageError(`Unknown challenge action: ${subcommand}`);
+    }
+    return summarize(`challenge ${subcommand}`, await actions[subcommand]());
+  },
+
+  async respond({ options, owner }) {
+    const tree = FeatureTree.load(required(options, 'tree'));
+    const indices = options.indices === undefined ? undefined : indexList(options.indices);
+    const response = tree.getChallengeResponse(indices);
+    return summarize('respond', await owner.respondToChallenge(integer(options, 'token'), address(options, 'buyer'), response));
+  },
+
+  async tip({ options, buyer, client }) {
+    const tokenId = integer(options, 'token');
+    let tip = options.tip;
+    let chain;
+    if (!tip) {
+      const file = required(options, 'hashchain');
+      if (fs.existsSync(file)) {
+        chain = BuyerHashchain.load(file);
+      } else {
+        // 首次设置时按请求的批次数创建 Hashchain
+        const trade = await client.getTrade(tokenId, await buyer.address());
+        chain = BuyerHashchain.create({
+          length: Number(trade.request.reqBatchNumber),
+          tokenId,
+          buyer: await buyer.address(),
+          filePath: options['dry-run'] ? undefined : file
+        });
+      }
+      tip = chain.tip;
+    }
+    return summarize('tip', await buyer.setHashchainTip(tokenId, tip), { tip });
+  },
+
+  async pay({ options, owner, client }) {
+    const tokenId = integer(options, 'token');
+    const buyerAddress = address(options, 'buyer');
+    const preimage = required(options, 'preimage');
+    const batches = options.batches === undefined
+      ? (await new HashchainVerifier(client.nmft).verifyPreimage(tokenId, buyerAddress, preimage)).newCompletedBatches
+      : integer(options, 'batches');
+    return summarize('pay', await owner.confirmFinalPayment(tokenId, buyerAddress, preimage, batches), { newCompletedBatches: BigInt(batches) });
+  },
+
+  async withdraw({ options, buyer, owner }) {
+    // 结算和退还的押金只记入余额，需要单独提取
+    if (options.token === undefined) {
+      const paymentToken = options['payment-token'] ? address(options, 'payment-token') : ethers.ZeroAddress;
+      const amount = await buyer.withdrawable(paymentToken);
+      return summarize('withdraw', await buyer.withdraw(paymentToken), { amount });
+    }
+    const tokenId = integer(options, 'token');
+    if (options.cleanup) {
+      return summarize('cleanup', await owner.cleanupTransaction(tokenId, address(options, 'buyer')));
+    }
+    // 任何账户都可以结算买家违约，不带 --buyer 时结算签名者自己作为买家的交易
+    if (options.default) {
+      const buyerAddress = options.buyer ? address(options, 'buyer') : await buyer.address();
+      return summarize('claim default', await buyer.claimBuyerDefault(tokenId, buyerAddress));
+    }
+    const result = options.buyer
+      ? await owner.withdrawDeposits(tokenId, address(options, 'buyer'))
+      : await buyer.withdrawDeposits(tokenId);
+    return summarize('withdraw', result);
+  },
+
+  async status({ options, client }) {
+    const trade = await client.getTrade(integer(options, 'token'), address(options, 'buyer'));
+    return { command: 'status', ...trade };
+  },
+
+  // 用请求时记录的清单根校验收到的批次，证明取自所有者提供的清单文件
+  async 'verify-batch'({ options, client, signer }) {
+    const tokenId = integer(options, 'token');
+    const index = Number(integer(options, 'index'));
+    const manifest = BatchManifest.load(required(options, 'manifest'));
+    const root = await committedManifestRoot(client.nmft, tokenId, await signer.getAddress());
+    if (!root) {
+      throw new UsageError(`Token ${tokenId} has no batch manifest on-chain`);
+    }
+    const digest = chunkDigest(fs.readFileSync(required(options, 'file')));
+    return { command: 'verify-batch', index, digest, root, valid: verifyBatchProof(index, digest, manifest.getProof(index), root) };
+  }
+};
+
+// 执行命令；hre 为已连接到目标网络的 Hardhat 运行时
+async function run(argv, { hre, output = process.stdout } = {}) {
+  const { command, subcommand, options } = parseCommandLine(argv);
+  if (options.help || !command) {
+    output.write(USAGE);
+    return undefined;
+  }
+  if (!COMMANDS[command]) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+
+  const network = hre.network.name;
+  const signers = await hre.ethers.getSigners();
+  const signer = signers[Number(options.account)];
+  if (!signer) {
+    throw new UsageError(`No account #${options.account} on network ${network}`);
+  }
+
+  const context = { options, subcommand, signer, hre };
+  // deploy 部署新合约，不解析已有的合约地址
+  if (command !== 'deploy') {
+    const client = NmftClient.at(resolveContractAddress(network, options), signer);
+    const sessionOptions = { dryRun: options['dry-run'] };
+    Object.assign(context, {
+      client,
+      buyer: client.buyer(signer, sessionOptions),
+      owner: client.owner(signer, sessionOptions)
+    });
+  }
+  const result = await COMMANDS[command](context);
+
+  print(output, { network, ...result }, options.json);
+  return result;
+}
+
+module.exports = {
+  USAGE,
+  UsageError,
+  parseCommandLine,
+  resolveContractAddress,
+  run
+};
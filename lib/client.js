@@ -0,0 +1,545 @@
+const path = require('path');
+const { ethers } = require('ethers');
+const { PreconditionError, NotAuthorizedError, translateError } = require('./errors');
+
+// 与合约常量保持一致
+const CHALLENGE_RESPONSE_WINDOW = 24 * 60 * 60;
+const TRANSACTION_TIMEOUT = 24 * 60 * 60;
+const OWNER_RESPONSE_WINDOW = 12 * 60 * 60;
+const BUYER_RESPONSE_WINDOW = 12 * 60 * 60;
+
+// 结算代币用到的 ERC-20 / EIP-2612 接口
+const ERC20_ABI = [
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address owner) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function nonces(address owner) view returns (uint256)',
+  'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)'
+];
+
+// permit 签名的默认有效期（秒）
+const PERMIT_VALIDITY = 60 * 60;
+
+const TradeType = Object.freeze({
+  DataOnly: 0,
+  DataAndNFT: 1
+});
+
+// 由 Request / Challenge / HashchainInfo 推导出的交易阶段
+const Phase = Object.freeze({
+  None: 'None',                                 // 无请求（或交易已清理）
+  Requested: 'Requested',                       // 等待所有者 confirmRequest
+  Confirmed: 'Confirmed',                       // 等待买家 buyerDeposit
+  BuyerDeposited: 'BuyerDeposited',             // 等待所有者 ownerDeposit
+  OwnerDeposited: 'OwnerDeposited',             // 等待买家 initiateChallenge
+  ChallengeInitiated: 'ChallengeInitiated',     // 等待所有者 ownerResToChallenge，逾期后买家 claimOwnerDefault
+  VectorsVerified: 'VectorsVerified',           // 等待买家 buyerVerifyChallenge，逾期后任何人 claimBuyerDefault
+  ChallengeOpen: 'ChallengeOpen',               // 挑战窗口中，其他所有者可响应，窗口结束后 finalizeChallenge 或买家 buyerConfirmChallengeEnd
+  ChallengeLost: 'ChallengeLost',               // 其他所有者挑战成功，原所有者被证明是数据盗用者
+  AwaitingHashchainTip: 'AwaitingHashchainTip', // 等待买家 setHashchainTip，逾期后任何人 claimBuyerDefault
+  Paying: 'Paying'                              // 按批次 confirmFinalPayment
+});
+
+// 读取编译产物中的 NMFT ABI
+function loadNmftAbi() {
+  return require(path.join(__dirname, '../artifacts/contracts/NMFT.sol/NMFT.json')).abi;
+}
+
+// 根据链上状态推导交易阶段
+function derivePhase(tokenId, request, challenge, hashchainInfo) {
+  if (request.reqBatchNumber === 0n) {
+    return Phase.None;
+  }
+  if (hashchainInfo.tip !== ethers.ZeroHash) {
+    return Phase.Paying;
+  }
+  if (challenge.resolved && challenge.winnerTokenId !== ethers.toBigInt(tokenId)) {
+    return Phase.ChallengeLost;
+  }
+  if (!request.confirmed) {
+    return Phase.Requested;
+  }
+  if (!request.buyerDeposited) {
+    return Phase.Confirmed;
+  }
+  // 挑战获胜的其他所有者的 token 上挑战已预先标记为 resolved，买家质押后直接设置 tip
+  if (challenge.resolved) {
+    return Phase.AwaitingHashchainTip;
+  }
+  if (!request.ownerDeposited) {
+    return Phase.BuyerDeposited;
+  }
+  if (!request.challengeInitiated) {
+    return Phase.OwnerDeposited;
+  }
+  if (!request.vectorsVerified) {
+    return Phase.ChallengeInitiated;
+  }
+  if (!request.dataValidated) {
+    return Phase.VectorsVerified;
+  }
+  return Phase.ChallengeOpen;
+}
+
+// 从铸造交易的回执中解析 DataNFTMinted 事件的 tokenId
+function mintedTokenId(nmft, receipt) {
+  for (const log of receipt.logs) {
+    const parsed = nmft.interface.parseLog(log);
+    if (parsed && parsed.name === 'DataNFTMinted') {
+      return parsed.args.tokenId;
+    }
+  }
+  return undefined;
+}
+
+// 将 ethers Result 转为普通对象
+function toObject(result) {
+  return result.toObject ? result.toObject() : { ...result };
+}
+
+// 检查阶段是否符合预期
+function expectPhase(trade, expected, action) {
+  const phases = Array.isArray(expected) ? expected : [expected];
+  if (!phases.includes(trade.phase)) {
+    throw new PreconditionError(
+      `Cannot ${action} in phase ${trade.phase} (expected ${phases.join(' or ')})`,
+      { phase: trade.phase, expected: phases }
+    );
+  }
+}
+
+class NmftClient {
+  constructor(nmft) {
+    this.nmft = nmft;
+  }
+
+  // 通过合约地址创建客户端
+  static at(address, runner, abi = loadNmftAbi()) {
+    return new NmftClient(new ethers.Contract(address, abi, runner));
+  }
+
+  get provider() {
+    return this.nmft.runner.provider || this.nmft.runner;
+  }
+
+  // 当前区块时间戳
+  async now() {
+    const block = await this.provider.getBlock('latest');
+    return block.timestamp;
+  }
+
+  // 读取一笔交易的完整状态与阶段
+  async getTrade(tokenId, buyer) {
+    const [request, challenge, hashchain] = await Promise.all([
+      this.nmft.getRequest(tokenId, buyer),
+      this.nmft.getChallenge(tokenId, buyer),
+      this.nmft.getHashchainInfo(tokenId, buyer)
+    ]);
+    const challengeInitiatedAt = Number(challenge.initiatedTimestamp);
+    const lastActivityAt = Number(request.lastActivityTimestamp);
+    const phase = derivePhase(tokenId, request, challenge, hashchain);
+    return {
+      tokenId: ethers.toBigInt(tokenId),
+      buyer,
+      request: toObject(request),
+      challenge: toObject(challenge),
+      hashchain: toObject(hashchain),
+      phase,
+      deadlines: {
+        challengeWindowEndsAt: challengeInitiatedAt === 0 ? null : challengeInitiatedAt + CHALLENGE_RESPONSE_WINDOW,
+        ownerResponseDueAt: challengeInitiatedAt === 0 ? null : challengeInitiatedAt + OWNER_RESPONSE_WINDOW,
+        // buyerVerifyChallenge（所有者已证明向量后）和 setHashchainTip 的期限
+        buyerResponseDueAt: [Phase.VectorsVerified, Phase.AwaitingHashchainTip].includes(phase) ? lastActivityAt + BUYER_RESPONSE_WINDOW : null,
+        timeoutAt: lastActivityAt === 0 ? null : lastActivityAt + TRANSACTION_TIMEOUT
+      }
+    };
+  }
+
+  async getPhase(tokenId, buyer) {
+    return (await this.getTrade(tokenId, buyer)).phase;
+  }
+
+  // 结算后记入该地址、尚未提取的金额；token 为 ERC-20 地址，省略时为 ETH
+  async withdrawable(address, token = ethers.ZeroAddress) {
+    return token === ethers.ZeroAddress ? this.nmft.withdrawable(address) : this.nmft.withdrawableToken(address, token);
+  }
+
+  // 数据集的结算代币，ETH 结算时为 ethers.ZeroAddress
+  async paymentToken(tokenId) {
+    return this.nmft.getPaymentToken(tokenId);
+  }
+
+  // 结算代币的 ERC-20 合约
+  token(address, runner = this.nmft.runner) {
+    return new ethers.Contract(address, ERC20_ABI, runner);
+  }
+
+  // options.dryRun 为 true 时只检查前置条件并估算 gas，不发送交易
+  buyer(signer, options = {}) {
+    return new BuyerSession(this, signer, options);
+  }
+
+  owner(signer, options = {}) {
+    return new OwnerSession(this, signer, options);
+  }
+}
+
+// 会话基类：发送交易并把 revert 转换为错误类型
+class Session {
+  constructor(client, signer, options = {}) {
+    this.client = client;
+    this.signer = signer;
+    this.options = options;
+    this.nmft = client.nmft.connect(signer);
+  }
+
+  async address() {
+    return this.signer.getAddress();
+  }
+
+  async withdrawable(token = ethers.ZeroAddress) {
+    return this.client.withdrawable(await this.address(), token);
+  }
+
+  // 提取结算和退还押金记入的全部余额；token 为 ERC-20 地址，省略时提取 ETH
+  async withdraw(token = ethers.ZeroAddress) {
+    const amount = await this.withdrawable(token);
+    if (amount === 0n) {
+      throw new PreconditionError('Nothing to withdraw');
+    }
+    return token === ethers.ZeroAddress ? this._send('withdraw', []) : this._send('withdrawToken', [token]);
+  }
+
+  // 回应窗口结束后按领先的回应结算挑战，任何账户都可以调用
+  async finalizeChallenge(tokenId, buyer) {
+    const trade = await this.client.getTrade(tokenId, buyer);
+    expectPhase(trade, [Phase.VectorsVerified, Phase.ChallengeOpen], 'finalize challenge');
+    if (await this.client.now() < trade.deadlines.challengeWindowEndsAt) {
+      throw new PreconditionError('Challenge response window not closed yet', { phase: trade.phase });
+    }
+    return this._send('finalizeChallenge', [tokenId, buyer]);
+  }
+
+  // 买家逾期未验证挑战或未设置 tip 时结算违约：所有者取回押金并获得补偿，买家其余质押退还；任何账户都可以调用
+  async claimBuyerDefault(tokenId, buyer) {
+    const trade = await this.client.getTrade(tokenId, buyer);
+    expectPhase(trade, [Phase.VectorsVerified, Phase.AwaitingHashchainTip], 'claim buyer default');
+    if (!trade.request.vectorsVerified) {
+      throw new PreconditionError('Buyer not in default: the challenge was not answered', { phase: trade.phase });
+    }
+    if (await this.client.now() < trade.deadlines.buyerResponseDueAt) {
+      throw new PreconditionError('Buyer response deadline not passed yet', { phase: trade.phase });
+    }
+    return this._send('claimBuyerDefault', [tokenId, buyer]);
+  }
+
+  // 按请求记录的结算代币质押：ETH 随交易发送；ERC-20 在授权额度不足时先 approve，
+  // options.permit 为 true 时改为签名 EIP-2612 permit，与质押在同一笔交易中提交
+  async _deposit(method, args, amount, paymentToken, { permit = false } = {}) {
+    if (paymentToken === ethers.ZeroAddress) {
+      return this._send(method, args, { value: amount });
+    }
+    const token = this.client.token(paymentToken, this.signer);
+    const owner = await this.address();
+    const spender = await this.nmft.getAddress();
+    if (await token.balanceOf(owner) < amount) {
+      throw new PreconditionError(`Insufficient ${await token.symbol()} balance for deposit`);
+    }
+    if (permit) {
+      const deadline = await this.client.now() + PERMIT_VALIDITY;
+      const { v, r, s } = await this._signPermit(token, owner, spender, amount, deadline);
+      return this._send(`${method}WithPermit`, [...args, deadline, v, r, s]);
+    }
+    if (await token.allowance(owner, spender) < amount) {
+      if (this.options.dryRun) {
+        throw new PreconditionError('Insufficient allowance: approve the deposit or use a permit');
+      }
+      try {
+        await (await token.approve(spender, amount)).wait();
+      } catch (error) {
+        throw translateError(error);
+      }
+    }
+    return this._send(method, args);
+  }
+
+  async _signPermit(token, owner, spender, value, deadline) {
+    const { chainId } = await this.client.provider.getNetwork();
+    let domain;
+    try {
+      const { name, version } = await token.eip712Domain();
+      domain = { name, version };
+    } catch (error) {
+      // 未实现 EIP-5267 的代币按 OpenZeppelin ERC20Permit 的默认版本签名
+      domain = { name: await token.name(), version: '1' };
+    }
+    const signature = await this.signer.signTypedData(
+      { ...domain, chainId, verifyingContract: await token.getAddress() },
+      {
+        Permit: [
+          { name: 'owner', type: 'address' },
+          { name: 'spender', type: 'address' },
+          { name: 'value', type: 'uint256' },
+          { name: 'nonce', type: 'uint256' },
+          { name: 'deadline', type: 'uint256' }
+        ]
+      },
+      { owner, spender, value, nonce: await token.nonces(owner), deadline }
+    );
+    return ethers.Signature.from(signature);
+  }
+
+  async _send(method, args, overrides = {}) {
+    try {
+      if (this.options.dryRun) {
+        const gasEstimate = await this.nmft[method].estimateGas(...args, overrides);
+        return { dryRun: true, method, args, value: overrides.value, gasEstimate };
+      }
+      const tx = await this.nmft[method](...args, overrides);
+      return await tx.wait();
+    } catch (error) {
+      throw translateError(error);
+    }
+  }
+
+  // 检查超时（lastActivityTimestamp + TRANSACTION_TIMEOUT）是否已过
+  async _expectTimedOut(trade, action) {
+    const now = await this.client.now();
+    if (trade.deadlines.timeoutAt === null || now <= trade.deadlines.timeoutAt) {
+      throw new PreconditionError(`Cannot ${action} before the transaction times out`, { phase: trade.phase });
+    }
+  }
+}
+
+// 买家会话
+class BuyerSession extends Session {
+  async trade(tokenId) {
+    return this.client.getTrade(tokenId, await this.address());
+  }
+
+  async phase(tokenId) {
+    return (await this.trade(tokenId)).phase;
+  }
+
+  // 发起购买请求
+  async request(tokenId, {
+    reqBatchPrice,
+    reqBatchNumber,
+    tradeType = TradeType.DataOnly,
+    challengeSize,
+    nftTransferFee = 0n,
+    ownerDepositAmount
+  }) {
+    expectPhase(await this.trade(tokenId), Phase.None, 'request data purchase');
+    if (tradeType === TradeType.DataAndNFT && ethers.toBigInt(nftTransferFee) === 0n) {
+      throw new PreconditionError('DataAndNFT trades require an NFT transfer fee');
+    }
+    return this._send('requestDataPurchase', [
+      tokenId, reqBatchPrice, reqBatchNumber, tradeType, challengeSize, nftTransferFee, ownerDepositAmount
+    ]);
+  }
+
+  // 按请求中记录的金额和结算代币质押，options 见 Session._deposit
+  async deposit(tokenId, options = {}) {
+    const trade = await this.trade(tokenId);
+    expectPhase(trade, Phase.Confirmed, 'deposit');
+    return this._deposit('buyerDeposit', [tokenId], trade.request.buyerDepositAmount, trade.request.paymentToken, options);
+  }
+
+  async initiateChallenge(tokenId) {
+    expectPhase(await this.trade(tokenId), Phase.OwnerDeposited, 'initiate challenge');
+    return this._send('initiateChallenge', [tokenId]);
+  }
+
+  async verifyChallenge(tokenId) {
+    const trade = await this.trade(tokenId);
+    expectPhase(trade, [Phase.ChallengeInitiated, Phase.VectorsVerified], 'verify challenge');
+    if (trade.request.dataValidated) {
+      throw new PreconditionError('Buyer already verified', { phase: trade.phase });
+    }
+    await this._expectBeforeBuyerDeadline(trade);
+    return this._send('buyerVerifyChallenge', [tokenId]);
+  }
+
+  // 挑战窗口结束后确认挑战结束
+  async confirmChallengeEnd(tokenId) {
+    const trade = await this.trade(tokenId);
+    // 所有者已证明向量时必须先验证，未验证的买家已违约
+    expectPhase(trade, [Phase.ChallengeInitiated, Phase.ChallengeOpen], 'confirm challenge end');
+    if (await this.client.now() < trade.deadlines.challengeWindowEndsAt) {
+      throw new PreconditionError('Challenge response window not closed yet', { phase: trade.phase });
+    }
+    return this._send('buyerConfirmChallengeEnd', [tokenId]);
+  }
+
+  // 所有者逾期未响应挑战时取回质押并获得所有者押金
+  async claimOwnerDefault(tokenId) {
+    const trade = await this.trade(tokenId);
+    expectPhase(trade, Phase.ChallengeInitiated, 'claim owner default');
+    if (await this.client.now() < trade.deadlines.ownerResponseDueAt) {
+      throw new PreconditionError('Owner response deadline not passed yet', { phase: trade.phase });
+    }
+    return this._send('claimOwnerDefault', [tokenId]);
+  }
+
+  async setHashchainTip(tokenId, tip) {
+    const trade = await this.trade(tokenId);
+    expectPhase(trade, Phase.AwaitingHashchainTip, 'set hashchain tip');
+    if (!ethers.isHexString(tip, 32) || tip === ethers.ZeroHash) {
+      throw new PreconditionError('Hashchain tip must be a non-zero 32-byte hex string');
+    }
+    await this._expectBeforeBuyerDeadline(trade);
+    return this._send('setHashchainTip', [tokenId, tip]);
+  }
+
+  async _expectBeforeBuyerDeadline(trade) {
+    if (trade.deadlines.buyerResponseDueAt !== null && await this.client.now() >= trade.deadlines.buyerResponseDueAt) {
+      throw new PreconditionError('Buyer response deadline passed', { phase: trade.phase });
+    }
+  }
+
+  async withdrawDeposits(tokenId) {
+    const trade = await this.trade(tokenId);
+    expectPhase(trade, Object.values(Phase).filter(phase => phase !== Phase.None), 'withdraw deposits');
+    await this._expectTimedOut(trade, 'withdraw deposits');
+    return this._send('withdrawDeposits', [tokenId, await this.address()]);
+  }
+}
+
+// 所有者会话
+class OwnerSession extends Session {
+  async trade(tokenId, buyer) {
+    return this.client.getTrade(tokenId, buyer);
+  }
+
+  async _expectTokenOwner(tokenId) {
+    let owner;
+    try {
+      owner = await this.client.nmft.ownerOf(tokenId);
+    } catch (error) {
+      throw translateError(error);
+    }
+    const address = await this.address();
+    if (owner !== address) {
+      throw new NotAuthorizedError('Only the token owner can perform this action');
+    }
+  }
+
+  // 铸造数据 NFT，可用 mintedTokenId(receipt) 取得新的 tokenId；batchManifestRoot 为批次清单根，可省略；
+  // paymentToken 为结算使用的 ERC-20 地址，省略时以 ETH 结算
+  async mint({ to, tokenURI, batchPrice, batchNumber, nftTransferFee, merkleRoot, batchManifestRoot = ethers.ZeroHash, paymentToken = ethers.ZeroAddress, description = '' }) {
+    if (!ethers.isHexString(merkleRoot, 32)) {
+      throw new PreconditionError('Merkle root must be a 32-byte hex string');
+    }
+    if (!ethers.isHexString(batchManifestRoot, 32)) {
+      throw new PreconditionError('Batch manifest root must be a 32-byte hex string');
+    }
+    return this._send('mintDataNFT', [
+      to || await this.address(), tokenURI, batchPrice, batchNumber, nftTransferFee, merkleRoot, batchManifestRoot, paymentToken, description
+    ]);
+  }
+
+  async confirmRequest(tokenId, buyer) {
+    await this._expectTokenOwner(tokenId);
+    expectPhase(await this.trade(tokenId, buyer), Phase.Requested, 'confirm request');
+    return this._send('confirmRequest', [tokenId, buyer]);
+  }
+
+  // 按请求中记录的金额和结算代币质押，options 见 Session._deposit
+  async deposit(tokenId, buyer, options = {}) {
+    await this._expectTokenOwner(tokenId);
+    const trade = await this.trade(tokenId, buyer);
+    expectPhase(trade, Phase.BuyerDeposited, 'deposit');
+    return this._deposit('ownerDeposit', [tokenId, buyer], trade.request.ownerDepositAmount, trade.request.paymentToken, options);
+  }
+
+  // 响应挑战，response 可直接使用 FeatureTree.getChallengeResponse() 的结果
+  async respondToChallenge(tokenId, buyer, { vectors, merkleProofs, merkleRoots }) {
+    await this._expectTokenOwner(tokenId);
+    const trade = await this.trade(tokenId, buyer);
+    if (!trade.request.challengeInitiated || trade.request.vectorsVerified || trade.challenge.resolved) {
+      throw new PreconditionError(`Cannot respond to challenge in phase ${trade.phase}`, {
+        phase: trade.phase,
+        expected: [Phase.ChallengeInitiated]
+      });
+    }
+    if (await this.client.now() >= trade.deadlines.ownerResponseDueAt) {
+      throw new PreconditionError('Owner response deadline passed', { phase: trade.phase });
+    }
+    const challengeSize = Number(trade.request.challengeSize);
+    if (vectors.length !== challengeSize || merkleProofs.length !== challengeSize || merkleRoots.length !== challengeSize) {
+      throw new PreconditionError(`Challenge response must contain exactly ${challengeSize} vectors`, { phase: trade.phase });
+    }
+    return this._send('ownerResToChallenge', [tokenId, buyer, vectors, merkleProofs, merkleRoots]);
+  }
+
+  // 以更早登记的 challengerTokenId 响应其他 token 的挑战
+  // original 为 ChallengeVectorsRecorded 事件中的 { vectors, merkleRoots }，challenger 为自己特征树中对应的响应
+  async respondAsOtherOwner(tokenId, buyer, challengerTokenId, original, { vectors, merkleProofs, merkleRoots }) {
+    await this._expectTokenOwner(challengerTokenId);
+    const trade = await this.trade(tokenId, buyer);
+    expectPhase(trade, Phase.ChallengeOpen, 'respond as other owner');
+    if (await this.client.now() >= trade.deadlines.challengeWindowEndsAt) {
+      throw new PreconditionError('Challenge response window already closed', { phase: trade.phase });
+    }
+    const vectorCount = Number(trade.challenge.vectorCount);
+    if (original.vectors.length !== vectorCount || vectors.length !== vectorCount ||
+      merkleProofs.length !== vectorCount || merkleRoots.length !== vectorCount) {
+      throw new PreconditionError(`Challenge response must contain exactly ${vectorCount} vectors`, { phase: trade.phase });
+    }
+    return this._send('otherOwnersResToChallenge', [
+      tokenId, buyer, challengerTokenId,
+      original.vectors, original.merkleRoots,
+      vectors, merkleProofs, merkleRoots
+    ]);
+  }
+
+  // 确认最终支付，调用者必须是挑战胜利者
+  async confirmFinalPayment(tokenId, buyer, finalHash, newCompletedBatches) {
+    const trade = await this.trade(tokenId, buyer);
+    expectPhase(trade, Phase.Paying, 'confirm final payment');
+    if (trade.challenge.currentWinner !== await this.address()) {
+      throw new NotAuthorizedError('Only the challenge winner can confirm final payment');
+    }
+    const total = trade.hashchain.completedBatches + ethers.toBigInt(newCompletedBatches);
+    if (total > trade.request.reqBatchNumber) {
+      throw new PreconditionError('Completed batches exceed requested batches', { phase: trade.phase });
+    }
+    return this._send('confirmFinalPayment', [tokenId, buyer, finalHash, newCompletedBatches]);
+  }
+
+  async cleanupTransaction(tokenId, buyer) {
+    await this._expectTokenOwner(tokenId);
+    const trade = await this.trade(tokenId, buyer);
+    expectPhase(trade, Object.values(Phase).filter(phase => phase !== Phase.None), 'clean up transaction');
+    await this._expectTimedOut(trade, 'clean up transaction');
+    return this._send('ownerCleanupTransaction', [tokenId, buyer]);
+  }
+
+  async withdrawDeposits(tokenId, buyer) {
+    await this._expectTokenOwner(tokenId);
+    const trade = await this.trade(tokenId, buyer);
+    expectPhase(trade, Object.values(Phase).filter(phase => phase !== Phase.None), 'withdraw deposits');
+    await this._expectTimedOut(trade, 'withdraw deposits');
+    return this._send('withdrawDeposits', [tokenId, buyer]);
+  }
+}
+
+module.exports = {
+  ERC20_ABI,
+  CHALLENGE_RESPONSE_WINDOW,
+  TRANSACTION_TIMEOUT,
+  OWNER_RESPONSE_WINDOW,
+  BUYER_RESPONSE_WINDOW,
+  TradeType,
+  Phase,
+  NmftClient,
+  BuyerSession,
+  OwnerSession,
+  derivePhase,
+  mintedTokenId,
+  loadNmftAbi
+};
@@ -0,0 +1,402 @@
+const fs = require('fs');
+const http = require('http');
+const { ethers } = require('ethers');
+const { Phase } = require('./client');
+const { DeliveryError, ExchangeError } = require('./errors');
+const { BatchManifest, readDataset, splitDataset, committedManifestRoot } = require('./batches');
+const { countIterations } = require('./hashchain');
+const { signEnvelope, verifyEnvelope, readJson } = require('./exchange');
+const { writeFileAtomic } = require('./files');
+
+// 批次交付：所有者按批次发送数据，买家每收到一个批次释放下一个 Hashchain preimage
+
+const DELIVERY_STATE_VERSION = 1;
+
+const BATCH_REQUEST_TYPE = 'nmft.batchRequest';
+
+// 批次请求签名的有效期（秒），防止截获的请求被长期重放
+const DEFAULT_REQUEST_TTL = 5 * 60;
+
+function tradeKey(tokenId, buyer) {
+  return `${tokenId}:${ethers.getAddress(buyer)}`;
+}
+
+// 买家签名的批次请求，绑定链、合约、tokenId 和批次序号（从 1 开始）
+function batchRequestMessage({ chainId, contract, tokenId, buyer, index, issuedAt = Math.floor(Date.now() / 1000) }) {
+  return {
+    type: BATCH_REQUEST_TYPE,
+    version: DELIVERY_STATE_VERSION,
+    chainId: String(chainId),
+    contract: ethers.getAddress(contract),
+    tokenId: String(tokenId),
+    buyer: ethers.getAddress(buyer),
+    index,
+    issuedAt
+  };
+}
+
+// 所有者侧的交付服务：第 k 个批次只交给已为前 k-1 个批次给出有效 preimage 的买家，
+// 并定期用收到的最远 preimage 调用 confirmFinalPayment
+class DeliveryServer {
+  // datasets 为 [{ tokenId, data }]，data 为 Buffer、文件或目录路径，按链上 batchNumber 切分
+  constructor({ client, signer, datasets, host = '127.0.0.1', port = 0, statePath, confirmInterval = 60000, requestTtl = DEFAULT_REQUEST_TTL, logger = console }) {
+    if (!client || !signer) {
+      throw new Error('NmftClient and owner signer are required');
+    }
+    this.client = client;
+    this.signer = signer;
+    this.owner = client.owner(signer);
+    this.datasetSources = datasets;
+    this.host = host;
+    this.port = port;
+    this.statePath = statePath;
+    this.confirmInterval = confirmInterval;
+    this.requestTtl = requestTtl;
+    this.logger = logger;
+    this.datasets = new Map();
+    this.state = { version: DELIVERY_STATE_VERSION, trades: {} };
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    this._timer = null;
+    this._queue = Promise.resolve();
+  }
+
+  get url() {
+    const address = this.server.address();
+    return `http://${this.host}:${address.port}`;
+  }
+
+  async listen() {
+    this._load();
+    const network = await this.client.provider.getNetwork();
+    this.chainId = network.chainId.toString();
+    this.contract = ethers.getAddress(await this.client.nmft.getAddress());
+    this.address = ethers.getAddress(await this.signer.getAddress());
+    for (const { tokenId, data } of this.datasetSources) {
+      const { batchNumber } = await this.client.nmft.getDataInfo(tokenId);
+      const { data: content, files } = readDataset(data);
+      const chunks = splitDataset(content, batchNumber);
+      const manifest = BatchManifest.fromChunks(chunks, { tokenId, files });
+      // 链上已提交清单时，本地数据必须与之一致，否则买家会拒收每个批次
+      const { batchManifestRoot } = await this.client.nmft.getBatchManifest(tokenId);
+      if (batchManifestRoot !== ethers.ZeroHash && batchManifestRoot !== manifest.root) {
+        throw new Error(`Dataset for token ${tokenId} does not match the committed batch manifest ${batchManifestRoot}`);
+      }
+      this.datasets.set(String(tokenId), { chunks, manifest });
+    }
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    if (this.confirmInterval > 0) {
+      const tick = async () => {
+        try {
+          await this.confirmPending();
+        } catch (error) {
+          this.logger.error('Delivery confirmation failed:', error);
+        }
+        if (this._timer) {
+          this._timer = setTimeout(tick, this.confirmInterval);
+        }
+      };
+      this._timer = setTimeout(tick, this.confirmInterval);
+    }
+    return this.url;
+  }
+
+  async close() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    await this._queue;
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  _load() {
+    if (!this.statePath || !fs.existsSync(this.statePath)) {
+      return;
+    }
+    this.state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+    if (this.state.version !== DELIVERY_STATE_VERSION) {
+      throw new Error(`Unsupported delivery state version: ${this.state.version}`);
+    }
+  }
+
+  save() {
+    if (this.statePath) {
+      writeFileAtomic(this.statePath, JSON.stringify(this.state, null, 2));
+    }
+  }
+
+  // 链上交易只能串行确认，避免定时确认与全部付清时的确认重复提交
+  _enqueue(task) {
+    const result = this._queue.then(task);
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  _dataset(tokenId) {
+    const dataset = this.datasets.get(String(tokenId));
+    if (!dataset) {
+      throw new DeliveryError(`No dataset for token ${tokenId}`, { status: 404 });
+    }
+    return dataset;
+  }
+
+  manifest(tokenId) {
+    return this._dataset(tokenId).manifest;
+  }
+
+  // 读取链上交易并与本地记录同步；preimage 为目前已知的最远 preimage，received 为它覆盖的批次数
+  async _trade(tokenId, buyer) {
+    const trade = await this.client.getTrade(tokenId, buyer);
+    if (trade.phase !== Phase.Paying) {
+      throw new DeliveryError(`Trade on token ${tokenId} for ${buyer} is in phase ${trade.phase}`, { status: 409 });
+    }
+    if (ethers.getAddress(trade.challenge.currentWinner) !== this.address) {
+      throw new DeliveryError(`${this.address} is not the challenge winner on token ${tokenId}`, { status: 409 });
+    }
+    const key = tradeKey(tokenId, buyer);
+    const reqBatchNumber = Number(trade.request.reqBatchNumber);
+    const confirmed = Number(trade.hashchain.completedBatches);
+    let entry = this.state.trades[key];
+    // 本地 preimage 不在当前链上 tip 之前时，说明买家已开始新的交易，重新从 tip 开始
+    if (!entry || entry.received < confirmed ||
+      countIterations(entry.preimage, trade.hashchain.tip, reqBatchNumber) !== entry.received - confirmed) {
+      entry = { tokenId: String(tokenId), buyer: ethers.getAddress(buyer), preimage: trade.hashchain.tip, received: confirmed };
+    }
+    entry.reqBatchNumber = reqBatchNumber;
+    entry.confirmed = confirmed;
+    this.state.trades[key] = entry;
+    return entry;
+  }
+
+  // 接受买家释放的 preimage；全部批次付清时立即确认
+  async acceptPreimage(tokenId, buyer, preimage) {
+    if (!ethers.isAddress(buyer)) {
+      throw new DeliveryError('Invalid buyer address');
+    }
+    if (!ethers.isHexString(preimage, 32)) {
+      throw new DeliveryError('Preimage must be a 32-byte hex string');
+    }
+    this._dataset(tokenId);
+    const entry = await this._trade(tokenId, buyer);
+    const iterations = countIterations(preimage, entry.preimage, entry.reqBatchNumber - entry.received);
+    // 比已知 preimage 更早的 preimage（例如重启后补发）不改变进度
+    if (iterations < 0 && countIterations(entry.preimage, preimage, entry.received) < 0) {
+      throw new DeliveryError('Preimage is not on the hashchain', { status: 403 });
+    }
+    if (iterations > 0) {
+      entry.preimage = preimage;
+      entry.received += iterations;
+      this.save();
+    }
+    const result = { tokenId: entry.tokenId, buyer: entry.buyer, received: entry.received, reqBatchNumber: entry.reqBatchNumber };
+    if (entry.received === entry.reqBatchNumber) {
+      result.confirmation = await this._enqueue(() => this._confirm(tradeKey(tokenId, buyer)));
+    }
+    return result;
+  }
+
+  // 校验买家签名的批次请求，返回批次内容
+  async serveBatch(tokenId, index, envelope) {
+    const message = envelope && envelope.message;
+    if (!message || message.type !== BATCH_REQUEST_TYPE || !ethers.isAddress(message.buyer)) {
+      throw new DeliveryError('Not a batch request');
+    }
+    verifyEnvelope(envelope, message.buyer);
+    if (message.chainId !== this.chainId || !ethers.isAddress(message.contract) ||
+      ethers.getAddress(message.contract) !== this.contract) {
+      throw new DeliveryError('Batch request is for a different chain or contract');
+    }
+    if (message.tokenId !== String(tokenId) || message.index !== index) {
+      throw new DeliveryError('Batch request does not match the requested batch');
+    }
+    if (Math.abs(Math.floor(Date.now() / 1000) - message.issuedAt) > this.requestTtl) {
+      throw new DeliveryError('Batch request has expired', { status: 401 });
+    }
+
+    const { chunks } = this._dataset(tokenId);
+    const entry = await this._trade(tokenId, message.buyer);
+    if (!Number.isInteger(index) || index < 1 || index > entry.reqBatchNumber) {
+      throw new DeliveryError(`Batch ${index} is out of range 1..${entry.reqBatchNumber}`, { status: 404 });
+    }
+    if (entry.received < index - 1) {
+      throw new DeliveryError(`Batch ${index} requires a preimage for ${index - 1} batches, received ${entry.received}`, { status: 402 });
+    }
+    return chunks[index - 1];
+  }
+
+  // 为所有收到新 preimage 的交易调用 confirmFinalPayment，返回本轮的确认记录
+  async confirmPending() {
+    const results = [];
+    for (const key of Object.keys(this.state.trades)) {
+      const result = await this._enqueue(() => this._confirm(key));
+      if (result) {
+        results.push(result);
+      }
+    }
+    return results;
+  }
+
+  async _confirm(key) {
+    const entry = this.state.trades[key];
+    if (!entry) {
+      return null;
+    }
+    const trade = await this.client.getTrade(entry.tokenId, entry.buyer);
+    // 交易已付清清理或被清理时不再跟踪
+    if (trade.phase !== Phase.Paying) {
+      delete this.state.trades[key];
+      this.save();
+      return null;
+    }
+    const confirmed = Number(trade.hashchain.completedBatches);
+    if (entry.received <= confirmed) {
+      return null;
+    }
+    const batches = entry.received - confirmed;
+    const receipt = await this.owner.confirmFinalPayment(entry.tokenId, entry.buyer, entry.preimage, batches);
+    entry.confirmed = entry.received;
+    if (entry.received === entry.reqBatchNumber) {
+      delete this.state.trades[key];
+    }
+    this.save();
+    this.logger.info(`Confirmed ${batches} batches on token ${entry.tokenId} for ${entry.buyer} in ${receipt.hash}`);
+    return { tokenId: entry.tokenId, buyer: entry.buyer, batches, completedBatches: entry.received, txHash: receipt.hash };
+  }
+
+  async _handle(req, res) {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const parts = url.pathname.split('/').filter(Boolean);
+      if (parts[0] !== 'tokens' || parts.length < 3) {
+        throw new DeliveryError('Not found', { status: 404 });
+      }
+      const tokenId = parts[1];
+      if (req.method === 'GET' && parts[2] === 'manifest' && parts.length === 3) {
+        return send(200, this.manifest(tokenId).toJSON());
+      }
+      if (req.method !== 'POST') {
+        throw new DeliveryError('Method not allowed', { status: 405 });
+      }
+      const body = await readJson(req);
+      if (parts[2] === 'preimages' && parts.length === 3) {
+        return send(201, await this.acceptPreimage(tokenId, body.buyer, body.preimage));
+      }
+      if (parts[2] === 'batches' && parts.length === 4) {
+        const chunk = await this.serveBatch(tokenId, Number(parts[3]), body);
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': chunk.length });
+        return res.end(chunk);
+      }
+      throw new DeliveryError('Not found', { status: 404 });
+    } catch (error) {
+      const status = error instanceof DeliveryError || error instanceof ExchangeError ? error.status : 500;
+      send(status, { error: error.message });
+    }
+  }
+}
+
+// 买家侧的下载客户端：逐个下载批次，核对清单摘要后写入文件并释放下一个 preimage
+class DeliveryClient {
+  // hashchain 为本次交易的 BuyerHashchain，released 记录已收到的批次数
+  constructor({ url, client, signer, hashchain, logger = console }) {
+    this.url = url.replace(/\/+$/, '');
+    this.client = client;
+    this.signer = signer;
+    this.hashchain = hashchain;
+    this.logger = logger;
+  }
+
+  async _request(method, path, body) {
+    const response = await fetch(`${this.url}${path}`, {
+      method,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new DeliveryError(data.error || `Delivery request failed with status ${response.status}`, { status: response.status });
+    }
+    return response;
+  }
+
+  // 清单根必须与 expectedRoot 相同，未给出时使用链上提交的清单根（链上没有清单时只检查清单自身）
+  async getManifest(tokenId, expectedRoot) {
+    const data = await (await this._request('GET', `/tokens/${tokenId}/manifest`)).json();
+    const root = expectedRoot || await committedManifestRoot(this.client.nmft, tokenId, await this.signer.getAddress());
+    return BatchManifest.fromJSON(data, root);
+  }
+
+  async postPreimage(tokenId, preimage) {
+    const buyer = await this.signer.getAddress();
+    return (await this._request('POST', `/tokens/${tokenId}/preimages`, { buyer, preimage })).json();
+  }
+
+  async fetchBatch(tokenId, index) {
+    const network = await this.client.provider.getNetwork();
+    const message = batchRequestMessage({
+      chainId: network.chainId,
+      contract: await this.client.nmft.getAddress(),
+      tokenId,
+      buyer: await this.signer.getAddress(),
+      index
+    });
+    const response = await this._request('POST', `/tokens/${tokenId}/batches/${index}`, await signEnvelope(this.signer, message));
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  // 下载剩余批次（最多 limit 个）写入 outputPath，从 hashchain.released 处继续
+  async download(tokenId, { outputPath, limit = Infinity, manifestRoot } = {}) {
+    const trade = await this.client.getTrade(tokenId, await this.signer.getAddress());
+    if (trade.phase !== Phase.Paying) {
+      throw new DeliveryError(`Cannot download in phase ${trade.phase}`, { status: 409 });
+    }
+    const reqBatchNumber = Number(trade.request.reqBatchNumber);
+    if (this.hashchain.length !== reqBatchNumber) {
+      throw new Error(`Hashchain length ${this.hashchain.length} does not match ${reqBatchNumber} requested batches`);
+    }
+    const manifest = await this.getManifest(tokenId, manifestRoot);
+    if (manifest.batchNumber < reqBatchNumber) {
+      throw new Error(`Manifest has ${manifest.batchNumber} batches, ${reqBatchNumber} requested`);
+    }
+
+    // 重启后先补发已释放的 preimage，服务端可能尚未收到
+    if (this.hashchain.released > 0) {
+      await this.postPreimage(tokenId, this.hashchain.preimageFor(this.hashchain.released));
+    }
+    const fd = fs.openSync(outputPath, this.hashchain.released > 0 && fs.existsSync(outputPath) ? 'r+' : 'w');
+    const delivered = [];
+    let last;
+    try {
+      const end = Math.min(reqBatchNumber, this.hashchain.released + limit);
+      for (let index = this.hashchain.released + 1; index <= end; index++) {
+        const chunk = await this.fetchBatch(tokenId, index);
+        // 摘要不符时不释放 preimage，所有者拿不到这个批次的付款
+        manifest.verifyBatch(index, chunk);
+        fs.writeSync(fd, chunk, 0, chunk.length, manifest.offsetOf(index));
+        fs.fsyncSync(fd);
+        const { preimage } = this.hashchain.releaseFor(index);
+        last = await this.postPreimage(tokenId, preimage);
+        delivered.push(index);
+        this.logger.info(`Received batch ${index}/${reqBatchNumber} of token ${tokenId}`);
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+    return { manifest, delivered, released: this.hashchain.released, confirmation: last && last.confirmation };
+  }
+}
+
+module.exports = {
+  DELIVERY_STATE_VERSION,
+  BATCH_REQUEST_TYPE,
+  DEFAULT_REQUEST_TTL,
+  batchRequestMessage,
+  DeliveryServer,
+  DeliveryClient
+};
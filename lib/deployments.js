@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// 部署记录目录：每个网络一个 deployments/<network>.json
+const DEPLOYMENTS_DIR = path.join(__dirname, '../deployments');
+
+// hardhat 内置网络随进程结束而消失，部署不写入注册表
+const EPHEMERAL_NETWORKS = ['hardhat'];
+
+function deploymentPath(network, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${network}.json`);
+}
+
+// ABI 哈希：用于判断已部署合约与当前编译产物的接口是否一致
+function abiHash(abi) {
+  return ethers.id(JSON.stringify(abi));
+}
+
+// 从 hardhat 的 solidity 编译配置中取出影响字节码的设置
+function compilerSettings(compiler) {
+  const { version, settings = {} } = compiler;
+  return {
+    version,
+    viaIR: Boolean(settings.viaIR),
+    optimizer: settings.optimizer || { enabled: false },
+    evmVersion: settings.evmVersion || null
+  };
+}
+
+// 由部署回执构造一条部署记录
+function deploymentEntry({ address, deployer, initialOwner, projectionMatrixHash, receipt, compiler, abi }) {
+  return {
+    address,
+    deployer,
+    constructorArgs: { initialOwner, projectionMatrixHash },
+    blockNumber: receipt.blockNumber,
+    txHash: receipt.hash,
+    compiler: compilerSettings(compiler),
+    abiHash: abiHash(abi),
+    time: new Date().toISOString()
+  };
+}
+
+// 读取网络的部署记录，没有部署过时返回 null
+function loadDeployments(network, { dir = DEPLOYMENTS_DIR } = {}) {
+  const filePath = deploymentPath(network, dir);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid deployment registry ${filePath}: ${error.message}`);
+  }
+}
+
+// 写入新的部署记录，原来的当前部署移入 history（按时间从早到晚）
+function saveDeployment(network, chainId, entry, { dir = DEPLOYMENTS_DIR } = {}) {
+  const previous = loadDeployments(network, { dir });
+  if (previous && previous.chainId !== Number(chainId)) {
+    throw new Error(`Deployment registry for ${network} is for chain ${previous.chainId}, not ${chainId}`);
+  }
+  const registry = {
+    network,
+    chainId: Number(chainId),
+    current: entry,
+    history: previous ? [...previous.history, previous.current] : []
+  };
+  const filePath = deploymentPath(network, dir);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(registry, null, 2)}\n`);
+  return filePath;
+}
+
+// 网络当前部署的合约地址，没有部署记录时返回 undefined
+function deployedAddress(network, options = {}) {
+  const registry = loadDeployments(network, options);
+  return registry ? registry.current.address : undefined;
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  EPHEMERAL_NETWORKS,
+  deploymentPath,
+  abiHash,
+  compilerSettings,
+  deploymentEntry,
+  loadDeployments,
+  saveDeployment,
+  deployedAddress
+};
@@ -0,0 +1,173 @@
+// NMFT 客户端错误类型
+
+class NmftError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+}
+
+// 客户端在发送交易前检查到的前置条件不满足
+class PreconditionError extends NmftError {
+  constructor(message, { phase, expected } = {}) {
+    super(message);
+    this.phase = phase;
+    this.expected = expected;
+  }
+}
+
+// 合约 revert 的基类，reason 为原始 revert 字符串
+class ContractRevertError extends NmftError {
+  constructor(reason, options = {}) {
+    super(reason || 'Transaction reverted', options);
+    this.reason = reason;
+  }
+}
+
+// 调用者无权执行该操作
+class NotAuthorizedError extends ContractRevertError {}
+
+// 交易所处的阶段不允许该操作（对应合约中的状态修饰器）
+class InvalidStateError extends ContractRevertError {}
+
+// 时间窗口或超时条件未满足
+class TimingError extends ContractRevertError {}
+
+// 参数或金额不正确
+class InvalidInputError extends ContractRevertError {}
+
+// Merkle 证明或 Hashchain 校验失败
+class ProofError extends ContractRevertError {}
+
+// 链下挑战索引交换服务拒绝的请求，status 为 HTTP 状态码
+class ExchangeError extends NmftError {
+  constructor(message, { status = 400, cause } = {}) {
+    super(message, { cause });
+    this.status = status;
+  }
+}
+
+// 批次交付服务拒绝的请求，status 为 HTTP 状态码
+class DeliveryError extends NmftError {
+  constructor(message, { status = 400, cause } = {}) {
+    super(message, { cause });
+    this.status = status;
+  }
+}
+
+// 合约 revert 字符串到错误类型的映射
+const REVERT_REASONS = {
+  'Not authorized to transfer': NotAuthorizedError,
+  'Only the token owner can perform this action': NotAuthorizedError,
+  'Only the challenge winner can confirm final payment': NotAuthorizedError,
+  'Caller is neither buyer nor owner': NotAuthorizedError,
+  'Ownable: caller is not the owner': NotAuthorizedError,
+
+  'Token does not exist': InvalidStateError,
+  'ERC721: invalid token ID': InvalidStateError,
+  'No valid request found': InvalidStateError,
+  'Request already made': InvalidStateError,
+  'Request not confirmed yet': InvalidStateError,
+  'Request already confirmed': InvalidStateError,
+  'Buyer has not deposited yet': InvalidStateError,
+  'Buyer already deposited': InvalidStateError,
+  'Owner has not deposited yet': InvalidStateError,
+  'Owner already deposited': InvalidStateError,
+  'Challenge not initiated yet': InvalidStateError,
+  'Challenge already initiated': InvalidStateError,
+  'Challenge does not exist': InvalidStateError,
+  'Challenge already resolved': InvalidStateError,
+  'Challenge not resolved yet': InvalidStateError,
+  'Vectors not verified yet': InvalidStateError,
+  'Vectors already verified': InvalidStateError,
+  'Buyer has not verified yet': InvalidStateError,
+  'Buyer already verified': InvalidStateError,
+  'Hashchain tip already set': InvalidStateError,
+  'Hashchain not initialized': InvalidStateError,
+  'Payment already completed': InvalidStateError,
+  'Insufficient buyer deposit': InvalidStateError,
+  'Insufficient owner deposit': InvalidStateError,
+  'Owner defaulted on challenge': InvalidStateError,
+  'Buyer not in default': InvalidStateError,
+  'Buyer defaulted on challenge': InvalidStateError,
+  'Nothing to withdraw': InvalidStateError,
+  'Withdrawal failed': InvalidStateError,
+
+  'Challenge response window not closed yet': TimingError,
+  'Transaction has not timed out yet': TimingError,
+  'Owner response deadline passed': TimingError,
+  'Owner response deadline not passed yet': TimingError,
+  'Buyer response deadline passed': TimingError,
+  'Buyer response deadline not passed yet': TimingError,
+
+  'Invalid threshold value': InvalidInputError,
+  'Merkle root already exists': InvalidInputError,
+  'Invalid trade type or missing NFT fee': InvalidInputError,
+  'Invalid batch price or number': InvalidInputError,
+  'Requested batch number exceeds available batches': InvalidInputError,
+  'Incorrect buyer deposit amount': InvalidInputError,
+  'Incorrect owner deposit amount': InvalidInputError,
+  'Input lengths must equal to challengeSize': InvalidInputError,
+  'Input lengths mismatch': InvalidInputError,
+  'Invalid tip: cannot be zero': InvalidInputError,
+  'Invalid batch number': InvalidInputError,
+  'Completed batches exceed requested batches': InvalidInputError,
+  'TokenId mismatch': InvalidInputError,
+  'Batch manifest required for new batch number': InvalidInputError,
+  'ETH not accepted for token payments': InvalidInputError,
+  'Payment token is not a contract': InvalidInputError,
+  'Permit requires an ERC-20 payment token': InvalidInputError,
+
+  'Invalid Merkle root': ProofError,
+  'Invalid Merkle proof': ProofError,
+  'Combined hash mismatch': ProofError,
+  'Invalid final hash': ProofError
+};
+
+// 从 ethers / Hardhat 的错误对象中提取 revert 字符串
+function extractRevertReason(error) {
+  if (!error) {
+    return undefined;
+  }
+  if (typeof error.reason === 'string' && error.reason) {
+    return error.reason;
+  }
+  const match = /reverted with reason string '(.*)'/.exec(error.message || '') ||
+    /execution reverted: "?([^"]*)"?/.exec(error.message || '');
+  if (match) {
+    return match[1];
+  }
+  return error.error ? extractRevertReason(error.error) : undefined;
+}
+
+// 将合约 revert 转换为对应的错误类型，非 revert 错误原样返回
+function translateError(error) {
+  if (error instanceof NmftError) {
+    return error;
+  }
+  const reason = extractRevertReason(error);
+  if (reason === undefined) {
+    return error;
+  }
+  const ErrorClass = REVERT_REASONS[reason] || ContractRevertError;
+  return new ErrorClass(reason, { cause: error });
+}
+
+module.exports = {
+  NmftError,
+  PreconditionError,
+  ContractRevertError,
+  NotAuthorizedError,
+  InvalidStateError,
+  TimingError,
+  InvalidInputError,
+  ProofError,
+  ExchangeError,
+  DeliveryError,
+  REVERT_REASONS,
+  extractRevertReason,
+  translateError
+};
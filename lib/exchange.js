@@ -0,0 +1,544 @@
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { WebSocketServer, WebSocket } = require('ws');
+const { ExchangeError, PreconditionError } = require('./errors');
+
+// 链下挑战索引交换：买家签名发布挑战索引列表 L_c，所有者签名回执并在链上响应
+
+const EXCHANGE_MESSAGE_VERSION = 1;
+
+const MessageType = Object.freeze({
+  ChallengeIndices: 'nmft.challengeIndices',
+  Receipt: 'nmft.receipt',
+  ChallengeResponse: 'nmft.challengeResponse'
+});
+
+// 回执签名方：owner 确认收到挑战索引，buyer 确认收到响应
+const ReceiptRole = Object.freeze({
+  Owner: 'owner',
+  Buyer: 'buyer'
+});
+
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// 键排序后的 JSON，签名和摘要都基于此字符串
+function canonicalize(value) {
+  if (typeof value === 'bigint') {
+    return JSON.stringify(value.toString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function messageDigest(message) {
+  return ethers.keccak256(ethers.toUtf8Bytes(canonicalize(message)));
+}
+
+// 使用 EIP-191 (personal_sign) 对消息签名
+async function signEnvelope(signer, message) {
+  return {
+    message,
+    signature: await signer.signMessage(canonicalize(message)),
+    signer: await signer.getAddress()
+  };
+}
+
+// 验证签名并返回签名者地址，expectedSigner 不为空时必须一致
+function verifyEnvelope(envelope, expectedSigner) {
+  if (!envelope || !envelope.message || typeof envelope.message !== 'object' || typeof envelope.signature !== 'string') {
+    throw new ExchangeError('Malformed envelope');
+  }
+  let signer;
+  try {
+    signer = ethers.verifyMessage(canonicalize(envelope.message), envelope.signature);
+  } catch (error) {
+    throw new ExchangeError('Invalid signature', { cause: error });
+  }
+  if (envelope.signer && !sameAddress(envelope.signer, signer)) {
+    throw new ExchangeError('Signature does not match the claimed signer', { status: 403 });
+  }
+  if (expectedSigner && !sameAddress(expectedSigner, signer)) {
+    throw new ExchangeError(`Message must be signed by ${expectedSigner}`, { status: 403 });
+  }
+  return signer;
+}
+
+function sameAddress(a, b) {
+  return ethers.isAddress(a) && ethers.isAddress(b) && ethers.getAddress(a) === ethers.getAddress(b);
+}
+
+// 构建挑战索引消息，绑定链、合约、tokenId、买家以及本次挑战的发起时间
+function challengeIndicesMessage({ chainId, contract, tokenId, buyer, challengeSize, initiatedTimestamp, indices }) {
+  const message = {
+    type: MessageType.ChallengeIndices,
+    version: EXCHANGE_MESSAGE_VERSION,
+    chainId: String(chainId),
+    contract: ethers.getAddress(contract),
+    tokenId: String(tokenId),
+    buyer: ethers.getAddress(buyer),
+    challengeSize: Number(challengeSize),
+    initiatedTimestamp: String(initiatedTimestamp),
+    indices: indices.map(Number)
+  };
+  validateChallengeIndices(message);
+  return message;
+}
+
+function validateChallengeIndices(message) {
+  if (message.type !== MessageType.ChallengeIndices || message.version !== EXCHANGE_MESSAGE_VERSION) {
+    throw new ExchangeError('Unsupported challenge message');
+  }
+  for (const field of ['chainId', 'tokenId', 'initiatedTimestamp']) {
+    if (typeof message[field] !== 'string' || !/^\d+$/.test(message[field])) {
+      throw new ExchangeError(`Invalid ${field}`);
+    }
+  }
+  if (!ethers.isAddress(message.contract) || !ethers.isAddress(message.buyer)) {
+    throw new ExchangeError('Invalid contract or buyer address');
+  }
+  const { indices, challengeSize } = message;
+  if (!Array.isArray(indices) || !indices.every(index => Number.isSafeInteger(index) && index >= 0)) {
+    throw new ExchangeError('Challenge indices must be non-negative integers');
+  }
+  if (indices.length !== challengeSize) {
+    throw new ExchangeError(`Expected ${challengeSize} challenge indices, got ${indices.length}`);
+  }
+  if (new Set(indices).size !== indices.length) {
+    throw new ExchangeError('Challenge indices must be unique');
+  }
+}
+
+// 确认收到 subject 消息的回执
+function receiptMessage(subject, { role, receivedAt = Math.floor(Date.now() / 1000) }) {
+  if (!Object.values(ReceiptRole).includes(role)) {
+    throw new ExchangeError(`Unknown receipt role: ${role}`);
+  }
+  return {
+    type: MessageType.Receipt,
+    version: EXCHANGE_MESSAGE_VERSION,
+    role,
+    subject: messageDigest(subject.message),
+    subjectType: subject.message.type,
+    subjectSignature: subject.signature,
+    receivedAt
+  };
+}
+
+// 所有者链上响应后发布的消息，txHash 指向 ownerResToChallenge 交易
+function challengeResponseMessage(challenge, { txHash }) {
+  return {
+    type: MessageType.ChallengeResponse,
+    version: EXCHANGE_MESSAGE_VERSION,
+    challenge: messageDigest(challenge.message),
+    tokenId: challenge.message.tokenId,
+    buyer: challenge.message.buyer,
+    indices: challenge.message.indices,
+    txHash
+  };
+}
+
+// 随机选取 count 个不重复的索引，范围为 [0, range)
+function randomIndices(count, range) {
+  if (count > range) {
+    throw new PreconditionError(`Cannot pick ${count} unique indices from ${range} leaves`);
+  }
+  const picked = new Set();
+  while (picked.size < count) {
+    picked.add(crypto.randomInt(range));
+  }
+  return [...picked];
+}
+
+// 买家：根据链上挑战状态创建并签名挑战索引列表
+async function createChallengeIndices(client, signer, tokenId, indices) {
+  const buyer = await signer.getAddress();
+  const trade = await client.getTrade(tokenId, buyer);
+  if (!trade.request.challengeInitiated || trade.challenge.initiatedTimestamp === 0n) {
+    throw new PreconditionError('Challenge not initiated yet', { phase: trade.phase });
+  }
+  const network = await client.provider.getNetwork();
+  return signEnvelope(signer, challengeIndicesMessage({
+    chainId: network.chainId,
+    contract: await client.nmft.getAddress(),
+    tokenId,
+    buyer,
+    challengeSize: trade.request.challengeSize,
+    initiatedTimestamp: trade.challenge.initiatedTimestamp,
+    indices
+  }));
+}
+
+// 检查一条交换记录中的全部签名，可作为争议证据独立验证
+function verifyRecord(record) {
+  const challenge = record.challenge;
+  const buyer = verifyEnvelope(challenge, challenge.message.buyer);
+  validateChallengeIndices(challenge.message);
+  const digest = messageDigest(challenge.message);
+  const receipts = record.receipts.map(receipt => {
+    const signer = verifyEnvelope(receipt);
+    const subject = receipt.message.role === ReceiptRole.Owner ? digest : record.response && messageDigest(record.response.message);
+    if (receipt.message.subject !== subject) {
+      throw new ExchangeError('Receipt does not refer to this exchange');
+    }
+    return { role: receipt.message.role, signer, receivedAt: receipt.message.receivedAt };
+  });
+  let response = null;
+  if (record.response) {
+    if (record.response.message.challenge !== digest) {
+      throw new ExchangeError('Response does not refer to this challenge');
+    }
+    response = { signer: verifyEnvelope(record.response), txHash: record.response.message.txHash };
+  }
+  return { digest, buyer, receipts, response };
+}
+
+// 挑战索引交换服务：HTTP 接口发布和查询，WebSocket 推送新消息
+class ExchangeServer {
+  // client 为只读的 NmftClient，用于检查链上挑战状态和 token 所有者
+  constructor({ client, host = '127.0.0.1', port = 0, storePath } = {}) {
+    if (!client) {
+      throw new Error('NmftClient is required');
+    }
+    this.client = client;
+    this.host = host;
+    this.port = port;
+    this.storePath = storePath;
+    this.records = new Map();
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    this.wss = new WebSocketServer({ server: this.server, path: '/ws' });
+  }
+
+  get url() {
+    const address = this.server.address();
+    return `http://${this.host}:${address.port}`;
+  }
+
+  async listen() {
+    this._load();
+    const network = await this.client.provider.getNetwork();
+    this.chainId = network.chainId.toString();
+    this.contract = ethers.getAddress(await this.client.nmft.getAddress());
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    return this.url;
+  }
+
+  async close() {
+    for (const socket of this.wss.clients) {
+      socket.terminate();
+    }
+    await new Promise(resolve => this.wss.close(resolve));
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  // 从存储文件恢复已接受的消息（写入时已经校验过）
+  _load() {
+    if (!this.storePath || !fs.existsSync(this.storePath)) {
+      return;
+    }
+    for (const line of fs.readFileSync(this.storePath, 'utf8').split('\n')) {
+      if (line.trim()) {
+        const entry = JSON.parse(line);
+        this._store(entry.kind, entry.digest, entry.envelope, false);
+      }
+    }
+  }
+
+  _store(kind, digest, envelope, persist = true) {
+    if (kind === 'challenge') {
+      this.records.set(digest, { digest, challenge: envelope, receipts: [], response: null });
+    } else if (kind === 'receipt') {
+      this.records.get(digest).receipts.push(envelope);
+    } else if (kind === 'response') {
+      this.records.get(digest).response = envelope;
+    }
+    if (persist && this.storePath) {
+      fs.appendFileSync(this.storePath, `${JSON.stringify({ kind, digest, envelope })}\n`);
+    }
+  }
+
+  _broadcast(type, record) {
+    const data = JSON.stringify({ type, digest: record.digest, record });
+    for (const socket of this.wss.clients) {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(data);
+      }
+    }
+  }
+
+  _record(digest) {
+    const record = this.records.get(digest);
+    if (!record) {
+      throw new ExchangeError('Challenge not found', { status: 404 });
+    }
+    return record;
+  }
+
+  async _tokenOwner(tokenId) {
+    return this.client.nmft.ownerOf(tokenId);
+  }
+
+  // 接受买家签名的挑战索引列表
+  async acceptChallenge(envelope) {
+    const message = envelope && envelope.message;
+    if (!message) {
+      throw new ExchangeError('Malformed envelope');
+    }
+    validateChallengeIndices(message);
+    verifyEnvelope(envelope, message.buyer);
+    if (message.chainId !== this.chainId || !sameAddress(message.contract, this.contract)) {
+      throw new ExchangeError('Challenge is for a different chain or contract');
+    }
+
+    const trade = await this.client.getTrade(message.tokenId, message.buyer);
+    if (trade.challenge.initiatedTimestamp.toString() !== message.initiatedTimestamp) {
+      throw new ExchangeError('Challenge does not match the on-chain challenge', { status: 409 });
+    }
+    if (trade.request.challengeSize !== BigInt(message.challengeSize)) {
+      throw new ExchangeError('Challenge size does not match the request', { status: 409 });
+    }
+
+    const digest = messageDigest(message);
+    if (this.records.has(digest)) {
+      return this.records.get(digest);
+    }
+    // 同一次挑战只接受一份索引列表，买家不能在看到响应前更换索引
+    for (const record of this.records.values()) {
+      const existing = record.challenge.message;
+      if (existing.tokenId === message.tokenId && sameAddress(existing.buyer, message.buyer) &&
+        existing.initiatedTimestamp === message.initiatedTimestamp && existing.contract === message.contract) {
+        throw new ExchangeError('Challenge indices already posted for this challenge', { status: 409 });
+      }
+    }
+    this._store('challenge', digest, envelope);
+    const record = this.records.get(digest);
+    this._broadcast('challenge', record);
+    return record;
+  }
+
+  // 接受回执：owner 回执由 token 所有者签名，buyer 回执由买家针对响应签名
+  async acceptReceipt(digest, envelope) {
+    const record = this._record(digest);
+    const message = envelope && envelope.message;
+    if (!message || message.type !== MessageType.Receipt) {
+      throw new ExchangeError('Not a receipt');
+    }
+    let expectedSigner;
+    let subject;
+    if (message.role === ReceiptRole.Owner) {
+      expectedSigner = await this._tokenOwner(record.challenge.message.tokenId);
+      subject = record.challenge;
+    } else if (message.role === ReceiptRole.Buyer) {
+      if (!record.response) {
+        throw new ExchangeError('No response to acknowledge yet', { status: 409 });
+      }
+      expectedSigner = record.challenge.message.buyer;
+      subject = record.response;
+    } else {
+      throw new ExchangeError(`Unknown receipt role: ${message.role}`);
+    }
+    verifyEnvelope(envelope, expectedSigner);
+    if (message.subject !== messageDigest(subject.message) || message.subjectSignature !== subject.signature) {
+      throw new ExchangeError('Receipt does not refer to this message');
+    }
+    if (!record.receipts.some(receipt => receipt.signature === envelope.signature)) {
+      this._store('receipt', digest, envelope);
+      this._broadcast('receipt', record);
+    }
+    return record;
+  }
+
+  // 接受所有者签名的响应消息
+  async acceptResponse(digest, envelope) {
+    const record = this._record(digest);
+    const message = envelope && envelope.message;
+    if (!message || message.type !== MessageType.ChallengeResponse || message.challenge !== digest) {
+      throw new ExchangeError('Response does not refer to this challenge');
+    }
+    if (!ethers.isHexString(message.txHash, 32)) {
+      throw new ExchangeError('Invalid transaction hash');
+    }
+    verifyEnvelope(envelope, await this._tokenOwner(record.challenge.message.tokenId));
+    if (record.response) {
+      throw new ExchangeError('Challenge already answered', { status: 409 });
+    }
+    this._store('response', digest, envelope);
+    this._broadcast('response', record);
+    return record;
+  }
+
+  list({ tokenId, buyer, pending } = {}) {
+    return [...this.records.values()].filter(record => {
+      const message = record.challenge.message;
+      return (tokenId === undefined || message.tokenId === String(tokenId)) &&
+        (buyer === undefined || sameAddress(message.buyer, buyer)) &&
+        (!pending || !record.response);
+    });
+  }
+
+  async _handle(req, res) {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const parts = url.pathname.split('/').filter(Boolean);
+      if (parts[0] !== 'challenges' || parts.length > 3) {
+        throw new ExchangeError('Not found', { status: 404 });
+      }
+      if (req.method === 'GET' && parts.length === 1) {
+        const query = Object.fromEntries(url.searchParams);
+        return send(200, { challenges: this.list({ ...query, pending: query.pending === 'true' }) });
+      }
+      if (req.method === 'GET' && parts.length === 2) {
+        return send(200, this._record(parts[1]));
+      }
+      if (req.method !== 'POST') {
+        throw new ExchangeError('Method not allowed', { status: 405 });
+      }
+      const body = await readJson(req);
+      if (parts.length === 1) {
+        return send(201, await this.acceptChallenge(body));
+      }
+      if (parts[2] === 'receipts') {
+        return send(201, await this.acceptReceipt(parts[1], body));
+      }
+      if (parts[2] === 'response') {
+        return send(201, await this.acceptResponse(parts[1], body));
+      }
+      throw new ExchangeError('Not found', { status: 404 });
+    } catch (error) {
+      const status = error instanceof ExchangeError ? error.status : 500;
+      send(status, { error: error.message });
+    }
+  }
+}
+
+// 读取 JSON 请求体，超过 MAX_BODY_SIZE 时拒绝
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new ExchangeError('Request body too large', { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new ExchangeError('Invalid JSON body', { cause: error }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// 交换服务的 HTTP / WebSocket 客户端
+class ExchangeClient {
+  constructor(url) {
+    this.url = url.replace(/\/+$/, '');
+  }
+
+  async _request(method, path, body) {
+    const response = await fetch(`${this.url}${path}`, {
+      method,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new ExchangeError(data.error || `Exchange request failed with status ${response.status}`, { status: response.status });
+    }
+    return data;
+  }
+
+  postChallenge(envelope) {
+    return this._request('POST', '/challenges', envelope);
+  }
+
+  getChallenge(digest) {
+    return this._request('GET', `/challenges/${digest}`);
+  }
+
+  async listChallenges(query = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query)) {
+      if (value !== undefined) {
+        params.set(key, String(value));
+      }
+    }
+    return (await this._request('GET', `/challenges?${params}`)).challenges;
+  }
+
+  postReceipt(digest, envelope) {
+    return this._request('POST', `/challenges/${digest}/receipts`, envelope);
+  }
+
+  postResponse(digest, envelope) {
+    return this._request('POST', `/challenges/${digest}/response`, envelope);
+  }
+
+  // 订阅新消息，handler 收到 { type, digest, record }
+  subscribe(handler, { onError = () => {} } = {}) {
+    const socket = new WebSocket(`${this.url.replace(/^http/, 'ws')}/ws`);
+    socket.on('message', data => {
+      Promise.resolve()
+        .then(() => handler(JSON.parse(data.toString())))
+        .catch(onError);
+    });
+    socket.on('error', onError);
+    return new Promise((resolve, reject) => {
+      socket.once('open', () => resolve(socket));
+      socket.once('error', reject);
+    });
+  }
+}
+
+// 买家：确认收到所有者的响应，返回已发布的回执
+async function acknowledgeResponse(exchange, signer, digest) {
+  const record = await exchange.getChallenge(digest);
+  if (!record.response) {
+    throw new PreconditionError('Owner has not responded yet');
+  }
+  verifyEnvelope(record.challenge, await signer.getAddress());
+  const receipt = await signEnvelope(signer, receiptMessage(record.response, { role: ReceiptRole.Buyer }));
+  await exchange.postReceipt(digest, receipt);
+  return receipt;
+}
+
+module.exports = {
+  EXCHANGE_MESSAGE_VERSION,
+  MessageType,
+  ReceiptRole,
+  canonicalize,
+  messageDigest,
+  signEnvelope,
+  verifyEnvelope,
+  verifyRecord,
+  challengeIndicesMessage,
+  receiptMessage,
+  challengeResponseMessage,
+  randomIndices,
+  createChallengeIndices,
+  acknowledgeResponse,
+  readJson,
+  ExchangeServer,
+  ExchangeClient
+};
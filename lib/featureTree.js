@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { MerkleTree } = require('merkletreejs');
+const keccak256 = require('keccak256');
+
+// 特征树文件格式版本，格式变化时递增
+const FEATURE_TREE_FORMAT_VERSION = 1;
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+// 将向量规范化为 BigInt，并检查是否在 uint256 范围内
+function toVector(value) {
+  const vector = ethers.toBigInt(value);
+  if (vector < 0n || vector > ethers.MaxUint256) {
+    throw new Error(`Vector out of uint256 range: ${value}`);
+  }
+  return vector;
+}
+
+// 计算叶子哈希，与合约中的 keccak256(abi.encodePacked(vector)) 一致
+function leafHash(vector) {
+  return ethers.keccak256(abiCoder.encode(['uint256'], [toVector(vector)]));
+}
+
+// 本地验证 Merkle 证明，与合约 _validateMerkleProof 使用的 MerkleProof.verify 一致（有序拼接）
+function verifyProof(vector, proof, root) {
+  let computed = leafHash(vector);
+  for (const sibling of proof) {
+    computed = computed.toLowerCase() < sibling.toLowerCase()
+      ? ethers.keccak256(ethers.concat([computed, sibling]))
+      : ethers.keccak256(ethers.concat([sibling, computed]));
+  }
+  return computed.toLowerCase() === root.toLowerCase();
+}
+
+// 特征 Merkle 树：保存原始顺序的 256 位 LSH 向量及其 Merkle 树
+class FeatureTree {
+  constructor(vectors, params = {}) {
+    if (!Array.isArray(vectors) || vectors.length === 0) {
+      throw new Error('Feature tree requires at least one vector');
+    }
+    this.vectors = vectors.map(toVector);
+    this.params = { ...params };
+    this.leaves = this.vectors.map(leafHash);
+    this._tree = new MerkleTree(this.leaves, keccak256, { sort: true });
+    this.root = this._tree.getHexRoot();
+  }
+
+  // 从 LSH 向量构建特征树
+  static fromVectors(vectors, params = {}) {
+    return new FeatureTree(vectors, params);
+  }
+
+  get size() {
+    return this.vectors.length;
+  }
+
+  // 获取第 index 个向量的 Merkle 证明
+  getProof(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.vectors.length) {
+      throw new Error(`Vector index out of range: ${index}`);
+    }
+    return this._tree.getHexProof(this.leaves[index]);
+  }
+
+  // 生成所有向量的 Merkle 证明
+  getProofs() {
+    return this.vectors.map((_, index) => this.getProof(index));
+  }
+
+  // 按挑战索引列表 L_c 生成 ownerResToChallenge / otherOwnersResToChallenge 所需的参数
+  getChallengeResponse(indices = this.vectors.map((_, index) => index)) {
+    const merkleProofs = indices.map(index => this.getProof(index));
+    return {
+      vectors: indices.map(index => this.vectors[index]),
+      merkleProofs,
+      merkleRoots: indices.map(() => this.root)
+    };
+  }
+
+  // 本地验证第 index 个向量的证明
+  verify(index) {
+    return verifyProof(this.vectors[index], this.getProof(index), this.root);
+  }
+
+  toJSON() {
+    return {
+      version: FEATURE_TREE_FORMAT_VERSION,
+      root: this.root,
+      params: this.params,
+      leaves: this.vectors.map((vector, index) => ({
+        vector: ethers.toBeHex(vector, 32),
+        hash: this.leaves[index]
+      }))
+    };
+  }
+
+  // 由 JSON 对象恢复特征树，并检查叶子哈希和树根
+  static fromJSON(data) {
+    if (!data || data.version !== FEATURE_TREE_FORMAT_VERSION) {
+      throw new Error(`Unsupported feature tree format version: ${data && data.version}`);
+    }
+    if (!Array.isArray(data.leaves)) {
+      throw new Error('Feature tree file has no leaves');
+    }
+
+    const tree = new FeatureTree(data.leaves.map(leaf => leaf.vector), data.params);
+    data.leaves.forEach((leaf, index) => {
+      if (leaf.hash && leaf.hash.toLowerCase() !== tree.leaves[index].toLowerCase()) {
+        throw new Error(`Leaf hash mismatch at index ${index}`);
+      }
+    });
+    if (tree.root.toLowerCase() !== String(data.root).toLowerCase()) {
+      throw new Error(`Merkle root mismatch: expected ${data.root}, got ${tree.root}`);
+    }
+    return tree;
+  }
+
+  // 保存特征树到 JSON 文件
+  save(filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(this.toJSON(), null, 2));
+  }
+
+  // 从 JSON 文件加载特征树
+  static load(filePath) {
+    return FeatureTree.fromJSON(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+}
+
+module.exports = {
+  FEATURE_TREE_FORMAT_VERSION,
+  FeatureTree,
+  leafHash,
+  verifyProof
+};
@@ -0,0 +1,14 @@
+const fs = require('fs');
+const path = require('path');
+
+// 原子写入文件，并限制为仅当前用户可读写
+function writeFileAtomic(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, content, { mode: 0o600 });
+  fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+  writeFileAtomic
+};
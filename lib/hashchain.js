@@ -0,0 +1,210 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { writeFileAtomic } = require('./files');
+
+// Hashchain 文件格式版本
+const HASHCHAIN_FORMAT_VERSION = 1;
+
+// 计算一次哈希，与合约 keccak256(abi.encodePacked(bytes32)) 一致
+function hashOnce(value) {
+  return ethers.keccak256(value);
+}
+
+// 对 value 连续哈希 iterations 次
+function hashIterations(value, iterations) {
+  let result = value;
+  for (let i = 0; i < iterations; i++) {
+    result = hashOnce(result);
+  }
+  return result;
+}
+
+// 计算 preimage 需要哈希多少次才能得到 tip，超过 maxIterations 仍未命中则返回 -1
+function countIterations(preimage, tip, maxIterations) {
+  let current = preimage;
+  const target = tip.toLowerCase();
+  for (let i = 0; i <= maxIterations; i++) {
+    if (current.toLowerCase() === target) {
+      return i;
+    }
+    current = hashOnce(current);
+  }
+  return -1;
+}
+
+// 买家侧的 Hashchain：h_0 = seed，h_k = keccak256(h_{k-1})，tip = h_length
+// 交付 k 个批次后释放 h_{length-k}，所有者可用它调用 confirmFinalPayment
+class BuyerHashchain {
+  constructor({ seed, length, released = 0, tokenId, buyer, filePath } = {}) {
+    if (!Number.isInteger(length) || length <= 0) {
+      throw new Error('Hashchain length must be a positive integer');
+    }
+    if (!ethers.isHexString(seed, 32)) {
+      throw new Error('Hashchain seed must be a 32-byte hex string');
+    }
+    if (!Number.isInteger(released) || released < 0 || released > length) {
+      throw new Error(`Invalid released batch count: ${released}`);
+    }
+    this.seed = seed;
+    this.length = length;
+    this.released = released;
+    this.tokenId = tokenId === undefined ? undefined : String(tokenId);
+    this.buyer = buyer;
+    this.filePath = filePath;
+    this.tip = hashIterations(seed, length);
+  }
+
+  // 为 reqBatchNumber 个批次创建新的 Hashchain，未指定 seed 时随机生成
+  static create({ seed = ethers.hexlify(ethers.randomBytes(32)), length, tokenId, buyer, filePath } = {}) {
+    const chain = new BuyerHashchain({ seed, length, tokenId, buyer, filePath });
+    if (filePath) {
+      // 不覆盖已有的 Hashchain，否则原 seed 丢失后已设置的 tip 将无法继续支付
+      if (fs.existsSync(filePath)) {
+        throw new Error(`Hashchain file already exists: ${filePath}`);
+      }
+      chain.save();
+    }
+    return chain;
+  }
+
+  get remaining() {
+    return this.length - this.released;
+  }
+
+  // 已交付 completedBatches 个批次时对应的 preimage
+  preimageFor(completedBatches) {
+    if (!Number.isInteger(completedBatches) || completedBatches < 0 || completedBatches > this.length) {
+      throw new Error(`Completed batches out of range: ${completedBatches}`);
+    }
+    return hashIterations(this.seed, this.length - completedBatches);
+  }
+
+  // 收到一个批次后释放下一个 preimage
+  releaseNext() {
+    return this.releaseFor(this.released + 1);
+  }
+
+  // 累计收到 deliveredBatches 个批次后释放对应的 preimage；不会超过链长，也不会回退
+  releaseFor(deliveredBatches) {
+    if (deliveredBatches > this.length) {
+      throw new Error(`Cannot release more than ${this.length} batches`);
+    }
+    if (deliveredBatches > this.released) {
+      this.released = deliveredBatches;
+      // 先持久化再交出 preimage，避免崩溃后重复或超额释放
+      if (this.filePath) {
+        this.save();
+      }
+    }
+    return {
+      preimage: this.preimageFor(this.released),
+      completedBatches: this.released
+    };
+  }
+
+  toJSON() {
+    return {
+      version: HASHCHAIN_FORMAT_VERSION,
+      tokenId: this.tokenId,
+      buyer: this.buyer,
+      length: this.length,
+      released: this.released,
+      tip: this.tip,
+      seed: this.seed
+    };
+  }
+
+  static fromJSON(data, filePath) {
+    if (!data || data.version !== HASHCHAIN_FORMAT_VERSION) {
+      throw new Error(`Unsupported hashchain format version: ${data && data.version}`);
+    }
+    const chain = new BuyerHashchain({ ...data, filePath });
+    if (chain.tip.toLowerCase() !== String(data.tip).toLowerCase()) {
+      throw new Error('Hashchain tip does not match seed');
+    }
+    return chain;
+  }
+
+  // 保存到文件（权限 0600，原子替换）
+  save(filePath = this.filePath) {
+    if (!filePath) {
+      throw new Error('No hashchain file path given');
+    }
+    this.filePath = filePath;
+    writeFileAtomic(filePath, JSON.stringify(this.toJSON(), null, 2));
+  }
+
+  static load(filePath) {
+    return BuyerHashchain.fromJSON(JSON.parse(fs.readFileSync(filePath, 'utf8')), filePath);
+  }
+}
+
+// 所有者侧的校验：根据链上的 tip 计算 preimage 覆盖的批次数，并构建 confirmFinalPayment 调用
+class HashchainVerifier {
+  constructor(nmft) {
+    this.nmft = nmft;
+  }
+
+  // 读取链上的 Hashchain 与请求信息
+  async getState(tokenId, buyer) {
+    const [info, request] = await Promise.all([
+      this.nmft.getHashchainInfo(tokenId, buyer),
+      this.nmft.getRequest(tokenId, buyer)
+    ]);
+    return {
+      tip: info.tip,
+      completedBatches: Number(info.completedBatches),
+      isCompleted: info.isCompleted,
+      reqBatchNumber: Number(request.reqBatchNumber)
+    };
+  }
+
+  // 校验 preimage，返回本次新增和累计完成的批次数
+  async verifyPreimage(tokenId, buyer, preimage) {
+    if (!ethers.isHexString(preimage, 32)) {
+      throw new Error('Preimage must be a 32-byte hex string');
+    }
+    const state = await this.getState(tokenId, buyer);
+    if (state.tip === ethers.ZeroHash) {
+      throw new Error('Hashchain not initialized');
+    }
+    if (state.isCompleted) {
+      throw new Error('Payment already completed');
+    }
+
+    const remaining = state.reqBatchNumber - state.completedBatches;
+    const newCompletedBatches = countIterations(preimage, state.tip, remaining);
+    if (newCompletedBatches < 0) {
+      throw new Error('Preimage is not on the hashchain');
+    }
+    if (newCompletedBatches === 0) {
+      throw new Error('Preimage already confirmed');
+    }
+    return {
+      tip: state.tip,
+      newCompletedBatches,
+      totalCompletedBatches: state.completedBatches + newCompletedBatches
+    };
+  }
+
+  // 构建 confirmFinalPayment(tokenId, buyer, finalHash, newCompletedBatches) 调用
+  async buildConfirmFinalPayment(tokenId, buyer, preimage) {
+    const { newCompletedBatches, totalCompletedBatches } = await this.verifyPreimage(tokenId, buyer, preimage);
+    const args = [tokenId, buyer, preimage, newCompletedBatches];
+    return {
+      args,
+      newCompletedBatches,
+      totalCompletedBatches,
+      tx: await this.nmft.confirmFinalPayment.populateTransaction(...args)
+    };
+  }
+}
+
+module.exports = {
+  HASHCHAIN_FORMAT_VERSION,
+  BuyerHashchain,
+  HashchainVerifier,
+  hashOnce,
+  hashIterations,
+  countIterations
+};
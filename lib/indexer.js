@@ -0,0 +1,643 @@
+const Database = require('better-sqlite3');
+const { ethers } = require('ethers');
+const { Phase } = require('./client');
+
+const INDEXER_SCHEMA_VERSION = 2;
+
+// 挑战阶段（挑战发起到挑战结束之前）
+const CHALLENGE_PHASES = [Phase.ChallengeInitiated, Phase.VectorsVerified, Phase.ChallengeOpen];
+
+const TradeStatus = Object.freeze({
+  Open: 'open',
+  Completed: 'completed',
+  CleanedUp: 'cleaned_up',
+  Defaulted: 'defaulted'
+});
+
+// events 表保存全部原始事件，其余表都是可由 events 重放得到的投影
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS blocks (
+  number INTEGER PRIMARY KEY,
+  hash TEXT NOT NULL,
+  timestamp INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS events (
+  block_number INTEGER NOT NULL,
+  log_index INTEGER NOT NULL,
+  tx_hash TEXT NOT NULL,
+  name TEXT NOT NULL,
+  token_id INTEGER,
+  buyer TEXT,
+  args TEXT NOT NULL,
+  timestamp INTEGER NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS events_by_token ON events (token_id, name);
+CREATE INDEX IF NOT EXISTS events_by_buyer ON events (buyer);
+CREATE TABLE IF NOT EXISTS tokens (
+  token_id INTEGER PRIMARY KEY,
+  owner TEXT,
+  description TEXT,
+  batch_price TEXT,
+  batch_number INTEGER,
+  nft_transfer_fee TEXT,
+  latest_merkle_root TEXT,
+  payment_token TEXT,
+  minted_block INTEGER,
+  minted_at INTEGER
+);
+CREATE INDEX IF NOT EXISTS tokens_by_owner ON tokens (owner);
+CREATE TABLE IF NOT EXISTS merkle_roots (
+  token_id INTEGER NOT NULL,
+  merkle_root TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  timestamp INTEGER NOT NULL,
+  tx_hash TEXT NOT NULL,
+  PRIMARY KEY (token_id, merkle_root)
+);
+CREATE TABLE IF NOT EXISTS trades (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  token_id INTEGER NOT NULL,
+  buyer TEXT NOT NULL,
+  status TEXT NOT NULL,
+  phase TEXT NOT NULL,
+  trade_type INTEGER NOT NULL,
+  req_batch_price TEXT NOT NULL,
+  req_batch_number INTEGER NOT NULL,
+  challenge_size INTEGER NOT NULL,
+  nft_transfer_fee TEXT NOT NULL,
+  buyer_deposit TEXT,
+  owner_deposit TEXT,
+  winner TEXT,
+  winner_token_id INTEGER,
+  tip TEXT,
+  completed_batches INTEGER NOT NULL DEFAULT 0,
+  requested_block INTEGER NOT NULL,
+  requested_at INTEGER NOT NULL,
+  updated_block INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS trades_by_key ON trades (token_id, buyer, status);
+CREATE INDEX IF NOT EXISTS trades_by_phase ON trades (status, phase);
+`;
+
+// 只清空投影表，events 与 blocks 保留
+const PROJECTION_TABLES = ['tokens', 'merkle_roots', 'trades'];
+
+// 事件参数转为可 JSON 序列化的普通对象
+function plainArgs(fragment, args) {
+  const result = {};
+  fragment.inputs.forEach((input, i) => {
+    result[input.name] = plainValue(args[i]);
+  });
+  return result;
+}
+
+function plainValue(value) {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return Array.from(value, plainValue);
+  }
+  return value;
+}
+
+function tradeFromRow(row) {
+  return row && {
+    id: row.id,
+    tokenId: row.token_id,
+    buyer: row.buyer,
+    status: row.status,
+    phase: row.phase,
+    tradeType: row.trade_type,
+    reqBatchPrice: BigInt(row.req_batch_price),
+    reqBatchNumber: row.req_batch_number,
+    challengeSize: row.challenge_size,
+    nftTransferFee: BigInt(row.nft_transfer_fee),
+    buyerDeposit: row.buyer_deposit === null ? null : BigInt(row.buyer_deposit),
+    ownerDeposit: row.owner_deposit === null ? null : BigInt(row.owner_deposit),
+    winner: row.winner,
+    winnerTokenId: row.winner_token_id,
+    tip: row.tip,
+    completedBatches: row.completed_batches,
+    requestedBlock: row.requested_block,
+    requestedAt: row.requested_at,
+    updatedBlock: row.updated_block,
+    updatedAt: row.updated_at
+  };
+}
+
+function tokenFromRow(row) {
+  return row && {
+    tokenId: row.token_id,
+    owner: row.owner,
+    description: row.description,
+    batchPrice: row.batch_price === null ? null : BigInt(row.batch_price),
+    batchNumber: row.batch_number,
+    nftTransferFee: row.nft_transfer_fee === null ? null : BigInt(row.nft_transfer_fee),
+    latestMerkleRoot: row.latest_merkle_root,
+    // 没有 PaymentTokenUpdated 事件的 token 以 ETH 结算
+    paymentToken: row.payment_token || ethers.ZeroAddress,
+    mintedBlock: row.minted_block,
+    mintedAt: row.minted_at
+  };
+}
+
+function eventFromRow(row) {
+  return {
+    blockNumber: row.block_number,
+    logIndex: row.log_index,
+    txHash: row.tx_hash,
+    name: row.name,
+    tokenId: row.token_id,
+    buyer: row.buyer,
+    args: JSON.parse(row.args),
+    timestamp: row.timestamp
+  };
+}
+
+// NMFT 事件索引器：回填历史区块、跟随新区块、处理重组，并写入 SQLite
+class NmftIndexer {
+  constructor({ nmft, provider, dbPath = ':memory:', startBlock = 0, confirmations = 0, batchSize = 2000, pollInterval = 4000, onError } = {}) {
+    if (!nmft) {
+      throw new Error('NMFT contract is required');
+    }
+    this.nmft = nmft;
+    this.provider = provider || nmft.runner.provider || nmft.runner;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.pollInterval = pollInterval;
+    this.onError = onError || (error => console.error('Indexer error:', error));
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+    this._migrate();
+    this._timer = null;
+    this._running = false;
+    this._prepare();
+  }
+
+  // 版本 1 的数据库没有 tokens.payment_token；旧合约没有 PaymentTokenUpdated 事件，补上空列即可
+  _migrate() {
+    const columns = this.db.pragma('table_info(tokens)').map(column => column.name);
+    if (!columns.includes('payment_token')) {
+      this.db.exec('ALTER TABLE tokens ADD COLUMN payment_token TEXT');
+    }
+    this.db.prepare('UPDATE meta SET value = ? WHERE key = \'schemaVersion\'').run(String(INDEXER_SCHEMA_VERSION));
+  }
+
+  _prepare() {
+    const db = this.db;
+    this._stmt = {
+      getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+      setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'),
+      insertBlock: db.prepare('INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)'),
+      insertEvent: db.prepare(`INSERT OR REPLACE INTO events (block_number, log_index, tx_hash, name, token_id, buyer, args, timestamp)
+        VALUES (@blockNumber, @logIndex, @txHash, @name, @tokenId, @buyer, @args, @timestamp)`),
+      upsertToken: db.prepare(`INSERT INTO tokens (token_id, owner) VALUES (?, ?)
+        ON CONFLICT (token_id) DO UPDATE SET owner = excluded.owner`),
+      mintToken: db.prepare(`INSERT INTO tokens (token_id, description, batch_price, batch_number, nft_transfer_fee, latest_merkle_root, minted_block, minted_at)
+        VALUES (@tokenId, @description, @batchPrice, @batchNumber, @nftTransferFee, @merkleRoot, @blockNumber, @timestamp)
+        ON CONFLICT (token_id) DO UPDATE SET description = excluded.description, batch_price = excluded.batch_price,
+          batch_number = excluded.batch_number, nft_transfer_fee = excluded.nft_transfer_fee,
+          latest_merkle_root = excluded.latest_merkle_root, minted_block = excluded.minted_block, minted_at = excluded.minted_at`),
+      insertRoot: db.prepare('INSERT OR IGNORE INTO merkle_roots (token_id, merkle_root, block_number, timestamp, tx_hash) VALUES (?, ?, ?, ?, ?)'),
+      insertTrade: db.prepare(`INSERT INTO trades (token_id, buyer, status, phase, trade_type, req_batch_price, req_batch_number, challenge_size,
+          nft_transfer_fee, requested_block, requested_at, updated_block, updated_at)
+        VALUES (@tokenId, @buyer, 'open', @phase, @tradeType, @reqBatchPrice, @reqBatchNumber, @challengeSize,
+          @nftTransferFee, @blockNumber, @timestamp, @blockNumber, @timestamp)`),
+      latestTrade: db.prepare('SELECT * FROM trades WHERE token_id = ? AND buyer = ? ORDER BY id DESC LIMIT 1'),
+      openTrade: db.prepare('SELECT * FROM trades WHERE token_id = ? AND buyer = ? AND status = \'open\' ORDER BY id DESC LIMIT 1'),
+      updateDataInfo: db.prepare(`UPDATE tokens SET
+          batch_price = CASE WHEN @batchPrice != '0' THEN @batchPrice ELSE batch_price END,
+          batch_number = CASE WHEN @batchNumber > 0 THEN @batchNumber ELSE batch_number END,
+          nft_transfer_fee = CASE WHEN @nftTransferFee != '0' THEN @nftTransferFee ELSE nft_transfer_fee END
+        WHERE token_id = @tokenId`),
+      setLatestRoot: db.prepare('UPDATE tokens SET latest_merkle_root = ? WHERE token_id = ?'),
+      setPaymentToken: db.prepare('UPDATE tokens SET payment_token = ? WHERE token_id = ?'),
+      pruneBlocks: db.prepare('DELETE FROM blocks WHERE number < ? AND NOT EXISTS (SELECT 1 FROM events WHERE block_number = blocks.number)'),
+      storedBlocks: db.prepare('SELECT number, hash FROM blocks WHERE number <= ? ORDER BY number DESC LIMIT 100')
+    };
+  }
+
+  close() {
+    this.stop();
+    this.db.close();
+  }
+
+  _meta(key) {
+    const row = this._stmt.getMeta.get(key);
+    return row ? row.value : undefined;
+  }
+
+  // 最后一个已索引的区块号，尚未索引时为 startBlock - 1
+  get cursor() {
+    const value = this._meta('cursor');
+    return value === undefined ? this.startBlock - 1 : Number(value);
+  }
+
+  // 同一个数据库只能索引同一个合约
+  async _checkContract() {
+    const address = ethers.getAddress(await this.nmft.getAddress());
+    const indexed = this._meta('contract');
+    if (indexed === undefined) {
+      this._stmt.setMeta.run('contract', address);
+      this._stmt.setMeta.run('schemaVersion', String(INDEXER_SCHEMA_VERSION));
+    } else if (indexed !== address) {
+      throw new Error(`Database already indexes contract ${indexed}`);
+    }
+    return address;
+  }
+
+  // 索引到当前最新（减去确认数）的区块，返回处理的区块数
+  async sync() {
+    const address = await this._checkContract();
+    await this._handleReorg();
+
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    let processed = 0;
+    while (this.cursor < head) {
+      const fromBlock = this.cursor + 1;
+      const toBlock = Math.min(head, fromBlock + this.batchSize - 1);
+      await this._indexRange(address, fromBlock, toBlock);
+      processed += toBlock - fromBlock + 1;
+    }
+    return processed;
+  }
+
+  // 开始跟随新区块
+  start() {
+    if (this._running) {
+      return;
+    }
+    this._running = true;
+    const tick = async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        this.onError(error);
+      }
+      if (this._running) {
+        this._timer = setTimeout(tick, this.pollInterval);
+      }
+    };
+    this._timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    this._running = false;
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  async _indexRange(address, fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({ address, fromBlock, toBlock });
+    const blocks = new Map();
+    const calls = new Map();
+
+    for (const blockNumber of new Set([...logs.map(log => log.blockNumber), toBlock])) {
+      const block = await this.provider.getBlock(blockNumber);
+      if (!block) {
+        throw new Error(`Block ${blockNumber} not found`);
+      }
+      blocks.set(blockNumber, block);
+    }
+
+    const records = [];
+    for (const log of logs) {
+      const block = blocks.get(log.blockNumber);
+      // 日志与区块来自不同分叉时放弃本次范围，下一轮重新处理
+      if (block.hash !== log.blockHash) {
+        throw new Error(`Block ${log.blockNumber} changed while indexing`);
+      }
+      const parsed = this.nmft.interface.parseLog(log);
+      if (!parsed) {
+        continue;
+      }
+      records.push(await this._record(parsed, log, block, calls));
+    }
+
+    this.db.transaction(() => {
+      for (const block of blocks.values()) {
+        this._stmt.insertBlock.run(block.number, block.hash, block.timestamp);
+      }
+      for (const record of records) {
+        this._stmt.insertEvent.run({ ...record, args: JSON.stringify(record.args) });
+        this._apply(record);
+      }
+      // 只保留有事件的区块和游标区块的哈希，用于检测重组
+      this._stmt.pruneBlocks.run(toBlock);
+      this._stmt.setMeta.run('cursor', String(toBlock));
+    })();
+  }
+
+  // 生成事件记录，补全铸造时的 Merkle 根
+  async _record(parsed, log, block, calls) {
+    const args = plainArgs(parsed.fragment, parsed.args);
+    const buyer = args.buyer || null;
+
+    const decodeCall = async () => {
+      if (!calls.has(log.transactionHash)) {
+        const tx = await this.provider.getTransaction(log.transactionHash);
+        let call = null;
+        try {
+          call = tx && this.nmft.interface.parseTransaction(tx);
+        } catch (error) {
+          call = null;
+        }
+        calls.set(log.transactionHash, call);
+      }
+      return calls.get(log.transactionHash);
+    };
+
+    if (parsed.name === 'DataNFTMinted') {
+      const call = await decodeCall();
+      args.merkleRoot = call && call.name === 'mintDataNFT'
+        ? call.args.merkleRoot
+        : (await this.nmft.getDataInfo(args.tokenId, { blockTag: log.blockNumber })).latestMerkleRoot;
+    }
+
+    // ERC721URIStorage 的 MetadataUpdate 参数名为 _tokenId
+    const tokenId = args.tokenId === undefined ? args._tokenId : args.tokenId;
+    return {
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      txHash: log.transactionHash,
+      name: parsed.name,
+      tokenId: tokenId === undefined ? null : Number(tokenId),
+      buyer: buyer && ethers.getAddress(buyer),
+      args,
+      timestamp: block.timestamp
+    };
+  }
+
+  // 将一条事件应用到投影表
+  _apply(event) {
+    const { name, tokenId, buyer, args, blockNumber, timestamp, txHash } = event;
+    const stmt = this._stmt;
+
+    switch (name) {
+      case 'Transfer':
+        stmt.upsertToken.run(tokenId, args.to);
+        return;
+      case 'DataNFTMinted':
+        stmt.mintToken.run({
+          tokenId,
+          description: args.description,
+          batchPrice: args.batchPrice,
+          batchNumber: Number(args.batchNumber),
+          nftTransferFee: args.nftTransferFee,
+          merkleRoot: args.merkleRoot,
+          blockNumber,
+          timestamp
+        });
+        stmt.insertRoot.run(tokenId, args.merkleRoot, blockNumber, timestamp, txHash);
+        return;
+      case 'MerkleRootUpdated':
+        this._registerRoot(tokenId, args.newMerkleRoot, event);
+        return;
+      case 'PaymentTokenUpdated':
+        stmt.setPaymentToken.run(args.paymentToken, tokenId);
+        return;
+      case 'DataInfoUpdated':
+        stmt.updateDataInfo.run({
+          tokenId,
+          batchPrice: args.newBatchPrice,
+          batchNumber: Number(args.newBatchNumber),
+          nftTransferFee: args.newNftTransferFee
+        });
+        if (args.newMerkleRoot !== ethers.ZeroHash) {
+          this._registerRoot(tokenId, args.newMerkleRoot, event);
+        }
+        return;
+      case 'RequestMade':
+        stmt.insertTrade.run({
+          tokenId,
+          buyer,
+          phase: Phase.Requested,
+          tradeType: Number(args.tradeType),
+          reqBatchPrice: args.reqBatchPrice,
+          reqBatchNumber: Number(args.reqBatchNumber),
+          challengeSize: Number(args.challengeSize),
+          nftTransferFee: args.nftTransferFee,
+          blockNumber,
+          timestamp
+        });
+        return;
+      case 'RequestConfirmed':
+        this._updateTrade(event, { phase: Phase.Confirmed });
+        return;
+      case 'BuyerDepositMade':
+        this._updateTrade(event, { phase: Phase.BuyerDeposited, buyer_deposit: args.amount });
+        return;
+      case 'OwnerDepositMade':
+        this._updateTrade(event, { phase: Phase.OwnerDeposited, owner_deposit: args.amount });
+        return;
+      case 'ChallengeInitiated':
+        this._updateTrade({ ...event, buyer: ethers.getAddress(args.challenger) }, { phase: Phase.ChallengeInitiated });
+        return;
+      case 'VectorsVerified':
+        this._updateTrade(event, { phase: Phase.VectorsVerified });
+        return;
+      case 'DataValidated':
+        this._updateTrade(event, { phase: Phase.ChallengeOpen });
+        return;
+      case 'ChallengeResolved':
+        this._updateTrade(event, {
+          phase: Number(args.winnerTokenId) === tokenId ? Phase.AwaitingHashchainTip : Phase.ChallengeLost,
+          winner: args.winner,
+          winner_token_id: Number(args.winnerTokenId)
+        });
+        return;
+      case 'HashchainTipSet':
+        this._updateTrade(event, { phase: Phase.Paying, tip: args.tip });
+        return;
+      case 'FinalPaymentConfirmed': {
+        // 全部批次完成时合约先清理交易再发出此事件，因此这里按最近一笔交易更新
+        const trade = stmt.latestTrade.get(tokenId, buyer);
+        if (!trade) {
+          return;
+        }
+        const completedBatches = Number(args.completedBatches);
+        const completed = completedBatches === trade.req_batch_number;
+        this._setTrade(trade.id, event, {
+          completed_batches: completedBatches,
+          ...(completed ? { status: TradeStatus.Completed, phase: Phase.None } : {})
+        });
+        return;
+      }
+      // 合约在清理交易前发出违约事件，随后的 TransactionCleanedUp 找不到未结束的交易
+      case 'OwnerDefaulted':
+      case 'BuyerDefaulted':
+        this._updateTrade(event, { status: TradeStatus.Defaulted, phase: Phase.None });
+        return;
+      case 'TransactionCleanedUp':
+        this._updateTrade(event, { status: TradeStatus.CleanedUp, phase: Phase.None });
+        return;
+      case 'DepositsWithdrawn':
+        this._updateTrade(event, {});
+        return;
+      default:
+    }
+  }
+
+  _registerRoot(tokenId, merkleRoot, { blockNumber, timestamp, txHash }) {
+    this._stmt.insertRoot.run(tokenId, merkleRoot, blockNumber, timestamp, txHash);
+    this._stmt.setLatestRoot.run(merkleRoot, tokenId);
+  }
+
+  // 更新 (tokenId, buyer) 当前未结束的交易
+  _updateTrade(event, fields) {
+    if (!event.buyer) {
+      return;
+    }
+    const trade = this._stmt.openTrade.get(event.tokenId, event.buyer);
+    if (trade) {
+      this._setTrade(trade.id, event, fields);
+    }
+  }
+
+  _setTrade(id, { blockNumber, timestamp }, fields) {
+    const columns = { ...fields, updated_block: blockNumber, updated_at: timestamp };
+    const assignments = Object.keys(columns).map(column => `${column} = @${column}`).join(', ');
+    this.db.prepare(`UPDATE trades SET ${assignments} WHERE id = @id`).run({ ...columns, id });
+  }
+
+  // 检测重组：从游标开始向下找到哈希仍一致的区块，回滚其后的全部数据
+  async _handleReorg() {
+    let forkPoint = this.startBlock - 1;
+    let upper = this.cursor;
+    search:
+    for (;;) {
+      const rows = this._stmt.storedBlocks.all(upper);
+      for (const row of rows) {
+        const block = await this.provider.getBlock(row.number);
+        if (block && block.hash === row.hash) {
+          forkPoint = row.number;
+          break search;
+        }
+      }
+      if (rows.length === 0) {
+        break;
+      }
+      upper = rows[rows.length - 1].number - 1;
+    }
+    if (forkPoint < this.cursor) {
+      this.rollback(forkPoint);
+      return forkPoint;
+    }
+    return null;
+  }
+
+  // 删除 blockNumber 之后的事件并由剩余事件重建投影表
+  rollback(blockNumber) {
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM events WHERE block_number > ?').run(blockNumber);
+      this.db.prepare('DELETE FROM blocks WHERE number > ?').run(blockNumber);
+      for (const table of PROJECTION_TABLES) {
+        this.db.prepare(`DELETE FROM ${table}`).run();
+      }
+      this.db.prepare('DELETE FROM sqlite_sequence WHERE name = \'trades\'').run();
+      for (const row of this.db.prepare('SELECT * FROM events ORDER BY block_number, log_index').all()) {
+        this._apply(eventFromRow(row));
+      }
+      this._stmt.setMeta.run('cursor', String(blockNumber));
+    })();
+  }
+
+  // ---- 查询 ----
+
+  getToken(tokenId) {
+    return tokenFromRow(this.db.prepare('SELECT * FROM tokens WHERE token_id = ?').get(Number(tokenId)));
+  }
+
+  tokensOwnedBy(owner) {
+    return this.db.prepare('SELECT * FROM tokens WHERE owner = ? ORDER BY token_id')
+      .all(ethers.getAddress(owner)).map(tokenFromRow);
+  }
+
+  // 某个 token 登记过的全部 Merkle 根及其登记时间
+  merkleRoots(tokenId) {
+    return this.db.prepare('SELECT * FROM merkle_roots WHERE token_id = ? ORDER BY block_number, rowid')
+      .all(Number(tokenId))
+      .map(row => ({ merkleRoot: row.merkle_root, blockNumber: row.block_number, timestamp: row.timestamp, txHash: row.tx_hash }));
+  }
+
+  // 按条件查询交易；默认只返回未结束的交易
+  trades({ tokenId, buyer, owner, phase, status = TradeStatus.Open } = {}) {
+    const where = [];
+    const params = {};
+    if (tokenId !== undefined) {
+      where.push('trades.token_id = @tokenId');
+      params.tokenId = Number(tokenId);
+    }
+    if (buyer !== undefined) {
+      where.push('trades.buyer = @buyer');
+      params.buyer = ethers.getAddress(buyer);
+    }
+    if (owner !== undefined) {
+      where.push('tokens.owner = @owner');
+      params.owner = ethers.getAddress(owner);
+    }
+    if (phase !== undefined) {
+      const phases = Array.isArray(phase) ? phase : [phase];
+      where.push(`trades.phase IN (${phases.map((p, i) => `@phase${i}`).join(', ')})`);
+      phases.forEach((p, i) => { params[`phase${i}`] = p; });
+    }
+    if (status !== null) {
+      where.push('trades.status = @status');
+      params.status = status;
+    }
+    const sql = `SELECT trades.* FROM trades LEFT JOIN tokens ON tokens.token_id = trades.token_id
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY trades.id`;
+    return this.db.prepare(sql).all(params).map(tradeFromRow);
+  }
+
+  // 某个地址当前持有的 token 上所有未结束的请求
+  openRequests(owner) {
+    return this.trades({ owner });
+  }
+
+  // 处于挑战阶段的交易
+  tradesInChallenge() {
+    return this.trades({ phase: CHALLENGE_PHASES });
+  }
+
+  events({ tokenId, buyer, name, fromBlock } = {}) {
+    const where = [];
+    const params = {};
+    if (tokenId !== undefined) {
+      where.push('token_id = @tokenId');
+      params.tokenId = Number(tokenId);
+    }
+    if (buyer !== undefined) {
+      where.push('buyer = @buyer');
+      params.buyer = ethers.getAddress(buyer);
+    }
+    if (name !== undefined) {
+      where.push('name = @name');
+      params.name = name;
+    }
+    if (fromBlock !== undefined) {
+      where.push('block_number >= @fromBlock');
+      params.fromBlock = fromBlock;
+    }
+    const sql = `SELECT * FROM events ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY block_number, log_index`;
+    return this.db.prepare(sql).all(params).map(eventFromRow);
+  }
+}
+
+module.exports = {
+  INDEXER_SCHEMA_VERSION,
+  CHALLENGE_PHASES,
+  TradeStatus,
+  NmftIndexer
+};
@@ -0,0 +1,286 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { Phase, TRANSACTION_TIMEOUT } = require('./client');
+const { writeFileAtomic } = require('./files');
+
+// 调度文件格式版本
+const KEEPER_STATE_VERSION = 1;
+
+const KeeperAction = Object.freeze({
+  ConfirmChallengeEnd: 'confirmChallengeEnd',
+  FinalizeChallenge: 'finalizeChallenge',
+  ClaimOwnerDefault: 'claimOwnerDefault',
+  ClaimBuyerDefault: 'claimBuyerDefault',
+  BuyerWithdraw: 'buyerWithdraw',
+  OwnerWithdraw: 'ownerWithdraw',
+  Cleanup: 'cleanup'
+});
+
+const CHALLENGE_PHASES = [Phase.ChallengeInitiated, Phase.VectorsVerified, Phase.ChallengeOpen];
+
+function tradeKey(tokenId, buyer) {
+  return `${tokenId}:${ethers.getAddress(buyer)}`;
+}
+
+// 超时 keeper：跟踪配置账户参与的交易，在截止时间过后发送对应的结算调用
+class TimeoutKeeper {
+  // signers 为 keeper 代为操作的账户；cleanupGrace 为买家押金未提取时所有者额外等待的秒数
+  constructor({ client, signers, statePath, fromBlock = 0, cleanupGrace = TRANSACTION_TIMEOUT, pollInterval = 15000, logger = console }) {
+    this.client = client;
+    this.signers = new Map();
+    for (const signer of signers) {
+      this.signers.set(ethers.getAddress(signer.address), signer);
+    }
+    this.statePath = statePath;
+    this.cleanupGrace = cleanupGrace;
+    this.pollInterval = pollInterval;
+    this.logger = logger;
+    this._timer = null;
+    this._running = false;
+    this.state = { version: KEEPER_STATE_VERSION, nextBlock: fromBlock, trades: {}, history: [] };
+    if (statePath && fs.existsSync(statePath)) {
+      this.state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+      if (this.state.version !== KEEPER_STATE_VERSION) {
+        throw new Error(`Unsupported keeper state version: ${this.state.version}`);
+      }
+    }
+  }
+
+  get nmft() {
+    return this.client.nmft;
+  }
+
+  save() {
+    if (this.statePath) {
+      writeFileAtomic(this.statePath, JSON.stringify(this.state, null, 2));
+    }
+  }
+
+  start() {
+    if (this._running) {
+      return;
+    }
+    this._running = true;
+    const tick = async () => {
+      try {
+        await this.tick();
+      } catch (error) {
+        this.logger.error('Keeper tick failed:', error);
+      }
+      if (this._running) {
+        this._timer = setTimeout(tick, this.pollInterval);
+      }
+    };
+    this._timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    this._running = false;
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  // 扫描新事件、处理到期的交易，返回本轮执行的操作
+  async tick() {
+    await this._scan();
+    const now = await this.client.now();
+    const performed = [];
+    for (const entry of Object.values(this.state.trades)) {
+      if (entry.nextDeadline !== null && entry.nextDeadline > now) {
+        continue;
+      }
+      performed.push(...await this._settle(entry, now));
+    }
+    this.save();
+    return performed;
+  }
+
+  // 发现新交易，交易有新事件时标记为需要重新计算截止时间
+  async _scan() {
+    const head = await this.client.provider.getBlockNumber();
+    if (this.state.nextBlock > head) {
+      return;
+    }
+    const events = await this.nmft.queryFilter('*', this.state.nextBlock, head);
+    for (const event of events) {
+      if (!event.args || event.args.tokenId === undefined) {
+        continue;
+      }
+      const tokenId = event.args.tokenId.toString();
+      if (event.eventName === 'RequestMade') {
+        await this._track(tokenId, event.args.buyer);
+      } else if (event.args.buyer !== undefined) {
+        const entry = this.state.trades[tradeKey(tokenId, event.args.buyer)];
+        if (entry) {
+          entry.nextDeadline = null;
+          if (event.eventName === 'DepositsWithdrawn' && event.args.withdrawer === entry.buyer) {
+            entry.buyerWithdrawn = true;
+          }
+        }
+      } else {
+        // MerkleRootUpdated 等事件没有 buyer 参数，刷新该 token 的全部交易
+        for (const entry of Object.values(this.state.trades).filter(item => item.tokenId === tokenId)) {
+          entry.nextDeadline = null;
+        }
+      }
+    }
+    this.state.nextBlock = head + 1;
+  }
+
+  async _track(tokenId, buyer) {
+    const owner = await this.nmft.ownerOf(tokenId);
+    if (!this.signers.has(ethers.getAddress(buyer)) && !this.signers.has(owner)) {
+      return;
+    }
+    // 同一买家可以在清理后再次请求，此时重新开始跟踪
+    this.state.trades[tradeKey(tokenId, buyer)] = {
+      tokenId,
+      buyer: ethers.getAddress(buyer),
+      nextDeadline: null,
+      nextAction: null,
+      buyerWithdrawn: false,
+      ownerWithdrawn: false
+    };
+  }
+
+  // 读取链上状态，执行所有已到期的操作并计算下一个截止时间
+  async _settle(entry, now) {
+    const performed = [];
+    let trade = await this.client.getTrade(entry.tokenId, entry.buyer);
+    for (;;) {
+      if (trade.phase === Phase.None) {
+        delete this.state.trades[tradeKey(entry.tokenId, entry.buyer)];
+        return performed;
+      }
+      const owner = await this.nmft.ownerOf(entry.tokenId);
+      const next = this._nextAction(entry, trade, owner, now);
+      if (!next) {
+        // keeper 的账户在这笔交易中已无事可做
+        delete this.state.trades[tradeKey(entry.tokenId, entry.buyer)];
+        return performed;
+      }
+      entry.nextAction = next.action;
+      entry.nextDeadline = next.at;
+      if (next.at > now) {
+        return performed;
+      }
+
+      const record = await this._perform(entry, next, owner);
+      performed.push(record);
+      if (record.status === 'failed') {
+        // 失败后等待下一个事件或下一轮调度再重试
+        entry.nextDeadline = now + 1;
+        return performed;
+      }
+      trade = await this.client.getTrade(entry.tokenId, entry.buyer);
+    }
+  }
+
+  // 根据阶段和 keeper 控制的账户决定下一个操作及其最早执行时间
+  _nextAction(entry, trade, owner, now) {
+    const isBuyer = this.signers.has(entry.buyer);
+    const isOwner = this.signers.has(owner);
+    const { request } = trade;
+    const timedOutAt = trade.deadlines.timeoutAt + 1;
+
+    // 所有者逾期未响应挑战时买家取回质押并获得所有者押金，所有者不能再提取或清理
+    if (trade.phase === Phase.ChallengeInitiated) {
+      if (isBuyer) {
+        return { action: KeeperAction.ClaimOwnerDefault, at: trade.deadlines.ownerResponseDueAt };
+      }
+      if (now >= trade.deadlines.ownerResponseDueAt) {
+        return null;
+      }
+    }
+    // 验证所有者的响应需要买家手动完成；只代管买家时不做任何操作，未验证就结束挑战会被合约拒绝
+    if (trade.phase === Phase.VectorsVerified && !isOwner) {
+      return null;
+    }
+    if (isBuyer && trade.phase === Phase.ChallengeOpen) {
+      return { action: KeeperAction.ConfirmChallengeEnd, at: trade.deadlines.challengeWindowEndsAt };
+    }
+    // 所有者证明向量后买家逾期未验证或未设置 tip 时结算违约：所有者取回押金并获得补偿，
+    // 只代管买家时也由买家结算，买家剩余质押只能通过 claimBuyerDefault 取回
+    if ((isOwner || isBuyer) && request.vectorsVerified && trade.deadlines.buyerResponseDueAt !== null) {
+      return { action: KeeperAction.ClaimBuyerDefault, at: trade.deadlines.buyerResponseDueAt };
+    }
+    // 买家不在 keeper 控制下时由所有者结算，避免挑战停留在窗口结束后
+    if (isOwner && CHALLENGE_PHASES.includes(trade.phase)) {
+      return { action: KeeperAction.FinalizeChallenge, at: trade.deadlines.challengeWindowEndsAt };
+    }
+    // 挑战失败时买家已在 _resolveChallenge 中得到退款，不能再次提取
+    if (isBuyer && !entry.buyerWithdrawn && request.buyerDeposited && request.buyerDepositAmount > 0n &&
+      trade.phase !== Phase.ChallengeLost) {
+      return { action: KeeperAction.BuyerWithdraw, at: timedOutAt };
+    }
+    if (isOwner && !entry.ownerWithdrawn && request.ownerDeposited && request.ownerDepositAmount > 0n) {
+      return { action: KeeperAction.OwnerWithdraw, at: timedOutAt };
+    }
+    if (isOwner) {
+      // 清理会删除请求记录，买家押金未提取时多等待 cleanupGrace 秒
+      const buyerSettled = !request.buyerDeposited || entry.buyerWithdrawn || trade.phase === Phase.ChallengeLost;
+      return { action: KeeperAction.Cleanup, at: buyerSettled ? timedOutAt : timedOutAt + this.cleanupGrace };
+    }
+    return null;
+  }
+
+  async _perform(entry, { action }, owner) {
+    const record = { action, tokenId: entry.tokenId, buyer: entry.buyer, at: await this.client.now() };
+    try {
+      let receipt;
+      if (action === KeeperAction.ConfirmChallengeEnd) {
+        record.account = entry.buyer;
+        receipt = await this.client.buyer(this.signers.get(entry.buyer)).confirmChallengeEnd(entry.tokenId);
+      } else if (action === KeeperAction.ClaimOwnerDefault) {
+        record.account = entry.buyer;
+        receipt = await this.client.buyer(this.signers.get(entry.buyer)).claimOwnerDefault(entry.tokenId);
+      } else if (action === KeeperAction.ClaimBuyerDefault) {
+        record.account = this.signers.has(owner) ? owner : entry.buyer;
+        receipt = await this.client.buyer(this.signers.get(record.account)).claimBuyerDefault(entry.tokenId, entry.buyer);
+      } else if (action === KeeperAction.FinalizeChallenge) {
+        record.account = owner;
+        receipt = await this.client.owner(this.signers.get(owner)).finalizeChallenge(entry.tokenId, entry.buyer);
+      } else if (action === KeeperAction.BuyerWithdraw) {
+        record.account = entry.buyer;
+        receipt = await this.client.buyer(this.signers.get(entry.buyer)).withdrawDeposits(entry.tokenId);
+        entry.buyerWithdrawn = true;
+      } else if (action === KeeperAction.OwnerWithdraw) {
+        record.account = owner;
+        receipt = await this.client.owner(this.signers.get(owner)).withdrawDeposits(entry.tokenId, entry.buyer);
+        entry.ownerWithdrawn = true;
+      } else {
+        record.account = owner;
+        receipt = await this.client.owner(this.signers.get(owner)).cleanupTransaction(entry.tokenId, entry.buyer);
+      }
+      record.status = 'sent';
+      record.txHash = receipt.hash;
+      this.logger.info(`Keeper ${action} on token ${entry.tokenId} for ${entry.buyer}: ${receipt.hash}`);
+    } catch (error) {
+      record.status = 'failed';
+      record.error = error.message;
+      this.logger.warn(`Keeper ${action} on token ${entry.tokenId} for ${entry.buyer} failed: ${error.message}`);
+    }
+    this.state.history.push(record);
+    this.save();
+    return record;
+  }
+
+  // 当前调度和执行记录
+  report() {
+    return {
+      nextBlock: this.state.nextBlock,
+      scheduled: Object.values(this.state.trades)
+        .map(({ tokenId, buyer, nextAction, nextDeadline }) => ({ tokenId, buyer, nextAction, nextDeadline }))
+        .sort((a, b) => (a.nextDeadline ?? Infinity) - (b.nextDeadline ?? Infinity)),
+      history: [...this.state.history]
+    };
+  }
+}
+
+module.exports = {
+  KEEPER_STATE_VERSION,
+  KeeperAction,
+  TimeoutKeeper
+};
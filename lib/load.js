@@ -0,0 +1,208 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { BenchmarkRunner } = require('./benchmark');
+const { quantile } = require('./report');
+
+// 按签名者串行发送交易并在本地分配 nonce，同一签名者的并发交易不会争用同一个 nonce；
+// 发送失败（如估算 gas 时 revert）的交易不占用 nonce，失败后从节点重新读取
+class SerialNonceSigner extends ethers.AbstractSigner {
+  constructor(signer) {
+    super(signer.provider);
+    this.signer = signer;
+    this.address = signer.address;
+    this._nonce = null;
+    this._queue = Promise.resolve();
+  }
+
+  getAddress() {
+    return this.signer.getAddress();
+  }
+
+  connect(provider) {
+    return new SerialNonceSigner(this.signer.connect(provider));
+  }
+
+  signTransaction(tx) {
+    return this.signer.signTransaction(tx);
+  }
+
+  signMessage(message) {
+    return this.signer.signMessage(message);
+  }
+
+  signTypedData(domain, types, value) {
+    return this.signer.signTypedData(domain, types, value);
+  }
+
+  sendTransaction(tx) {
+    const sent = this._queue.then(async () => {
+      try {
+        if (this._nonce === null) {
+          this._nonce = await this.signer.getNonce('pending');
+        }
+        const response = await this.signer.sendTransaction({ ...tx, nonce: this._nonce });
+        this._nonce++;
+        return response;
+      } catch (error) {
+        this._nonce = null;
+        throw error;
+      }
+    });
+    this._queue = sent.catch(() => {});
+    return sent;
+  }
+}
+
+// 合约 revert（估算 gas 或回执 status 为 0）与其他失败（超时、节点错误等）分开统计
+function isRevert(error) {
+  return error.code === 'CALL_EXCEPTION' || /revert/i.test(error.message || '');
+}
+
+function percentiles(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    p50: quantile(sorted, 0.5),
+    p95: quantile(sorted, 0.95),
+    p99: quantile(sorted, 0.99),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+// 汇总一次负载运行：吞吐量、交易确认延迟和整笔交易延迟的分位数、revert 和失败比例
+function loadSummary({ run, network, benchmark, load, outcomes, rows, durationMs }) {
+  const count = (status) => outcomes.filter(outcome => outcome.status === status).length;
+  const completed = count('completed');
+  const transactions = rows.filter(row => row.txHash);
+  const seconds = durationMs / 1000;
+  return {
+    run,
+    network,
+    benchmark,
+    load,
+    durationMs,
+    trades: outcomes.length,
+    completed,
+    reverted: count('reverted'),
+    failed: count('failed'),
+    revertRate: count('reverted') / outcomes.length,
+    failureRate: count('failed') / outcomes.length,
+    throughput: {
+      tradesPerSecond: completed / seconds,
+      transactionsPerSecond: transactions.length / seconds
+    },
+    confirmationLatency: percentiles(transactions.map(row => row.latency)),
+    tradeLatency: percentiles(outcomes.filter(outcome => outcome.status === 'completed').map(outcome => outcome.latency)),
+    failures: outcomes
+      .filter(outcome => outcome.status !== 'completed')
+      .map(({ trade, tokenId, step, status, error }) => ({ trade, tokenId, step, status, error }))
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// 并发负载：按 load 配置同时进行多笔交易，每个步骤照常写入结果文件，另写一个 .summary.json 汇总
+class LoadRunner extends BenchmarkRunner {
+  // 所有者为 m/44'/60'/0'/0/0 起的 owners 个账户，其后依次为 buyers 个买家和各挑战者
+  _deriveWallets(funder, mnemonic) {
+    const { owners, buyers } = this.config.load;
+    super._deriveWallets(funder, mnemonic);
+    const phrase = this.accounts.owner.mnemonic.phrase;
+    const wallet = (index) => new SerialNonceSigner(
+      ethers.HDNodeWallet.fromPhrase(phrase, undefined, `m/44'/60'/0'/0/${index}`).connect(this.provider)
+    );
+    this.owners = Array.from({ length: owners }, (_, i) => wallet(i));
+    this.buyers = Array.from({ length: buyers }, (_, i) => wallet(owners + i));
+    this.challengers = this.challengers.map((_, i) => wallet(owners + buyers + i));
+    this.accounts = { owner: this.owners[0], buyer: this.buyers[0], challenger: this.challengers[0] };
+  }
+
+  parties() {
+    return [...this.owners, ...this.buyers, ...this.challengers];
+  }
+
+  async run() {
+    this.contractAddress = await this.nmft.getAddress();
+    await this._fundAccounts();
+    const { load, points: [params], steps } = this.config;
+    // 挑战者 token 在开始前铸造，避免并发的交易重复铸造
+    if (steps.includes('otherOwnersResToChallenge')) {
+      await this.challengerToken(params.challengers - 1, params);
+    }
+
+    const rows = [];
+    const outcomes = [];
+    const open = new Set();
+    const startTime = Date.now();
+    for (let i = 0; i < load.trades; i++) {
+      if (load.arrivalRate) {
+        await sleep(startTime + i * 1000 / load.arrivalRate - Date.now());
+      }
+      while (open.size >= load.concurrency) {
+        await Promise.race(open);
+      }
+      const trade = {
+        number: i + 1,
+        params,
+        accounts: { owner: this.owners[i % load.owners], buyer: this.buyers[i % load.buyers], challenger: this.accounts.challenger }
+      };
+      const running = this._runTrade(trade, rows).then(outcome => {
+        outcomes.push(outcome);
+        open.delete(running);
+      });
+      open.add(running);
+    }
+    await Promise.all(open);
+    const durationMs = Date.now() - startTime;
+
+    const summary = loadSummary({
+      run: this.runId,
+      network: this.network,
+      benchmark: this.config.name,
+      load,
+      outcomes: outcomes.sort((a, b) => a.trade - b.trade),
+      rows,
+      durationMs
+    });
+    const summaryPath = this.writer.path.replace(/\.jsonl$/, '.summary.json');
+    fs.writeFileSync(summaryPath, `${JSON.stringify(summary, null, 2)}\n`);
+    return { runId: this.runId, path: this.writer.path, rows, summary, summaryPath };
+  }
+
+  // 执行一笔交易的全部步骤；失败的交易记录失败的步骤和原因，不影响其他交易
+  async _runTrade(trade, rows) {
+    const startTime = Date.now();
+    let step;
+    try {
+      await this._prepareTrade(trade);
+      for (step of this.config.steps) {
+        rows.push(...await this._measure(step, trade, 1));
+        if (trade.ownerCaught) {
+          break;
+        }
+      }
+      return { trade: trade.number, tokenId: trade.tokenId.toString(), status: 'completed', latency: Date.now() - startTime };
+    } catch (error) {
+      const cause = error.cause || error;
+      this.logger.warn(`Load trade ${trade.number} failed at ${step}: ${error.message}`);
+      return {
+        trade: trade.number,
+        tokenId: trade.tokenId === undefined ? null : trade.tokenId.toString(),
+        step: step || null,
+        status: isRevert(cause) ? 'reverted' : 'failed',
+        error: error.message,
+        latency: Date.now() - startTime
+      };
+    }
+  }
+}
+
+module.exports = {
+  SerialNonceSigner,
+  loadSummary,
+  LoadRunner
+};
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// 与合约中的常量保持一致
+const PROJECTION_MATRIX_SEED = 1234567890n;
+const VECTOR_LENGTH = 10;
+const COMPRESSED_VECTOR_LENGTH = 256;
+
+const DEFAULT_OPTIONS = {
+  seed: PROJECTION_MATRIX_SEED,
+  vectorLength: VECTOR_LENGTH,
+  compressedVectorLength: COMPRESSED_VECTOR_LENGTH
+};
+
+// 默认参数下的投影矩阵缓存
+let defaultMatrix;
+
+// 计算投影矩阵的单个元素值，与合约 calculateProjectionValue(i, j) 一致
+function calculateProjectionValue(i, j, seed = PROJECTION_MATRIX_SEED) {
+  const hash = ethers.solidityPackedKeccak256(['uint256', 'uint256', 'uint256'], [seed, i, j]);
+  return ethers.toBigInt(hash) % 2n === 0n ? 1 : -1;
+}
+
+// 生成 compressedVectorLength x vectorLength 的 ±1 投影矩阵
+function generateProjectionMatrix(options = {}) {
+  const { seed, vectorLength, compressedVectorLength } = { ...DEFAULT_OPTIONS, ...options };
+  const isDefault = ethers.toBigInt(seed) === PROJECTION_MATRIX_SEED &&
+    vectorLength === VECTOR_LENGTH &&
+    compressedVectorLength === COMPRESSED_VECTOR_LENGTH;
+  if (isDefault && defaultMatrix) {
+    return defaultMatrix;
+  }
+
+  const matrix = [];
+  for (let i = 0; i < compressedVectorLength; i++) {
+    const row = [];
+    for (let j = 0; j < vectorLength; j++) {
+      row.push(calculateProjectionValue(i, j, seed));
+    }
+    matrix.push(row);
+  }
+
+  if (isDefault) {
+    defaultMatrix = matrix;
+  }
+  return matrix;
+}
+
+// 按合约的 mstore8 方式序列化矩阵：1 -> 0x01，-1 -> 0xff
+function projectionMatrixBytes(matrix = generateProjectionMatrix()) {
+  const rows = matrix.length;
+  const cols = rows > 0 ? matrix[0].length : 0;
+  const bytes = new Uint8Array(rows * cols);
+  let index = 0;
+  for (const row of matrix) {
+    if (row.length !== cols) {
+      throw new Error('Projection matrix rows must have equal length');
+    }
+    for (const value of row) {
+      bytes[index++] = value & 0xff;
+    }
+  }
+  return bytes;
+}
+
+// 计算投影矩阵的哈希值，与合约 calculateProjectionMatrixHash() 一致
+function calculateProjectionMatrixHash(matrix = generateProjectionMatrix()) {
+  return ethers.keccak256(projectionMatrixBytes(matrix));
+}
+
+// 部署参数：由种子推导投影矩阵及其哈希；expectedHash（如 .env 中的 PROJECTION_MATRIX_HASH）与推导结果不一致时拒绝部署
+function projectionMatrixParameters(expectedHash, options = {}) {
+  const { seed, vectorLength, compressedVectorLength } = { ...DEFAULT_OPTIONS, ...options };
+  const matrix = generateProjectionMatrix({ seed, vectorLength, compressedVectorLength });
+  const hash = calculateProjectionMatrixHash(matrix);
+  if (expectedHash && expectedHash.toLowerCase() !== hash) {
+    throw new Error(`Projection matrix hash ${expectedHash} does not match ${hash} derived from seed ${seed}`);
+  }
+  return { seed: ethers.toBigInt(seed).toString(), vectorLength, compressedVectorLength, hash, matrix };
+}
+
+// 导出投影矩阵供特征提取流程使用，matrix 为 compressedVectorLength 行、vectorLength 列的 ±1 数组
+function writeProjectionMatrix(filePath, parameters) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(parameters)}\n`);
+  return filePath;
+}
+
+// 部署后核对链上的种子、构造参数中的哈希以及合约自行计算的哈希
+async function verifyProjectionMatrix(nmft, parameters) {
+  const [seed, storedHash, computedHash] = await Promise.all([
+    nmft.PROJECTION_MATRIX_SEED(),
+    nmft.PROJECTION_MATRIX_HASH(),
+    nmft.calculateProjectionMatrixHash()
+  ]);
+  if (seed.toString() !== parameters.seed) {
+    throw new Error(`On-chain PROJECTION_MATRIX_SEED ${seed} does not match ${parameters.seed}`);
+  }
+  if (storedHash !== parameters.hash || computedHash !== parameters.hash) {
+    throw new Error(`On-chain projection matrix hash mismatch: stored ${storedHash}, computed ${computedHash}, expected ${parameters.hash}`);
+  }
+  return computedHash;
+}
+
+// 将浮点特征向量压缩为合约存储的 uint256 值，第 i 位为第 i 行投影是否大于 0
+function compress(vector, matrix = generateProjectionMatrix()) {
+  if (!Array.isArray(vector) && !ArrayBuffer.isView(vector)) {
+    throw new Error('Feature vector must be an array of numbers');
+  }
+
+  let compressed = 0n;
+  matrix.forEach((row, i) => {
+    if (vector.length !== row.length) {
+      throw new Error(`Feature vector length ${vector.length} does not match projection matrix width ${row.length}`);
+    }
+    let projection = 0;
+    for (let j = 0; j < row.length; j++) {
+      projection += row[j] * Number(vector[j]);
+    }
+    if (projection > 0) {
+      compressed |= 1n << BigInt(i);
+    }
+  });
+  return compressed;
+}
+
+// 批量压缩特征向量
+function compressAll(vectors, matrix = generateProjectionMatrix()) {
+  return vectors.map(vector => compress(vector, matrix));
+}
+
+// 计算置位数
+function countSetBits(n) {
+  let count = 0;
+  while (n > 0n) {
+    count += Number(n & 1n);
+    n >>= 1n;
+  }
+  return count;
+}
+
+// 计算压缩向量的汉明距离，与合约 hammingDistance 一致
+function hammingDistance(a, b) {
+  return countSetBits(ethers.toBigInt(a) ^ ethers.toBigInt(b));
+}
+
+// 计算相似度百分比（整数，向下取整），与合约 _processChallengerVectors 中的 similarity 一致
+function hammingSimilarity(a, b) {
+  const distance = hammingDistance(a, b);
+  return Math.floor((COMPRESSED_VECTOR_LENGTH - distance) * 100 / COMPRESSED_VECTOR_LENGTH);
+}
+
+// 判断相似度是否达到合约的 similarityThreshold
+function isSimilar(a, b, similarityThreshold) {
+  return hammingSimilarity(a, b) >= Number(similarityThreshold);
+}
+
+module.exports = {
+  PROJECTION_MATRIX_SEED,
+  VECTOR_LENGTH,
+  COMPRESSED_VECTOR_LENGTH,
+  calculateProjectionValue,
+  generateProjectionMatrix,
+  projectionMatrixBytes,
+  calculateProjectionMatrixHash,
+  projectionMatrixParameters,
+  writeProjectionMatrix,
+  verifyProjectionMatrix,
+  compress,
+  compressAll,
+  hammingDistance,
+  hammingSimilarity,
+  isSimilar
+};
@@ -0,0 +1,486 @@
+const fs = require('fs');
+const path = require('path');
+const { readResults } = require('./results');
+
+// 合约方法与论文中各阶段的对应关系，与 nmft.ipynb 一致
+const PHASES = {
+  deploy: 'P1: Setup',
+  mintDataNFT: 'P2: Mint data NFT',
+  getDataInfo: 'P2: Mint data NFT',
+  requestDataPurchase: 'P3: Request data',
+  confirmRequest: 'P3: Request data',
+  buyerDeposit: 'P3: Request data',
+  ownerDeposit: 'P3: Request data',
+  initiateChallenge: 'P4: Challenge',
+  ownerResToChallenge: 'P4: Challenge',
+  buyerVerifyChallenge: 'P4: Challenge',
+  otherOwnersResToChallenge: 'P4: Challenge',
+  buyerConfirmChallengeEnd: 'P4: Challenge',
+  finalizeChallenge: 'P4: Challenge',
+  setHashchainTip: 'P5: Batch payment',
+  confirmFinalPayment: 'P5: Batch payment'
+};
+
+// 拟合 gas 的扫描参数
+const FIT_PARAMETERS = ['challengeSize', 'newCompletedBatches'];
+
+// 图表配色，与 nmft.ipynb 的 palette 一致
+const PALETTE = ['#FFC300', '#32CD32', '#FFA07A', '#87CEFA', '#BA55D3', '#FF6347', '#4682B4', '#9ACD32'];
+
+// 读取结果文件或目录中的全部 .jsonl；run 不为空时只保留该次运行
+function loadRecords(inputs, { run } = {}) {
+  const files = inputs.flatMap(input => (
+    fs.statSync(input).isDirectory()
+      ? fs.readdirSync(input).filter(file => file.endsWith('.jsonl')).sort().map(file => path.join(input, file))
+      : [input]
+  ));
+  const records = files.flatMap(file => readResults(file));
+  return run ? records.filter(record => record.run === run) : records;
+}
+
+// 线性插值的分位数，与 numpy.percentile 默认算法一致；values 须已排序
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function describe(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    median: quantile(sorted, 0.5),
+    p95: quantile(sorted, 0.95)
+  };
+}
+
+// 按方法统计延迟和 gas 的均值、中位数和 p95，按阶段和方法名排序
+function summarize(records) {
+  const byMethod = new Map();
+  for (const record of records) {
+    if (!byMethod.has(record.method)) {
+      byMethod.set(record.method, []);
+    }
+    byMethod.get(record.method).push(record);
+  }
+  return [...byMethod.entries()].map(([method, group]) => ({
+    method,
+    phase: PHASES[method] || '',
+    count: group.length,
+    latency: describe(group.map(record => record.latency)),
+    gas: describe(group.map(record => record.gas))
+  })).sort((a, b) => (a.phase || '~').localeCompare(b.phase || '~') || a.method.localeCompare(b.method));
+}
+
+// 最小二乘拟合 y = intercept + slope * x，points 至少包含两个不同的 x
+function fitLinear(points) {
+  const n = points.length;
+  const meanX = points.reduce((sum, [x]) => sum + x, 0) / n;
+  const meanY = points.reduce((sum, [, y]) => sum + y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (const [x, y] of points) {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (y - meanY);
+    syy += (y - meanY) ** 2;
+  }
+  if (sxx === 0) {
+    throw new Error('Cannot fit a line through points with a single x value');
+  }
+  const slope = sxy / sxx;
+  return {
+    slope,
+    intercept: meanY - slope * meanX,
+    r2: syy === 0 ? 1 : (sxy * sxy) / (sxx * syy),
+    n
+  };
+}
+
+// 对每个方法拟合 gas 与各扫描参数的关系，只保留该参数在记录中有两个以上取值的组合
+function fitParameters(records, parameters = FIT_PARAMETERS) {
+  const fits = [];
+  for (const parameter of parameters) {
+    const byMethod = new Map();
+    for (const record of records) {
+      const x = record.params && record.params[parameter];
+      if (typeof x !== 'number') {
+        continue;
+      }
+      if (!byMethod.has(record.method)) {
+        byMethod.set(record.method, []);
+      }
+      byMethod.get(record.method).push([x, record.gas]);
+    }
+    for (const [method, points] of byMethod) {
+      const xs = new Set(points.map(([x]) => x));
+      if (xs.size < 2) {
+        continue;
+      }
+      const fit = fitLinear(points);
+      const minX = Math.min(...xs);
+      const maxX = Math.max(...xs);
+      const meanGas = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+      fits.push({
+        parameter,
+        method,
+        ...fit,
+        minX,
+        maxX,
+        points,
+        // 参数从最小值变到最大值时 gas 的相对变化，用于挑选需要画图的方法
+        effect: meanGas === 0 ? 0 : Math.abs(fit.slope * (maxX - minX)) / meanGas
+      });
+    }
+  }
+  return fits.sort((a, b) => a.parameter.localeCompare(b.parameter) || a.method.localeCompare(b.method));
+}
+
+// 数据集的默认名称：网络名，只有一次运行时附上运行编号
+function defaultLabel(records) {
+  const networks = [...new Set(records.map(record => record.network))];
+  const runs = [...new Set(records.map(record => record.run))];
+  return runs.length === 1 ? `${networks.join('+')} ${runs[0]}` : networks.join('+');
+}
+
+function relativeChange(base, current) {
+  return base === 0 ? null : (current - base) / base;
+}
+
+// 生成报告数据；给出 baseline 时对两组结果中都出现的方法和拟合做对比
+function buildReport({ current, baseline, title = 'NMFT benchmark report' }) {
+  const side = ({ label, records }) => {
+    if (records.length === 0) {
+      throw new Error(`No benchmark results for ${label || 'report'}`);
+    }
+    return {
+      label: label || defaultLabel(records),
+      records: records.length,
+      runs: [...new Set(records.map(record => record.run))],
+      summary: summarize(records),
+      fits: fitParameters(records)
+    };
+  };
+  const report = { title, generatedAt: new Date().toISOString(), current: side(current) };
+  if (!baseline) {
+    return report;
+  }
+  report.baseline = side(baseline);
+  if (report.baseline.label === report.current.label) {
+    report.baseline.label += ' (baseline)';
+  }
+  const baseSummary = new Map(report.baseline.summary.map(entry => [entry.method, entry]));
+  report.comparison = report.current.summary.filter(entry => baseSummary.has(entry.method)).map(entry => {
+    const base = baseSummary.get(entry.method);
+    return {
+      method: entry.method,
+      phase: entry.phase,
+      gas: { baseline: base.gas.median, current: entry.gas.median, change: relativeChange(base.gas.median, entry.gas.median) },
+      latency: { baseline: base.latency.median, current: entry.latency.median, change: relativeChange(base.latency.median, entry.latency.median) }
+    };
+  });
+  const baseFits = new Map(report.baseline.fits.map(fit => [`${fit.parameter}:${fit.method}`, fit]));
+  report.fitComparison = report.current.fits.filter(fit => baseFits.has(`${fit.parameter}:${fit.method}`)).map(fit => {
+    const base = baseFits.get(`${fit.parameter}:${fit.method}`);
+    return { parameter: fit.parameter, method: fit.method, baseline: base.slope, current: fit.slope, change: relativeChange(base.slope, fit.slope) };
+  });
+  return report;
+}
+
+function formatNumber(value, digits = 0) {
+  return value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+function formatChange(change) {
+  if (change === null) {
+    return 'n/a';
+  }
+  return `${change >= 0 ? '+' : ''}${(change * 100).toFixed(1)}%`;
+}
+
+// 报告中的各个表格：表头和按行排列的单元格文本，Markdown 和 HTML 共用
+function reportTables(report) {
+  const tables = [];
+  const sides = report.baseline ? [report.baseline, report.current] : [report.current];
+  for (const side of sides) {
+    tables.push({
+      title: `Per-method statistics: ${side.label}`,
+      header: ['Phase', 'Method', 'n', 'Latency mean (ms)', 'Latency median (ms)', 'Latency p95 (ms)', 'Gas mean', 'Gas median', 'Gas p95'],
+      rows: side.summary.map(entry => [
+        entry.phase,
+        entry.method,
+        String(entry.count),
+        formatNumber(entry.latency.mean, 1),
+        formatNumber(entry.latency.median, 1),
+        formatNumber(entry.latency.p95, 1),
+        formatNumber(entry.gas.mean),
+        formatNumber(entry.gas.median),
+        formatNumber(entry.gas.p95)
+      ])
+    });
+    if (side.fits.length > 0) {
+      tables.push({
+        title: `Gas fits: ${side.label}`,
+        header: ['Parameter', 'Method', 'Gas per unit', 'Intercept', 'R²', 'Range', 'n'],
+        rows: side.fits.map(fit => [
+          fit.parameter,
+          fit.method,
+          formatNumber(fit.slope, 1),
+          formatNumber(fit.intercept),
+          fit.r2.toFixed(3),
+          `${fit.minX}–${fit.maxX}`,
+          String(fit.n)
+        ])
+      });
+    }
+  }
+  if (report.comparison) {
+    const { baseline, current } = report;
+    tables.push({
+      title: `Comparison: ${current.label} vs ${baseline.label} (medians)`,
+      header: ['Phase', 'Method', `Gas ${baseline.label}`, `Gas ${current.label}`, 'Gas change', `Latency ${baseline.label} (ms)`, `Latency ${current.label} (ms)`, 'Latency change'],
+      rows: report.comparison.map(entry => [
+        entry.phase,
+        entry.method,
+        formatNumber(entry.gas.baseline),
+        formatNumber(entry.gas.current),
+        formatChange(entry.gas.change),
+        formatNumber(entry.latency.baseline, 1),
+        formatNumber(entry.latency.current, 1),
+        formatChange(entry.latency.change)
+      ])
+    });
+    if (report.fitComparison.length > 0) {
+      tables.push({
+        title: `Fit comparison: ${current.label} vs ${baseline.label} (gas per unit)`,
+        header: ['Parameter', 'Method', baseline.label, current.label, 'Change'],
+        rows: report.fitComparison.map(entry => [
+          entry.parameter,
+          entry.method,
+          formatNumber(entry.baseline, 1),
+          formatNumber(entry.current, 1),
+          formatChange(entry.change)
+        ])
+      });
+    }
+  }
+  return tables;
+}
+
+function renderMarkdown(report) {
+  const escape = text => String(text).replace(/\|/g, '\\|');
+  const lines = [`# ${report.title}`, '', `Generated ${report.generatedAt}.`, ''];
+  const sides = report.baseline ? [report.baseline, report.current] : [report.current];
+  for (const side of sides) {
+    lines.push(`- **${side.label}**: ${side.records} measurements from ${side.runs.length} run(s)`);
+  }
+  for (const table of reportTables(report)) {
+    lines.push('', `## ${table.title}`, '');
+    lines.push(`| ${table.header.map(escape).join(' | ')} |`);
+    lines.push(`|${table.header.map(() => ' --- ').join('|')}|`);
+    for (const row of table.rows) {
+      lines.push(`| ${row.map(escape).join(' | ')} |`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// 坐标轴刻度：取 1、2、5 乘以 10 的幂作为间隔
+function niceTicks(min, max, count = 5) {
+  if (min === max) {
+    max = min + 1;
+  }
+  const raw = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= raw);
+  const ticks = [];
+  for (let value = Math.floor(min / step) * step; value <= max + step / 2; value += step) {
+    ticks.push(Number(value.toPrecision(12)));
+  }
+  return ticks;
+}
+
+function shortNumber(value) {
+  const abs = Math.abs(value);
+  if (abs >= 1e6) {
+    return `${Number((value / 1e6).toPrecision(3))}M`;
+  }
+  if (abs >= 1e3) {
+    return `${Number((value / 1e3).toPrecision(3))}k`;
+  }
+  return String(Number(value.toPrecision(3)));
+}
+
+const CHART = { width: 760, height: 340, left: 70, right: 20, top: 40, bottom: 90 };
+
+function chartFrame(title, yTicks, yScale, yLabel, body) {
+  const { width, height, left, right, top, bottom } = CHART;
+  const grid = yTicks.map(tick => {
+    const y = yScale(tick);
+    return `<line x1="${left}" x2="${width - right}" y1="${y}" y2="${y}" stroke="#ddd"/>` +
+      `<text x="${left - 6}" y="${y + 4}" text-anchor="end" font-size="11">${shortNumber(tick)}</text>`;
+  }).join('');
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif">` +
+    `<text x="${width / 2}" y="20" text-anchor="middle" font-size="14" font-weight="bold">${escapeHtml(title)}</text>` +
+    `<text x="14" y="${top + (height - top - bottom) / 2}" transform="rotate(-90 14 ${top + (height - top - bottom) / 2})" text-anchor="middle" font-size="12">${escapeHtml(yLabel)}</text>` +
+    grid + body +
+    `<line x1="${left}" x2="${width - right}" y1="${height - bottom}" y2="${height - bottom}" stroke="#333"/>` +
+    '</svg>';
+}
+
+function legend(series, y) {
+  return series.map((entry, i) => {
+    const x = CHART.left + i * 180;
+    return `<rect x="${x}" y="${y - 10}" width="12" height="12" fill="${entry.color}"/>` +
+      `<text x="${x + 18}" y="${y}" font-size="12">${escapeHtml(entry.label)}</text>`;
+  }).join('');
+}
+
+// 分组柱状图：categories 为方法名，每个 series 为一组数据（如 baseline 和 current）
+function barChart({ title, yLabel, categories, series }) {
+  const { width, height, left, right, top, bottom } = CHART;
+  const max = Math.max(...series.flatMap(entry => entry.values.filter(value => value !== undefined)), 0);
+  const yTicks = niceTicks(0, max);
+  const yMax = yTicks[yTicks.length - 1];
+  const yScale = value => height - bottom - (value / yMax) * (height - top - bottom);
+  const band = (width - left - right) / categories.length;
+  const barWidth = (band * 0.8) / series.length;
+  const bars = categories.map((category, i) => {
+    const x0 = left + i * band + band * 0.1;
+    const rects = series.map((entry, j) => {
+      const value = entry.values[i];
+      if (value === undefined) {
+        return '';
+      }
+      const y = yScale(value);
+      return `<rect x="${x0 + j * barWidth}" y="${y}" width="${barWidth - 1}" height="${height - bottom - y}" fill="${entry.color}"><title>${escapeHtml(`${entry.label} ${category}: ${formatNumber(value, 1)}`)}</title></rect>`;
+    }).join('');
+    const cx = left + i * band + band / 2;
+    const ly = height - bottom + 12;
+    return rects + `<text x="${cx}" y="${ly}" transform="rotate(35 ${cx} ${ly})" font-size="10">${escapeHtml(category)}</text>`;
+  }).join('');
+  return chartFrame(title, yTicks, yScale, yLabel, bars + legend(series, top - 6));
+}
+
+// 散点图加拟合直线：series 中每组包含 points 和 fit
+function scatterChart({ title, xLabel, yLabel, series }) {
+  const { width, height, left, right, top, bottom } = CHART;
+  const xs = series.flatMap(entry => entry.points.map(([x]) => x));
+  const ys = series.flatMap(entry => entry.points.map(([, y]) => y));
+  const xTicks = niceTicks(Math.min(...xs), Math.max(...xs));
+  const yTicks = niceTicks(Math.min(...ys), Math.max(...ys));
+  const xScale = value => left + ((value - xTicks[0]) / (xTicks[xTicks.length - 1] - xTicks[0])) * (width - left - right);
+  const yScale = value => height - bottom - ((value - yTicks[0]) / (yTicks[yTicks.length - 1] - yTicks[0])) * (height - top - bottom);
+  const xAxis = xTicks.map(tick => `<text x="${xScale(tick)}" y="${height - bottom + 16}" text-anchor="middle" font-size="11">${shortNumber(tick)}</text>`).join('') +
+    `<text x="${left + (width - left - right) / 2}" y="${height - bottom + 36}" text-anchor="middle" font-size="12">${escapeHtml(xLabel)}</text>`;
+  const body = series.map(entry => {
+    const dots = entry.points.map(([x, y]) => `<circle cx="${xScale(x)}" cy="${yScale(y)}" r="3" fill="${entry.color}" fill-opacity="0.6"/>`).join('');
+    const { fit } = entry;
+    const line = `<line x1="${xScale(fit.minX)}" y1="${yScale(fit.intercept + fit.slope * fit.minX)}" x2="${xScale(fit.maxX)}" y2="${yScale(fit.intercept + fit.slope * fit.maxX)}" stroke="${entry.color}" stroke-width="2"/>`;
+    return dots + line;
+  }).join('');
+  return chartFrame(title, yTicks, yScale, yLabel, xAxis + body + legend(series, height - 14));
+}
+
+// 报告中的图表：各方法 gas 和延迟中位数的柱状图，以及 gas 随参数明显变化的方法的拟合图
+function reportCharts(report) {
+  const sides = report.baseline ? [report.baseline, report.current] : [report.current];
+  const methods = [...new Set(sides.flatMap(side => side.summary.map(entry => entry.method)))]
+    .filter(method => method !== 'deploy' && method !== 'getDataInfo');
+  const charts = [];
+  for (const metric of ['gas', 'latency']) {
+    charts.push(barChart({
+      title: `Median ${metric} per method`,
+      yLabel: metric === 'gas' ? 'Gas' : 'Latency (ms)',
+      categories: methods,
+      series: sides.map((side, i) => {
+        const byMethod = new Map(side.summary.map(entry => [entry.method, entry]));
+        return {
+          label: side.label,
+          color: PALETTE[i],
+          values: methods.map(method => byMethod.has(method) ? byMethod.get(method)[metric].median : undefined)
+        };
+      })
+    }));
+  }
+  // 参数变化使 gas 相对变化超过 1% 的方法才画拟合图
+  const fits = report.current.fits.filter(fit => fit.effect > 0.01);
+  for (const fit of fits) {
+    const entries = sides.map((side, i) => ({
+      label: side.label,
+      color: PALETTE[i],
+      fit: side.fits.find(candidate => candidate.parameter === fit.parameter && candidate.method === fit.method)
+    })).filter(entry => entry.fit);
+    charts.push(scatterChart({
+      title: `${fit.method} gas vs ${fit.parameter}`,
+      xLabel: fit.parameter,
+      yLabel: 'Gas',
+      series: entries.map(entry => ({ ...entry, points: entry.fit.points }))
+    }));
+  }
+  return charts;
+}
+
+// 自包含的 HTML 报告，图表以内联 SVG 嵌入
+function renderHtml(report) {
+  const sides = report.baseline ? [report.baseline, report.current] : [report.current];
+  const tables = reportTables(report).map(table => (
+    `<h2>${escapeHtml(table.title)}</h2>\n<table>\n<thead><tr>${table.header.map(cell => `<th>${escapeHtml(cell)}</th>`).join('')}</tr></thead>\n<tbody>\n` +
+    table.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n') +
+    '\n</tbody>\n</table>'
+  )).join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1.5em; font-size: 13px; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: right; }
+th:nth-child(-n+2), td:nth-child(-n+2) { text-align: left; }
+thead { background: #f3f3f3; }
+svg { display: block; margin: 1em 0; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title)}</h1>
+<p>Generated ${escapeHtml(report.generatedAt)}.</p>
+<ul>
+${sides.map(side => `<li><strong>${escapeHtml(side.label)}</strong>: ${side.records} measurements from ${side.runs.length} run(s)</li>`).join('\n')}
+</ul>
+${reportCharts(report).join('\n')}
+${tables}
+</body>
+</html>
+`;
+}
+
+// 写出 report.html 和 report.md
+function writeReport(report, outDir) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const html = path.join(outDir, 'report.html');
+  const markdown = path.join(outDir, 'report.md');
+  fs.writeFileSync(html, renderHtml(report));
+  fs.writeFileSync(markdown, renderMarkdown(report));
+  return { html, markdown };
+}
+
+module.exports = {
+  PHASES,
+  FIT_PARAMETERS,
+  loadRecords,
+  quantile,
+  summarize,
+  fitLinear,
+  fitParameters,
+  buildReport,
+  renderMarkdown,
+  renderHtml,
+  writeReport
+};
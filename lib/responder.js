@@ -0,0 +1,135 @@
+const { ethers } = require('ethers');
+const { Phase } = require('./client');
+const {
+  ReceiptRole,
+  signEnvelope,
+  verifyEnvelope,
+  receiptMessage,
+  challengeResponseMessage
+} = require('./exchange');
+
+// 所有者自动响应：从交换服务取得买家的挑战索引，用本地特征树在链上调用 ownerResToChallenge
+class ChallengeResponder {
+  // watchlist 为 [{ tokenId, tree }]，与 loadWatchlist() 的格式相同
+  constructor({ client, signer, exchange, watchlist, pollInterval = 10000, logger = console }) {
+    this.client = client;
+    this.signer = signer;
+    this.owner = client.owner(signer);
+    this.exchange = exchange;
+    this.watchlist = watchlist.map(entry => ({ tokenId: ethers.toBigInt(entry.tokenId), tree: entry.tree }));
+    this.pollInterval = pollInterval;
+    this.logger = logger;
+    this.handled = new Set();
+    this._socket = null;
+    this._timer = null;
+    this._queue = Promise.resolve();
+  }
+
+  // 订阅推送并定期补查遗漏的挑战
+  async start() {
+    this._socket = await this.exchange.subscribe(
+      ({ type, record }) => {
+        if (type === 'challenge') {
+          return this._enqueue(record);
+        }
+        return undefined;
+      },
+      { onError: error => this.logger.error('Responder failed:', error) }
+    );
+    const tick = async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        this.logger.error('Responder poll failed:', error);
+      }
+      if (this._socket) {
+        this._timer = setTimeout(tick, this.pollInterval);
+      }
+    };
+    this._timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    if (this._socket) {
+      this._socket.close();
+      this._socket = null;
+    }
+  }
+
+  // 同一时间只处理一个挑战，避免重复提交
+  _enqueue(record) {
+    const result = this._queue.then(() => this.handle(record));
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  // 查询自己 token 上尚未响应的挑战，返回本轮提交的响应
+  async poll() {
+    const results = [];
+    for (const tokenId of new Set(this.watchlist.map(entry => entry.tokenId))) {
+      for (const record of await this.exchange.listChallenges({ tokenId, pending: true })) {
+        const result = await this._enqueue(record);
+        if (result) {
+          results.push(result);
+        }
+      }
+    }
+    return results;
+  }
+
+  async handle(record) {
+    const { digest, challenge } = record;
+    if (this.handled.has(digest) || record.response) {
+      return null;
+    }
+    const message = challenge.message;
+    const tokenId = ethers.toBigInt(message.tokenId);
+    const trees = this.watchlist.filter(entry => entry.tokenId === tokenId);
+    if (trees.length === 0) {
+      return null;
+    }
+    verifyEnvelope(challenge, message.buyer);
+    if (!ethers.isAddress(message.contract) || ethers.getAddress(message.contract) !== ethers.getAddress(await this.client.nmft.getAddress())) {
+      return null;
+    }
+
+    const trade = await this.owner.trade(tokenId, message.buyer);
+    if (trade.phase !== Phase.ChallengeInitiated || trade.challenge.initiatedTimestamp.toString() !== message.initiatedTimestamp) {
+      this.logger.info(`Skipping challenge ${digest} on token ${tokenId}: trade is in phase ${trade.phase}`);
+      this.handled.add(digest);
+      return null;
+    }
+
+    const tree = await this._registeredTree(tokenId, trees, message.indices);
+    const receipt = await signEnvelope(this.signer, receiptMessage(challenge, { role: ReceiptRole.Owner }));
+    await this.exchange.postReceipt(digest, receipt);
+
+    const response = tree.getChallengeResponse(message.indices);
+    const txReceipt = await this.owner.respondToChallenge(tokenId, message.buyer, response);
+    this.handled.add(digest);
+    this.logger.info(`Answered challenge ${digest} on token ${tokenId} for ${message.buyer} in ${txReceipt.hash}`);
+
+    const responseEnvelope = await signEnvelope(this.signer, challengeResponseMessage(challenge, { txHash: txReceipt.hash }));
+    await this.exchange.postResponse(digest, responseEnvelope);
+    return { digest, tokenId, buyer: message.buyer, receipt: txReceipt, ownerReceipt: receipt, response: responseEnvelope };
+  }
+
+  // 选择已在链上登记且包含全部索引的特征树
+  async _registeredTree(tokenId, trees, indices) {
+    const maxIndex = Math.max(...indices);
+    for (const { tree } of trees) {
+      if (maxIndex < tree.size && await this.client.nmft.getMerkleRootTimestamp(tokenId, tree.root) !== 0n) {
+        return tree;
+      }
+    }
+    throw new Error(`No registered feature tree on token ${tokenId} covers index ${maxIndex}`);
+  }
+}
+
+module.exports = {
+  ChallengeResponder
+};
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+
+// 结果记录的字段，每行 JSON 都包含全部字段，不适用的字段为 null
+const RESULT_FIELDS = [
+  'run',
+  'network',
+  'benchmark',
+  'contract',
+  'method',
+  'params',
+  'repetition',
+  'trade',
+  'tokenId',
+  'challenger',
+  'gas',
+  'latency',
+  'blockNumber',
+  'txHash',
+  'effectiveGasPrice',
+  'time'
+];
+
+// 运行编号：UTC 时间戳，同时用作结果文件名的一部分
+function runId(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+}
+
+// 按固定字段顺序构造一条记录；bigint 转为字符串（tokenId、effectiveGasPrice）或数字（gas、blockNumber）
+function resultRecord(values) {
+  if (!values.run || !values.network || !values.method) {
+    throw new Error('Result record requires run, network and method');
+  }
+  const record = {};
+  for (const field of RESULT_FIELDS) {
+    const value = values[field];
+    if (value === undefined || value === null || value === '') {
+      record[field] = field === 'params' ? {} : null;
+    } else if (field === 'gas' || field === 'blockNumber' || field === 'latency') {
+      record[field] = Number(value);
+    } else if (typeof value === 'bigint') {
+      record[field] = value.toString();
+    } else {
+      record[field] = value;
+    }
+  }
+  return record;
+}
+
+// 从 ethers 交易回执中取出 gas、区块号、交易哈希和实际 gas 价格；view 调用没有回执
+function receiptMetrics(receipt) {
+  if (!receipt) {
+    return { gas: 0, blockNumber: null, txHash: null, effectiveGasPrice: null };
+  }
+  return {
+    gas: receipt.gasUsed,
+    blockNumber: receipt.blockNumber,
+    txHash: receipt.hash,
+    effectiveGasPrice: receipt.gasPrice
+  };
+}
+
+// 一条记录序列化为一行 JSON，params 中的 bigint 转为字符串
+function formatRecord(record) {
+  return `${JSON.stringify(record, (key, value) => typeof value === 'bigint' ? value.toString() : value)}\n`;
+}
+
+// 以 JSON Lines 追加写入结果，每次写入一行，中断的运行也保留已完成的测量
+class ResultsWriter {
+  constructor(filePath) {
+    this.path = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  append(values) {
+    const record = resultRecord(values);
+    fs.appendFileSync(this.path, formatRecord(record));
+    return record;
+  }
+}
+
+// 读取 JSON Lines 结果文件
+function readResults(filePath) {
+  return fs.readFileSync(filePath, 'utf8').split('\n').flatMap((line, i) => {
+    if (!line.trim()) {
+      return [];
+    }
+    try {
+      return [JSON.parse(line)];
+    } catch (error) {
+      throw new Error(`Invalid result record at ${filePath}:${i + 1}: ${error.message}`);
+    }
+  });
+}
+
+// 旧 CSV 中扫描参数列的含义：batch_number.csv 的 batchNumber 列记录的是 newCompletedBatches
+const LEGACY_PARAMETER_COLUMNS = {
+  batchNumber: 'newCompletedBatches',
+  challengeSize: 'challengeSize'
+};
+
+// 旧回执是手工把逗号替换为 "\," 的 JSON，部分文件又被表格软件加了引号，无法可靠解析；
+// 去掉引号和反斜杠后按字段名提取需要的值
+function legacyReceiptMetrics(text) {
+  const flat = text.replace(/["\\]/g, '');
+  const match = (pattern) => {
+    const found = flat.match(pattern);
+    return found ? found[1] : null;
+  };
+  return {
+    blockNumber: match(/[{,]blockNumber:(\d+)/),
+    txHash: match(/[{,]hash:(0x[0-9a-fA-F]{64})/),
+    effectiveGasPrice: match(/[{,]gasPrice:(\d+)/)
+  };
+}
+
+// 解析旧格式的 CSV：前面各列不含逗号，最后一列 receipt 为该行剩余的全部内容
+function parseLegacyCsv(text, { network, benchmark }) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  const header = lines[0].replace(/,+$/, '').split(',');
+  if (header[0] !== 'method' || header[header.length - 1] !== 'receipt') {
+    throw new Error(`Unrecognized legacy results header: ${lines[0]}`);
+  }
+  const columns = header.length - 1;
+  return lines.slice(1).map((line, i) => {
+    const fields = line.split(',');
+    const row = Object.fromEntries(header.slice(0, columns).map((name, j) => [name, fields[j]]));
+    const receipt = fields.slice(columns).join(',');
+    const contract = row.contractAddress || row.contract_address;
+    const params = {};
+    for (const [column, param] of Object.entries(LEGACY_PARAMETER_COLUMNS)) {
+      if (row[column]) {
+        params[param] = Number(row[column]);
+      }
+    }
+    if (!row.method || Number.isNaN(Number(row.gas))) {
+      throw new Error(`Invalid legacy results row ${i + 2}`);
+    }
+    return resultRecord({
+      // 旧文件没有运行编号，同一个合约地址上的测量视为一次运行
+      run: `legacy-${benchmark}-${contract}`,
+      network,
+      benchmark,
+      contract,
+      method: row.method,
+      params,
+      gas: row.gas,
+      latency: row.latency,
+      ...legacyReceiptMetrics(receipt),
+      time: row.time
+    });
+  });
+}
+
+// 把 dir 中的 <network>_<benchmark>.csv 转为同名的 .jsonl；remove 为 true 时删除原文件
+function migrateLegacyResults(dir, { remove = false } = {}) {
+  const migrated = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = file.match(/^([a-z0-9]+)_(\w+)\.csv$/);
+    if (!match) {
+      continue;
+    }
+    const [, network, benchmark] = match;
+    const source = path.join(dir, file);
+    const records = parseLegacyCsv(fs.readFileSync(source, 'utf8'), { network, benchmark });
+    const target = path.join(dir, `${network}_${benchmark}.jsonl`);
+    fs.writeFileSync(target, records.map(formatRecord).join(''));
+    if (remove) {
+      fs.unlinkSync(source);
+    }
+    migrated.push({ source, target, records: records.length });
+  }
+  return migrated;
+}
+
+module.exports = {
+  RESULT_FIELDS,
+  runId,
+  resultRecord,
+  receiptMetrics,
+  ResultsWriter,
+  readResults,
+  parseLegacyCsv,
+  migrateLegacyResults
+};
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { NmftClient, Phase } = require('./client');
+const { FeatureTree } = require('./featureTree');
+const { hammingSimilarity } = require('./lsh');
+
+// 相似度低于阈值但差距在此范围内的向量记为 near-miss
+const DEFAULT_NEAR_MISS_MARGIN = 5;
+
+// 从目录加载特征树，params.tokenId 指明特征树所属的 token
+function loadWatchlist(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const tree = FeatureTree.load(path.join(dir, file));
+      if (tree.params.tokenId === undefined) {
+        throw new Error(`Feature tree ${file} has no params.tokenId`);
+      }
+      return { tokenId: ethers.toBigInt(tree.params.tokenId), tree };
+    });
+}
+
+// 监视 ChallengeVectorsRecorded 事件，用本地登记更早的特征树自动响应挑战
+class ChallengeWatchdog {
+  // client 为连接到数据所有者 signer 的 NmftClient，watchlist 为 [{ tokenId, tree }]
+  constructor({ client, signer, watchlist, fromBlock = 0, pollInterval = 4000, nearMissMargin = DEFAULT_NEAR_MISS_MARGIN, maxGas, logger = console }) {
+    this.client = client;
+    this.owner = client.owner(signer);
+    this.estimator = client.owner(signer, { dryRun: true });
+    this.watchlist = watchlist.map(entry => ({ tokenId: ethers.toBigInt(entry.tokenId), tree: entry.tree }));
+    this.nextBlock = fromBlock;
+    this.pollInterval = pollInterval;
+    this.nearMissMargin = nearMissMargin;
+    this.maxGas = maxGas === undefined ? undefined : ethers.toBigInt(maxGas);
+    this.logger = logger;
+    // 尚未处理完的挑战，key 为 tokenId:buyer
+    this.pending = new Map();
+    this._rootTimestamps = new Map();
+    this._timer = null;
+    this._running = false;
+  }
+
+  static at(address, signer, options = {}) {
+    return new ChallengeWatchdog({ ...options, client: NmftClient.at(address, signer), signer });
+  }
+
+  get nmft() {
+    return this.client.nmft;
+  }
+
+  start() {
+    if (this._running) {
+      return;
+    }
+    this._running = true;
+    const tick = async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        this.logger.error('Watchdog poll failed:', error);
+      }
+      if (this._running) {
+        this._timer = setTimeout(tick, this.pollInterval);
+      }
+    };
+    this._timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    this._running = false;
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  // 拉取新的挑战事件并处理所有待处理的挑战，返回本轮提交的响应
+  async poll() {
+    const head = await this.client.provider.getBlockNumber();
+    if (this.nextBlock <= head) {
+      const events = await this.nmft.queryFilter(this.nmft.filters.ChallengeVectorsRecorded(), this.nextBlock, head);
+      for (const event of events) {
+        const challenge = {
+          tokenId: event.args.tokenId,
+          buyer: event.args.buyer,
+          vectors: [...event.args.vectors],
+          merkleRoots: [...event.args.merkleRoots],
+          blockNumber: event.blockNumber
+        };
+        this.pending.set(`${challenge.tokenId}:${challenge.buyer}`, challenge);
+      }
+      this.nextBlock = head + 1;
+    }
+
+    const submitted = [];
+    for (const [key, challenge] of this.pending) {
+      const result = await this.handle(challenge);
+      if (result !== 'waiting') {
+        this.pending.delete(key);
+      }
+      if (result && result.receipt) {
+        submitted.push(result);
+      }
+    }
+    return submitted;
+  }
+
+  // 处理一个挑战，买家尚未验证时返回 'waiting'
+  async handle(challenge) {
+    const { tokenId, buyer } = challenge;
+    const trade = await this.client.getTrade(tokenId, buyer);
+    if (trade.phase === Phase.VectorsVerified) {
+      return 'waiting';
+    }
+    if (trade.phase !== Phase.ChallengeOpen) {
+      this.logger.info(`Challenge on token ${tokenId} for ${buyer} is no longer open (${trade.phase})`);
+      return null;
+    }
+    if (await this.client.now() >= trade.deadlines.challengeWindowEndsAt) {
+      this.logger.info(`Challenge window on token ${tokenId} for ${buyer} has closed`);
+      return null;
+    }
+
+    const candidate = await this.findResponse(challenge, trade.challenge.totalTimestampDifference);
+    if (!candidate) {
+      return null;
+    }
+
+    const { gasEstimate } = await this.estimator.respondAsOtherOwner(tokenId, buyer, candidate.challengerTokenId, challenge, candidate.response);
+    this.logger.info(`Responding to challenge on token ${tokenId} for ${buyer} with token ${candidate.challengerTokenId}, estimated gas ${gasEstimate}`);
+    if (this.maxGas !== undefined && gasEstimate > this.maxGas) {
+      this.logger.warn(`Skipping response on token ${tokenId}: estimated gas ${gasEstimate} exceeds limit ${this.maxGas}`);
+      return null;
+    }
+    const receipt = await this.owner.respondAsOtherOwner(tokenId, buyer, candidate.challengerTokenId, challenge, candidate.response);
+    return { ...candidate, tokenId, buyer, gasEstimate, receipt };
+  }
+
+  // 在自己的特征树中为每个被公开的向量寻找相似且登记更早的向量
+  async findResponse(challenge, currentDifference = 0n) {
+    const threshold = Number(await this.nmft.similarityThreshold());
+    const originalTimestamps = await Promise.all(
+      challenge.merkleRoots.map(root => this._rootTimestamp(challenge.tokenId, root))
+    );
+
+    let best = null;
+    for (const challengerTokenId of new Set(this.watchlist.map(entry => entry.tokenId))) {
+      if (challengerTokenId === ethers.toBigInt(challenge.tokenId)) {
+        continue;
+      }
+      const candidate = await this._matchToken(challenge, challengerTokenId, originalTimestamps, threshold);
+      if (candidate && (!best || candidate.totalTimestampDifference > best.totalTimestampDifference)) {
+        best = candidate;
+      }
+    }
+
+    if (best && best.totalTimestampDifference <= ethers.toBigInt(currentDifference)) {
+      this.logger.info(`Token ${best.challengerTokenId} matches token ${challenge.tokenId} but does not beat the current winner`);
+      return null;
+    }
+    return best;
+  }
+
+  async _matchToken(challenge, challengerTokenId, originalTimestamps, threshold) {
+    const trees = [];
+    for (const entry of this.watchlist.filter(item => item.tokenId === challengerTokenId)) {
+      const timestamp = await this._rootTimestamp(challengerTokenId, entry.tree.root);
+      if (timestamp === 0n) {
+        this.logger.warn(`Feature tree ${entry.tree.root} is not registered on token ${challengerTokenId}`);
+        continue;
+      }
+      trees.push({ tree: entry.tree, timestamp });
+    }
+
+    const response = { vectors: [], merkleProofs: [], merkleRoots: [] };
+    let totalTimestampDifference = 0n;
+    for (let i = 0; i < challenge.vectors.length; i++) {
+      const original = challenge.vectors[i];
+      let match = null;
+      let nearest = null;
+      for (const { tree, timestamp } of trees) {
+        tree.vectors.forEach((vector, index) => {
+          const similarity = hammingSimilarity(original, vector);
+          if (!nearest || similarity > nearest.similarity) {
+            nearest = { similarity, timestamp };
+          }
+          // 合约只接受登记时间更早的根，多个候选时取最早的根以获得最大时间差
+          if (similarity >= threshold && timestamp < originalTimestamps[i] && (!match || timestamp < match.timestamp)) {
+            match = { tree, index, timestamp, similarity };
+          }
+        });
+      }
+
+      if (!match) {
+        this._logNearMiss(challenge, challengerTokenId, i, nearest, originalTimestamps[i], threshold);
+        return null;
+      }
+      response.vectors.push(match.tree.vectors[match.index]);
+      response.merkleProofs.push(match.tree.getProof(match.index));
+      response.merkleRoots.push(match.tree.root);
+      totalTimestampDifference += originalTimestamps[i] - match.timestamp;
+    }
+    return { challengerTokenId, response, totalTimestampDifference };
+  }
+
+  _logNearMiss(challenge, challengerTokenId, index, nearest, originalTimestamp, threshold) {
+    if (!nearest) {
+      return;
+    }
+    const prefix = `Near miss on token ${challenge.tokenId} vector ${index} with token ${challengerTokenId}`;
+    if (nearest.similarity >= threshold && nearest.timestamp >= originalTimestamp) {
+      this.logger.warn(`${prefix}: similarity ${nearest.similarity}% but our root was registered later`);
+    } else if (nearest.similarity < threshold && nearest.similarity >= threshold - this.nearMissMargin) {
+      this.logger.warn(`${prefix}: similarity ${nearest.similarity}% below threshold ${threshold}%`);
+    }
+  }
+
+  // Merkle 根的登记时间登记后不再变化，非零值可以缓存
+  async _rootTimestamp(tokenId, merkleRoot) {
+    const key = `${tokenId}:${merkleRoot}`;
+    if (!this._rootTimestamps.has(key)) {
+      const timestamp = await this.nmft.getMerkleRootTimestamp(tokenId, merkleRoot);
+      if (timestamp === 0n) {
+        return timestamp;
+      }
+      this._rootTimestamps.set(key, timestamp);
+    }
+    return this._rootTimestamps.get(key);
+  }
+}
+
+module.exports = {
+  DEFAULT_NEAR_MISS_MARGIN,
+  ChallengeWatchdog,
+  loadWatchlist
+};
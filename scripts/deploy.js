@@ -1,114 +1,109 @@
-const hre = require("hardhat");
-const fs = require('fs');
 const path = require('path');
+const { runId, receiptMetrics, ResultsWriter } = require('../lib/results');
+const { EPHEMERAL_NETWORKS, DEPLOYMENTS_DIR, deploymentEntry, saveDeployment } = require('../lib/deployments');
+const { projectionMatrixParameters, writeProjectionMatrix, verifyProjectionMatrix } = require('../lib/lsh');
 
-async function main() {
-  const [deployer] = await hre.ethers.getSigners();
+const PROJECTION_MATRIX_FILE = path.join(DEPLOYMENTS_DIR, 'projection_matrix.json');
 
-  console.log("Deploying contracts with the account:", deployer.address);
+// 部署 NMFT 并写入注册表；hre 为已连接到目标网络的 Hardhat 运行时，deployer 默认为第一个签名者。
+// 供 hardhat run 和 nmft deploy 共用
+async function deploy(hre, { deployer, logger = console } = {}) {
+  if (!deployer) {
+    [deployer] = await hre.ethers.getSigners();
+  }
 
-  const NMFT = await hre.ethers.getContractFactory("NMFT");
+  logger.log("Deploying contracts with the account:", deployer.address);
 
-  const projectionMatrixHash = process.env.PROJECTION_MATRIX_HASH;
-  if (!projectionMatrixHash) {
-    throw new Error("PROJECTION_MATRIX_HASH not set in .env file");
-  }
+  const NMFT = await hre.ethers.getContractFactory("NMFT", deployer);
+
+  // 由 PROJECTION_MATRIX_SEED 推导投影矩阵；.env 中的 PROJECTION_MATRIX_HASH 可选，与推导结果不一致时拒绝部署
+  const projectionMatrix = projectionMatrixParameters(process.env.PROJECTION_MATRIX_HASH);
+  const projectionMatrixHash = projectionMatrix.hash;
+  logger.log("Projection matrix hash:", projectionMatrixHash);
+
+  // 导出投影矩阵供特征提取流程使用
+  const matrixFile = writeProjectionMatrix(process.env.PROJECTION_MATRIX_FILE || PROJECTION_MATRIX_FILE, projectionMatrix);
+  logger.log(`Projection matrix written to ${matrixFile}`);
 
   const startTime = Date.now();
   const nmft = await NMFT.deploy(deployer.address, projectionMatrixHash);
-  const deploymentReceipt = await nmft.deploymentTransaction().wait();
+  const deploymentReceipt = await nmft.deploymentTransaction().wait(hre.network.config.confirmations);
   const endTime = Date.now();
 
   const executionTime = endTime - startTime;
   const contractAddress = await nmft.getAddress();
   const gasUsed = deploymentReceipt.gasUsed;
 
-  console.log("NMFT deployed to:", contractAddress);
-  console.log("Gas used:", gasUsed.toString());
+  logger.log("NMFT deployed to:", contractAddress);
+  logger.log("Gas used:", gasUsed.toString());
+
+  // 核对链上的投影矩阵哈希，不一致的部署不写入注册表
+  await verifyProjectionMatrix(nmft, projectionMatrix);
+  logger.log("On-chain projection matrix hash verified");
 
   // 获取当前网络
   const network = hre.network.name;
 
-  // 更新 .env 文件
-  updateEnvFile(network, contractAddress);
-
-  // 更新 CSV 文件
-  updateCsvFiles(network, executionTime, gasUsed, contractAddress, deploymentReceipt);
-}
-
-function updateEnvFile(network, address) {
-  const envPath = path.join(__dirname, '../.env');
-  let envContent = '';
-
-  if (fs.existsSync(envPath)) {
-    envContent = fs.readFileSync(envPath, 'utf8');
-  }
+  // 写入部署注册表
+  const registryPath = await registerDeployment(hre, logger, deployer.address, projectionMatrixHash, contractAddress, deploymentReceipt);
 
-  const envLines = envContent.split('\n');
-  const variableName = `${network.toUpperCase()}_NMFT_CONTRACT_ADDRESS`;
+  // 记录部署结果
+  const resultsPath = recordDeployment(network, logger, executionTime, contractAddress, deploymentReceipt);
 
-  let updated = false;
-  for (let i = 0; i < envLines.length; i++) {
-    if (envLines[i].startsWith(`${variableName}=`)) {
-      envLines[i] = `${variableName}=${address}`;
-      updated = true;
-      break;
-    }
-  }
+  return { address: contractAddress, deployer: deployer.address, projectionMatrixHash, matrixFile, registryPath, resultsPath, receipt: deploymentReceipt };
+}
 
-  if (!updated) {
-    envLines.push(`${variableName}=${address}`);
+// 写入 deployments/<network>.json，脚本和测试据此解析合约地址
+async function registerDeployment(hre, logger, deployerAddress, projectionMatrixHash, contractAddress, deploymentReceipt) {
+  const network = hre.network.name;
+  if (EPHEMERAL_NETWORKS.includes(network)) {
+    logger.log(`Skipping deployment registry for ephemeral network ${network}`);
+    return null;
   }
-
-  fs.writeFileSync(envPath, envLines.join('\n'));
-  console.log(`.env file updated with ${variableName}=${address}`);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const { abi } = await hre.artifacts.readArtifact("NMFT");
+  const registryPath = saveDeployment(network, chainId, deploymentEntry({
+    address: contractAddress,
+    deployer: deployerAddress,
+    initialOwner: deployerAddress,
+    projectionMatrixHash,
+    receipt: deploymentReceipt,
+    compiler: hre.config.solidity.compilers[0],
+    abi
+  }));
+  logger.log(`Deployment registry updated: ${registryPath}`);
+  return registryPath;
 }
 
-function updateCsvFiles(network, executionTime, gasUsed, contractAddress, deploymentReceipt) {
-  // 确保 results 目录存在
-  const resultsDir = path.join(__dirname, '../results');
-  if (!fs.existsSync(resultsDir)) {
-    fs.mkdirSync(resultsDir, { recursive: true });
+// 部署的 gas 和延迟追加到 results/<network>_deploy.jsonl；临时网络上的部署不记录
+function recordDeployment(network, logger, executionTime, contractAddress, deploymentReceipt) {
+  if (EPHEMERAL_NETWORKS.includes(network)) {
+    logger.log(`Skipping deployment record for ephemeral network ${network}`);
+    return null;
   }
-
-  const files = [
-    `${network}_performance.csv`,
-    `${network}_batch_number.csv`,
-    `${network}_challenge_size.csv`
-  ];
-
-  files.forEach(file => {
-    const csvFilePath = path.join(resultsDir, file);
-
-    // 将整个 deploymentReceipt 转换为 JSON 字符串，并转义逗号和换行符
-    const receiptJson = JSON.stringify(deploymentReceipt).replace(/,/g, '\\,').replace(/\n/g, '\\n');
-
-    let csvLine;
-    if (file.includes('performance')) {
-      csvLine = `deploy,${executionTime},${gasUsed},${contractAddress},${new Date().toISOString()},${receiptJson}\n`;
-    } else {
-      // 对于 batch_number 和 challenge_size，我们使用不同的字段顺序
-      csvLine = `deploy,,${executionTime},${gasUsed},${contractAddress},${new Date().toISOString()},${receiptJson}\n`;
-    }
-
-    if (!fs.existsSync(csvFilePath)) {
-      if (file.includes('performance')) {
-        fs.writeFileSync(csvFilePath, 'method,latency,gas,contract_address,time,receipt\n');
-      } else if (file.includes('batch_number')) {
-        fs.writeFileSync(csvFilePath, 'method,batchNumber,latency,gas,contractAddress,time,receipt\n');
-      } else if (file.includes('challenge_size')) {
-        fs.writeFileSync(csvFilePath, 'method,challengeSize,latency,gas,contractAddress,time,receipt\n');
-      }
-    }
-
-    fs.appendFileSync(csvFilePath, csvLine);
-    console.log(`CSV file updated: ${csvFilePath}`);
+  const writer = new ResultsWriter(path.join(__dirname, `../results/${network}_deploy.jsonl`));
+  writer.append({
+    run: runId(),
+    network,
+    benchmark: 'deploy',
+    contract: contractAddress,
+    method: 'deploy',
+    ...receiptMetrics(deploymentReceipt),
+    latency: executionTime,
+    time: new Date().toISOString()
   });
+  logger.log(`Deployment recorded in ${writer.path}`);
+  return writer.path;
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+module.exports = { deploy };
+
+// npx hardhat run scripts/deploy.js --network <name>
+if (require.main === module) {
+  deploy(require("hardhat"))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
@@ -2,7 +2,7 @@
 
 # 函数：显示使用说明
 show_usage() {
-    echo "Usage: $0 [localhost|sepolia]"
+    echo "Usage: $0 [localhost|sepolia|shardora|shardoraLocal]"
     echo "If no network is specified, it will prompt for input."
     echo "At any prompt, enter 'q' to quit."
 }
@@ -11,7 +11,7 @@ show_usage() {
 select_network() {
     if [ -z "$1" ]; then
         echo "Select the network to run tests on (or enter 'q' to quit):"
-        options=("localhost" "sepolia")
+        options=("localhost" "sepolia" "shardora" "shardoraLocal")
         select network in "${options[@]}"; do
             if [[ "$REPLY" == "q" ]]; then
                 echo "Exiting..."
@@ -27,26 +27,31 @@ select_network() {
     fi
 
     case $network in
-        localhost|sepolia ) ;;
+        localhost|sepolia|shardora|shardoraLocal ) ;;
         q ) echo "Exiting..."; exit 0;;
-        * ) echo "Invalid network. Use 'localhost' or 'sepolia'."; exit 1;;
+        * ) echo "Invalid network. Use 'localhost', 'sepolia', 'shardora' or 'shardoraLocal'."; exit 1;;
     esac
 
     echo "Running tests on $network"
+    # 只有开发网络能推进时间；其他网络上结算挑战的配置在发送交易前被拒绝，其余配置停在挑战回应之后
+    case $network in
+        sepolia|shardora ) echo "Time cannot advance on $network: configs that settle the challenge are rejected, the others stop after the challenge responses.";;
+    esac
 }
 
-# 函数：运行测试
+# 函数：运行基准测试
 run_test() {
-    local test_file=$1
-    echo "Running test: $test_file"
-    npx hardhat test $test_file --network $network
+    local config_file=$1
+    echo "Running benchmark: $config_file"
+    node bin/nmft-bench.js --config $config_file --network $network
 }
 
-# 函数：选择测试
+# 函数：选择基准测试配置
 select_test() {
+    configs=(benchmarks/*.json benchmarks/*.yaml)
     while true; do
-        echo "Select the test to run (or enter 'q' to quit):"
-        options=("performance.js" "batch_number.js" "challenge_size.js" "Run all tests")
+        echo "Select the benchmark to run (or enter 'q' to quit):"
+        options=("${configs[@]}" "Run all benchmarks")
         select test in "${options[@]}"; do
             if [[ "$REPLY" == "q" ]]; then
                 echo "Exiting..."
@@ -58,25 +63,16 @@ select_test() {
             fi
         done
 
-        case $test in
-            "performance.js" )
-                run_test "test/performance.js"
-                ;;
-            "batch_number.js" )
-                run_test "test/batch_number.js"
-                ;;
-            "challenge_size.js" )
-                run_test "test/challenge_size.js"
-                ;;
-            "Run all tests" )
-                run_test "test/performance.js"
-                run_test "test/batch_number.js"
-                run_test "test/challenge_size.js"
-                ;;
-        esac
+        if [[ "$test" == "Run all benchmarks" ]]; then
+            for config_file in "${configs[@]}"; do
+                run_test "$config_file"
+            done
+        else
+            run_test "$test"
+        fi
 
-        echo "Test execution completed!"
-        echo "Do you want to run more tests? (y/n)"
+        echo "Benchmark execution completed!"
+        echo "Do you want to run more benchmarks? (y/n)"
         read -r answer
         if [[ "$answer" != "y" ]]; then
             break
@@ -93,4 +89,4 @@ fi
 select_network $1
 select_test
 
-echo "All tests completed!"
+echo "All benchmarks completed!"
@@ -1,7 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { MerkleTree } = require('merkletreejs');
-const keccak256 = require('keccak256');
+const { FeatureTree } = require('../lib/featureTree');
 
 describe("NMFT", function () {
   let NMFT, nmft, owner, addr1, addr2, addr3;
@@ -24,17 +23,15 @@ describe("NMFT", function () {
 
   // 初始化原始向量和 Merkle 树
   originalVectors = Array(challengeSize).fill().map(() => ethers.toBigInt(ethers.randomBytes(32)));
-  originalTree = new MerkleTree(originalVectors.map(v => ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [v]))), keccak256, { sort: true });
-  originalRoot = originalTree.getHexRoot();
-  originalMerkleProofs = originalVectors.map(v => originalTree.getHexProof(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [v]))));
-  originalMerkleRoots = Array(challengeSize).fill(originalRoot);
+  originalTree = FeatureTree.fromVectors(originalVectors);
+  originalRoot = originalTree.root;
+  ({ merkleProofs: originalMerkleProofs, merkleRoots: originalMerkleRoots } = originalTree.getChallengeResponse());
 
   // 初始化挑战者的向量和 Merkle 树
   challengerVectors = originalVectors; // 保证相似度超过阈值
-  challengerTree = new MerkleTree(challengerVectors.map(v => ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [v]))), keccak256, { sort: true });
-  challengerRoot = challengerTree.getHexRoot();
-  challengerMerkleProofs = challengerVectors.map(v => challengerTree.getHexProof(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [v]))));
-  challengerMerkleRoots = Array(challengeSize).fill(challengerRoot);
+  challengerTree = FeatureTree.fromVectors(challengerVectors);
+  challengerRoot = challengerTree.root;
+  ({ merkleProofs: challengerMerkleProofs, merkleRoots: challengerMerkleRoots } = challengerTree.getChallengeResponse());
 
   beforeEach(async function () {
     [owner, addr1, addr2, addr3] = await ethers.getSigners();
@@ -52,6 +49,8 @@ describe("NMFT", function () {
       batchNumber,
       nftTransferFee,
       merkleRoot,
+      ethers.ZeroHash,
+      ethers.ZeroAddress,
       description
     );
     const receipt = await tx.wait();
@@ -211,6 +210,8 @@ describe("NMFT", function () {
         batchNumber,
         nftTransferFee,
         merkleRoot,
+        ethers.ZeroHash,
+        ethers.ZeroAddress,
         description
       );
       const txReceipt = await txResponse.wait();
@@ -406,7 +407,7 @@ describe("NMFT", function () {
       const ownerDepositAmount = ethers.parseEther("0.01");
       await expect(nmft.connect(addr1).ownerDeposit(tokenId, addr2.address, { value: ownerDepositAmount }))
         .to.emit(nmft, "OwnerDepositMade")
-        .withArgs(tokenId, addr1.address, ownerDepositAmount);
+        .withArgs(tokenId, addr2.address, addr1.address, ownerDepositAmount);
     });
 
     it("非所有者不应该能质押", async function () {
@@ -506,17 +507,9 @@ describe("NMFT", function () {
       // 创建challengeSize个uint256 向量
       const vectors = Array(challengeSize).fill().map(() => ethers.toBigInt(ethers.randomBytes(32)));
       // 创建 Merkle tree
-      const leaves = vectors.map(v => ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [v])));
-      const tree = new MerkleTree(leaves, keccak256, { sort: true });
-      const root = tree.getHexRoot();
-
-      const merkleProofs = vectors.map(v => {
-      const leaf = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [v]));
-      const proof = tree.getHexProof(leaf);
-        return proof;
-      });
-
-      const merkleRoots = Array(challengeSize).fill(root);
+      const tree = FeatureTree.fromVectors(vectors);
+      const root = tree.root;
+      const { merkleProofs, merkleRoots } = tree.getChallengeResponse();
 
       // 更新合约中的 Merkle root
       await nmft.connect(addr1).updateMerkleRoot(tokenId, root);
@@ -556,7 +549,7 @@ describe("NMFT", function () {
         challengerMerkleProofs,
         challengerMerkleRoots
       )).to.emit(nmft, "ChallengeResponseReceived")
-        .withArgs(tokenId1, addr2.address, tokenId2, addr2.address);
+        .withArgs(tokenId1, addr3.address, addr2.address, tokenId2, addr2.address);
     });
   
     it("不应该能在挑战未发起时响应", async function () {
@@ -611,6 +604,74 @@ describe("NMFT", function () {
       )).to.emit(nmft, "ChallengeResolved")
         .withArgs(tokenId1, addr3.address, addr1.address, tokenId1);
     });
+    it("窗口内应该收集所有响应，窗口结束后由登记最早的挑战者胜出", async function () {
+      const tokenId1 = await mintNFT(addr1, 1);
+      const tokenId2 = await mintNFT(addr2, 2);
+      const tokenId3 = await mintNFT(owner, 3);
+      // token3 最早登记相同的向量，token2 次之，原始所有者最晚
+      await nmft.connect(owner).updateMerkleRoot(tokenId3, challengerRoot);
+      await ethers.provider.send("evm_mine");
+      await nmft.connect(addr2).updateMerkleRoot(tokenId2, challengerRoot);
+      await ethers.provider.send("evm_mine");
+      await nmft.connect(addr1).updateMerkleRoot(tokenId1, originalRoot);
+
+      await createDataPurchaseRequest(addr3, tokenId1);
+      await nmft.connect(addr1).confirmRequest(tokenId1, addr3.address);
+      await nmft.connect(addr3).buyerDeposit(tokenId1, { value: ethers.parseEther("0.5") });
+      await nmft.connect(addr1).ownerDeposit(tokenId1, addr3.address, { value: ethers.parseEther("0.01") });
+      await nmft.connect(addr3).initiateChallenge(tokenId1);
+      await nmft.connect(addr1).ownerResToChallenge(tokenId1, addr3.address, originalVectors, originalMerkleProofs, originalMerkleRoots);
+      await nmft.connect(addr3).buyerVerifyChallenge(tokenId1);
+
+      const respond = (signer, challengerTokenId) => nmft.connect(signer).otherOwnersResToChallenge(
+        tokenId1,
+        addr3.address,
+        challengerTokenId,
+        originalVectors,
+        originalMerkleRoots,
+        challengerVectors,
+        challengerMerkleProofs,
+        challengerMerkleRoots
+      );
+
+      // 第一个响应不会结算挑战，之后的响应仍然可以提交
+      await expect(respond(addr2, tokenId2)).to.emit(nmft, "ChallengeResponseReceived")
+        .withArgs(tokenId1, addr3.address, addr2.address, tokenId2, addr2.address)
+        .and.not.to.emit(nmft, "ChallengeResolved");
+      // 登记更早的响应取代领先者
+      await expect(respond(owner, tokenId3)).to.emit(nmft, "ChallengeResponseReceived")
+        .withArgs(tokenId1, addr3.address, owner.address, tokenId3, owner.address);
+      // 登记更晚的响应不改变领先者
+      await expect(respond(addr2, tokenId2)).to.emit(nmft, "ChallengeResponseReceived")
+        .withArgs(tokenId1, addr3.address, addr2.address, tokenId2, owner.address);
+
+      let challenge = await nmft.getChallenge(tokenId1, addr3.address);
+      expect(challenge.resolved).to.equal(false);
+      expect(challenge.winnerTokenId).to.equal(tokenId3);
+      await expect(nmft.connect(addr2).finalizeChallenge(tokenId1, addr3.address))
+        .to.be.revertedWith("Challenge response window not closed yet");
+
+      // 窗口结束后任何人都可以结算
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+      await expect(nmft.connect(addr2).finalizeChallenge(tokenId1, addr3.address))
+        .to.emit(nmft, "ChallengeResolved")
+        .withArgs(tokenId1, addr3.address, owner.address, tokenId3);
+      expect(await nmft.withdrawable(owner.address)).to.equal(ethers.parseEther("0.005"));
+      expect(await nmft.withdrawable(addr2.address)).to.equal(0);
+      challenge = await nmft.getChallenge(tokenId3, addr3.address);
+      expect(challenge.resolved).to.equal(true);
+
+      await expect(nmft.connect(addr2).finalizeChallenge(tokenId1, addr3.address))
+        .to.be.revertedWith("Challenge already resolved");
+    });
+
+    it("不应该能结算未发起的挑战", async function () {
+      const tokenId = await mintNFT(addr1, 1);
+      await createDataPurchaseRequest(addr3, tokenId);
+      await expect(nmft.connect(addr2).finalizeChallenge(tokenId, addr3.address))
+        .to.be.revertedWith("Challenge not initiated yet");
+    });
   });
 
   describe("buyerConfirmChallengeEnd", function () {
@@ -626,17 +687,15 @@ describe("NMFT", function () {
       const vectors = Array(challengeSize).fill().map(() => ethers.toBigInt(ethers.randomBytes(32)));
   
       // 创建 Merkle tree
-      const leaves = vectors.map(v => ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [v])));
-      const tree = new MerkleTree(leaves, keccak256, { sort: true });
-      const root = tree.getHexRoot();
-  
-      const merkleProofs = vectors.map(v => tree.getHexProof(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [v]))));
-      const merkleRoots = Array(challengeSize).fill(root);
+      const tree = FeatureTree.fromVectors(vectors);
+      const root = tree.root;
+      const { merkleProofs, merkleRoots } = tree.getChallengeResponse();
   
       // 更新合约中的 Merkle root
       await nmft.connect(addr1).updateMerkleRoot(tokenId, root);
       await ethers.provider.send("evm_mine"); // 挖一个新块
       await nmft.connect(addr1).ownerResToChallenge(tokenId, addr2.address, vectors, merkleProofs, merkleRoots);
+      await nmft.connect(addr2).buyerVerifyChallenge(tokenId);
   
       // 模拟时间经过
       await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]); // 增加24小时
@@ -657,15 +716,14 @@ describe("NMFT", function () {
   
       // 创建有效的向量
       const vectors = Array(challengeSize).fill().map(() => ethers.toBigInt(ethers.randomBytes(32)));
-      const leaves = vectors.map(v => ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [v])));
-      const tree = new MerkleTree(leaves, keccak256, { sort: true });
-      const root = tree.getHexRoot();
-      const merkleProofs = vectors.map(v => tree.getHexProof(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [v]))));
-      const merkleRoots = Array(challengeSize).fill(root);
+      const tree = FeatureTree.fromVectors(vectors);
+      const root = tree.root;
+      const { merkleProofs, merkleRoots } = tree.getChallengeResponse();
   
       await nmft.connect(addr1).updateMerkleRoot(tokenId, root);
       await ethers.provider.send("evm_mine"); // 挖一个新块
       await nmft.connect(addr1).ownerResToChallenge(tokenId, addr2.address, vectors, merkleProofs, merkleRoots);
+      await nmft.connect(addr2).buyerVerifyChallenge(tokenId);
   
       // 不增加时间，直接尝试确认挑战结束
       await expect(nmft.connect(addr2).buyerConfirmChallengeEnd(tokenId))
@@ -673,6 +731,190 @@ describe("NMFT", function () {
     });
   });
 
+  describe("claimOwnerDefault", function () {
+    // 辅助函数：双方质押后买家发起挑战，所有者不响应
+    async function initiateUnansweredChallenge(tokenId) {
+      await createDataPurchaseRequest(addr2, tokenId);
+      await nmft.connect(addr1).confirmRequest(tokenId, addr2.address);
+      await nmft.connect(addr2).buyerDeposit(tokenId, { value: ethers.parseEther("0.5") });
+      await nmft.connect(addr1).ownerDeposit(tokenId, addr2.address, { value: ethers.parseEther("0.01") });
+      await nmft.connect(addr2).initiateChallenge(tokenId);
+    }
+
+    it("所有者逾期未响应时买家应该取回质押并获得所有者押金", async function () {
+      const tokenId = await mintNFT(addr1, 1);
+      await nmft.connect(addr1).updateMerkleRoot(tokenId, originalRoot);
+      await initiateUnansweredChallenge(tokenId);
+
+      await expect(nmft.connect(addr2).claimOwnerDefault(tokenId))
+        .to.be.revertedWith("Owner response deadline not passed yet");
+
+      await ethers.provider.send("evm_increaseTime", [12 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+      await expect(nmft.connect(addr1).ownerResToChallenge(tokenId, addr2.address, originalVectors, originalMerkleProofs, originalMerkleRoots))
+        .to.be.revertedWith("Owner response deadline passed");
+
+      await expect(nmft.connect(addr2).claimOwnerDefault(tokenId))
+        .to.emit(nmft, "OwnerDefaulted")
+        .withArgs(tokenId, addr2.address, addr1.address, ethers.parseEther("0.5"), ethers.parseEther("0.01"))
+        .and.to.emit(nmft, "TransactionCleanedUp")
+        .withArgs(tokenId, addr2.address, addr2.address);
+      expect(await nmft.withdrawable(addr2.address)).to.equal(ethers.parseEther("0.51"));
+      expect((await nmft.getRequest(tokenId, addr2.address)).reqBatchNumber).to.equal(0);
+
+      await expect(nmft.connect(addr2).claimOwnerDefault(tokenId))
+        .to.be.revertedWith("Challenge not initiated yet");
+    });
+
+    it("所有者响应后买家不能申领违约赔付", async function () {
+      const tokenId = await mintNFT(addr1, 1);
+      await nmft.connect(addr1).updateMerkleRoot(tokenId, originalRoot);
+      await initiateUnansweredChallenge(tokenId);
+      await nmft.connect(addr1).ownerResToChallenge(tokenId, addr2.address, originalVectors, originalMerkleProofs, originalMerkleRoots);
+
+      await ethers.provider.send("evm_increaseTime", [12 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+      await expect(nmft.connect(addr2).claimOwnerDefault(tokenId))
+        .to.be.revertedWith("Vectors already verified");
+    });
+
+    it("逾期未响应的所有者不能通过结算、超时提取或清理取回押金", async function () {
+      const tokenId = await mintNFT(addr1, 1);
+      await initiateUnansweredChallenge(tokenId);
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60 + 1]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(nmft.connect(addr1).finalizeChallenge(tokenId, addr2.address))
+        .to.be.revertedWith("Vectors not verified yet");
+      await expect(nmft.connect(addr1).withdrawDeposits(tokenId, addr2.address))
+        .to.be.revertedWith("Owner defaulted on challenge");
+      await expect(nmft.connect(addr1).ownerCleanupTransaction(tokenId, addr2.address))
+        .to.be.revertedWith("Owner defaulted on challenge");
+
+      // 买家先按超时取回质押，之后仍然可以申领所有者押金
+      await nmft.connect(addr2).withdrawDeposits(tokenId, addr2.address);
+      await expect(nmft.connect(addr2).claimOwnerDefault(tokenId))
+        .to.emit(nmft, "OwnerDefaulted")
+        .withArgs(tokenId, addr2.address, addr1.address, 0, ethers.parseEther("0.01"));
+      expect(await nmft.withdrawable(addr2.address)).to.equal(ethers.parseEther("0.51"));
+    });
+  });
+
+  describe("claimBuyerDefault", function () {
+    // 辅助函数：双方质押、买家发起挑战且所有者已响应
+    async function answerChallenge(tokenId) {
+      await nmft.connect(addr1).updateMerkleRoot(tokenId, originalRoot);
+      await createDataPurchaseRequest(addr2, tokenId);
+      await nmft.connect(addr1).confirmRequest(tokenId, addr2.address);
+      await nmft.connect(addr2).buyerDeposit(tokenId, { value: ethers.parseEther("0.5") });
+      await nmft.connect(addr1).ownerDeposit(tokenId, addr2.address, { value: ethers.parseEther("0.01") });
+      await nmft.connect(addr2).initiateChallenge(tokenId);
+      await nmft.connect(addr1).ownerResToChallenge(tokenId, addr2.address, originalVectors, originalMerkleProofs, originalMerkleRoots);
+    }
+
+    it("买家逾期未验证挑战时所有者应该取回押金并获得等额补偿", async function () {
+      const tokenId = await mintNFT(addr1, 1);
+      await answerChallenge(tokenId);
+
+      await expect(nmft.connect(addr1).claimBuyerDefault(tokenId, addr2.address))
+        .to.be.revertedWith("Buyer response deadline not passed yet");
+
+      await ethers.provider.send("evm_increaseTime", [12 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+      await expect(nmft.connect(addr2).buyerVerifyChallenge(tokenId))
+        .to.be.revertedWith("Buyer response deadline passed");
+      // 交易超时后违约的买家也不能全额取回质押
+      await ethers.provider.send("evm_increaseTime", [12 * 60 * 60 + 1]);
+      await ethers.provider.send("evm_mine");
+      await expect(nmft.connect(addr2).withdrawDeposits(tokenId, addr2.address))
+        .to.be.revertedWith("Buyer defaulted on challenge");
+
+      await expect(nmft.connect(addr1).claimBuyerDefault(tokenId, addr2.address))
+        .to.emit(nmft, "BuyerDefaulted")
+        .withArgs(tokenId, addr2.address, addr1.address, ethers.parseEther("0.01"), ethers.parseEther("0.49"))
+        .and.to.emit(nmft, "TransactionCleanedUp")
+        .withArgs(tokenId, addr2.address, addr1.address);
+      expect(await nmft.withdrawable(addr1.address)).to.equal(ethers.parseEther("0.02"));
+      expect(await nmft.withdrawable(addr2.address)).to.equal(ethers.parseEther("0.49"));
+      expect((await nmft.getRequest(tokenId, addr2.address)).reqBatchNumber).to.equal(0);
+    });
+
+    it("挑战结算后买家逾期未设置 tip 时所有者应该申领补偿", async function () {
+      const tokenId = await mintNFT(addr1, 1);
+      await answerChallenge(tokenId);
+      await nmft.connect(addr2).buyerVerifyChallenge(tokenId);
+
+      // 挑战窗口尚未结束，买家没有违约
+      await ethers.provider.send("evm_increaseTime", [12 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+      await expect(nmft.connect(addr1).claimBuyerDefault(tokenId, addr2.address))
+        .to.be.revertedWith("Buyer not in default");
+
+      await ethers.provider.send("evm_increaseTime", [12 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+      await nmft.connect(addr2).buyerConfirmChallengeEnd(tokenId);
+      await expect(nmft.connect(addr1).claimBuyerDefault(tokenId, addr2.address))
+        .to.be.revertedWith("Buyer response deadline not passed yet");
+
+      await ethers.provider.send("evm_increaseTime", [12 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+      await expect(nmft.connect(addr2).setHashchainTip(tokenId, ethers.keccak256(ethers.toUtf8Bytes("tip"))))
+        .to.be.revertedWith("Buyer response deadline passed");
+      // 所有者不申领时买家也可以结算，取回剩余质押
+      await expect(nmft.connect(addr2).claimBuyerDefault(tokenId, addr2.address))
+        .to.emit(nmft, "BuyerDefaulted")
+        .withArgs(tokenId, addr2.address, addr1.address, ethers.parseEther("0.01"), ethers.parseEther("0.49"));
+      expect(await nmft.withdrawable(addr1.address)).to.equal(ethers.parseEther("0.02"));
+      expect(await nmft.withdrawable(addr2.address)).to.equal(ethers.parseEther("0.49"));
+    });
+
+    it("买家按时设置 tip 后所有者不能申领补偿", async function () {
+      const tokenId = await mintNFT(addr1, 1);
+      await answerChallenge(tokenId);
+      await nmft.connect(addr2).buyerVerifyChallenge(tokenId);
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+      await nmft.connect(addr2).buyerConfirmChallengeEnd(tokenId);
+      await nmft.connect(addr2).setHashchainTip(tokenId, ethers.keccak256(ethers.toUtf8Bytes("tip")));
+
+      await ethers.provider.send("evm_increaseTime", [12 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+      await expect(nmft.connect(addr1).claimBuyerDefault(tokenId, addr2.address))
+        .to.be.revertedWith("Buyer not in default");
+    });
+
+    it("未验证的买家不能在窗口结束后结束挑战来跳过验证，结算挑战也不会重新计时", async function () {
+      const tokenId = await mintNFT(addr1, 1);
+      await answerChallenge(tokenId);
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(nmft.connect(addr2).buyerConfirmChallengeEnd(tokenId))
+        .to.be.revertedWith("Buyer has not verified yet");
+      // 任何人结算挑战后，买家的期限仍按所有者响应时计算
+      await nmft.connect(addr3).finalizeChallenge(tokenId, addr2.address);
+      await expect(nmft.connect(addr2).setHashchainTip(tokenId, ethers.keccak256(ethers.toUtf8Bytes("tip"))))
+        .to.be.revertedWith("Buyer response deadline passed");
+      await expect(nmft.connect(addr1).claimBuyerDefault(tokenId, addr2.address))
+        .to.emit(nmft, "BuyerDefaulted")
+        .withArgs(tokenId, addr2.address, addr1.address, ethers.parseEther("0.01"), ethers.parseEther("0.49"));
+    });
+
+    it("买家违约后所有者不能先取回押金使补偿归零", async function () {
+      const tokenId = await mintNFT(addr1, 1);
+      await answerChallenge(tokenId);
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60 + 1]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(nmft.connect(addr1).withdrawDeposits(tokenId, addr2.address))
+        .to.be.revertedWith("Buyer defaulted on challenge");
+      await expect(nmft.connect(addr2).claimBuyerDefault(tokenId, addr2.address))
+        .to.emit(nmft, "BuyerDefaulted")
+        .withArgs(tokenId, addr2.address, addr1.address, ethers.parseEther("0.01"), ethers.parseEther("0.49"));
+      expect(await nmft.withdrawable(addr1.address)).to.equal(ethers.parseEther("0.02"));
+    });
+  });
+
   describe("setHashchainTip", function () {
     it("买家应该能成功设置哈希链顶部", async function () {
       const tokenId = await mintNFT(addr1, 1);
@@ -0,0 +1,116 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { NmftClient } = require('../lib/client');
+const { run } = require('../lib/cli');
+const {
+  BatchManifest,
+  packageDataset,
+  readDataset,
+  verifyBatchProof,
+  verifyDeliveredBatch,
+  chunkDigest
+} = require('../lib/batches');
+
+describe("Batch manifest", function () {
+  let nmft, client, owner, buyer, tmpDir;
+  const featureRoot = ethers.keccak256(ethers.toUtf8Bytes("merkle root"));
+
+  beforeEach(async function () {
+    [owner, buyer] = await ethers.getSigners();
+    const NMFT = await ethers.getContractFactory("NMFT");
+    nmft = await NMFT.deploy(owner.address, "0xec7803457c25cb110ea6f74c048e1232264223783c370afed1473516b67857be");
+    await nmft.waitForDeployment();
+    client = new NmftClient(nmft);
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batches-'));
+    fs.mkdirSync(path.join(tmpDir, 'dataset', 'images'), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, 'dataset', 'labels.csv'), 'id,label\n1,cat\n2,dog\n');
+    fs.writeFileSync(path.join(tmpDir, 'dataset', 'images', 'b.bin'), Buffer.from(ethers.randomBytes(300)));
+    fs.writeFileSync(path.join(tmpDir, 'dataset', 'images', 'a.bin'), Buffer.from(ethers.randomBytes(200)));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("应该把数据集目录打包为批次文件和带证明的清单", function () {
+    const outDir = path.join(tmpDir, 'out');
+    const { manifest, chunks } = packageDataset(path.join(tmpDir, 'dataset'), 4, { outDir, tokenId: 1 });
+
+    // 文件按相对路径排序后拼接
+    expect(manifest.files.map(file => [file.path, file.offset, file.size])).to.deep.equal([
+      ['images/a.bin', 0, 200],
+      ['images/b.bin', 200, 300],
+      ['labels.csv', 500, 21]
+    ]);
+    expect(manifest.totalSize).to.equal(521);
+    expect(fs.readdirSync(outDir).sort()).to.deep.equal(['batch-1.bin', 'batch-2.bin', 'batch-3.bin', 'batch-4.bin', 'manifest.json']);
+    expect(Buffer.concat(chunks).equals(readDataset(path.join(tmpDir, 'dataset')).data)).to.be.true;
+
+    const loaded = BatchManifest.load(path.join(outDir, 'manifest.json'), manifest.root);
+    expect(loaded.root).to.equal(manifest.root);
+    loaded.toJSON().batches.forEach(batch => {
+      const chunk = fs.readFileSync(path.join(outDir, `batch-${batch.index}.bin`));
+      expect(verifyBatchProof(batch.index, chunkDigest(chunk), batch.proof, manifest.root)).to.be.true;
+    });
+    // 证明绑定批次序号，不能把第 1 个批次当作第 2 个批次
+    expect(verifyBatchProof(2, chunkDigest(chunks[0]), manifest.getProof(1), manifest.root)).to.be.false;
+
+    const tampered = JSON.parse(fs.readFileSync(path.join(outDir, 'manifest.json'), 'utf8'));
+    tampered.batches[1].digest = chunkDigest(chunks[0]);
+    expect(() => BatchManifest.fromJSON(tampered)).to.throw("Batch manifest root mismatch");
+    expect(() => BatchManifest.fromJSON(loaded.toJSON(), ethers.id("other manifest"))).to.throw("does not match the committed root");
+  });
+
+  it("应该在铸造和每次更新数据信息时按版本记录清单根", async function () {
+    const first = packageDataset(path.join(tmpDir, 'dataset'), 4).manifest;
+    const second = packageDataset(path.join(tmpDir, 'dataset'), 5).manifest;
+    await expect(nmft.mintDataNFT(owner.address, "https://example.com/token/1", ethers.parseEther("0.1"), 4, ethers.parseEther("1"), featureRoot, first.root, ethers.ZeroAddress, "Test NFT"))
+      .to.emit(nmft, "BatchManifestCommitted").withArgs(1, 0, first.root);
+    expect(await nmft.getBatchManifest(1)).to.deep.equal([first.root, 0n]);
+
+    // 批次数变化时必须同时提交新清单
+    await expect(nmft.updateDataInfo(1, 0, 5, 0, ethers.ZeroHash, ethers.ZeroHash, ethers.ZeroAddress))
+      .to.be.revertedWith("Batch manifest required for new batch number");
+    await nmft.updateDataInfo(1, ethers.parseEther("0.2"), 0, 0, ethers.ZeroHash, ethers.ZeroHash, ethers.ZeroAddress);
+    await expect(nmft.updateDataInfo(1, 0, 5, 0, ethers.ZeroHash, second.root, ethers.ZeroAddress))
+      .to.emit(nmft, "BatchManifestCommitted").withArgs(1, 2, second.root);
+
+    expect(await nmft.getBatchManifest(1)).to.deep.equal([second.root, 2n]);
+    expect(await nmft.getBatchManifestAt(1, 0)).to.equal(first.root);
+    expect(await nmft.getBatchManifestAt(1, 1)).to.equal(first.root);
+    expect(await nmft.getBatchManifestAt(1, 2)).to.equal(second.root);
+  });
+
+  it("买家应该用请求时记录的清单根校验收到的批次", async function () {
+    const outDir = path.join(tmpDir, 'out');
+    const { manifest, chunks } = packageDataset(path.join(tmpDir, 'dataset'), 4, { outDir });
+    await client.owner(owner).mint({
+      tokenURI: "https://example.com/token/1",
+      batchPrice: ethers.parseEther("0.1"),
+      batchNumber: 4,
+      nftTransferFee: ethers.parseEther("1"),
+      merkleRoot: featureRoot,
+      batchManifestRoot: manifest.root
+    });
+    await nmft.connect(buyer).requestDataPurchase(1, ethers.parseEther("0.1"), 2, 0, 10, 0, ethers.parseEther("0.01"));
+    expect((await nmft.getRequest(1, buyer.address)).batchManifestRoot).to.equal(manifest.root);
+
+    // 请求之后所有者更换清单，买家仍按请求时的清单校验
+    const replaced = packageDataset(Buffer.from(ethers.randomBytes(600)), 4).manifest;
+    await nmft.updateDataInfo(1, 0, 0, 0, ethers.ZeroHash, replaced.root, ethers.ZeroAddress);
+    const args = { tokenId: 1, buyer: buyer.address, index: 2, chunk: chunks[1], proof: manifest.getProof(2) };
+    expect(await verifyDeliveredBatch(nmft, args)).to.be.true;
+    expect(await verifyDeliveredBatch(nmft, { ...args, chunk: chunks[2] })).to.be.false;
+
+    const output = { write: () => {} };
+    const argv = ['verify-batch', '--token', '1', '--index', '2', '--manifest', path.join(outDir, 'manifest.json'), '--account', '1', '--contract', await nmft.getAddress()];
+    const valid = await run([...argv, '--file', path.join(outDir, 'batch-2.bin')], { hre: require('hardhat'), output });
+    expect(valid).to.include({ valid: true, root: manifest.root, digest: chunkDigest(chunks[1]) });
+    const invalid = await run([...argv, '--file', path.join(outDir, 'batch-3.bin')], { hre: require('hardhat'), output });
+    expect(invalid.valid).to.be.false;
+  });
+});
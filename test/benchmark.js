@@ -0,0 +1,159 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RESULT_FIELDS, readResults } = require('../lib/results');
+const {
+  DEFAULT_STEPS,
+  LOAD_STEPS,
+  expandGrid,
+  normalizeBenchmarkConfig,
+  loadBenchmarkConfig,
+  BenchmarkRunner
+} = require('../lib/benchmark');
+
+describe("Benchmark runner", function () {
+  let nmft, signers, tmpDir;
+  const logger = { info: () => {}, warn: () => {} };
+
+  beforeEach(async function () {
+    signers = await ethers.getSigners();
+    const NMFT = await ethers.getContractFactory("NMFT");
+    nmft = await NMFT.deploy(signers[0].address, "0xec7803457c25cb110ea6f74c048e1232264223783c370afed1473516b67857be");
+    await nmft.waitForDeployment();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'benchmark-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function runner(raw, options = {}) {
+    return new BenchmarkRunner({
+      nmft,
+      signers,
+      provider: ethers.provider,
+      network: 'hardhat',
+      config: normalizeBenchmarkConfig(raw),
+      outDir: tmpDir,
+      logger,
+      ...options
+    });
+  }
+
+  it("应该按参数网格执行完整交易并把每个步骤写入同一个结果文件", async function () {
+    const { rows, path: resultPath } = await runner({
+      name: "tiny",
+      parameters: { batchNumber: 10, reqBatchNumber: 4, newCompletedBatches: 4 },
+      grid: { challengeSize: [2, 3] },
+      repetitions: 2
+    }).run();
+
+    // 2 次重复 x 2 个参数组合，每笔交易记录全部默认步骤
+    expect(rows).to.have.length(4 * DEFAULT_STEPS.length);
+    expect(rows.map(row => row.params.challengeSize)).to.deep.equal([2, 3, 2, 3].flatMap(size => DEFAULT_STEPS.map(() => size)));
+    expect(rows.filter(row => row.method === 'confirmFinalPayment').map(row => row.repetition)).to.deep.equal([1, 1, 2, 2]);
+    rows.forEach(row => {
+      expect(row.gas).to.be.greaterThan(0);
+      expect(row.txHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(row.blockNumber).to.be.a('number');
+      expect(BigInt(row.effectiveGasPrice)).to.be.greaterThan(0n);
+    });
+
+    // 结果文件为 JSON Lines，每行包含全部字段
+    expect(path.basename(resultPath)).to.match(/^hardhat_tiny_\d{8}T\d{6}Z\.jsonl$/);
+    const records = readResults(resultPath);
+    expect(records).to.deep.equal(rows);
+    records.forEach(record => expect(Object.keys(record)).to.deep.equal(RESULT_FIELDS));
+    expect(records[0]).to.include({ network: 'hardhat', benchmark: 'tiny', method: 'mintDataNFT', challenger: null, repetition: 1 });
+
+    // 4 笔交易各铸造一个 token，挑战者 token 只铸造一次并在各交易间复用
+    expect(await nmft.totalSupply()).to.equal(5n);
+    expect(new Set(rows.map(row => row.tokenId))).to.have.property('size', 4);
+  });
+
+  it("应该支持自选步骤、view 调用和不同账户，并在开发网络上推进时间结束挑战", async function () {
+    const { rows } = await runner({
+      name: "deposit",
+      steps: ["mintDataNFT", "getDataInfo", "requestDataPurchase", "confirmRequest", "buyerDeposit", "ownerDeposit",
+        "initiateChallenge", "ownerResToChallenge", "buyerVerifyChallenge", "buyerConfirmChallengeEnd"],
+      parameters: { batchNumber: 10, reqBatchNumber: 2, newCompletedBatches: 1, challengeSize: 2, tradeType: 0 },
+      grid: { ownerDepositAmount: ["0.01", "0.5"] },
+      accounts: { owner: 0, buyer: 1 },
+      fundAccounts: "100000"
+    }).run();
+
+    expect(rows.filter(row => row.method === 'getDataInfo').map(row => [row.gas, row.txHash])).to.deep.equal([[0, null], [0, null]]);
+    expect(rows.filter(row => row.method === 'ownerDeposit').map(row => row.params.ownerDepositAmount)).to.deep.equal(["0.01", "0.5"]);
+    expect(await ethers.provider.getBalance(signers[1].address)).to.be.greaterThan(ethers.parseEther("99000"));
+    const { tokenId } = rows[rows.length - 1];
+    expect((await nmft.getChallenge(tokenId, signers[1].address)).resolved).to.be.true;
+  });
+
+  it("应该用助记词派生的独立账户完成诚实交易和抄袭被揭穿的交易", async function () {
+    // 不同于 Hardhat 默认助记词，派生账户与内置签名者不重合
+    const mnemonic = "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about";
+    const bench = runner({
+      name: "parties",
+      parameters: { batchNumber: 2, reqBatchNumber: 2, newCompletedBatches: 2, challengeSize: 3, ownerDepositAmount: "0.5" },
+      grid: { plagiarism: [false, true] },
+      wallets: { fund: "10" }
+    }, { mnemonic });
+    const { owner, buyer, challenger } = bench.accounts;
+    expect(new Set([owner.address, buyer.address, challenger.address, signers[0].address]).size).to.equal(4);
+
+    const { rows } = await bench.run();
+    const honest = rows.filter(row => !row.params.plagiarism);
+    const caught = rows.filter(row => row.params.plagiarism);
+    // 诚实交易走完全部步骤，买下全部批次时 NFT 转给买家
+    expect(honest.map(row => row.method)).to.deep.equal(DEFAULT_STEPS);
+    expect(await nmft.ownerOf(honest[0].tokenId)).to.equal(buyer.address);
+    // 抄袭的交易在挑战者获胜后结束，所有者押金一半归挑战者
+    expect(caught.map(row => row.method)).to.deep.equal(DEFAULT_STEPS.slice(0, DEFAULT_STEPS.indexOf('finalizeChallenge') + 1));
+    const challenge = await nmft.getChallenge(caught[0].tokenId, buyer.address);
+    expect(challenge.winnerTokenId).to.not.equal(BigInt(caught[0].tokenId));
+    expect(challenge.currentWinner).to.equal(challenger.address);
+    expect(await nmft.ownerOf(caught[0].tokenId)).to.equal(owner.address);
+    expect(caught[caught.length - 1].gas).to.be.greaterThan(honest.find(row => row.method === 'finalizeChallenge').gas);
+
+    expect(() => new BenchmarkRunner({ nmft, signers, provider: ethers.provider, network: 'sepolia', config: normalizeBenchmarkConfig({ name: "x", wallets: { fund: "1" } }, { network: 'sepolia' }), outDir: tmpDir, logger }))
+      .to.throw("require a mnemonic");
+    expect(() => normalizeBenchmarkConfig({ name: "x", wallets: { fund: "1" }, accounts: { buyer: 1 } })).to.throw("cannot be combined");
+    expect(() => normalizeBenchmarkConfig({ name: "x", steps: ["mintDataNFT"], parameters: { plagiarism: true } })).to.throw("requires the ownerResToChallenge");
+  });
+
+  it("应该校验扫描配置并能读取仓库中的 JSON 和 YAML 配置", function () {
+    expect(expandGrid({ a: [1, 2], b: ["x", "y"] })).to.deep.equal([
+      { a: 1, b: "x" }, { a: 1, b: "y" }, { a: 2, b: "x" }, { a: 2, b: "y" }
+    ]);
+    expect(() => normalizeBenchmarkConfig({ name: "bad", steps: ["requestDataPurchase"] })).to.throw("starting with mintDataNFT");
+    expect(() => normalizeBenchmarkConfig({ name: "bad", steps: ["mintDataNFT", "toString"] })).to.throw("Unknown benchmark step toString");
+    expect(() => normalizeBenchmarkConfig({ name: "bad", parameters: { gasPrice: 1 } })).to.throw("Unknown benchmark parameter gasPrice");
+    expect(() => normalizeBenchmarkConfig({ name: "bad", grid: { newCompletedBatches: [20] } })).to.throw("exceeds reqBatchNumber");
+    expect(() => normalizeBenchmarkConfig({ name: "bad", parameters: { trades: 2 }, grid: { trades: [1] } })).to.throw("both parameters and grid");
+
+    const dir = path.join(__dirname, '..', 'benchmarks');
+    for (const file of fs.readdirSync(dir)) {
+      const config = loadBenchmarkConfig(path.join(dir, file));
+      expect(`${config.name}`).to.equal(path.basename(file, path.extname(file)));
+    }
+    expect(loadBenchmarkConfig(path.join(dir, 'challenge_size.json')).points.map(point => point.challengeSize))
+      .to.deep.equal([10, 20, 30, 40, 50, 60, 70, 80, 90, 100]);
+    expect(loadBenchmarkConfig(path.join(dir, 'owner_deposit.yaml')).points).to.have.length(4);
+  });
+
+  it("非开发网络上应该在发送交易前拒绝推进时间的步骤，并默认停在结算之前", async function () {
+    const dir = path.join(__dirname, '..', 'benchmarks');
+    expect(loadBenchmarkConfig(path.join(dir, 'performance.json'), { network: 'sepolia' }).steps).to.deep.equal(LOAD_STEPS);
+    expect(loadBenchmarkConfig(path.join(dir, 'performance.json'), { network: 'shardoraLocal' }).steps).to.deep.equal(DEFAULT_STEPS);
+    expect(() => loadBenchmarkConfig(path.join(dir, 'owner_deposit.yaml'), { network: 'shardora' }))
+      .to.throw("buyerConfirmChallengeEnd advance time and only run on hardhat, localhost, shardoraLocal, not shardora");
+    expect(() => loadBenchmarkConfig(path.join(dir, 'multi_party.json'), { network: 'sepolia' })).to.throw("only runs on hardhat");
+
+    // 未按网络校验的配置在创建运行器时检查，不会发送任何交易
+    const blockNumber = await ethers.provider.getBlockNumber();
+    expect(() => runner({ name: "x" }, { network: 'sepolia' })).to.throw("finalizeChallenge advance time");
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+  });
+});
@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, parseCommandLine, UsageError } = require('../lib/cli');
+const { Phase } = require('../lib/client');
+const { PreconditionError } = require('../lib/errors');
+const { FeatureTree } = require('../lib/featureTree');
+const { BuyerHashchain } = require('../lib/hashchain');
+
+describe("nmft CLI", function () {
+  const challengeSize = 4;
+  let nmft, owner, buyer, tmpDir, treeFile, address;
+
+  beforeEach(async function () {
+    [owner, buyer] = await ethers.getSigners();
+    const NMFT = await ethers.getContractFactory("NMFT");
+    nmft = await NMFT.deploy(owner.address, "0xec7803457c25cb110ea6f74c048e1232264223783c370afed1473516b67857be");
+    await nmft.waitForDeployment();
+    address = await nmft.getAddress();
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nmft-cli-'));
+    treeFile = path.join(tmpDir, 'tree.json');
+    FeatureTree.fromVectors(Array(challengeSize).fill().map(() => ethers.toBigInt(ethers.randomBytes(32)))).save(treeFile);
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // 辅助函数：执行命令并解析 JSON 输出
+  async function nmftCli(...args) {
+    let text = '';
+    const output = { write: chunk => { text += chunk; } };
+    await run([...args, '--contract', address, '--json'], { hre, output });
+    return JSON.parse(text);
+  }
+
+  it("应该通过命令行完成一笔完整交易", async function () {
+    const minted = await nmftCli('mint', '--uri', 'https://example.com/token/1', '--batch-price', '0.1', '--batch-number', '10', '--nft-fee', '1', '--tree', treeFile);
+    expect(minted.tokenId).to.equal('1');
+    expect(minted.status).to.equal(1);
+
+    const buyerArgs = ['--token', '1', '--account', '1'];
+    await nmftCli('request', ...buyerArgs, '--batch-price', '0.1', '--batch-number', '3', '--challenge-size', String(challengeSize), '--owner-deposit', '0.01');
+    await nmftCli('confirm', '--token', '1', '--buyer', buyer.address);
+    await nmftCli('deposit', ...buyerArgs);
+    await nmftCli('deposit', '--token', '1', '--buyer', buyer.address);
+    await nmftCli('challenge', 'init', ...buyerArgs);
+    await nmftCli('respond', '--token', '1', '--buyer', buyer.address, '--tree', treeFile);
+    await nmftCli('challenge', 'verify', ...buyerArgs);
+    await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+    await ethers.provider.send("evm_mine");
+    await nmftCli('challenge', 'end', ...buyerArgs);
+
+    const chainFile = path.join(tmpDir, 'chain.json');
+    const tip = await nmftCli('tip', ...buyerArgs, '--hashchain', chainFile);
+    const chain = BuyerHashchain.load(chainFile);
+    expect(tip.tip).to.equal(chain.tip);
+
+    const status = await nmftCli('status', '--token', '1', '--buyer', buyer.address);
+    expect(status.phase).to.equal(Phase.Paying);
+    expect(status.request.reqBatchNumber).to.equal('3');
+    expect(status.hashchain.tip).to.equal(chain.tip);
+
+    const { preimage } = chain.releaseFor(3);
+    const paid = await nmftCli('pay', '--token', '1', '--buyer', buyer.address, '--preimage', preimage);
+    expect(paid.newCompletedBatches).to.equal('3');
+    expect((await nmftCli('status', '--token', '1', '--buyer', buyer.address)).phase).to.equal(Phase.None);
+
+    // 付款和退还的所有者押金记入所有者余额，不带 --token 的 withdraw 提取
+    const withdrawn = await nmftCli('withdraw');
+    expect(withdrawn.amount).to.equal(ethers.parseEther("0.31").toString());
+    expect(withdrawn.status).to.equal(1);
+  });
+
+  it("dry-run 应该只估算 gas 而不发送交易", async function () {
+    const root = FeatureTree.load(treeFile).root;
+    const result = await nmftCli('mint', '--uri', 'https://example.com/token/1', '--batch-price', '0.1', '--batch-number', '10', '--root', root, '--dry-run');
+    expect(result.dryRun).to.equal(true);
+    expect(result.method).to.equal('mintDataNFT');
+    expect(Number(result.gasEstimate)).to.be.greaterThan(0);
+    expect(await nmft.totalSupply()).to.equal(0);
+
+    // 以 ERC-20 结算时金额按代币的小数位解析
+    const token = await (await ethers.getContractFactory("MockERC20")).deploy("USD Coin", "USDC", 6);
+    const priced = await nmftCli('mint', '--uri', 'https://example.com/token/1', '--batch-price', '2.5', '--batch-number', '10', '--root', root, '--payment-token', await token.getAddress(), '--dry-run');
+    expect(priced.args[2]).to.equal('2500000');
+    expect(priced.args[7]).to.equal(await token.getAddress());
+  });
+
+  it("deploy 应该由指定账户部署新合约并核对投影矩阵", async function () {
+    const matrixFile = process.env.PROJECTION_MATRIX_FILE;
+    process.env.PROJECTION_MATRIX_FILE = path.join(tmpDir, 'projection_matrix.json');
+    try {
+      const deployed = await nmftCli('deploy', '--account', '1');
+      expect(deployed.status).to.equal(1);
+      expect(deployed.deployer).to.equal(buyer.address);
+      expect(deployed.matrixFile).to.equal(process.env.PROJECTION_MATRIX_FILE);
+      // hardhat 网络上的部署不写入注册表
+      expect(deployed.registry).to.equal(null);
+      const deployedNmft = await ethers.getContractAt("NMFT", deployed.address);
+      expect(await deployedNmft.owner()).to.equal(buyer.address);
+      expect(await deployedNmft.PROJECTION_MATRIX_HASH()).to.equal(deployed.projectionMatrixHash);
+    } finally {
+      if (matrixFile === undefined) {
+        delete process.env.PROJECTION_MATRIX_FILE;
+      } else {
+        process.env.PROJECTION_MATRIX_FILE = matrixFile;
+      }
+    }
+    await expect(nmftCli('deploy', '--dry-run')).to.be.rejectedWith(UsageError, "does not support --dry-run");
+  });
+
+  it("应该拒绝缺少或非法的参数", async function () {
+    await expect(nmftCli('confirm', '--token', '1')).to.be.rejectedWith(UsageError, "Missing required option --buyer");
+    await expect(nmftCli('status', '--token', 'abc', '--buyer', buyer.address)).to.be.rejectedWith(UsageError, "non-negative integer");
+    await expect(nmftCli('deposit', '--token', '1', '--account', '1')).to.be.rejectedWith(PreconditionError);
+    expect(() => parseCommandLine(['status', '--unknown'])).to.throw();
+  });
+});
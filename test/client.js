@@ -0,0 +1,203 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { NmftClient, Phase, TradeType } = require('../lib/client');
+const { PreconditionError, InvalidStateError, NotAuthorizedError, ProofError, TimingError, translateError } = require('../lib/errors');
+const { FeatureTree } = require('../lib/featureTree');
+const { BuyerHashchain } = require('../lib/hashchain');
+
+describe("NmftClient", function () {
+  const challengeSize = 4;
+  const reqBatchNumber = 3;
+  const tradeParams = {
+    reqBatchPrice: ethers.parseEther("0.1"),
+    reqBatchNumber,
+    tradeType: TradeType.DataOnly,
+    challengeSize,
+    ownerDepositAmount: ethers.parseEther("0.01")
+  };
+
+  let nmft, client, owner, buyerSigner, otherOwner, buyer, dataOwner, tree;
+
+  beforeEach(async function () {
+    [owner, buyerSigner, otherOwner] = await ethers.getSigners();
+    const NMFT = await ethers.getContractFactory("NMFT");
+    nmft = await NMFT.deploy(owner.address, "0xec7803457c25cb110ea6f74c048e1232264223783c370afed1473516b67857be");
+    await nmft.waitForDeployment();
+
+    client = new NmftClient(nmft);
+    buyer = client.buyer(buyerSigner);
+    dataOwner = client.owner(owner);
+
+    tree = FeatureTree.fromVectors(Array(challengeSize).fill().map(() => ethers.toBigInt(ethers.randomBytes(32))));
+    await nmft.mintDataNFT(owner.address, "https://example.com/token/1", ethers.parseEther("0.1"), 10, ethers.parseEther("1"), tree.root, ethers.ZeroHash, ethers.ZeroAddress, "Test NFT");
+  });
+
+  // 辅助函数：推进到挑战窗口结束之后
+  async function closeChallengeWindow() {
+    await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+    await ethers.provider.send("evm_mine");
+  }
+
+  it("应该按阶段完成一笔完整交易", async function () {
+    expect(await buyer.phase(1)).to.equal(Phase.None);
+
+    await buyer.request(1, tradeParams);
+    expect(await buyer.phase(1)).to.equal(Phase.Requested);
+
+    await dataOwner.confirmRequest(1, buyerSigner.address);
+    expect(await buyer.phase(1)).to.equal(Phase.Confirmed);
+
+    await buyer.deposit(1);
+    expect(await buyer.phase(1)).to.equal(Phase.BuyerDeposited);
+
+    await dataOwner.deposit(1, buyerSigner.address);
+    expect(await buyer.phase(1)).to.equal(Phase.OwnerDeposited);
+
+    await buyer.initiateChallenge(1);
+    expect(await buyer.phase(1)).to.equal(Phase.ChallengeInitiated);
+
+    await dataOwner.respondToChallenge(1, buyerSigner.address, tree.getChallengeResponse());
+    expect(await buyer.phase(1)).to.equal(Phase.VectorsVerified);
+
+    await buyer.verifyChallenge(1);
+    expect(await buyer.phase(1)).to.equal(Phase.ChallengeOpen);
+
+    await closeChallengeWindow();
+    await buyer.confirmChallengeEnd(1);
+    expect(await buyer.phase(1)).to.equal(Phase.AwaitingHashchainTip);
+
+    const chain = BuyerHashchain.create({ length: reqBatchNumber });
+    await buyer.setHashchainTip(1, chain.tip);
+    expect(await buyer.phase(1)).to.equal(Phase.Paying);
+
+    const { preimage, completedBatches } = chain.releaseFor(reqBatchNumber);
+    await dataOwner.confirmFinalPayment(1, buyerSigner.address, preimage, completedBatches);
+    expect(await buyer.phase(1)).to.equal(Phase.None);
+  });
+
+  it("应该在发送前检查前置条件", async function () {
+    await expect(buyer.deposit(1)).to.be.rejectedWith(PreconditionError, "Cannot deposit in phase None");
+
+    await buyer.request(1, tradeParams);
+    await expect(buyer.request(1, tradeParams)).to.be.rejectedWith(PreconditionError);
+    await expect(client.owner(otherOwner).confirmRequest(1, buyerSigner.address)).to.be.rejectedWith(NotAuthorizedError);
+
+    await dataOwner.confirmRequest(1, buyerSigner.address);
+    await buyer.deposit(1);
+    await dataOwner.deposit(1, buyerSigner.address);
+    await buyer.initiateChallenge(1);
+
+    const response = tree.getChallengeResponse([0, 1]);
+    await expect(dataOwner.respondToChallenge(1, buyerSigner.address, response))
+      .to.be.rejectedWith(PreconditionError, `exactly ${challengeSize} vectors`);
+    await expect(buyer.confirmChallengeEnd(1)).to.be.rejectedWith(PreconditionError, "Challenge response window not closed yet");
+  });
+
+  it("所有者逾期未响应挑战时买家应该取回质押并获得所有者押金", async function () {
+    await buyer.request(1, tradeParams);
+    await dataOwner.confirmRequest(1, buyerSigner.address);
+    await buyer.deposit(1);
+    await dataOwner.deposit(1, buyerSigner.address);
+    await buyer.initiateChallenge(1);
+    await expect(buyer.claimOwnerDefault(1)).to.be.rejectedWith(PreconditionError, "Owner response deadline not passed yet");
+    const early = await nmft.connect(buyerSigner).claimOwnerDefault(1).catch(e => e);
+    expect(translateError(early)).to.be.instanceOf(TimingError);
+
+    const { deadlines } = await buyer.trade(1);
+    expect(deadlines.ownerResponseDueAt).to.be.lessThan(deadlines.challengeWindowEndsAt);
+    await ethers.provider.send("evm_increaseTime", [12 * 60 * 60]);
+    await ethers.provider.send("evm_mine");
+    await expect(dataOwner.respondToChallenge(1, buyerSigner.address, tree.getChallengeResponse()))
+      .to.be.rejectedWith(PreconditionError, "Owner response deadline passed");
+    const response = tree.getChallengeResponse();
+    const late = await nmft.ownerResToChallenge(1, buyerSigner.address, response.vectors, response.merkleProofs, response.merkleRoots).catch(e => e);
+    expect(translateError(late)).to.be.instanceOf(TimingError).and.include({ reason: "Owner response deadline passed" });
+
+    await buyer.claimOwnerDefault(1);
+    expect(await buyer.phase(1)).to.equal(Phase.None);
+    expect(await buyer.withdrawable()).to.equal(ethers.parseEther("0.31"));
+  });
+
+  it("买家逾期未设置 tip 时所有者应该取回押金并获得补偿", async function () {
+    await buyer.request(1, tradeParams);
+    await dataOwner.confirmRequest(1, buyerSigner.address);
+    await buyer.deposit(1);
+    await dataOwner.deposit(1, buyerSigner.address);
+    await buyer.initiateChallenge(1);
+    await dataOwner.respondToChallenge(1, buyerSigner.address, tree.getChallengeResponse());
+    await expect(dataOwner.claimBuyerDefault(1, buyerSigner.address))
+      .to.be.rejectedWith(PreconditionError, "Buyer response deadline not passed yet");
+    await buyer.verifyChallenge(1);
+    await closeChallengeWindow();
+    await buyer.confirmChallengeEnd(1);
+
+    const { deadlines } = await buyer.trade(1);
+    expect(deadlines.buyerResponseDueAt).to.be.greaterThan(deadlines.challengeWindowEndsAt);
+    await ethers.provider.send("evm_increaseTime", [12 * 60 * 60]);
+    await ethers.provider.send("evm_mine");
+    const chain = BuyerHashchain.create({ length: reqBatchNumber, tokenId: 1, buyer: buyerSigner.address });
+    await expect(buyer.setHashchainTip(1, chain.tip)).to.be.rejectedWith(PreconditionError, "Buyer response deadline passed");
+    const late = await nmft.connect(buyerSigner).setHashchainTip(1, chain.tip).catch(e => e);
+    expect(translateError(late)).to.be.instanceOf(TimingError).and.include({ reason: "Buyer response deadline passed" });
+
+    await dataOwner.claimBuyerDefault(1, buyerSigner.address);
+    expect(await buyer.phase(1)).to.equal(Phase.None);
+    expect(await dataOwner.withdrawable()).to.equal(ethers.parseEther("0.02"));
+    expect(await buyer.withdrawable()).to.equal(ethers.parseEther("0.29"));
+  });
+
+  it("应该把合约 revert 转换为对应的错误类型", async function () {
+    await buyer.request(1, tradeParams);
+    await dataOwner.confirmRequest(1, buyerSigner.address);
+    await buyer.deposit(1);
+    await dataOwner.deposit(1, buyerSigner.address);
+    await buyer.initiateChallenge(1);
+
+    // 绕过客户端检查直接发送，验证 revert 转换
+    const wrongTree = FeatureTree.fromVectors(Array(challengeSize).fill().map(() => ethers.toBigInt(ethers.randomBytes(32))));
+    await expect(dataOwner.respondToChallenge(1, buyerSigner.address, wrongTree.getChallengeResponse()))
+      .to.be.rejectedWith(ProofError, "Invalid Merkle root");
+
+    const error = await nmft.connect(buyerSigner).initiateChallenge(1).catch(e => e);
+    const translated = translateError(error);
+    expect(translated).to.be.instanceOf(InvalidStateError);
+    expect(translated.reason).to.equal("Challenge already initiated");
+  });
+
+  it("其他所有者挑战成功后阶段应该为 ChallengeLost", async function () {
+    // 挑战者先登记相同的向量，原始所有者之后才登记包含这些向量的新根
+    const challengerTree = FeatureTree.fromVectors(tree.vectors);
+    await nmft.mintDataNFT(otherOwner.address, "https://example.com/token/2", ethers.parseEther("0.1"), 10, ethers.parseEther("1"), challengerTree.root, ethers.ZeroHash, ethers.ZeroAddress, "Earlier NFT");
+    await ethers.provider.send("evm_mine");
+    const original = FeatureTree.fromVectors([...tree.vectors, ethers.toBigInt(ethers.randomBytes(32))]);
+    await nmft.updateMerkleRoot(1, original.root);
+
+    await buyer.request(1, tradeParams);
+    await dataOwner.confirmRequest(1, buyerSigner.address);
+    await buyer.deposit(1);
+    await dataOwner.deposit(1, buyerSigner.address);
+    await buyer.initiateChallenge(1);
+    const indices = [...Array(challengeSize).keys()];
+    const response = original.getChallengeResponse(indices);
+    await dataOwner.respondToChallenge(1, buyerSigner.address, response);
+    await buyer.verifyChallenge(1);
+
+    const challenger = challengerTree.getChallengeResponse(indices);
+    await nmft.connect(otherOwner).otherOwnersResToChallenge(
+      1, buyerSigner.address, 2,
+      response.vectors, response.merkleRoots,
+      challenger.vectors, challenger.merkleProofs, challenger.merkleRoots
+    );
+    // 回应窗口结束前挑战者只是领先者，不能提前结算
+    expect((await client.getTrade(1, buyerSigner.address)).challenge.currentWinner).to.equal(otherOwner.address);
+    await expect(client.owner(otherOwner).finalizeChallenge(1, buyerSigner.address))
+      .to.be.rejectedWith(PreconditionError, "Challenge response window not closed yet");
+    await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+    await ethers.provider.send("evm_mine");
+    await client.owner(otherOwner).finalizeChallenge(1, buyerSigner.address);
+
+    const trade = await client.getTrade(1, buyerSigner.address);
+    expect(trade.phase).to.equal(Phase.ChallengeLost);
+    expect(trade.challenge.currentWinner).to.equal(otherOwner.address);
+  });
+});
@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { NmftClient, Phase } = require('../lib/client');
+const { DeliveryError } = require('../lib/errors');
+const { BuyerHashchain } = require('../lib/hashchain');
+const { signEnvelope } = require('../lib/exchange');
+const { BatchManifest, splitDataset } = require('../lib/batches');
+const { DeliveryServer, DeliveryClient, batchRequestMessage } = require('../lib/delivery');
+
+describe("Batch delivery", function () {
+  const reqBatchNumber = 5;
+  let nmft, client, owner, buyer, other, dataset, chain, server, tmpDir;
+  const logger = { info: () => {}, warn: () => {}, error: () => {} };
+
+  beforeEach(async function () {
+    [owner, buyer, other] = await ethers.getSigners();
+    const NMFT = await ethers.getContractFactory("NMFT");
+    nmft = await NMFT.deploy(owner.address, "0xec7803457c25cb110ea6f74c048e1232264223783c370afed1473516b67857be");
+    await nmft.waitForDeployment();
+    client = new NmftClient(nmft);
+
+    dataset = Buffer.from(ethers.randomBytes(1003));
+    const manifestRoot = BatchManifest.fromChunks(splitDataset(dataset, 10)).root;
+    await nmft.mintDataNFT(owner.address, "https://example.com/token/1", ethers.parseEther("0.1"), 10, ethers.parseEther("1"), ethers.keccak256(ethers.toUtf8Bytes("merkle root")), manifestRoot, ethers.ZeroAddress, "Test NFT");
+    await nmft.connect(buyer).requestDataPurchase(1, ethers.parseEther("0.1"), reqBatchNumber, 0, 10, 0, ethers.parseEther("0.01"));
+    await nmft.confirmRequest(1, buyer.address);
+    await nmft.connect(buyer).buyerDeposit(1, { value: ethers.parseEther("0.5") });
+    await nmft.ownerDeposit(1, buyer.address, { value: ethers.parseEther("0.01") });
+    await nmft.connect(buyer).initiateChallenge(1);
+    await nmft.connect(buyer).buyerVerifyChallenge(1);
+    await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+    await ethers.provider.send("evm_mine");
+    await nmft.connect(buyer).buyerConfirmChallengeEnd(1);
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'delivery-'));
+    chain = BuyerHashchain.create({ length: reqBatchNumber, tokenId: 1, buyer: buyer.address, filePath: path.join(tmpDir, 'chain.json') });
+    await client.buyer(buyer).setHashchainTip(1, chain.tip);
+
+    server = new DeliveryServer({
+      client,
+      signer: owner,
+      datasets: [{ tokenId: 1, data: dataset }],
+      statePath: path.join(tmpDir, 'delivery.json'),
+      confirmInterval: 0,
+      logger
+    });
+    await server.listen();
+  });
+
+  afterEach(async function () {
+    await server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("应该按链上批次数切分数据集并生成与链上承诺一致的清单", async function () {
+    const chunks = splitDataset(dataset, 10);
+    expect(chunks.map(chunk => chunk.length)).to.deep.equal([101, 101, 101, 100, 100, 100, 100, 100, 100, 100]);
+    expect(Buffer.concat(chunks).equals(dataset)).to.be.true;
+
+    const manifest = server.manifest(1);
+    expect(manifest.root).to.equal((await nmft.getBatchManifest(1)).batchManifestRoot);
+    expect(manifest.verifyBatch(3, chunks[2])).to.be.true;
+    expect(() => manifest.verifyBatch(3, chunks[3])).to.throw("Batch 3 digest mismatch");
+
+    // 数据与链上清单不一致时拒绝启动
+    const mismatched = new DeliveryServer({ client, signer: owner, datasets: [{ tokenId: 1, data: Buffer.from(ethers.randomBytes(1003)) }], confirmInterval: 0, logger });
+    await expect(mismatched.listen()).to.be.rejectedWith("does not match the committed batch manifest");
+  });
+
+  it("买家应该逐批下载并释放 preimage，全部付清后所有者自动确认", async function () {
+    const outputPath = path.join(tmpDir, 'data.bin');
+    const downloader = new DeliveryClient({ url: server.url, client, signer: buyer, hashchain: chain, logger });
+
+    const result = await downloader.download(1, { outputPath });
+    expect(result.delivered).to.deep.equal([1, 2, 3, 4, 5]);
+    expect(result.confirmation.completedBatches).to.equal(reqBatchNumber);
+    expect(fs.readFileSync(outputPath).equals(Buffer.concat(splitDataset(dataset, 10).slice(0, reqBatchNumber)))).to.be.true;
+    expect(BuyerHashchain.load(chain.filePath).released).to.equal(reqBatchNumber);
+
+    expect(await client.getPhase(1, buyer.address)).to.equal(Phase.None);
+    expect(await client.withdrawable(owner.address)).to.equal(ethers.parseEther("0.1") * BigInt(reqBatchNumber) + ethers.parseEther("0.01"));
+    expect(server.state.trades).to.be.empty;
+  });
+
+  it("应该在收到前一批次的 preimage 之前拒绝交付，并拒绝无效 preimage", async function () {
+    const downloader = new DeliveryClient({ url: server.url, client, signer: buyer, hashchain: chain, logger });
+    expect((await downloader.fetchBatch(1, 1)).length).to.equal(101);
+    await expect(downloader.fetchBatch(1, 2)).to.be.rejectedWith(DeliveryError, "requires a preimage for 1 batches, received 0");
+
+    await expect(downloader.postPreimage(1, ethers.hexlify(ethers.randomBytes(32)))).to.be.rejectedWith(DeliveryError, "not on the hashchain");
+    // 提前释放两个批次的 preimage 只会让所有者多交付，不会多付款
+    expect((await downloader.postPreimage(1, chain.preimageFor(2))).received).to.equal(2);
+    expect((await downloader.postPreimage(1, chain.preimageFor(1))).received).to.equal(2);
+    expect((await downloader.fetchBatch(1, 3)).length).to.equal(101);
+    await expect(downloader.fetchBatch(1, 4)).to.be.rejectedWith(DeliveryError, "received 2");
+    await expect(downloader.fetchBatch(1, 6)).to.be.rejectedWith(DeliveryError, "out of range");
+  });
+
+  it("批次内容与清单不符时买家不应释放 preimage", async function () {
+    const chunks = server.datasets.get('1').chunks;
+    chunks[1] = Buffer.from(chunks[1]).fill(0);
+    const downloader = new DeliveryClient({ url: server.url, client, signer: buyer, hashchain: chain, logger });
+    // 清单在篡改前生成，第 2 个批次的摘要不再匹配
+    await expect(downloader.download(1, { outputPath: path.join(tmpDir, 'data.bin') })).to.be.rejectedWith("Batch 2 digest mismatch");
+    expect(chain.released).to.equal(1);
+    expect(server.state.trades[`1:${buyer.address}`].received).to.equal(1);
+  });
+
+  it("应该定期确认部分付款并在重启后继续下载", async function () {
+    const outputPath = path.join(tmpDir, 'data.bin');
+    let downloader = new DeliveryClient({ url: server.url, client, signer: buyer, hashchain: chain, logger });
+    expect((await downloader.download(1, { outputPath, limit: 3 })).delivered).to.deep.equal([1, 2, 3]);
+
+    const [confirmation] = await server.confirmPending();
+    expect(confirmation.batches).to.equal(3);
+    const info = await nmft.getHashchainInfo(1, buyer.address);
+    expect(info.completedBatches).to.equal(3n);
+    expect(info.tip).to.equal(chain.preimageFor(3));
+    expect(await server.confirmPending()).to.be.empty;
+
+    // 双方重启后从持久化的进度继续
+    await server.close();
+    server = new DeliveryServer({ client, signer: owner, datasets: [{ tokenId: 1, data: dataset }], statePath: path.join(tmpDir, 'delivery.json'), confirmInterval: 0, logger });
+    await server.listen();
+    downloader = new DeliveryClient({ url: server.url, client, signer: buyer, hashchain: BuyerHashchain.load(chain.filePath), logger });
+    expect((await downloader.download(1, { outputPath })).delivered).to.deep.equal([4, 5]);
+    expect(fs.readFileSync(outputPath).equals(Buffer.concat(splitDataset(dataset, 10).slice(0, reqBatchNumber)))).to.be.true;
+    expect(await client.getPhase(1, buyer.address)).to.equal(Phase.None);
+  });
+
+  it("应该拒绝其他账户、过期或不匹配的批次请求", async function () {
+    const { chainId } = await ethers.provider.getNetwork();
+    const base = { chainId, contract: await nmft.getAddress(), tokenId: 1, buyer: buyer.address, index: 1 };
+    const post = envelope => new DeliveryClient({ url: server.url, client, signer: other, hashchain: chain, logger })
+      ._request('POST', '/tokens/1/batches/1', envelope);
+
+    await expect(post(await signEnvelope(other, batchRequestMessage(base)))).to.be.rejectedWith(DeliveryError, `Message must be signed by ${buyer.address}`);
+    const stranger = new DeliveryClient({ url: server.url, client, signer: other, hashchain: chain, logger });
+    await expect(stranger.fetchBatch(1, 1)).to.be.rejectedWith(DeliveryError, "is in phase None");
+
+    const expired = batchRequestMessage({ ...base, issuedAt: Math.floor(Date.now() / 1000) - 3600 });
+    await expect(post(await signEnvelope(buyer, expired))).to.be.rejectedWith(DeliveryError, "expired");
+    const wrongIndex = batchRequestMessage({ ...base, index: 2 });
+    await expect(post(await signEnvelope(buyer, wrongIndex))).to.be.rejectedWith(DeliveryError, "does not match the requested batch");
+  });
+});
@@ -0,0 +1,88 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { deploymentEntry, loadDeployments, saveDeployment, abiHash } = require('../lib/deployments');
+const { resolveContractAddress } = require('../lib/cli');
+
+describe("Deployment registry", function () {
+  const projectionMatrixHash = "0xec7803457c25cb110ea6f74c048e1232264223783c370afed1473516b67857be";
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deployments-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // 部署一个合约并构造部署记录
+  async function deploy(owner) {
+    const NMFT = await ethers.getContractFactory("NMFT");
+    const nmft = await NMFT.deploy(owner.address, projectionMatrixHash);
+    const receipt = await nmft.deploymentTransaction().wait();
+    const { abi } = await hre.artifacts.readArtifact("NMFT");
+    return deploymentEntry({
+      address: await nmft.getAddress(),
+      deployer: owner.address,
+      initialOwner: owner.address,
+      projectionMatrixHash,
+      receipt,
+      compiler: hre.config.solidity.compilers[0],
+      abi
+    });
+  }
+
+  it("应该记录部署信息并把之前的部署保留在 history 中", async function () {
+    const [owner] = await ethers.getSigners();
+    const first = await deploy(owner);
+    const second = await deploy(owner);
+    saveDeployment("shardora", 31337n, first, { dir: tmpDir });
+    const filePath = saveDeployment("shardora", 31337n, second, { dir: tmpDir });
+    expect(filePath).to.equal(path.join(tmpDir, 'shardora.json'));
+
+    const registry = loadDeployments("shardora", { dir: tmpDir });
+    expect(registry).to.include({ network: "shardora", chainId: 31337 });
+    expect(registry.current.address).to.equal(second.address);
+    expect(registry.history.map(entry => entry.address)).to.deep.equal([first.address]);
+    expect(registry.current.constructorArgs).to.deep.equal({ initialOwner: owner.address, projectionMatrixHash });
+    expect(registry.current.compiler).to.include({ version: "0.8.27", viaIR: true });
+    expect(registry.current.compiler.optimizer).to.deep.equal({ enabled: true, runs: 200 });
+    expect(registry.current.abiHash).to.equal(abiHash((await hre.artifacts.readArtifact("NMFT")).abi));
+    expect(registry.current.blockNumber).to.be.a('number');
+    expect(registry.current.txHash).to.match(/^0x[0-9a-f]{64}$/);
+
+    expect(() => saveDeployment("shardora", 11155111, first, { dir: tmpDir })).to.throw("is for chain 31337");
+  });
+
+  it("应该按 --contract、注册表、.env 的顺序解析合约地址", async function () {
+    const [owner] = await ethers.getSigners();
+    const entry = await deploy(owner);
+    saveDeployment("shardora", 31337, entry, { dir: tmpDir });
+    const registry = { dir: tmpDir };
+
+    expect(resolveContractAddress("shardora", {}, registry)).to.equal(entry.address);
+    expect(resolveContractAddress("shardora", { contract: owner.address }, registry)).to.equal(owner.address);
+    expect(() => resolveContractAddress("unknown", {}, registry)).to.throw(`deploy to unknown (${path.join(tmpDir, 'unknown.json')})`);
+
+    process.env.UNKNOWN_NMFT_CONTRACT_ADDRESS = owner.address;
+    try {
+      expect(resolveContractAddress("unknown", {}, registry)).to.equal(owner.address);
+    } finally {
+      delete process.env.UNKNOWN_NMFT_CONTRACT_ADDRESS;
+    }
+  });
+
+  it("Shardora 及其本地替身应该配置确认数和 gas 价格", function () {
+    const { shardora, shardoraLocal, sepolia } = hre.config.networks;
+    for (const network of [shardora, shardoraLocal, sepolia]) {
+      expect(network.confirmations).to.be.a('number').and.to.be.at.least(1);
+    }
+    expect(shardoraLocal.gasPrice).to.equal(shardora.gasPrice);
+    // 替身连接本地 Hardhat 节点并使用节点的解锁账户
+    expect(shardoraLocal).to.include({ url: "http://localhost:8545", accounts: "remote" });
+  });
+});
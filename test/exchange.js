@@ -0,0 +1,120 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { NmftClient, Phase } = require('../lib/client');
+const { ExchangeError } = require('../lib/errors');
+const { FeatureTree } = require('../lib/featureTree');
+const { ChallengeResponder } = require('../lib/responder');
+const {
+  ExchangeServer,
+  ExchangeClient,
+  ReceiptRole,
+  createChallengeIndices,
+  acknowledgeResponse,
+  signEnvelope,
+  verifyRecord,
+  randomIndices
+} = require('../lib/exchange');
+
+describe("Challenge index exchange", function () {
+  const challengeSize = 3;
+  let nmft, client, owner, buyer, other, tree, server, exchange, tmpDir;
+  const logger = { info: () => {}, warn: () => {}, error: () => {} };
+
+  beforeEach(async function () {
+    [owner, buyer, other] = await ethers.getSigners();
+    const NMFT = await ethers.getContractFactory("NMFT");
+    nmft = await NMFT.deploy(owner.address, "0xec7803457c25cb110ea6f74c048e1232264223783c370afed1473516b67857be");
+    await nmft.waitForDeployment();
+    client = new NmftClient(nmft);
+
+    tree = FeatureTree.fromVectors(Array(8).fill().map(() => ethers.toBigInt(ethers.randomBytes(32))));
+    await nmft.mintDataNFT(owner.address, "https://example.com/token/1", ethers.parseEther("0.1"), 10, ethers.parseEther("1"), tree.root, ethers.ZeroHash, ethers.ZeroAddress, "Test NFT");
+    await nmft.connect(buyer).requestDataPurchase(1, ethers.parseEther("0.1"), 1, 0, challengeSize, 0, ethers.parseEther("0.01"));
+    await nmft.confirmRequest(1, buyer.address);
+    await nmft.connect(buyer).buyerDeposit(1, { value: ethers.parseEther("0.1") });
+    await nmft.ownerDeposit(1, buyer.address, { value: ethers.parseEther("0.01") });
+    await nmft.connect(buyer).initiateChallenge(1);
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exchange-'));
+    server = new ExchangeServer({ client, storePath: path.join(tmpDir, 'exchange.jsonl') });
+    exchange = new ExchangeClient(await server.listen());
+  });
+
+  afterEach(async function () {
+    await server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("所有者应该收到推送的挑战索引并自动在链上响应", async function () {
+    const responder = new ChallengeResponder({ client, signer: owner, exchange, watchlist: [{ tokenId: 1, tree }], logger, pollInterval: 60000 });
+    await responder.start();
+    let resolveAnswered;
+    const answered = new Promise(resolve => { resolveAnswered = resolve; });
+    const socket = await exchange.subscribe(({ type, record }) => type === 'response' && resolveAnswered(record));
+
+    try {
+      const indices = randomIndices(challengeSize, tree.size);
+      const { digest } = await exchange.postChallenge(await createChallengeIndices(client, buyer, 1, indices));
+      const record = await answered;
+      expect(record.digest).to.equal(digest);
+
+      const trade = await client.getTrade(1, buyer.address);
+      expect(trade.phase).to.equal(Phase.VectorsVerified);
+      const recorded = (await nmft.queryFilter(nmft.filters.ChallengeVectorsRecorded()))[0];
+      expect([...recorded.args.vectors]).to.deep.equal(indices.map(index => tree.vectors[index]));
+
+      // 买家确认收到响应后，双方的回执都可以独立验证
+      await acknowledgeResponse(exchange, buyer, digest);
+      const evidence = verifyRecord(await exchange.getChallenge(digest));
+      expect(evidence.buyer).to.equal(buyer.address);
+      expect(evidence.response.signer).to.equal(owner.address);
+      expect(evidence.response.txHash).to.equal(record.response.message.txHash);
+      expect(evidence.receipts.map(receipt => [receipt.role, receipt.signer])).to.deep.equal([
+        [ReceiptRole.Owner, owner.address],
+        [ReceiptRole.Buyer, buyer.address]
+      ]);
+    } finally {
+      responder.stop();
+      socket.close();
+    }
+  });
+
+  it("应该拒绝伪造签名、不匹配的挑战和重复发布", async function () {
+    const envelope = await createChallengeIndices(client, buyer, 1, [0, 1, 2]);
+
+    const forged = await signEnvelope(other, envelope.message);
+    await expect(exchange.postChallenge(forged)).to.be.rejectedWith(ExchangeError, `Message must be signed by ${buyer.address}`);
+
+    const stale = await signEnvelope(buyer, { ...envelope.message, initiatedTimestamp: "1" });
+    await expect(exchange.postChallenge(stale)).to.be.rejectedWith(ExchangeError, "does not match the on-chain challenge");
+
+    await expect(createChallengeIndices(client, buyer, 1, [0, 1])).to.be.rejectedWith(ExchangeError, "Expected 3 challenge indices");
+
+    await exchange.postChallenge(envelope);
+    await exchange.postChallenge(envelope);
+    const changed = await createChallengeIndices(client, buyer, 1, [3, 4, 5]);
+    await expect(exchange.postChallenge(changed)).to.be.rejectedWith(ExchangeError, "already posted");
+    expect(await exchange.listChallenges({ tokenId: 1 })).to.have.length(1);
+  });
+
+  it("应该持久化消息并在重启后由轮询补充响应", async function () {
+    const { digest } = await exchange.postChallenge(await createChallengeIndices(client, buyer, 1, [5, 6, 7]));
+    await server.close();
+    server = new ExchangeServer({ client, storePath: path.join(tmpDir, 'exchange.jsonl') });
+    exchange = new ExchangeClient(await server.listen());
+    expect((await exchange.getChallenge(digest)).challenge.message.indices).to.deep.equal([5, 6, 7]);
+
+    const responder = new ChallengeResponder({ client, signer: owner, exchange, watchlist: [{ tokenId: 1, tree }], logger });
+    const [result] = await responder.poll();
+    expect(result.digest).to.equal(digest);
+    expect(await responder.poll()).to.be.empty;
+
+    const record = await exchange.getChallenge(digest);
+    expect(record.receipts[0].signer).to.equal(owner.address);
+    expect(record.response.message.txHash).to.equal(result.receipt.hash);
+    expect((await client.getTrade(1, buyer.address)).phase).to.equal(Phase.VectorsVerified);
+  });
+});
@@ -0,0 +1,91 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FeatureTree, FEATURE_TREE_FORMAT_VERSION, leafHash, verifyProof } = require('../lib/featureTree');
+
+describe("FeatureTree", function () {
+  const challengeSize = 10;
+  const vectors = Array(challengeSize).fill().map(() => ethers.toBigInt(ethers.randomBytes(32)));
+
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feature-tree-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("叶子哈希应该与 abi.encode(uint256) 一致", function () {
+    const expected = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [vectors[0]]));
+    expect(leafHash(vectors[0])).to.equal(expected);
+  });
+
+  it("应该能在本地验证每个向量的证明", function () {
+    const tree = FeatureTree.fromVectors(vectors);
+    for (let i = 0; i < challengeSize; i++) {
+      expect(tree.verify(i)).to.be.true;
+    }
+    expect(verifyProof(vectors[0] + 1n, tree.getProof(0), tree.root)).to.be.false;
+  });
+
+  it("应该按挑战索引列表生成响应参数", function () {
+    const tree = FeatureTree.fromVectors(vectors);
+    const indices = [3, 0, 7];
+    const response = tree.getChallengeResponse(indices);
+
+    expect(response.vectors).to.deep.equal(indices.map(i => vectors[i]));
+    expect(response.merkleProofs).to.have.lengthOf(indices.length);
+    expect(response.merkleRoots).to.deep.equal(Array(indices.length).fill(tree.root));
+    expect(() => tree.getChallengeResponse([challengeSize])).to.throw("Vector index out of range");
+  });
+
+  it("保存后加载应该得到相同的树", function () {
+    const tree = FeatureTree.fromVectors(vectors, { tokenId: 1 });
+    const filePath = path.join(tmpDir, 'tree.json');
+    tree.save(filePath);
+
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    expect(saved.version).to.equal(FEATURE_TREE_FORMAT_VERSION);
+    expect(saved.root).to.equal(tree.root);
+
+    const loaded = FeatureTree.load(filePath);
+    expect(loaded.root).to.equal(tree.root);
+    expect(loaded.vectors).to.deep.equal(tree.vectors);
+    expect(loaded.params).to.deep.equal({ tokenId: 1 });
+    expect(loaded.getProofs()).to.deep.equal(tree.getProofs());
+  });
+
+  it("不应该加载被篡改或版本不支持的文件", function () {
+    const tree = FeatureTree.fromVectors(vectors);
+    const data = tree.toJSON();
+
+    const tampered = { ...data, leaves: data.leaves.map((leaf, i) => i === 0 ? { vector: ethers.toBeHex(vectors[0] + 1n, 32) } : leaf) };
+    expect(() => FeatureTree.fromJSON(tampered)).to.throw("Merkle root mismatch");
+    expect(() => FeatureTree.fromJSON({ ...data, version: FEATURE_TREE_FORMAT_VERSION + 1 })).to.throw("Unsupported feature tree format version");
+  });
+
+  it("合约应该接受特征树生成的证明", async function () {
+    const [owner, buyer] = await ethers.getSigners();
+    const NMFT = await ethers.getContractFactory("NMFT");
+    const nmft = await NMFT.deploy(owner.address, "0xec7803457c25cb110ea6f74c048e1232264223783c370afed1473516b67857be");
+    await nmft.waitForDeployment();
+
+    const tree = FeatureTree.fromVectors(vectors);
+    await nmft.mintDataNFT(owner.address, "https://example.com/token/1", ethers.parseEther("0.1"), 10, ethers.parseEther("1"), tree.root, ethers.ZeroHash, ethers.ZeroAddress, "Test NFT");
+    await nmft.connect(buyer).requestDataPurchase(1, ethers.parseEther("0.1"), 5, 0, challengeSize, 0, ethers.parseEther("0.01"));
+    await nmft.confirmRequest(1, buyer.address);
+    await nmft.connect(buyer).buyerDeposit(1, { value: ethers.parseEther("0.5") });
+    await nmft.ownerDeposit(1, buyer.address, { value: ethers.parseEther("0.01") });
+    await nmft.connect(buyer).initiateChallenge(1);
+
+    const loaded = FeatureTree.fromJSON(JSON.parse(JSON.stringify(tree.toJSON())));
+    const { vectors: challengeVectors, merkleProofs, merkleRoots } = loaded.getChallengeResponse();
+    await expect(nmft.ownerResToChallenge(1, buyer.address, challengeVectors, merkleProofs, merkleRoots))
+      .to.emit(nmft, "VectorsVerified")
+      .withArgs(1, buyer.address);
+  });
+});
@@ -0,0 +1,101 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BuyerHashchain, HashchainVerifier, hashIterations, countIterations } = require('../lib/hashchain');
+
+describe("Hashchain", function () {
+  const reqBatchNumber = 5;
+  let nmft, owner, buyer, tmpDir;
+
+  beforeEach(async function () {
+    [owner, buyer] = await ethers.getSigners();
+    const NMFT = await ethers.getContractFactory("NMFT");
+    nmft = await NMFT.deploy(owner.address, "0xec7803457c25cb110ea6f74c048e1232264223783c370afed1473516b67857be");
+    await nmft.waitForDeployment();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hashchain-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // 辅助函数：完成挑战阶段，直到买家可以设置 Hashchain tip
+  async function prepareTrade() {
+    await nmft.mintDataNFT(owner.address, "https://example.com/token/1", ethers.parseEther("0.1"), 10, ethers.parseEther("1"), ethers.keccak256(ethers.toUtf8Bytes("merkle root")), ethers.ZeroHash, ethers.ZeroAddress, "Test NFT");
+    await nmft.connect(buyer).requestDataPurchase(1, ethers.parseEther("0.1"), reqBatchNumber, 0, 10, 0, ethers.parseEther("0.01"));
+    await nmft.confirmRequest(1, buyer.address);
+    await nmft.connect(buyer).buyerDeposit(1, { value: ethers.parseEther("0.5") });
+    await nmft.ownerDeposit(1, buyer.address, { value: ethers.parseEther("0.01") });
+    await nmft.connect(buyer).initiateChallenge(1);
+    await nmft.connect(buyer).buyerVerifyChallenge(1);
+    await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+    await ethers.provider.send("evm_mine");
+    await nmft.connect(buyer).buyerConfirmChallengeEnd(1);
+  }
+
+  it("应该按批次依次释放 preimage 且不超额释放", function () {
+    const chain = BuyerHashchain.create({ length: reqBatchNumber });
+    expect(chain.tip).to.equal(hashIterations(chain.seed, reqBatchNumber));
+
+    const first = chain.releaseNext();
+    expect(first.completedBatches).to.equal(1);
+    expect(ethers.keccak256(first.preimage)).to.equal(chain.tip);
+
+    // 重复确认已交付的批次不会多释放
+    expect(chain.releaseFor(1)).to.deep.equal(first);
+    expect(chain.releaseFor(reqBatchNumber).preimage).to.equal(chain.seed);
+    expect(chain.remaining).to.equal(0);
+    expect(() => chain.releaseNext()).to.throw("Cannot release more than");
+  });
+
+  it("应该持久化释放进度并拒绝覆盖已有文件", function () {
+    const filePath = path.join(tmpDir, 'chain.json');
+    const chain = BuyerHashchain.create({ length: reqBatchNumber, tokenId: 1, buyer: buyer.address, filePath });
+    chain.releaseFor(2);
+
+    const loaded = BuyerHashchain.load(filePath);
+    expect(loaded.released).to.equal(2);
+    expect(loaded.tip).to.equal(chain.tip);
+    expect(loaded.tokenId).to.equal("1");
+    if (process.platform !== 'win32') {
+      expect(fs.statSync(filePath).mode & 0o777).to.equal(0o600);
+    }
+    expect(() => BuyerHashchain.create({ length: reqBatchNumber, filePath })).to.throw("Hashchain file already exists");
+  });
+
+  it("应该计算 preimage 到 tip 的哈希次数", function () {
+    const seed = ethers.keccak256(ethers.toUtf8Bytes("seed"));
+    const tip = hashIterations(seed, 3);
+    expect(countIterations(seed, tip, 5)).to.equal(3);
+    expect(countIterations(seed, tip, 2)).to.equal(-1);
+  });
+
+  it("所有者应该能用收到的 preimage 构建并确认最终支付", async function () {
+    await prepareTrade();
+    const chain = BuyerHashchain.create({ length: reqBatchNumber });
+    await nmft.connect(buyer).setHashchainTip(1, chain.tip);
+
+    const verifier = new HashchainVerifier(nmft.connect(owner));
+    const { preimage } = chain.releaseFor(2);
+    const call = await verifier.buildConfirmFinalPayment(1, buyer.address, preimage);
+    expect(call.newCompletedBatches).to.equal(2);
+    expect(call.args).to.deep.equal([1, buyer.address, preimage, 2]);
+
+    await expect(owner.sendTransaction(call.tx))
+      .to.emit(nmft, "FinalPaymentConfirmed")
+      .withArgs(1, buyer.address, owner.address, 2);
+
+    // 同一个 preimage 不能再次确认
+    await expect(verifier.verifyPreimage(1, buyer.address, preimage)).to.be.rejectedWith("Preimage already confirmed");
+
+    const next = chain.releaseNext();
+    const nextCall = await verifier.verifyPreimage(1, buyer.address, next.preimage);
+    expect(nextCall.newCompletedBatches).to.equal(1);
+    expect(nextCall.totalCompletedBatches).to.equal(3);
+
+    const unrelated = ethers.keccak256(ethers.toUtf8Bytes("unrelated"));
+    await expect(verifier.verifyPreimage(1, buyer.address, unrelated)).to.be.rejectedWith("Preimage is not on the hashchain");
+  });
+});
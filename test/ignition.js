@@ -0,0 +1,43 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require('fs');
+const path = require('path');
+const NMFTModule = require('../ignition/modules/NMFT');
+const NMFTSetupModule = require('../ignition/modules/NMFTSetup');
+const { calculateProjectionMatrixHash } = require('../lib/lsh');
+
+const PARAMETERS_DIR = path.join(__dirname, '../ignition/parameters');
+
+describe("Ignition modules", function () {
+  it("应该以默认参数部署 NMFT，管理员为部署账户", async function () {
+    const [deployer] = await ethers.getSigners();
+    const { nmft } = await hre.ignition.deploy(NMFTModule);
+    expect(await nmft.admin()).to.equal(deployer.address);
+    expect(await nmft.PROJECTION_MATRIX_HASH()).to.equal(calculateProjectionMatrixHash());
+    expect(await nmft.similarityThreshold()).to.equal(95);
+  });
+
+  it("应该按参数设置管理员并在部署后更新相似度阈值", async function () {
+    const [, admin] = await ethers.getSigners();
+    const { nmft } = await hre.ignition.deploy(NMFTSetupModule, {
+      parameters: {
+        NMFTModule: { initialOwner: admin.address },
+        NMFTSetupModule: { similarityThreshold: 80 }
+      }
+    });
+    expect(await nmft.admin()).to.equal(admin.address);
+    expect(await nmft.similarityThreshold()).to.equal(80);
+  });
+
+  it("各网络的参数文件应该使用由种子推导的投影矩阵哈希和合法的阈值", function () {
+    const networks = fs.readdirSync(PARAMETERS_DIR).map(file => path.basename(file, '.json')).sort();
+    expect(networks).to.deep.equal(['localhost', 'sepolia', 'shardora']);
+    for (const network of networks) {
+      expect(hre.config.networks).to.have.property(network);
+      const parameters = JSON.parse(fs.readFileSync(path.join(PARAMETERS_DIR, `${network}.json`), 'utf8'));
+      expect(parameters.NMFTModule.projectionMatrixHash, network).to.equal(calculateProjectionMatrixHash());
+      expect(parameters.NMFTSetupModule.similarityThreshold, network).to.be.within(1, 100);
+    }
+  });
+});
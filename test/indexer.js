@@ -0,0 +1,173 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { NmftIndexer, TradeStatus } = require('../lib/indexer');
+const { Phase } = require('../lib/client');
+const { FeatureTree } = require('../lib/featureTree');
+const { BuyerHashchain } = require('../lib/hashchain');
+
+describe("NmftIndexer", function () {
+  const challengeSize = 4;
+  const reqBatchNumber = 2;
+  let nmft, owner, buyer, otherBuyer, tree, indexer, tmpDir;
+
+  beforeEach(async function () {
+    [owner, buyer, otherBuyer] = await ethers.getSigners();
+    const NMFT = await ethers.getContractFactory("NMFT");
+    nmft = await NMFT.deploy(owner.address, "0xec7803457c25cb110ea6f74c048e1232264223783c370afed1473516b67857be");
+    await nmft.waitForDeployment();
+    const startBlock = (await nmft.deploymentTransaction().wait()).blockNumber;
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'indexer-'));
+    indexer = new NmftIndexer({ nmft, dbPath: path.join(tmpDir, 'nmft.db'), startBlock });
+
+    tree = FeatureTree.fromVectors(Array(challengeSize).fill().map(() => ethers.toBigInt(ethers.randomBytes(32))));
+    await nmft.mintDataNFT(owner.address, "https://example.com/token/1", ethers.parseEther("0.1"), 10, ethers.parseEther("1"), tree.root, ethers.ZeroHash, ethers.ZeroAddress, "Test NFT");
+  });
+
+  afterEach(function () {
+    indexer.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // 辅助函数：请求并完成双方质押
+  async function requestAndDeposit(signer) {
+    await nmft.connect(signer).requestDataPurchase(1, ethers.parseEther("0.1"), reqBatchNumber, 0, challengeSize, 0, ethers.parseEther("0.01"));
+    await nmft.confirmRequest(1, signer.address);
+    await nmft.connect(signer).buyerDeposit(1, { value: ethers.parseEther("0.1") * BigInt(reqBatchNumber) });
+    await nmft.ownerDeposit(1, signer.address, { value: ethers.parseEther("0.01") });
+  }
+
+  it("应该回填事件并跟踪交易阶段直到完成", async function () {
+    await requestAndDeposit(buyer);
+    await nmft.connect(otherBuyer).requestDataPurchase(1, ethers.parseEther("0.1"), 1, 0, challengeSize, 0, 0);
+    await indexer.sync();
+
+    expect(indexer.getToken(1)).to.include({ owner: owner.address, description: "Test NFT", latestMerkleRoot: tree.root, paymentToken: ethers.ZeroAddress });
+    const open = indexer.openRequests(owner.address);
+    expect(open.map(trade => [trade.buyer, trade.phase])).to.deep.equal([
+      [buyer.address, Phase.OwnerDeposited],
+      [otherBuyer.address, Phase.Requested]
+    ]);
+    expect(open[0].ownerDeposit).to.equal(ethers.parseEther("0.01"));
+
+    await nmft.connect(buyer).initiateChallenge(1);
+    const response = tree.getChallengeResponse();
+    await nmft.ownerResToChallenge(1, buyer.address, response.vectors, response.merkleProofs, response.merkleRoots);
+    await indexer.sync();
+    expect(indexer.tradesInChallenge().map(trade => trade.buyer)).to.deep.equal([buyer.address]);
+    expect(indexer.events({ tokenId: 1, name: "ChallengeVectorsRecorded" })[0].args.vectors).to.have.length(challengeSize);
+
+    await nmft.connect(buyer).buyerVerifyChallenge(1);
+    await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+    await ethers.provider.send("evm_mine");
+    await nmft.connect(buyer).buyerConfirmChallengeEnd(1);
+    const chain = BuyerHashchain.create({ length: reqBatchNumber });
+    await nmft.connect(buyer).setHashchainTip(1, chain.tip);
+    const first = chain.releaseNext();
+    await nmft.confirmFinalPayment(1, buyer.address, first.preimage, 1);
+    await indexer.sync();
+
+    const [paying] = indexer.trades({ buyer: buyer.address });
+    expect(paying).to.include({ phase: Phase.Paying, tip: chain.tip, completedBatches: 1, winner: owner.address });
+
+    const last = chain.releaseNext();
+    await nmft.confirmFinalPayment(1, buyer.address, last.preimage, 1);
+    await indexer.sync();
+    expect(indexer.trades({ buyer: buyer.address })).to.be.empty;
+    const [completed] = indexer.trades({ buyer: buyer.address, status: TradeStatus.Completed });
+    expect(completed).to.include({ phase: Phase.None, completedBatches: reqBatchNumber });
+  });
+
+  it("通过合约钱包调用时应该从事件参数取得买家地址", async function () {
+    // 所有者为多签等合约钱包时，交易的顶层 calldata 是钱包的 execute
+    const wallet = await (await ethers.getContractFactory("PaymentReceiver")).deploy();
+    const viaWallet = (method, args, value = 0n) => wallet.execute(nmft.getAddress(), nmft.interface.encodeFunctionData(method, args), { value });
+    await nmft.mintDataNFT(await wallet.getAddress(), "https://example.com/token/2", ethers.parseEther("0.1"), 10, ethers.parseEther("1"), tree.root, ethers.ZeroHash, ethers.ZeroAddress, "Wallet NFT");
+    await nmft.connect(buyer).requestDataPurchase(2, ethers.parseEther("0.1"), reqBatchNumber, 0, challengeSize, 0, ethers.parseEther("0.01"));
+    await viaWallet("confirmRequest", [2, buyer.address]);
+    await nmft.connect(buyer).buyerDeposit(2, { value: ethers.parseEther("0.1") * BigInt(reqBatchNumber) });
+    await viaWallet("ownerDeposit", [2, buyer.address], ethers.parseEther("0.01"));
+    await indexer.sync();
+
+    const [trade] = indexer.trades({ buyer: buyer.address });
+    expect(trade).to.include({ tokenId: 2, phase: Phase.OwnerDeposited });
+    expect(trade.ownerDeposit).to.equal(ethers.parseEther("0.01"));
+
+    await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+    await ethers.provider.send("evm_mine");
+    await viaWallet("withdrawDeposits", [2, buyer.address]);
+    await indexer.sync();
+    const [withdrawn] = indexer.events({ name: "DepositsWithdrawn" });
+    expect(withdrawn.buyer).to.equal(buyer.address);
+    expect(withdrawn.args.withdrawer).to.equal(await wallet.getAddress());
+  });
+
+  it("所有者违约的交易应该以 defaulted 状态结束", async function () {
+    await requestAndDeposit(buyer);
+    await nmft.connect(buyer).initiateChallenge(1);
+    await ethers.provider.send("evm_increaseTime", [12 * 60 * 60]);
+    await ethers.provider.send("evm_mine");
+    await nmft.connect(buyer).claimOwnerDefault(1);
+    await indexer.sync();
+
+    expect(indexer.trades({ buyer: buyer.address })).to.be.empty;
+    expect(indexer.trades({ buyer: buyer.address, status: TradeStatus.CleanedUp })).to.be.empty;
+    const [defaulted] = indexer.trades({ buyer: buyer.address, status: TradeStatus.Defaulted });
+    expect(defaulted).to.include({ phase: Phase.None });
+    expect(indexer.events({ name: "OwnerDefaulted" })[0].args.slashedDeposit).to.equal(ethers.parseEther("0.01").toString());
+  });
+
+  it("应该记录 token 登记过的全部 Merkle 根及时间戳", async function () {
+    const second = FeatureTree.fromVectors([1n, 2n, 3n]).root;
+    const third = FeatureTree.fromVectors([4n, 5n, 6n]).root;
+    await nmft.updateMerkleRoot(1, second);
+    const token = await (await ethers.getContractFactory("MockERC20")).deploy("USD Coin", "USDC", 6);
+    await nmft.updateDataInfo(1, 0, 20, 0, third, ethers.ZeroHash, await token.getAddress());
+    await indexer.sync();
+
+    const roots = indexer.merkleRoots(1);
+    expect(roots.map(root => root.merkleRoot)).to.deep.equal([tree.root, second, third]);
+    for (const root of roots) {
+      expect(root.timestamp).to.equal(Number(await nmft.getMerkleRootTimestamp(1, root.merkleRoot)));
+    }
+    expect(indexer.getToken(1)).to.include({ batchNumber: 20, latestMerkleRoot: third, paymentToken: await token.getAddress() });
+    expect(indexer.getToken(1).batchPrice).to.equal(ethers.parseEther("0.1"));
+  });
+
+  it("应该在链重组后回滚并重新索引", async function () {
+    await indexer.sync();
+    const snapshot = await ethers.provider.send("evm_snapshot");
+    await nmft.connect(buyer).requestDataPurchase(1, ethers.parseEther("0.1"), 1, 0, challengeSize, 0, 0);
+    await indexer.sync();
+    expect(indexer.openRequests(owner.address).map(trade => trade.buyer)).to.deep.equal([buyer.address]);
+
+    // 回到快照并在同一高度产生不同的区块
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await nmft.connect(otherBuyer).requestDataPurchase(1, ethers.parseEther("0.1"), 1, 0, challengeSize, 0, 0);
+    await indexer.sync();
+
+    expect(indexer.openRequests(owner.address).map(trade => trade.buyer)).to.deep.equal([otherBuyer.address]);
+    expect(indexer.events({ name: "RequestMade" }).map(event => event.buyer)).to.deep.equal([otherBuyer.address]);
+  });
+
+  it("应该从数据库中的游标继续索引", async function () {
+    await indexer.sync();
+    const cursor = indexer.cursor;
+    indexer.close();
+
+    await nmft.transferNFT(owner.address, otherBuyer.address, 1);
+    indexer = new NmftIndexer({ nmft, dbPath: path.join(tmpDir, 'nmft.db') });
+    expect(indexer.cursor).to.equal(cursor);
+    await indexer.sync();
+    expect(indexer.tokensOwnedBy(otherBuyer.address).map(token => token.tokenId)).to.deep.equal([1]);
+    expect(indexer.events({ name: "DataNFTMinted" })).to.have.length(1);
+
+    const other = await (await ethers.getContractFactory("NMFT")).deploy(owner.address, "0xec7803457c25cb110ea6f74c048e1232264223783c370afed1473516b67857be");
+    const wrong = new NmftIndexer({ nmft: other, dbPath: path.join(tmpDir, 'nmft.db') });
+    await expect(wrong.sync()).to.be.rejectedWith("Database already indexes contract");
+    wrong.close();
+  });
+});
@@ -0,0 +1,193 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { NmftClient, Phase } = require('../lib/client');
+const { FeatureTree } = require('../lib/featureTree');
+const { TimeoutKeeper, KeeperAction } = require('../lib/keeper');
+
+describe("TimeoutKeeper", function () {
+  const challengeSize = 2;
+  const day = 24 * 60 * 60;
+  let nmft, client, owner, buyer, tree, tmpDir, statePath;
+  const logger = { info: () => {}, warn: () => {}, error: () => {} };
+
+  beforeEach(async function () {
+    [owner, buyer] = await ethers.getSigners();
+    const NMFT = await ethers.getContractFactory("NMFT");
+    nmft = await NMFT.deploy(owner.address, "0xec7803457c25cb110ea6f74c048e1232264223783c370afed1473516b67857be");
+    await nmft.waitForDeployment();
+    client = new NmftClient(nmft);
+    tree = FeatureTree.fromVectors(Array(challengeSize).fill().map(() => ethers.toBigInt(ethers.randomBytes(32))));
+    await nmft.mintDataNFT(owner.address, "https://example.com/token/1", ethers.parseEther("0.1"), 10, ethers.parseEther("1"), tree.root, ethers.ZeroHash, ethers.ZeroAddress, "Test NFT");
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keeper-'));
+    statePath = path.join(tmpDir, 'keeper.json');
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // 辅助函数：推进链上时间
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  }
+
+  // 辅助函数：完成双方质押
+  async function depositBoth() {
+    await nmft.connect(buyer).requestDataPurchase(1, ethers.parseEther("0.1"), 1, 0, challengeSize, 0, ethers.parseEther("0.01"));
+    await nmft.confirmRequest(1, buyer.address);
+    await nmft.connect(buyer).buyerDeposit(1, { value: ethers.parseEther("0.1") });
+    await nmft.ownerDeposit(1, buyer.address, { value: ethers.parseEther("0.01") });
+  }
+
+  // 辅助函数：完成双方质押并开启挑战窗口
+  async function openChallenge() {
+    await depositBoth();
+    await nmft.connect(buyer).initiateChallenge(1);
+    const response = tree.getChallengeResponse();
+    await nmft.ownerResToChallenge(1, buyer.address, response.vectors, response.merkleProofs, response.merkleRoots);
+    await nmft.connect(buyer).buyerVerifyChallenge(1);
+  }
+
+  it("应该在截止时间过后结束挑战，买家逾期未设置 tip 时由所有者申领补偿", async function () {
+    await openChallenge();
+    const keeper = new TimeoutKeeper({ client, signers: [owner, buyer], statePath, logger });
+
+    expect(await keeper.tick()).to.be.empty;
+    const [scheduled] = keeper.report().scheduled;
+    expect(scheduled.nextAction).to.equal(KeeperAction.ConfirmChallengeEnd);
+
+    await increaseTime(day);
+    expect((await keeper.tick()).map(record => record.action)).to.deep.equal([KeeperAction.ConfirmChallengeEnd]);
+    expect(await client.getPhase(1, buyer.address)).to.equal(Phase.AwaitingHashchainTip);
+    expect(keeper.report().scheduled[0].nextAction).to.equal(KeeperAction.ClaimBuyerDefault);
+
+    await increaseTime(12 * 60 * 60);
+    expect((await keeper.tick()).map(record => [record.action, record.status])).to.deep.equal([[KeeperAction.ClaimBuyerDefault, 'sent']]);
+    // 所有者取回押金并从买家质押中得到等额补偿，其余退还买家
+    expect(await client.withdrawable(owner.address)).to.equal(ethers.parseEther("0.02"));
+    expect(await client.withdrawable(buyer.address)).to.equal(ethers.parseEther("0.09"));
+    expect(await client.getPhase(1, buyer.address)).to.equal(Phase.None);
+    expect(keeper.report().scheduled).to.be.empty;
+  });
+
+  it("应该在交易超时后依次退还押金并清理交易", async function () {
+    await depositBoth();
+    const keeper = new TimeoutKeeper({ client, signers: [owner, buyer], statePath, logger });
+    expect(await keeper.tick()).to.be.empty;
+
+    // 买家没有发起挑战，交易超时后双方取回押金并清理
+    await increaseTime(day + 1);
+    const performed = await keeper.tick();
+    expect(performed.map(record => [record.action, record.status])).to.deep.equal([
+      [KeeperAction.BuyerWithdraw, 'sent'],
+      [KeeperAction.OwnerWithdraw, 'sent'],
+      [KeeperAction.Cleanup, 'sent']
+    ]);
+    // 退还的押金记入余额，由双方自行提取
+    expect(await client.withdrawable(buyer.address)).to.equal(ethers.parseEther("0.1"));
+    expect(await client.withdrawable(owner.address)).to.equal(ethers.parseEther("0.01"));
+    expect(await client.getPhase(1, buyer.address)).to.equal(Phase.None);
+    expect(keeper.report().scheduled).to.be.empty;
+    expect(keeper.report().history).to.have.length(3);
+  });
+
+  it("只代管所有者时应该在窗口结束后结算挑战", async function () {
+    await openChallenge();
+    const keeper = new TimeoutKeeper({ client, signers: [owner], statePath, logger });
+
+    expect(await keeper.tick()).to.be.empty;
+    expect(keeper.report().scheduled[0].nextAction).to.equal(KeeperAction.FinalizeChallenge);
+
+    await increaseTime(day);
+    expect((await keeper.tick()).map(record => [record.action, record.account])).to.deep.equal([
+      [KeeperAction.FinalizeChallenge, owner.address]
+    ]);
+    expect(await client.getPhase(1, buyer.address)).to.equal(Phase.AwaitingHashchainTip);
+    expect(keeper.report().scheduled[0].nextAction).to.equal(KeeperAction.ClaimBuyerDefault);
+  });
+
+  it("所有者逾期未响应挑战时应该代买家申领违约赔付", async function () {
+    await nmft.connect(buyer).requestDataPurchase(1, ethers.parseEther("0.1"), 1, 0, challengeSize, 0, ethers.parseEther("0.01"));
+    await nmft.confirmRequest(1, buyer.address);
+    await nmft.connect(buyer).buyerDeposit(1, { value: ethers.parseEther("0.1") });
+    await nmft.ownerDeposit(1, buyer.address, { value: ethers.parseEther("0.01") });
+    await nmft.connect(buyer).initiateChallenge(1);
+    const keeper = new TimeoutKeeper({ client, signers: [owner, buyer], statePath, logger });
+
+    expect(await keeper.tick()).to.be.empty;
+    expect(keeper.report().scheduled[0].nextAction).to.equal(KeeperAction.ClaimOwnerDefault);
+
+    await increaseTime(12 * 60 * 60);
+    expect((await keeper.tick()).map(record => [record.action, record.account])).to.deep.equal([
+      [KeeperAction.ClaimOwnerDefault, buyer.address]
+    ]);
+    expect(await client.withdrawable(buyer.address)).to.equal(ethers.parseEther("0.11"));
+    expect(keeper.report().scheduled).to.be.empty;
+  });
+
+  it("只代管买家时不应该替未验证的买家结束挑战", async function () {
+    await depositBoth();
+    await nmft.connect(buyer).initiateChallenge(1);
+    const response = tree.getChallengeResponse();
+    await nmft.ownerResToChallenge(1, buyer.address, response.vectors, response.merkleProofs, response.merkleRoots);
+    const keeper = new TimeoutKeeper({ client, signers: [buyer], statePath, logger });
+
+    expect(await keeper.tick()).to.be.empty;
+    expect(keeper.report().scheduled.map(item => item.nextAction)).to.not.include(KeeperAction.ConfirmChallengeEnd);
+    await increaseTime(day);
+    expect(await keeper.tick()).to.be.empty;
+    expect(await client.getPhase(1, buyer.address)).to.equal(Phase.VectorsVerified);
+  });
+
+  it("只代管买家时应该在买家逾期后自行结算违约，取回剩余质押", async function () {
+    await openChallenge();
+    await increaseTime(day);
+    await nmft.connect(buyer).buyerConfirmChallengeEnd(1);
+    const keeper = new TimeoutKeeper({ client, signers: [buyer], statePath, logger });
+
+    expect(await keeper.tick()).to.be.empty;
+    expect(keeper.report().scheduled[0].nextAction).to.equal(KeeperAction.ClaimBuyerDefault);
+
+    await increaseTime(12 * 60 * 60);
+    expect((await keeper.tick()).map(record => [record.action, record.account, record.status])).to.deep.equal([
+      [KeeperAction.ClaimBuyerDefault, buyer.address, 'sent']
+    ]);
+    expect(await client.withdrawable(buyer.address)).to.equal(ethers.parseEther("0.09"));
+    expect(await client.withdrawable(owner.address)).to.equal(ethers.parseEther("0.02"));
+  });
+
+  it("应该持久化调度并在重启后继续且不重复提取", async function () {
+    await depositBoth();
+
+    // 只代管所有者账户：买家押金未提取时清理要多等待 cleanupGrace
+    const keeper = new TimeoutKeeper({ client, signers: [owner], statePath, logger, cleanupGrace: day });
+    await keeper.tick();
+    await increaseTime(day + 1);
+    expect((await keeper.tick()).map(record => record.action)).to.deep.equal([KeeperAction.OwnerWithdraw]);
+    expect(keeper.report().scheduled[0].nextAction).to.equal(KeeperAction.Cleanup);
+
+    const restarted = new TimeoutKeeper({ client, signers: [owner], statePath, logger, cleanupGrace: day });
+    expect(restarted.report().history.map(record => record.action)).to.deep.equal([KeeperAction.OwnerWithdraw]);
+    expect(await restarted.tick()).to.be.empty;
+
+    await increaseTime(day);
+    expect((await restarted.tick()).map(record => record.action)).to.deep.equal([KeeperAction.Cleanup]);
+    expect(await client.getPhase(1, buyer.address)).to.equal(Phase.None);
+  });
+
+  it("买家提取押金后所有者可以立即清理", async function () {
+    await nmft.connect(buyer).requestDataPurchase(1, ethers.parseEther("0.1"), 1, 0, challengeSize, 0, 0);
+    await nmft.confirmRequest(1, buyer.address);
+    await nmft.connect(buyer).buyerDeposit(1, { value: ethers.parseEther("0.1") });
+
+    const keeper = new TimeoutKeeper({ client, signers: [owner], statePath, logger });
+    await keeper.tick();
+    await increaseTime(day + 1);
+    await nmft.connect(buyer).withdrawDeposits(1, buyer.address);
+    expect((await keeper.tick()).map(record => record.action)).to.deep.equal([KeeperAction.Cleanup]);
+  });
+});
@@ -0,0 +1,100 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readResults } = require('../lib/results');
+const { LOAD_STEPS, normalizeBenchmarkConfig } = require('../lib/benchmark');
+const { SerialNonceSigner, LoadRunner } = require('../lib/load');
+
+describe("Load generator", function () {
+  let nmft, signers, tmpDir;
+  const logger = { info: () => {}, warn: () => {} };
+  const parameters = { batchNumber: 2, reqBatchNumber: 2, newCompletedBatches: 2, challengeSize: 2 };
+
+  beforeEach(async function () {
+    signers = await ethers.getSigners();
+    const NMFT = await ethers.getContractFactory("NMFT");
+    nmft = await NMFT.deploy(signers[0].address, "0xec7803457c25cb110ea6f74c048e1232264223783c370afed1473516b67857be");
+    await nmft.waitForDeployment();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'load-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function loadRunner(raw) {
+    return new LoadRunner({
+      nmft,
+      signers,
+      provider: ethers.provider,
+      network: 'hardhat',
+      config: normalizeBenchmarkConfig({ wallets: { fund: "10" }, ...raw }),
+      outDir: tmpDir,
+      logger
+    });
+  }
+
+  it("同一签名者并发发送的交易应该依次分配 nonce，revert 的交易不占用 nonce", async function () {
+    const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    await ethers.provider.send('hardhat_setBalance', [wallet.address, ethers.toQuantity(ethers.parseEther("10"))]);
+    const signer = new SerialNonceSigner(wallet);
+    const sends = Array.from({ length: 6 }, () => signer.sendTransaction({ to: signers[1].address, value: 1n }));
+    // 非所有者确认请求会在估算 gas 时 revert
+    const reverted = nmft.connect(signer).confirmRequest(1, signers[1].address);
+    sends.push(...Array.from({ length: 3 }, () => signer.sendTransaction({ to: signers[1].address, value: 1n })));
+
+    await expect(reverted).to.be.rejected;
+    const responses = await Promise.all(sends);
+    expect(responses.map(response => response.nonce)).to.deep.equal([0, 1, 2, 3, 4, 5, 6, 7, 8]);
+    await Promise.all(responses.map(response => response.wait()));
+    expect(await ethers.provider.getTransactionCount(wallet.address)).to.equal(9);
+  });
+
+  it("应该在多个所有者和买家之间并发执行交易并汇总吞吐量和延迟", async function () {
+    const { rows, summary, summaryPath, path: resultPath } = await loadRunner({
+      name: "load",
+      parameters,
+      load: { trades: 6, concurrency: 4, owners: 2, buyers: 3, arrivalRate: 100 }
+    }).run();
+
+    expect(summary).to.include({ trades: 6, completed: 6, reverted: 0, failed: 0, revertRate: 0, failureRate: 0 });
+    expect(summary.throughput.tradesPerSecond).to.be.greaterThan(0);
+    expect(summary.confirmationLatency.p99).to.be.at.least(summary.confirmationLatency.p50);
+    expect(summary.tradeLatency.max).to.be.at.least(summary.tradeLatency.p95);
+    expect(JSON.parse(fs.readFileSync(summaryPath, 'utf8'))).to.deep.equal(summary);
+
+    // 每笔交易的每个步骤都写入结果文件，各交易使用不同的 token
+    expect(rows).to.have.length(6 * LOAD_STEPS.length);
+    expect(readResults(resultPath)).to.have.length(rows.length);
+    const tokens = new Set(rows.map(row => row.tokenId));
+    expect(tokens.size).to.equal(6);
+    // 负载不推进时间，各交易停在回应窗口内，诚实的所有者保持领先
+    const responses = await nmft.queryFilter(nmft.filters.ChallengeResponseReceived());
+    expect(responses).to.have.length(6);
+    for (const { args } of responses) {
+      expect(args.currentWinner).to.equal(await nmft.ownerOf(args.tokenId));
+    }
+    expect(await nmft.queryFilter(nmft.filters.ChallengeResolved())).to.be.empty;
+    expect(() => normalizeBenchmarkConfig({ name: "x", wallets: { fund: "1" }, steps: [...LOAD_STEPS, "finalizeChallenge"], load: { trades: 2, concurrency: 1 } }))
+      .to.throw("cannot run finalizeChallenge");
+  });
+
+  it("应该统计 revert 的交易和失败的步骤", async function () {
+    const { summary } = await loadRunner({
+      name: "load",
+      steps: ["mintDataNFT", "requestDataPurchase", "buyerVerifyChallenge"],
+      parameters,
+      load: { trades: 3, concurrency: 3 }
+    }).run();
+    expect(summary).to.include({ trades: 3, completed: 0, reverted: 3, revertRate: 1 });
+    expect(summary.failures.map(failure => failure.step)).to.deep.equal(Array(3).fill("buyerVerifyChallenge"));
+
+    expect(() => normalizeBenchmarkConfig({ name: "x", load: { trades: 2, concurrency: 1 } })).to.throw("requires wallets");
+    expect(() => normalizeBenchmarkConfig({ name: "x", wallets: { fund: "1" }, grid: { challengeSize: [1] }, load: { trades: 2, concurrency: 1 } }))
+      .to.throw("use load.trades");
+    expect(() => normalizeBenchmarkConfig({ name: "x", wallets: { fund: "1" }, load: { trades: 2, concurrency: 1, arrivalRate: 0 } }))
+      .to.throw("load.arrivalRate must be a positive number");
+  });
+});
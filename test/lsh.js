@@ -0,0 +1,91 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const lsh = require('../lib/lsh');
+
+describe("LSH", function () {
+  let nmft, owner;
+
+  before(async function () {
+    [owner] = await ethers.getSigners();
+    const NMFT = await ethers.getContractFactory("NMFT");
+    nmft = await NMFT.deploy(owner.address, "0xec7803457c25cb110ea6f74c048e1232264223783c370afed1473516b67857be");
+    await nmft.waitForDeployment();
+  });
+
+  it("常量应该与合约一致", async function () {
+    expect(await nmft.PROJECTION_MATRIX_SEED()).to.equal(lsh.PROJECTION_MATRIX_SEED);
+    expect(await nmft.VECTOR_LENGTH()).to.equal(lsh.VECTOR_LENGTH);
+    expect(await nmft.COMPRESSED_VECTOR_LENGTH()).to.equal(lsh.COMPRESSED_VECTOR_LENGTH);
+  });
+
+  it("投影矩阵元素应该与合约 calculateProjectionValue 一致", async function () {
+    const matrix = lsh.generateProjectionMatrix();
+    expect(matrix).to.have.lengthOf(lsh.COMPRESSED_VECTOR_LENGTH);
+    for (const [i, j] of [[0, 0], [0, 9], [17, 3], [128, 5], [255, 9]]) {
+      expect(await nmft.calculateProjectionValue(i, j)).to.equal(matrix[i][j]);
+    }
+  });
+
+  it("投影矩阵哈希应该与合约 calculateProjectionMatrixHash 一致", async function () {
+    expect(lsh.calculateProjectionMatrixHash()).to.equal(await nmft.calculateProjectionMatrixHash());
+    expect(lsh.projectionMatrixBytes()).to.have.lengthOf(lsh.COMPRESSED_VECTOR_LENGTH * lsh.VECTOR_LENGTH);
+  });
+
+  it("部署前应该校验投影矩阵哈希、导出矩阵，部署后核对链上哈希", async function () {
+    const parameters = lsh.projectionMatrixParameters(undefined);
+    expect(parameters).to.include({ seed: "1234567890", vectorLength: 10, compressedVectorLength: 256, hash: lsh.calculateProjectionMatrixHash() });
+    expect(lsh.projectionMatrixParameters(parameters.hash.toUpperCase().replace('0X', '0x')).hash).to.equal(parameters.hash);
+    expect(() => lsh.projectionMatrixParameters(ethers.ZeroHash)).to.throw("does not match");
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lsh-'));
+    try {
+      const file = lsh.writeProjectionMatrix(path.join(tmpDir, 'matrix', 'projection_matrix.json'), parameters);
+      expect(JSON.parse(fs.readFileSync(file, 'utf8'))).to.deep.equal(parameters);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    expect(await lsh.verifyProjectionMatrix(nmft, parameters)).to.equal(parameters.hash);
+    // 构造参数中的哈希错误时，部署后的核对应该失败
+    const NMFT = await ethers.getContractFactory("NMFT");
+    const wrong = await NMFT.deploy(owner.address, ethers.ZeroHash);
+    await expect(lsh.verifyProjectionMatrix(wrong, parameters)).to.be.rejectedWith("On-chain projection matrix hash mismatch");
+  });
+
+  it("应该把特征向量压缩为256位整数", function () {
+    const matrix = lsh.generateProjectionMatrix();
+    const feature = [0.3, -1.2, 0.5, 0.8, -0.1, 0.05, 2.0, -0.7, 0.4, 0.9];
+    const compressed = lsh.compress(feature, matrix);
+
+    expect(compressed).to.be.at.most(ethers.MaxUint256);
+    matrix.forEach((row, i) => {
+      const projection = row.reduce((sum, value, j) => sum + value * feature[j], 0);
+      expect(((compressed >> BigInt(i)) & 1n) === 1n).to.equal(projection > 0);
+    });
+    expect(() => lsh.compress([1, 2, 3], matrix)).to.throw("does not match projection matrix width");
+  });
+
+  it("汉明距离和相似度应该与合约一致", async function () {
+    const a = ethers.toBigInt(ethers.randomBytes(32));
+    const b = a ^ ((1n << 20n) - 1n); // 翻转低20位
+
+    expect(await nmft.hammingDistance(a, b)).to.equal(lsh.hammingDistance(a, b));
+    expect(lsh.hammingDistance(a, b)).to.equal(20);
+    expect(lsh.hammingSimilarity(a, b)).to.equal(Math.floor((256 - 20) * 100 / 256));
+    expect(lsh.hammingSimilarity(a, a)).to.equal(100);
+    expect(lsh.isSimilar(a, b, 95)).to.be.false;
+    expect(lsh.isSimilar(a, b, 90)).to.be.true;
+  });
+
+  it("相近的特征向量压缩后应该更相似", function () {
+    const feature = [0.3, -1.2, 0.5, 0.8, -0.1, 0.05, 2.0, -0.7, 0.4, 0.9];
+    const nearby = feature.map(value => value + 0.01);
+    const opposite = feature.map(value => -value);
+    const [a, b, c] = lsh.compressAll([feature, nearby, opposite]);
+
+    expect(lsh.hammingSimilarity(a, b)).to.be.greaterThan(lsh.hammingSimilarity(a, c));
+  });
+});
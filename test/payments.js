@@ -0,0 +1,219 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { NmftClient } = require('../lib/client');
+const { PreconditionError, InvalidStateError, translateError } = require('../lib/errors');
+const { FeatureTree } = require('../lib/featureTree');
+
+describe("Pull payments", function () {
+  const challengeSize = 2;
+  const day = 24 * 60 * 60;
+  const batchPrice = ethers.parseEther("0.1");
+  const ownerDeposit = ethers.parseEther("0.01");
+  // PaymentReceiver.Mode
+  const Mode = { Accept: 0, Revert: 1, BurnGas: 2 };
+  let nmft, client, owner, buyer, challenger, PaymentReceiver, tree;
+
+  beforeEach(async function () {
+    [owner, buyer, challenger] = await ethers.getSigners();
+    const NMFT = await ethers.getContractFactory("NMFT");
+    nmft = await NMFT.deploy(owner.address, "0xec7803457c25cb110ea6f74c048e1232264223783c370afed1473516b67857be");
+    await nmft.waitForDeployment();
+    client = new NmftClient(nmft);
+    PaymentReceiver = await ethers.getContractFactory("PaymentReceiver");
+    tree = FeatureTree.fromVectors(Array(challengeSize).fill().map(() => ethers.toBigInt(ethers.randomBytes(32))));
+  });
+
+  // 辅助函数：部署一个指定收款模式的合约钱包
+  async function deployWallet(mode) {
+    const wallet = await PaymentReceiver.deploy();
+    await wallet.waitForDeployment();
+    await wallet.setMode(mode);
+    return wallet;
+  }
+
+  // 辅助函数：通过合约钱包调用 NMFT
+  async function viaWallet(wallet, method, args, value = 0n) {
+    const tx = await wallet.execute(await nmft.getAddress(), nmft.interface.encodeFunctionData(method, args), { value });
+    return tx.wait();
+  }
+
+  async function mint(to, merkleRoot) {
+    await nmft.mintDataNFT(to, "https://example.com/token/1", batchPrice, 2, ethers.parseEther("1"), merkleRoot, ethers.ZeroHash, ethers.ZeroAddress, "Test NFT");
+  }
+
+  it("买家合约拒收时挑战结算仍然完成，余额保留到买家可以收款后提取", async function () {
+    const wallet = await deployWallet(Mode.Revert);
+    const walletAddress = await wallet.getAddress();
+    await mint(owner.address, ethers.ZeroHash);
+    await mint(challenger.address, ethers.ZeroHash);
+    // 挑战者比所有者更早提交了相同的数据
+    await nmft.connect(challenger).updateMerkleRoot(2, tree.root);
+    await ethers.provider.send("evm_mine");
+    await nmft.updateMerkleRoot(1, tree.root);
+
+    await viaWallet(wallet, 'requestDataPurchase', [1, batchPrice, 2, 0, challengeSize, 0, ownerDeposit]);
+    await nmft.confirmRequest(1, walletAddress);
+    await viaWallet(wallet, 'buyerDeposit', [1], batchPrice * 2n);
+    await nmft.ownerDeposit(1, walletAddress, { value: ownerDeposit });
+    await viaWallet(wallet, 'initiateChallenge', [1]);
+    const response = tree.getChallengeResponse();
+    await nmft.ownerResToChallenge(1, walletAddress, response.vectors, response.merkleProofs, response.merkleRoots);
+    await viaWallet(wallet, 'buyerVerifyChallenge', [1]);
+
+    await nmft.connect(challenger).otherOwnersResToChallenge(
+      1, walletAddress, 2, response.vectors, response.merkleRoots, response.vectors, response.merkleProofs, response.merkleRoots
+    );
+    await ethers.provider.send("evm_increaseTime", [day]);
+    await ethers.provider.send("evm_mine");
+
+    // 改为推送转账时，这笔交易会因为买家拒收而 revert
+    await expect(nmft.connect(challenger).finalizeChallenge(1, walletAddress))
+      .to.emit(nmft, "PaymentCredited").withArgs(walletAddress, ethers.ZeroAddress, batchPrice * 2n + ownerDeposit / 2n)
+      .and.to.emit(nmft, "PaymentCredited").withArgs(challenger.address, ethers.ZeroAddress, ownerDeposit / 2n)
+      .and.to.emit(nmft, "ChallengeResolved").withArgs(1, walletAddress, challenger.address, 2);
+
+    expect(await nmft.withdrawable(walletAddress)).to.equal(batchPrice * 2n + ownerDeposit / 2n);
+    await expect(viaWallet(wallet, 'withdraw', [])).to.be.revertedWith("Withdrawal failed");
+    expect(await nmft.withdrawable(walletAddress)).to.equal(batchPrice * 2n + ownerDeposit / 2n);
+
+    await wallet.setMode(Mode.Accept);
+    await viaWallet(wallet, 'withdraw', []);
+    expect(await ethers.provider.getBalance(walletAddress)).to.equal(batchPrice * 2n + ownerDeposit / 2n);
+    expect(await nmft.withdrawable(walletAddress)).to.equal(0);
+
+    await expect(nmft.connect(challenger).withdraw()).to.changeEtherBalance(challenger, ownerDeposit / 2n);
+  });
+
+  it("收款时消耗大量 gas 的所有者合约可以提取最终支付", async function () {
+    const wallet = await deployWallet(Mode.BurnGas);
+    const walletAddress = await wallet.getAddress();
+    await mint(walletAddress, tree.root);
+
+    await nmft.connect(buyer).requestDataPurchase(1, batchPrice, 2, 0, challengeSize, 0, ownerDeposit);
+    await viaWallet(wallet, 'confirmRequest', [1, buyer.address]);
+    await nmft.connect(buyer).buyerDeposit(1, { value: batchPrice * 2n });
+    await viaWallet(wallet, 'ownerDeposit', [1, buyer.address], ownerDeposit);
+    await nmft.connect(buyer).initiateChallenge(1);
+    const response = tree.getChallengeResponse();
+    await viaWallet(wallet, 'ownerResToChallenge', [1, buyer.address, response.vectors, response.merkleProofs, response.merkleRoots]);
+    await nmft.connect(buyer).buyerVerifyChallenge(1);
+    await ethers.provider.send("evm_increaseTime", [day]);
+    await ethers.provider.send("evm_mine");
+    await nmft.connect(buyer).buyerConfirmChallengeEnd(1);
+
+    const seed = ethers.hexlify(ethers.randomBytes(32));
+    await nmft.connect(buyer).setHashchainTip(1, ethers.keccak256(ethers.keccak256(seed)));
+    await viaWallet(wallet, 'confirmFinalPayment', [1, buyer.address, seed, 2]);
+    expect(await nmft.withdrawable(walletAddress)).to.equal(batchPrice * 2n + ownerDeposit);
+
+    const receipt = await viaWallet(wallet, 'withdraw', []);
+    expect(receipt.gasUsed).to.be.greaterThan(100000n);
+    expect(await ethers.provider.getBalance(walletAddress)).to.equal(batchPrice * 2n + ownerDeposit);
+    await expect(viaWallet(wallet, 'withdraw', [])).to.be.revertedWith("Nothing to withdraw");
+  });
+
+  it("超时后退还的押金记入余额且不能重复退还", async function () {
+    await mint(owner.address, tree.root);
+    await nmft.connect(buyer).requestDataPurchase(1, batchPrice, 2, 0, challengeSize, 0, ownerDeposit);
+    await nmft.confirmRequest(1, buyer.address);
+    await nmft.connect(buyer).buyerDeposit(1, { value: batchPrice * 2n });
+    await nmft.ownerDeposit(1, buyer.address, { value: ownerDeposit });
+    await ethers.provider.send("evm_increaseTime", [day + 1]);
+    await ethers.provider.send("evm_mine");
+
+    const session = client.buyer(buyer);
+    await expect(session.withdraw()).to.be.rejectedWith(PreconditionError, "Nothing to withdraw");
+    await expect(nmft.connect(buyer).withdrawDeposits(1, buyer.address)).to.changeEtherBalance(nmft, 0);
+    await expect(nmft.connect(buyer).withdrawDeposits(1, buyer.address)).to.be.revertedWith("Insufficient buyer deposit");
+    await client.owner(owner).withdrawDeposits(1, buyer.address);
+    expect(await client.withdrawable(owner.address)).to.equal(ownerDeposit);
+
+    expect(await session.withdrawable()).to.equal(batchPrice * 2n);
+    const balance = await ethers.provider.getBalance(buyer.address);
+    const receipt = await session.withdraw();
+    expect(await ethers.provider.getBalance(buyer.address)).to.equal(balance + batchPrice * 2n - receipt.fee);
+    expect(await session.withdrawable()).to.equal(0);
+  });
+
+  it("没有质押的请求超时后不能取回其他买家的质押", async function () {
+    await mint(owner.address, tree.root);
+    await nmft.connect(buyer).requestDataPurchase(1, batchPrice, 2, 0, challengeSize, 0, ownerDeposit);
+    await nmft.confirmRequest(1, buyer.address);
+    await nmft.connect(buyer).buyerDeposit(1, { value: batchPrice * 2n });
+    // 另一个账户对同一 token 发起请求但不质押
+    await nmft.connect(challenger).requestDataPurchase(1, batchPrice, 2, 0, challengeSize, 0, ownerDeposit);
+    await ethers.provider.send("evm_increaseTime", [day + 1]);
+    await ethers.provider.send("evm_mine");
+
+    await expect(nmft.connect(challenger).withdrawDeposits(1, challenger.address)).to.be.revertedWith("Buyer has not deposited yet");
+    await expect(nmft.withdrawDeposits(1, challenger.address)).to.be.revertedWith("Owner has not deposited yet");
+    await expect(nmft.withdrawDeposits(1, buyer.address)).to.be.revertedWith("Owner has not deposited yet");
+    expect(await nmft.withdrawable(challenger.address)).to.equal(0);
+    expect(await nmft.withdrawable(owner.address)).to.equal(0);
+    const error = await nmft.connect(challenger).withdraw().catch(e => e);
+    expect(translateError(error)).to.be.instanceOf(InvalidStateError).and.include({ reason: "Nothing to withdraw" });
+    expect(await ethers.provider.getBalance(await nmft.getAddress())).to.equal(batchPrice * 2n);
+
+    await nmft.connect(buyer).withdrawDeposits(1, buyer.address);
+    expect(await nmft.withdrawable(buyer.address)).to.equal(batchPrice * 2n);
+  });
+
+  it("挑战者获胜后买家的质押只退还一次", async function () {
+    await mint(owner.address, ethers.ZeroHash);
+    await mint(challenger.address, ethers.ZeroHash);
+    await nmft.connect(challenger).updateMerkleRoot(2, tree.root);
+    await ethers.provider.send("evm_mine");
+    await nmft.updateMerkleRoot(1, tree.root);
+
+    await nmft.connect(buyer).requestDataPurchase(1, batchPrice, 2, 0, challengeSize, 0, ownerDeposit);
+    await nmft.confirmRequest(1, buyer.address);
+    await nmft.connect(buyer).buyerDeposit(1, { value: batchPrice * 2n });
+    await nmft.ownerDeposit(1, buyer.address, { value: ownerDeposit });
+    await nmft.connect(buyer).initiateChallenge(1);
+    const response = tree.getChallengeResponse();
+    await nmft.ownerResToChallenge(1, buyer.address, response.vectors, response.merkleProofs, response.merkleRoots);
+    await nmft.connect(buyer).buyerVerifyChallenge(1);
+    await nmft.connect(challenger).otherOwnersResToChallenge(
+      1, buyer.address, 2, response.vectors, response.merkleRoots, response.vectors, response.merkleProofs, response.merkleRoots
+    );
+    await ethers.provider.send("evm_increaseTime", [day]);
+    await ethers.provider.send("evm_mine");
+    await nmft.connect(buyer).buyerConfirmChallengeEnd(1);
+    expect(await nmft.withdrawable(buyer.address)).to.equal(batchPrice * 2n + ownerDeposit / 2n);
+
+    await ethers.provider.send("evm_increaseTime", [day + 1]);
+    await ethers.provider.send("evm_mine");
+    await expect(nmft.connect(buyer).withdrawDeposits(1, buyer.address)).to.be.revertedWith("Insufficient buyer deposit");
+    await expect(nmft.withdrawDeposits(1, buyer.address)).to.be.revertedWith("Insufficient owner deposit");
+    expect(await nmft.withdrawable(buyer.address)).to.equal(batchPrice * 2n + ownerDeposit / 2n);
+  });
+
+  it("全部批次付清后应该退还所有者押金和买家未花费的质押", async function () {
+    const nftTransferFee = ethers.parseEther("0.05");
+    await mint(owner.address, tree.root);
+    // 只购买 1 个批次，NFT 不会转移，转移费用退还买家
+    await nmft.connect(buyer).requestDataPurchase(1, batchPrice, 1, 1, challengeSize, nftTransferFee, ownerDeposit);
+    await nmft.confirmRequest(1, buyer.address);
+    await nmft.connect(buyer).buyerDeposit(1, { value: batchPrice + nftTransferFee });
+    await nmft.ownerDeposit(1, buyer.address, { value: ownerDeposit });
+    await nmft.connect(buyer).initiateChallenge(1);
+    const response = tree.getChallengeResponse();
+    await nmft.ownerResToChallenge(1, buyer.address, response.vectors, response.merkleProofs, response.merkleRoots);
+    await nmft.connect(buyer).buyerVerifyChallenge(1);
+    await ethers.provider.send("evm_increaseTime", [day]);
+    await ethers.provider.send("evm_mine");
+    await nmft.connect(buyer).buyerConfirmChallengeEnd(1);
+    const seed = ethers.hexlify(ethers.randomBytes(32));
+    await nmft.connect(buyer).setHashchainTip(1, ethers.keccak256(seed));
+
+    await expect(nmft.confirmFinalPayment(1, buyer.address, seed, 1))
+      .to.emit(nmft, "PaymentCredited").withArgs(owner.address, ethers.ZeroAddress, batchPrice)
+      .and.to.emit(nmft, "PaymentCredited").withArgs(owner.address, ethers.ZeroAddress, ownerDeposit)
+      .and.to.emit(nmft, "PaymentCredited").withArgs(buyer.address, ethers.ZeroAddress, nftTransferFee);
+    expect(await nmft.ownerOf(1)).to.equal(owner.address);
+    expect(await nmft.withdrawable(owner.address)).to.equal(batchPrice + ownerDeposit);
+    expect(await nmft.withdrawable(buyer.address)).to.equal(nftTransferFee);
+    expect((await nmft.getRequest(1, buyer.address)).buyerDepositAmount).to.equal(0);
+    expect(await ethers.provider.getBalance(await nmft.getAddress())).to.equal(batchPrice + ownerDeposit + nftTransferFee);
+  });
+});
@@ -0,0 +1,107 @@
+const { expect } = require("chai");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResultsWriter } = require('../lib/results');
+const {
+  loadRecords,
+  summarize,
+  fitLinear,
+  fitParameters,
+  buildReport,
+  renderMarkdown,
+  writeReport
+} = require('../lib/report');
+
+// 构造一次运行的结果：ownerResToChallenge 的 gas 随 challengeSize 线性增长
+function records(run, network, { perUnit = 9000, latency = 10 } = {}) {
+  return [10, 20, 30, 40].flatMap(challengeSize => [
+    { run, network, method: 'ownerResToChallenge', params: { challengeSize }, gas: 40000 + perUnit * challengeSize, latency: latency * 5 },
+    { run, network, method: 'setHashchainTip', params: { challengeSize }, gas: 64388, latency }
+  ]);
+}
+
+describe("Benchmark report", function () {
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("应该计算各方法延迟和 gas 的均值、中位数和 p95", function () {
+    const latencies = [1, 2, 3, 4, 5, 6, 7, 8, 9, 100];
+    const summary = summarize([
+      ...latencies.map(latency => ({ method: 'confirmRequest', gas: 58522, latency })),
+      { method: 'mintDataNFT', gas: 198000, latency: 12 }
+    ]);
+    // 按阶段排序：P2 在 P3 之前
+    expect(summary.map(entry => [entry.phase, entry.method, entry.count])).to.deep.equal([
+      ['P2: Mint data NFT', 'mintDataNFT', 1],
+      ['P3: Request data', 'confirmRequest', 10]
+    ]);
+    // 与 numpy.percentile 的线性插值一致
+    expect(summary[1].latency).to.include({ mean: 14.5, median: 5.5 });
+    expect(summary[1].latency.p95).to.be.closeTo(59.05, 1e-9);
+    expect(summary[1].gas).to.deep.equal({ mean: 58522, median: 58522, p95: 58522 });
+  });
+
+  it("应该拟合 gas 与 challengeSize 的线性关系，跳过只有一个取值的参数", function () {
+    const fit = fitLinear([[10, 130000], [20, 220000], [30, 310000]]);
+    expect(fit.slope).to.be.closeTo(9000, 1e-9);
+    expect(fit.intercept).to.be.closeTo(40000, 1e-6);
+    expect(fit.r2).to.be.closeTo(1, 1e-12);
+    expect(() => fitLinear([[10, 1], [10, 2]])).to.throw("single x value");
+
+    const fits = fitParameters([
+      ...records('r1', 'hardhat'),
+      { run: 'r1', network: 'hardhat', method: 'confirmFinalPayment', params: { newCompletedBatches: 10 }, gas: 80000, latency: 1 }
+    ]);
+    expect(fits.map(entry => [entry.parameter, entry.method])).to.deep.equal([
+      ['challengeSize', 'ownerResToChallenge'],
+      ['challengeSize', 'setHashchainTip']
+    ]);
+    expect(fits[0].slope).to.be.closeTo(9000, 1e-9);
+    expect(fits[1]).to.include({ slope: 0, r2: 1, effect: 0 });
+  });
+
+  it("应该对比两组结果并写出包含 SVG 图表的 HTML 和 Markdown 报告", function () {
+    const baselineFile = path.join(tmpDir, 'localhost.jsonl');
+    const currentFile = path.join(tmpDir, 'sepolia.jsonl');
+    const baselineWriter = new ResultsWriter(baselineFile);
+    records('before', 'localhost').forEach(record => baselineWriter.append(record));
+    records('other', 'localhost', { perUnit: 1 }).forEach(record => baselineWriter.append(record));
+    const currentWriter = new ResultsWriter(currentFile);
+    records('after', 'sepolia', { perUnit: 9900, latency: 12000 }).forEach(record => currentWriter.append(record));
+
+    expect(loadRecords([tmpDir])).to.have.length(24);
+    const report = buildReport({
+      current: { records: loadRecords([currentFile]) },
+      baseline: { records: loadRecords([baselineFile], { run: 'before' }) }
+    });
+    expect(report.baseline.label).to.equal('localhost before');
+    expect(report.current.label).to.equal('sepolia after');
+    const tip = report.comparison.find(entry => entry.method === 'setHashchainTip');
+    expect(tip.gas).to.deep.equal({ baseline: 64388, current: 64388, change: 0 });
+    expect(tip.latency.change).to.equal(1199);
+    expect(report.fitComparison).to.have.length(2);
+    expect(report.fitComparison[0].change).to.be.closeTo(0.1, 1e-9);
+
+    const markdown = renderMarkdown(report);
+    expect(markdown).to.include('## Comparison: sepolia after vs localhost before (medians)');
+    expect(markdown).to.include('| challengeSize | ownerResToChallenge | 9,000.0 | 9,900.0 | +10.0% |');
+
+    const { html, markdown: markdownPath } = writeReport(report, path.join(tmpDir, 'report'));
+    const page = fs.readFileSync(html, 'utf8');
+    // 两张柱状图，加上 gas 随 challengeSize 变化的 ownerResToChallenge 拟合图
+    expect(page.match(/<svg /g)).to.have.length(3);
+    expect(page).to.include('ownerResToChallenge gas vs challengeSize');
+    expect(page).to.not.include('setHashchainTip gas vs challengeSize');
+    expect(fs.readFileSync(markdownPath, 'utf8')).to.equal(markdown);
+
+    expect(() => buildReport({ current: { label: 'empty', records: [] } })).to.throw("No benchmark results for empty");
+  });
+});
@@ -0,0 +1,83 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  RESULT_FIELDS,
+  receiptMetrics,
+  ResultsWriter,
+  readResults,
+  parseLegacyCsv,
+  migrateLegacyResults
+} = require('../lib/results');
+
+// 旧脚本写入的回执：JSON.stringify 后把逗号替换为 "\,"
+function legacyReceipt(fields) {
+  return JSON.stringify({ _type: "TransactionReceipt", ...fields }).replace(/,/g, '\\,');
+}
+
+describe("Benchmark results", function () {
+  let tmpDir;
+  const hash = ethers.id("tx");
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'results-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("应该以固定字段的 JSON Lines 记录交易回执的测量值", async function () {
+    const [owner, other] = await ethers.getSigners();
+    const receipt = await (await owner.sendTransaction({ to: other.address, value: 1n })).wait();
+    const writer = new ResultsWriter(path.join(tmpDir, 'nested', 'run.jsonl'));
+    writer.append({ run: "r1", network: "hardhat", method: "transfer", params: { size: 1n }, latency: 5, ...receiptMetrics(receipt) });
+    writer.append({ run: "r1", network: "hardhat", method: "view", tokenId: 3n, ...receiptMetrics(null) });
+
+    const [sent, view] = readResults(writer.path);
+    expect(Object.keys(sent)).to.deep.equal(RESULT_FIELDS);
+    expect(sent).to.include({ gas: 21000, latency: 5, blockNumber: receipt.blockNumber, txHash: receipt.hash, effectiveGasPrice: receipt.gasPrice.toString() });
+    expect(sent.params).to.deep.equal({ size: "1" });
+    expect(view).to.include({ gas: 0, txHash: null, tokenId: "3", benchmark: null });
+    expect(() => writer.append({ run: "r1", method: "x" })).to.throw("requires run, network and method");
+
+    fs.appendFileSync(writer.path, "{broken\n");
+    expect(() => readResults(writer.path)).to.throw(":3");
+  });
+
+  it("应该把旧格式的 CSV 迁移为 JSON Lines，包括被表格软件加过引号的文件", function () {
+    const receipt = legacyReceipt({ blockHash: ethers.id("block"), blockNumber: 12, gasPrice: "875000000", gasUsed: "187673", hash, index: 0, logs: [{ transactionHash: ethers.id("other") }] });
+    fs.writeFileSync(path.join(tmpDir, 'localhost_batch_number.csv'), [
+      'method,batchNumber,latency,gas,contractAddress,time,receipt',
+      `deploy,,65,4344046,0x5FbDB2315678afecb367f032d93F642f64180aa3,2024-10-16T03:40:25.756Z,${receipt}`,
+      `requestDataPurchase,100,18,187673,0x5FbDB2315678afecb367f032d93F642f64180aa3,2024-10-16T03:41:00.461Z,${receipt}`
+    ].join('\n') + '\n');
+    // 表格软件另存后：表头补逗号，回执加引号且引号成对转义
+    const quoted = `"${receipt.replace(/"/g, '""')}"`;
+    fs.writeFileSync(path.join(tmpDir, 'sepolia_performance.csv'), [
+      'method,latency,gas,contractAddress,time,receipt,,,',
+      `mintDataNFT,8312,232636,0x7Ce5b2DDCFd26927EFea40cEaF463e193177e067,2024-10-18T01:26:25.579Z,${quoted},,,`
+    ].join('\r\n'));
+    fs.writeFileSync(path.join(tmpDir, 'notes.csv'), 'not,a,result\n');
+
+    const migrated = migrateLegacyResults(tmpDir, { remove: true });
+    expect(migrated.map(entry => [path.basename(entry.target), entry.records])).to.deep.equal([
+      ['localhost_batch_number.jsonl', 2],
+      ['sepolia_performance.jsonl', 1]
+    ]);
+    expect(fs.readdirSync(tmpDir).sort()).to.deep.equal(['localhost_batch_number.jsonl', 'notes.csv', 'sepolia_performance.jsonl']);
+
+    const [deploy, request] = readResults(path.join(tmpDir, 'localhost_batch_number.jsonl'));
+    expect(deploy).to.include({ method: "deploy", latency: 65, gas: 4344046, benchmark: "batch_number", network: "localhost" });
+    expect(deploy.params).to.deep.equal({});
+    // 旧 batch_number 列记录的是 newCompletedBatches
+    expect(request.params).to.deep.equal({ newCompletedBatches: 100 });
+    expect(request).to.include({ run: deploy.run, blockNumber: 12, txHash: hash, effectiveGasPrice: "875000000" });
+
+    const [mint] = readResults(path.join(tmpDir, 'sepolia_performance.jsonl'));
+    expect(mint).to.include({ method: "mintDataNFT", gas: 232636, latency: 8312, blockNumber: 12, txHash: hash, effectiveGasPrice: "875000000" });
+    expect(() => parseLegacyCsv('id,value\n1,2\n', { network: "x", benchmark: "y" })).to.throw("Unrecognized legacy results header");
+  });
+});
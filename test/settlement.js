@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { NmftClient, Phase } = require('../lib/client');
+const { PreconditionError, InvalidInputError, translateError } = require('../lib/errors');
+const { FeatureTree } = require('../lib/featureTree');
+const { BuyerHashchain } = require('../lib/hashchain');
+
+describe("ERC-20 settlement", function () {
+  const challengeSize = 2;
+  const day = 24 * 60 * 60;
+  // 6 位小数的稳定币
+  const usdc = (value) => ethers.parseUnits(value, 6);
+  const batchPrice = usdc("100");
+  const ownerDeposit = usdc("10");
+  let nmft, client, token, tokenAddress, owner, buyer, challenger, tree;
+
+  beforeEach(async function () {
+    [owner, buyer, challenger] = await ethers.getSigners();
+    const NMFT = await ethers.getContractFactory("NMFT");
+    nmft = await NMFT.deploy(owner.address, "0xec7803457c25cb110ea6f74c048e1232264223783c370afed1473516b67857be");
+    await nmft.waitForDeployment();
+    client = new NmftClient(nmft);
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy("USD Coin", "USDC", 6);
+    await token.waitForDeployment();
+    tokenAddress = await token.getAddress();
+    for (const account of [owner, buyer, challenger]) {
+      await token.mint(account.address, usdc("1000"));
+    }
+    tree = FeatureTree.fromVectors(Array(challengeSize).fill().map(() => ethers.toBigInt(ethers.randomBytes(32))));
+  });
+
+  // 辅助函数：以 USDC 结算的数据集发起请求并完成双方质押
+  async function depositBoth(depositOptions = {}) {
+    await client.buyer(buyer).request(1, { reqBatchPrice: batchPrice, reqBatchNumber: 3, challengeSize, ownerDepositAmount: ownerDeposit });
+    await client.owner(owner).confirmRequest(1, buyer.address);
+    await client.buyer(buyer).deposit(1, depositOptions);
+    await client.owner(owner).deposit(1, buyer.address, depositOptions);
+  }
+
+  it("应该以数据集声明的代币完成质押、付款和提取", async function () {
+    await client.owner(owner).mint({
+      tokenURI: "https://example.com/token/1", batchPrice, batchNumber: 10, nftTransferFee: usdc("1"), merkleRoot: tree.root, paymentToken: tokenAddress
+    });
+    expect(await client.paymentToken(1)).to.equal(tokenAddress);
+
+    // 买家先 approve 再质押，所有者用 permit 在同一笔交易中授权
+    await client.buyer(buyer).request(1, { reqBatchPrice: batchPrice, reqBatchNumber: 3, challengeSize, ownerDepositAmount: ownerDeposit });
+    await client.owner(owner).confirmRequest(1, buyer.address);
+    await client.buyer(buyer).deposit(1);
+    await client.owner(owner).deposit(1, buyer.address, { permit: true });
+    expect(await token.allowance(owner.address, await nmft.getAddress())).to.equal(0);
+    expect(await token.balanceOf(await nmft.getAddress())).to.equal(batchPrice * 3n + ownerDeposit);
+    expect(await ethers.provider.getBalance(await nmft.getAddress())).to.equal(0);
+
+    await client.buyer(buyer).initiateChallenge(1);
+    await client.owner(owner).respondToChallenge(1, buyer.address, tree.getChallengeResponse());
+    await client.buyer(buyer).verifyChallenge(1);
+    await ethers.provider.send("evm_increaseTime", [day]);
+    await ethers.provider.send("evm_mine");
+    await client.buyer(buyer).confirmChallengeEnd(1);
+    const chain = BuyerHashchain.create({ length: 3, tokenId: 1, buyer: buyer.address });
+    await client.buyer(buyer).setHashchainTip(1, chain.tip);
+
+    await expect(nmft.confirmFinalPayment(1, buyer.address, chain.releaseFor(3).preimage, 3))
+      .to.emit(nmft, "PaymentCredited").withArgs(owner.address, tokenAddress, batchPrice * 3n);
+    expect(await client.getPhase(1, buyer.address)).to.equal(Phase.None);
+    expect(await client.withdrawable(owner.address)).to.equal(0);
+    expect(await client.withdrawable(owner.address, tokenAddress)).to.equal(batchPrice * 3n + ownerDeposit);
+
+    const balance = await token.balanceOf(owner.address);
+    await client.owner(owner).withdraw(tokenAddress);
+    expect(await token.balanceOf(owner.address)).to.equal(balance + batchPrice * 3n + ownerDeposit);
+    await expect(client.owner(owner).withdraw(tokenAddress)).to.be.rejectedWith(PreconditionError, "Nothing to withdraw");
+  });
+
+  it("挑战成功时应该按请求时的代币记账", async function () {
+    await nmft.mintDataNFT(owner.address, "https://example.com/token/1", batchPrice, 10, 0, ethers.ZeroHash, ethers.ZeroHash, tokenAddress, "Test NFT");
+    await nmft.mintDataNFT(challenger.address, "https://example.com/token/2", batchPrice, 10, 0, ethers.ZeroHash, ethers.ZeroHash, ethers.ZeroAddress, "Earlier NFT");
+    await nmft.connect(challenger).updateMerkleRoot(2, tree.root);
+    await ethers.provider.send("evm_mine");
+    await nmft.updateMerkleRoot(1, tree.root);
+    await depositBoth({ permit: true });
+
+    // 已有请求不受结算代币变更影响
+    await expect(nmft.updateDataInfo(1, 0, 0, 0, ethers.ZeroHash, ethers.ZeroHash, await nmft.NATIVE_CURRENCY()))
+      .to.emit(nmft, "PaymentTokenUpdated").withArgs(1, ethers.ZeroAddress);
+    expect((await nmft.getRequest(1, buyer.address)).paymentToken).to.equal(tokenAddress);
+
+    await nmft.connect(buyer).initiateChallenge(1);
+    const response = tree.getChallengeResponse();
+    await nmft.ownerResToChallenge(1, buyer.address, response.vectors, response.merkleProofs, response.merkleRoots);
+    await nmft.connect(buyer).buyerVerifyChallenge(1);
+    await nmft.connect(challenger).otherOwnersResToChallenge(
+      1, buyer.address, 2, response.vectors, response.merkleRoots, response.vectors, response.merkleProofs, response.merkleRoots
+    );
+    await ethers.provider.send("evm_increaseTime", [day]);
+    await ethers.provider.send("evm_mine");
+    await client.owner(challenger).finalizeChallenge(1, buyer.address);
+    expect(await client.withdrawable(buyer.address, tokenAddress)).to.equal(batchPrice * 3n + ownerDeposit / 2n);
+    expect(await client.withdrawable(challenger.address, tokenAddress)).to.equal(ownerDeposit / 2n);
+    expect(await client.withdrawable(buyer.address)).to.equal(0);
+
+    await expect(nmft.connect(buyer).withdrawToken(tokenAddress))
+      .to.changeTokenBalances(token, [buyer, nmft], [batchPrice * 3n + ownerDeposit / 2n, -(batchPrice * 3n + ownerDeposit / 2n)]);
+    await expect(nmft.connect(challenger).withdrawToken(tokenAddress)).to.changeTokenBalance(token, challenger, ownerDeposit / 2n);
+  });
+
+  it("超时后应该以代币退还双方押金", async function () {
+    await nmft.mintDataNFT(owner.address, "https://example.com/token/1", batchPrice, 10, 0, tree.root, ethers.ZeroHash, tokenAddress, "Test NFT");
+    await depositBoth();
+    await ethers.provider.send("evm_increaseTime", [day + 1]);
+    await ethers.provider.send("evm_mine");
+
+    await client.buyer(buyer).withdrawDeposits(1);
+    await client.owner(owner).withdrawDeposits(1, buyer.address);
+    expect(await client.withdrawable(buyer.address, tokenAddress)).to.equal(batchPrice * 3n);
+    expect(await client.withdrawable(owner.address, tokenAddress)).to.equal(ownerDeposit);
+    await expect(nmft.connect(buyer).withdrawToken(tokenAddress)).to.changeTokenBalance(token, buyer, batchPrice * 3n);
+    await expect(nmft.connect(owner).withdrawToken(tokenAddress)).to.changeTokenBalance(token, owner, ownerDeposit);
+    expect(await token.balanceOf(await nmft.getAddress())).to.equal(0);
+  });
+
+  it("应该拒绝不符合结算代币的质押和设置", async function () {
+    await expect(nmft.mintDataNFT(owner.address, "https://example.com/token/1", batchPrice, 10, 0, tree.root, ethers.ZeroHash, buyer.address, "Test NFT"))
+      .to.be.revertedWith("Payment token is not a contract");
+    await expect(nmft.mintDataNFT(owner.address, "https://example.com/token/1", batchPrice, 10, 0, tree.root, ethers.ZeroHash, tokenAddress, "Test NFT"))
+      .to.emit(nmft, "PaymentTokenUpdated").withArgs(1, tokenAddress);
+    await nmft.connect(buyer).requestDataPurchase(1, batchPrice, 3, 0, challengeSize, 0, ownerDeposit);
+    await nmft.confirmRequest(1, buyer.address);
+
+    await token.connect(buyer).approve(await nmft.getAddress(), batchPrice * 3n);
+    await expect(nmft.connect(buyer).buyerDeposit(1, { value: 1 })).to.be.revertedWith("ETH not accepted for token payments");
+    await token.connect(buyer).approve(await nmft.getAddress(), 0);
+    await expect(nmft.connect(buyer).buyerDeposit(1)).to.be.revertedWith("ERC20: insufficient allowance");
+    await expect(client.buyer(buyer, { dryRun: true }).deposit(1)).to.be.rejectedWith(PreconditionError, "Insufficient allowance");
+    await token.connect(buyer).transfer(challenger.address, usdc("1000"));
+    await expect(client.buyer(buyer).deposit(1)).to.be.rejectedWith(PreconditionError, "Insufficient USDC balance");
+
+    // 以 ETH 结算的数据集不能使用 permit
+    await nmft.mintDataNFT(owner.address, "https://example.com/token/2", batchPrice, 10, 0, tree.root, ethers.ZeroHash, ethers.ZeroAddress, "ETH NFT");
+    await nmft.connect(buyer).requestDataPurchase(2, batchPrice, 3, 0, challengeSize, 0, ownerDeposit);
+    await nmft.confirmRequest(2, buyer.address);
+    await expect(nmft.connect(buyer).buyerDepositWithPermit(2, 0, 0, ethers.ZeroHash, ethers.ZeroHash))
+      .to.be.revertedWith("Permit requires an ERC-20 payment token");
+    const error = await nmft.connect(buyer).buyerDepositWithPermit(2, 0, 0, ethers.ZeroHash, ethers.ZeroHash).catch(e => e);
+    expect(translateError(error)).to.be.instanceOf(InvalidInputError).and.include({ reason: "Permit requires an ERC-20 payment token" });
+  });
+});
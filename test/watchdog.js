@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ChallengeWatchdog, loadWatchlist } = require('../lib/watchdog');
+const { NmftClient, Phase } = require('../lib/client');
+const { FeatureTree } = require('../lib/featureTree');
+
+describe("ChallengeWatchdog", function () {
+  const challengeSize = 4;
+  let nmft, client, owner, buyer, priorOwner, vectors, logs;
+
+  // 记录日志以便断言
+  const logger = {
+    info: message => logs.push(['info', message]),
+    warn: message => logs.push(['warn', message]),
+    error: message => logs.push(['error', message])
+  };
+
+  beforeEach(async function () {
+    [owner, buyer, priorOwner] = await ethers.getSigners();
+    const NMFT = await ethers.getContractFactory("NMFT");
+    nmft = await NMFT.deploy(owner.address, "0xec7803457c25cb110ea6f74c048e1232264223783c370afed1473516b67857be");
+    await nmft.waitForDeployment();
+    client = new NmftClient(nmft);
+    vectors = Array(challengeSize).fill().map(() => ethers.toBigInt(ethers.randomBytes(32)));
+    logs = [];
+  });
+
+  // 辅助函数：翻转向量的低 bits 位，改变汉明距离
+  function flip(vector, bits) {
+    return vector ^ ((1n << BigInt(bits)) - 1n);
+  }
+
+  // 辅助函数：铸造 token 并完成交易直到买家验证挑战
+  async function openChallenge(originalTree, { verify = true } = {}) {
+    await nmft.mintDataNFT(owner.address, "https://example.com/token/2", ethers.parseEther("0.1"), 10, ethers.parseEther("1"), originalTree.root, ethers.ZeroHash, ethers.ZeroAddress, "Later NFT");
+    const tokenId = await nmft.totalSupply();
+    await nmft.connect(buyer).requestDataPurchase(tokenId, ethers.parseEther("0.1"), 1, 0, challengeSize, 0, ethers.parseEther("0.02"));
+    await nmft.confirmRequest(tokenId, buyer.address);
+    await nmft.connect(buyer).buyerDeposit(tokenId, { value: ethers.parseEther("0.1") });
+    await nmft.ownerDeposit(tokenId, buyer.address, { value: ethers.parseEther("0.02") });
+    await nmft.connect(buyer).initiateChallenge(tokenId);
+    const response = originalTree.getChallengeResponse([...Array(challengeSize).keys()]);
+    await nmft.ownerResToChallenge(tokenId, buyer.address, response.vectors, response.merkleProofs, response.merkleRoots);
+    if (verify) {
+      await nmft.connect(buyer).buyerVerifyChallenge(tokenId);
+    }
+    return tokenId;
+  }
+
+  // 辅助函数：先登记的所有者铸造 token
+  async function mintPrior(tree) {
+    await nmft.mintDataNFT(priorOwner.address, "https://example.com/token/1", ethers.parseEther("0.1"), 10, ethers.parseEther("1"), tree.root, ethers.ZeroHash, ethers.ZeroAddress, "Earlier NFT");
+    await ethers.provider.send("evm_increaseTime", [60]);
+    return nmft.totalSupply();
+  }
+
+  it("应该在买家验证后用更早登记的相似向量自动响应挑战", async function () {
+    // 相似度 97%（汉明距离 6），高于默认阈值 95
+    const priorTree = FeatureTree.fromVectors(vectors.map(vector => flip(vector, 6)), { tokenId: "1" });
+    const priorTokenId = await mintPrior(priorTree);
+    const tokenId = await openChallenge(FeatureTree.fromVectors(vectors), { verify: false });
+
+    const watchdog = new ChallengeWatchdog({ client, signer: priorOwner, watchlist: [{ tokenId: priorTokenId, tree: priorTree }], logger });
+    expect(await watchdog.poll()).to.be.empty;
+    expect(watchdog.pending.size).to.equal(1);
+
+    await nmft.connect(buyer).buyerVerifyChallenge(tokenId);
+    const [submitted] = await watchdog.poll();
+    expect(submitted.challengerTokenId).to.equal(priorTokenId);
+    expect(submitted.gasEstimate).to.be.greaterThan(0n);
+    expect(watchdog.pending.size).to.equal(0);
+
+    let trade = await client.getTrade(tokenId, buyer.address);
+    expect(trade.phase).to.equal(Phase.ChallengeOpen);
+    expect(trade.challenge.currentWinner).to.equal(priorOwner.address);
+    expect(trade.challenge.winnerTokenId).to.equal(priorTokenId);
+
+    await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+    await ethers.provider.send("evm_mine");
+    await nmft.finalizeChallenge(tokenId, buyer.address);
+    trade = await client.getTrade(tokenId, buyer.address);
+    expect(trade.phase).to.equal(Phase.ChallengeLost);
+  });
+
+  it("相似度略低于阈值时应该记录 near-miss 而不提交", async function () {
+    // 汉明距离 14，相似度 94%
+    const priorTree = FeatureTree.fromVectors(vectors.map(vector => flip(vector, 14)));
+    const priorTokenId = await mintPrior(priorTree);
+    const tokenId = await openChallenge(FeatureTree.fromVectors(vectors));
+
+    const watchdog = new ChallengeWatchdog({ client, signer: priorOwner, watchlist: [{ tokenId: priorTokenId, tree: priorTree }], logger });
+    expect(await watchdog.poll()).to.be.empty;
+    expect(logs.some(([level, message]) => level === 'warn' && message.includes('similarity 94% below threshold 95%'))).to.equal(true);
+    expect((await client.getTrade(tokenId, buyer.address)).phase).to.equal(Phase.ChallengeOpen);
+  });
+
+  it("自己的根登记更晚时不应该提交", async function () {
+    const tokenId = await openChallenge(FeatureTree.fromVectors(vectors));
+    await ethers.provider.send("evm_increaseTime", [60]);
+    const laterTree = FeatureTree.fromVectors(vectors.map(vector => flip(vector, 2)));
+    const laterTokenId = await mintPrior(laterTree);
+
+    const watchdog = new ChallengeWatchdog({ client, signer: priorOwner, watchlist: [{ tokenId: laterTokenId, tree: laterTree }], logger });
+    expect(await watchdog.poll()).to.be.empty;
+    expect(logs.some(([, message]) => message.includes('our root was registered later'))).to.equal(true);
+    expect((await client.getTrade(tokenId, buyer.address)).phase).to.equal(Phase.ChallengeOpen);
+  });
+
+  it("应该从目录加载特征树并在 gas 超过上限时跳过", async function () {
+    const priorTree = FeatureTree.fromVectors(vectors, { tokenId: "1" });
+    await mintPrior(priorTree);
+    const tokenId = await openChallenge(FeatureTree.fromVectors([...vectors, 1n]));
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlist-'));
+    try {
+      priorTree.save(path.join(dir, 'token-1.json'));
+      const watchlist = loadWatchlist(dir);
+      expect(watchlist.map(entry => entry.tokenId)).to.deep.equal([1n]);
+
+      const watchdog = new ChallengeWatchdog({ client, signer: priorOwner, watchlist, logger, maxGas: 1000 });
+      expect(await watchdog.poll()).to.be.empty;
+      expect(logs.some(([level, message]) => level === 'warn' && message.includes('exceeds limit 1000'))).to.equal(true);
+      expect((await client.getTrade(tokenId, buyer.address)).phase).to.equal(Phase.ChallengeOpen);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});